@@ -1,14 +1,145 @@
 /**
  * Background script for LinkedIn Sales Navigator Scraper
- * Handles background tasks like downloading files
+ * Handles background tasks like downloading files, and runs multi-page scrape jobs and
+ * profile enrichment jobs
  */
 
+importScripts('name-parser.js', 'headline-parser.js', 'gazetteer.js', 'location-parser.js', 'lead-schema.js', 'page-types.js', 'lead-dedupe.js', 'datasets.js', 'throttle.js', 'profile-enrichment.js');
+
+// Scripts injected into a page, the same ones the manifest's content_scripts load
+const CONTENT_SCRIPT_FILES = chrome.runtime.getManifest().content_scripts[0].js;
+
+// How long to wait for a results page to announce it is ready after navigating
+const PAGE_READY_TIMEOUT_MS = 30000;
+
+// How many times to reload a page that didn't become ready before failing the job
+const PAGE_READY_MAX_RETRIES = 2;
+
+// Alarms that wake a job when its wait is over. Chrome may stop the service worker while a job
+// waits, taking its timers with it, so waits are alarms and the job goes on from its saved state.
+// Chrome rounds alarms up to 30 seconds in packed extensions.
+const SCRAPE_JOB_ALARM = 'scrapeJob';
+const ENRICHMENT_JOB_ALARM = 'enrichmentJob';
+
+// Waits for a tab to announce that a results page is ready, keyed by tab id. Each has an
+// announce callback and a timeOut callback the scrape job's alarm calls.
+const pageReadyWaiters = new Map();
+
+// Waits for a tab to finish loading a profile page, keyed by tab id. Each has a timeOut
+// callback the enrichment job's alarm calls.
+const tabLoadWaiters = new Map();
+
+// The multi-page scrape job, mirrored to chrome.storage.local under 'scrapeJob'
+let scrapeJob = null;
+
+// True while a job loop is running, so resuming twice doesn't start two loops
+let isJobRunnerActive = false;
+
+// The profile enrichment job, mirrored to chrome.storage.local under 'enrichmentJob'
+let enrichmentJob = null;
+
+// True while the enrichment loop is running
+let isEnrichmentRunnerActive = false;
+
+// Restore the jobs when the service worker starts. A job that was running when the
+// worker was stopped picks up again from the page or profile it was on.
+const jobRestored = Promise.all([restoreScrapeJob(), restoreEnrichmentJob()]);
+
 // Listen for messages from popup.js
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'downloadCSV') {
-    downloadCSV(request.data.url, request.data.filename);
+  if (request.action === 'downloadFile') {
+    downloadFile(request.data.url, request.data.filename);
+    return true;
+  }
+
+  if (request.action === 'resultsPageReady') {
+    const waiter = sender.tab ? pageReadyWaiters.get(sender.tab.id) : null;
+    if (waiter) {
+      waiter.announce(request);
+    }
+    return false;
+  }
+
+  if (request.action === 'startScrapeJob') {
+    jobRestored
+      .then(() => startScrapeJob(request.tabId, request.isRegularLinkedIn, request.pageType, request.limits))
+      .then(job => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({
+        success: false,
+        error: error.message,
+        blockType: error.blockType,
+        isRangeError: error instanceof RangeError
+      }));
     return true;
   }
+
+  if (request.action === 'getScrapeJob') {
+    jobRestored.then(() => sendResponse({ success: true, job: scrapeJob }));
+    return true;
+  }
+
+  if (request.action === 'pauseScrapeJob') {
+    jobRestored.then(() => updateJobStatus(['running'], 'paused', request, sendResponse));
+    return true;
+  }
+
+  if (request.action === 'resumeScrapeJob') {
+    jobRestored.then(() => updateJobStatus(['paused'], 'running', request, sendResponse));
+    return true;
+  }
+
+  if (request.action === 'cancelScrapeJob') {
+    jobRestored.then(() => updateJobStatus(['running', 'paused'], 'cancelled', request, sendResponse));
+    return true;
+  }
+
+  if (request.action === 'startEnrichmentJob') {
+    jobRestored
+      .then(() => startEnrichmentJob(request.datasetId))
+      .then(job => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getEnrichmentJob') {
+    jobRestored.then(() => sendResponse({ success: true, job: enrichmentJob }));
+    return true;
+  }
+
+  if (request.action === 'pauseEnrichmentJob') {
+    jobRestored.then(() => updateEnrichmentJobStatus(['running'], 'paused', sendResponse));
+    return true;
+  }
+
+  if (request.action === 'resumeEnrichmentJob') {
+    jobRestored.then(() => updateEnrichmentJobStatus(['paused'], 'running', sendResponse));
+    return true;
+  }
+
+  if (request.action === 'cancelEnrichmentJob') {
+    jobRestored.then(() => updateEnrichmentJobStatus(['running', 'paused'], 'cancelled', sendResponse));
+    return true;
+  }
+});
+
+// A job's alarm either ends the page load it is waiting for or, once a delay is over, wakes
+// the job. When the worker was stopped in between, starting it again has restored the job.
+chrome.alarms.onAlarm.addListener((alarm) => {
+  jobRestored.then(() => {
+    if (alarm.name === SCRAPE_JOB_ALARM) {
+      if (pageReadyWaiters.size > 0) {
+        pageReadyWaiters.forEach(waiter => waiter.timeOut());
+      } else {
+        runScrapeJob();
+      }
+    } else if (alarm.name === ENRICHMENT_JOB_ALARM) {
+      if (tabLoadWaiters.size > 0) {
+        tabLoadWaiters.forEach(waiter => waiter.timeOut());
+      } else {
+        runEnrichmentJob();
+      }
+    }
+  });
 });
 
 /**
@@ -16,10 +147,935 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * @param {string} url URL of the file to download
  * @param {string} filename Suggested filename for the download
  */
-function downloadCSV(url, filename) {
+function downloadFile(url, filename) {
   chrome.downloads.download({
     url: url,
     filename: filename,
     saveAs: true
   });
-} 
\ No newline at end of file
+}
+
+/**
+ * Loads the persisted scrape job and resumes it if it was running
+ * @returns {Promise} Resolves once the job has been loaded
+ */
+function restoreScrapeJob() {
+  return chrome.storage.local.get('scrapeJob').then(result => {
+    scrapeJob = result.scrapeJob || null;
+
+    // Jobs saved before runs had a page range scrape the whole search
+    if (scrapeJob && !scrapeJob.lastPage) {
+      scrapeJob.firstPage = 1;
+      scrapeJob.lastPage = scrapeJob.totalPages;
+      scrapeJob.maxLeads = 0;
+    }
+
+    if (scrapeJob && scrapeJob.status === 'running') {
+      console.log(`Resuming scrape job on page ${scrapeJob.currentPage} of ${scrapeJob.lastPage}`);
+      // The page may have been half-scraped when the worker stopped, so load it again
+      scrapeJob.needsNavigation = true;
+      runScrapeJob();
+    }
+  });
+}
+
+/**
+ * Starts a new multi-page scrape job in the given tab
+ * @param {number} tabId Tab showing the search results
+ * @param {boolean} isRegularLinkedIn Whether the tab shows regular LinkedIn search
+ * @param {string} [pageType] Page type id from page-types.js, for pages other than lead search
+ * @param {Object} [limits] Object with startPage, endPage and maxLeads properties; see resolveScrapeRange()
+ * @returns {Promise<Object>} Resolves to the new job
+ */
+function startScrapeJob(tabId, isRegularLinkedIn, pageType, limits = {}) {
+  if (scrapeJob && scrapeJob.status === 'running') {
+    return Promise.reject(new Error('A scrape job is already running.'));
+  }
+
+  if (enrichmentJob && enrichmentJob.status === 'running') {
+    return Promise.reject(new Error('Wait for the profile enrichment job to finish, or pause it, before scraping more pages.'));
+  }
+
+  return ensureContentScript(tabId)
+    .then(() => sendTabMessage(tabId, { action: 'getTotalPages', isRegularLinkedIn }))
+    .then(response => {
+      if (response && response.blockType) {
+        throw createPageBlockError(response.blockType);
+      }
+
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Error getting total pages.');
+      }
+
+      const { firstPage, lastPage, maxLeads } = resolveScrapeRange(limits, response.totalPages);
+
+      return chrome.tabs.get(tabId).then(tab => {
+        const now = new Date().toISOString();
+        const jobPageType = pageType || (isRegularLinkedIn ? 'search' : 'salesNavigator');
+        scrapeJob = {
+          id: `job_${Date.now()}`,
+          status: 'running',
+          tabId,
+          isRegularLinkedIn,
+          pageType: jobPageType,
+          searchUrl: tab.url,
+          // The run is saved to the dataset library as it goes
+          dataset: createDataset({
+            pageType: jobPageType,
+            searchUrl: tab.url,
+            firstPage,
+            lastPage: firstPage
+          }),
+          currentPage: firstPage,
+          totalPages: response.totalPages,
+          // The pages and number of leads this run is limited to
+          firstPage,
+          lastPage,
+          maxLeads,
+          pagesScraped: 0,
+          // The run goes straight to its start page
+          needsNavigation: getPageNumberFromUrl(tab.url) !== firstPage,
+          // When the delay before loading the next page is over, while the job waits for it
+          resumeAt: null,
+          leads: [],
+          duplicatesMerged: 0,
+          errors: [],
+          message: `Scraping page ${firstPage} of ${lastPage}...`,
+          startedAt: now,
+          updatedAt: now
+        };
+
+        return saveScrapeJob().then(() => {
+          runScrapeJob();
+          return scrapeJob;
+        });
+      });
+    });
+}
+
+/**
+ * Changes the status of the current job if it is in one of the expected states
+ * @param {Array} fromStatuses Statuses the job may currently have
+ * @param {string} toStatus The new status
+ * @param {Object} request The popup request
+ * @param {Function} sendResponse Callback to answer the popup
+ */
+function updateJobStatus(fromStatuses, toStatus, request, sendResponse) {
+  if (!scrapeJob || !fromStatuses.includes(scrapeJob.status)) {
+    sendResponse({ success: false, error: 'No scrape job to update.', job: scrapeJob });
+    return;
+  }
+
+  scrapeJob.status = toStatus;
+
+  if (toStatus === 'paused') {
+    scrapeJob.message = `Paused on page ${scrapeJob.currentPage} of ${scrapeJob.lastPage}.`;
+  } else if (toStatus === 'running') {
+    scrapeJob.message = `Resuming on page ${scrapeJob.currentPage} of ${scrapeJob.lastPage}...`;
+  } else if (toStatus === 'cancelled') {
+    scrapeJob.message = `Scrape cancelled after ${scrapeJob.pagesScraped} of ${scrapeJob.lastPage - scrapeJob.firstPage + 1} pages.`;
+  }
+
+  saveScrapeJob().then(() => {
+    if (toStatus === 'running') {
+      runScrapeJob();
+    }
+    sendResponse({ success: true, job: scrapeJob });
+  });
+}
+
+/**
+ * Runs the job loop unless it is already running
+ */
+function runScrapeJob() {
+  if (isJobRunnerActive) return;
+
+  isJobRunnerActive = true;
+  runNextJobPage()
+    .catch(error => {
+      console.error('Scrape job failed:', error);
+      if (scrapeJob && scrapeJob.status === 'running') {
+        failScrapeJob(error.message);
+      }
+    })
+    .finally(() => {
+      isJobRunnerActive = false;
+    });
+}
+
+/**
+ * Scrapes the job's current page, then moves on to the next one until the job
+ * is finished, paused or cancelled. The job pauses itself when the daily page quota is used up.
+ * @returns {Promise} Resolves when the loop stops
+ */
+function runNextJobPage() {
+  if (!scrapeJob || scrapeJob.status !== 'running') {
+    return Promise.resolve();
+  }
+
+  const job = scrapeJob;
+  return checkThrottleQuota(THROTTLE_USAGE_KINDS.PAGE).then(quota => {
+    if (scrapeJob !== job || job.status !== 'running') return;
+
+    if (!quota.allowed) {
+      job.status = 'paused';
+      job.message = `${quota.message} Paused on page ${job.currentPage} of ${job.lastPage}.`;
+      return saveScrapeJob();
+    }
+
+    return scrapeJobPage(job);
+  });
+}
+
+/**
+ * Loads and scrapes the job's current page, waiting a random delay first when the
+ * tab has to be navigated to it. The loop stops during the delay; the job's alarm starts it again.
+ * @param {Object} job The scrape job
+ * @returns {Promise} Resolves when the loop stops
+ */
+function scrapeJobPage(job) {
+  const pageReady = job.needsNavigation ?
+    waitBeforeNavigating(job).then(isDelayOver => {
+      if (!isDelayOver || scrapeJob !== job || job.status !== 'running') return false;
+      return navigateJobTab(job).then(() => true);
+    }) :
+    Promise.resolve(true);
+
+  return pageReady
+    .then(isPageReady => {
+      // The job may be waiting, or have been paused or cancelled while the page was loading
+      if (!isPageReady || scrapeJob !== job || job.status !== 'running') return null;
+
+      return ensureContentScript(job.tabId)
+        .then(() => sendTabMessage(job.tabId, {
+          action: 'scrapePage',
+          pageType: job.pageType,
+          isRegularLinkedIn: job.isRegularLinkedIn
+        }));
+    })
+    .then(response => {
+      if (scrapeJob !== job || job.status === 'cancelled' || response === null) return;
+
+      if (response && response.blockType) {
+        return stopBlockedScrapeJob(job, response.blockType);
+      }
+
+      if (!response || !response.success) {
+        const message = response && response.error ? response.error : 'No response from the page.';
+        recordJobError(job, message);
+        return failScrapeJob(`Error scraping page ${job.currentPage}`);
+      }
+
+      // Merge the page into the collected leads, collapsing people we've already seen
+      const { leads, duplicatesCollapsed } = dedupeLeads(job.leads, response.data);
+      job.leads = job.maxLeads > 0 ? leads.slice(0, job.maxLeads) : leads;
+      job.duplicatesMerged += duplicatesCollapsed;
+      job.pagesScraped++;
+      job.dataset.lastPage = job.currentPage;
+
+      return recordThrottleUsage(THROTTLE_USAGE_KINDS.PAGE).then(() => continueScrapeJob(job));
+    })
+    .catch(error => {
+      if (scrapeJob !== job) return;
+      if (error.blockType) return stopBlockedScrapeJob(job, error.blockType);
+      recordJobError(job, error.message);
+      return failScrapeJob(`Error scraping page ${job.currentPage}`);
+    });
+}
+
+/**
+ * Finishes the job after a scraped page, or moves it on to the next page
+ * @param {Object} job The scrape job
+ * @returns {Promise} Resolves when the loop stops
+ */
+function continueScrapeJob(job) {
+  if (job.maxLeads > 0 && job.leads.length >= job.maxLeads) {
+    job.status = 'completed';
+    job.message = `Stopped on page ${job.currentPage} after reaching the limit of ${job.maxLeads} leads.`;
+    return saveScrapeJob();
+  }
+
+  if (job.currentPage >= job.lastPage) {
+    job.status = 'completed';
+    job.message = job.firstPage > 1 || job.lastPage < job.totalPages ?
+      `Pages ${job.firstPage} to ${job.lastPage} scraped successfully!` :
+      'All pages scraped successfully!';
+    return saveScrapeJob();
+  }
+
+  const { maxPagesPerRun } = activeThrottleSettings;
+  if (maxPagesPerRun > 0 && job.pagesScraped >= maxPagesPerRun) {
+    job.status = 'completed';
+    job.message = `Stopped after ${job.pagesScraped} pages, the most one run may scrape. ` +
+      `Start a new run with the start page set to ${job.currentPage + 1} to scrape more.`;
+    return saveScrapeJob();
+  }
+
+  job.currentPage++;
+  job.needsNavigation = true;
+
+  if (job.status === 'paused') {
+    job.message = `Paused on page ${job.currentPage} of ${job.lastPage}.`;
+    return saveScrapeJob();
+  }
+
+  job.message = `Scraping page ${job.currentPage} of ${job.lastPage}...`;
+  return saveScrapeJob().then(runNextJobPage);
+}
+
+/**
+ * Makes the job wait a random delay before it loads its next page, so page loads don't come
+ * back-to-back. The first call starts the delay and sets the job's alarm for when it is over.
+ * @param {Object} job The scrape job
+ * @returns {Promise<boolean>} Resolves to true once the delay is over, false while it lasts
+ */
+function waitBeforeNavigating(job) {
+  if (!job.resumeAt) {
+    const delay = getPageDelay();
+    console.log(`Waiting ${delay}ms before loading page ${job.currentPage}`);
+    job.resumeAt = Date.now() + delay;
+    job.message = `Waiting ${Math.round(delay / 1000)}s before page ${job.currentPage} of ${job.lastPage}...`;
+  }
+
+  if (job.resumeAt > Date.now()) {
+    chrome.alarms.create(SCRAPE_JOB_ALARM, { when: job.resumeAt });
+    return saveScrapeJob().then(() => false);
+  }
+
+  job.resumeAt = null;
+  job.message = `Scraping page ${job.currentPage} of ${job.lastPage}...`;
+  return saveScrapeJob().then(() => true);
+}
+
+/**
+ * Navigates the job's tab to its current page and waits for the content script to
+ * announce that the page is ready, reloading it if it doesn't become ready in time
+ * @param {Object} job The scrape job
+ * @param {number} [attempt] Number of retries made so far
+ * @returns {Promise} Resolves once the page is ready to scrape
+ */
+function navigateJobTab(job, attempt = 0) {
+  // Start listening before navigating so a fast page can't announce itself too early
+  const pageReady = waitForPageReady(job.tabId, job.currentPage);
+
+  return ensureContentScript(job.tabId)
+    .then(() => sendTabMessage(job.tabId, {
+      action: 'navigateToPage',
+      pageNumber: job.currentPage,
+      isRegularLinkedIn: job.isRegularLinkedIn
+    }))
+    .catch(error => {
+      // The page can unload before the content script answers; the ready announcement will tell
+      console.warn('No response to navigation request:', error.message);
+    })
+    .then(() => pageReady)
+    .then(() => {
+      job.needsNavigation = false;
+    })
+    .catch(error => {
+      // Reloading a blocked page only shows the block again
+      if (error.blockType) throw error;
+
+      // LinkedIn redirects to sign-in and security check pages, where the content script doesn't run
+      return chrome.tabs.get(job.tabId).then(tab => {
+        const blockType = detectPageBlockFromUrl(tab.url);
+        if (blockType) throw createPageBlockError(blockType);
+
+        if (attempt >= PAGE_READY_MAX_RETRIES || scrapeJob !== job || job.status !== 'running') {
+          throw error;
+        }
+
+        console.warn(`Page ${job.currentPage} not ready (${error.message}), retrying (${attempt + 1}/${PAGE_READY_MAX_RETRIES})`);
+        return navigateJobTab(job, attempt + 1);
+      });
+    });
+}
+
+/**
+ * Waits for a tab to announce that the given results page is ready. The scrape job's alarm
+ * times the wait out.
+ * @param {number} tabId The tab being navigated
+ * @param {number} pageNumber The page the tab should announce
+ * @returns {Promise<Object>} Resolves with the announcement, rejects if the page
+ *   reports it isn't ready or doesn't announce itself in time
+ */
+function waitForPageReady(tabId, pageNumber) {
+  return new Promise((resolve, reject) => {
+    const settle = (announcement) => {
+      pageReadyWaiters.delete(tabId);
+      chrome.alarms.clear(SCRAPE_JOB_ALARM);
+
+      if (announcement.ready) {
+        resolve(announcement);
+      } else if (announcement.blockType) {
+        reject(createPageBlockError(announcement.blockType));
+      } else {
+        reject(new Error(announcement.error || `Page ${pageNumber} did not finish loading`));
+      }
+    };
+
+    pageReadyWaiters.set(tabId, {
+      announce: (announcement) => {
+        // The previous page can still announce itself while the next one is loading
+        if (announcement.pageNumber === pageNumber) settle(announcement);
+      },
+      timeOut: () => settle({ error: `Timed out waiting for page ${pageNumber} to load` })
+    });
+    chrome.alarms.create(SCRAPE_JOB_ALARM, { when: Date.now() + PAGE_READY_TIMEOUT_MS });
+  });
+}
+
+/**
+ * Adds an error to the job's error log
+ * @param {Object} job The scrape job
+ * @param {string} message Error message
+ */
+function recordJobError(job, message) {
+  job.errors.push({
+    page: job.currentPage,
+    message,
+    at: new Date().toISOString()
+  });
+}
+
+/**
+ * Marks the current job as failed
+ * @param {string} message Status message to show in the popup
+ * @returns {Promise} Resolves once the job is saved
+ */
+function failScrapeJob(message) {
+  scrapeJob.status = 'failed';
+  scrapeJob.message = message;
+  return saveScrapeJob();
+}
+
+/**
+ * Stops a job that LinkedIn blocked with a sign-in page, a security check or the commercial
+ * use limit. Scraping on would only hit the same block, so the job ends instead of retrying.
+ * @param {Object} job The scrape job
+ * @param {string} blockType A key of PAGE_BLOCKS
+ * @returns {Promise} Resolves once the job is saved
+ */
+function stopBlockedScrapeJob(job, blockType) {
+  const { message } = PAGE_BLOCKS[blockType];
+  recordJobError(job, message);
+  job.status = 'blocked';
+  job.blockType = blockType;
+  job.message = `Stopped on page ${job.currentPage} of ${job.lastPage}. ${message}` +
+    (job.leads.length > 0 ? ` The ${job.leads.length} records scraped before are saved.` : '');
+  return saveScrapeJob();
+}
+
+/**
+ * Persists the current job, its leads as the popup's scraped data and, once it has
+ * leads, its dataset in the dataset library
+ * @returns {Promise} Resolves once the job is saved
+ */
+function saveScrapeJob() {
+  scrapeJob.updatedAt = new Date().toISOString();
+  const job = scrapeJob;
+
+  // Jobs saved by an older version have no dataset
+  const hasDataset = !!job.dataset && job.leads.length > 0;
+
+  // The first save with leads adds the run to the library; later ones only update it, so a
+  // rename or delete made in the library while the job runs isn't undone
+  const isNewDataset = hasDataset && !job.datasetAdded;
+  if (isNewDataset) job.datasetAdded = true;
+
+  return chrome.storage.local.set({
+    scrapeJob: job,
+    scrapedData: job.leads,
+    currentDatasetId: job.dataset ? job.dataset.id : null
+  }).then(() => {
+    if (!hasDataset) return;
+    return isNewDataset ?
+      addDataset(job.dataset, job.leads) :
+      saveDatasetRecords(job.dataset.id, job.leads, { lastPage: job.dataset.lastPage });
+  });
+}
+
+/**
+ * Loads the persisted enrichment job and resumes it if it was running
+ * @returns {Promise} Resolves once the job has been loaded
+ */
+function restoreEnrichmentJob() {
+  return chrome.storage.local.get('enrichmentJob').then(result => {
+    enrichmentJob = result.enrichmentJob || null;
+
+    if (enrichmentJob && enrichmentJob.status === 'running') {
+      console.log(`Resuming enrichment job on profile ${enrichmentJob.currentIndex + 1} of ${enrichmentJob.profileUrls.length}`);
+      runEnrichmentJob();
+    }
+  });
+}
+
+/**
+ * Starts enriching the leads of a dataset with the details of their profiles
+ * @param {string} datasetId The dataset whose leads are enriched
+ * @returns {Promise<Object>} Resolves to the new job
+ */
+function startEnrichmentJob(datasetId) {
+  if (isEnrichmentJobActive()) {
+    return Promise.reject(new Error('A profile enrichment job is already running. Finish or cancel it first.'));
+  }
+
+  if (scrapeJob && scrapeJob.status === 'running') {
+    return Promise.reject(new Error('Wait for the scrape job to finish before enriching profiles.'));
+  }
+
+  return Promise.all([loadDatasets(), loadDatasetRecords(datasetId)]).then(([datasets, records]) => {
+    const dataset = datasets.find(item => item.id === datasetId);
+    if (!dataset) {
+      throw new Error('Dataset not found.');
+    }
+
+    const profileUrls = selectProfilesToEnrich(records);
+    if (profileUrls.length === 0) {
+      throw new Error('This dataset has no leads with a LinkedIn profile URL left to enrich.');
+    }
+
+    const now = new Date().toISOString();
+    enrichmentJob = {
+      id: `enrichment_${Date.now()}`,
+      status: 'running',
+      datasetId,
+      datasetName: dataset.name,
+      // The background tab the profiles are opened in, created when the first profile is read
+      tabId: null,
+      profileUrls,
+      currentIndex: 0,
+      // What has been read of the current profile, see enrichProfile()
+      profile: null,
+      // When the delay before loading the next page is over, while the job waits for it
+      resumeAt: null,
+      enrichedCount: 0,
+      errors: [],
+      message: `Reading profile 1 of ${profileUrls.length}...`,
+      startedAt: now,
+      updatedAt: now
+    };
+
+    return saveEnrichmentJob().then(() => {
+      runEnrichmentJob();
+      return enrichmentJob;
+    });
+  });
+}
+
+/**
+ * Checks whether the enrichment job is still running or paused
+ * @returns {boolean} True if the job hasn't finished
+ */
+function isEnrichmentJobActive() {
+  return !!enrichmentJob && (enrichmentJob.status === 'running' || enrichmentJob.status === 'paused');
+}
+
+/**
+ * Checks whether a job is still the current enrichment job and running
+ * @param {Object} job The enrichment job
+ * @returns {boolean} False once the job has been paused, cancelled or replaced
+ */
+function isEnrichmentJobRunning(job) {
+  return enrichmentJob === job && job.status === 'running';
+}
+
+/**
+ * Changes the status of the enrichment job if it is in one of the expected states
+ * @param {Array} fromStatuses Statuses the job may currently have
+ * @param {string} toStatus The new status
+ * @param {Function} sendResponse Callback to answer the popup
+ */
+function updateEnrichmentJobStatus(fromStatuses, toStatus, sendResponse) {
+  if (!enrichmentJob || !fromStatuses.includes(enrichmentJob.status)) {
+    sendResponse({ success: false, error: 'No enrichment job to update.', job: enrichmentJob });
+    return;
+  }
+
+  const job = enrichmentJob;
+  const position = `profile ${job.currentIndex + 1} of ${job.profileUrls.length}`;
+  job.status = toStatus;
+
+  if (toStatus === 'paused') {
+    job.message = `Paused on ${position}.`;
+  } else if (toStatus === 'running') {
+    job.message = `Resuming on ${position}...`;
+  } else if (toStatus === 'cancelled') {
+    job.message = `Enrichment cancelled after ${job.enrichedCount} of ${job.profileUrls.length} profiles.`;
+    closeEnrichmentTab(job);
+  }
+
+  saveEnrichmentJob().then(() => {
+    if (toStatus === 'running') {
+      runEnrichmentJob();
+    }
+    sendResponse({ success: true, job });
+  });
+}
+
+/**
+ * Runs the enrichment loop unless it is already running
+ */
+function runEnrichmentJob() {
+  if (isEnrichmentRunnerActive) return;
+
+  isEnrichmentRunnerActive = true;
+  enrichNextProfile()
+    .catch(error => {
+      console.error('Enrichment job failed:', error);
+      if (enrichmentJob && enrichmentJob.status === 'running') {
+        enrichmentJob.status = 'failed';
+        enrichmentJob.message = `Enrichment failed: ${error.message}`;
+        return saveEnrichmentJob();
+      }
+    })
+    .finally(() => {
+      isEnrichmentRunnerActive = false;
+    });
+}
+
+/**
+ * Enriches the job's current profile, then moves on to the next one until the job is
+ * finished, paused or cancelled. The job pauses itself when the daily profile quota is used up.
+ * A profile that can't be read is logged and skipped. The loop stops while the job waits
+ * between pages; the job's alarm starts it again.
+ * @returns {Promise} Resolves when the loop stops
+ */
+function enrichNextProfile() {
+  if (!enrichmentJob || enrichmentJob.status !== 'running') {
+    return Promise.resolve();
+  }
+
+  const job = enrichmentJob;
+  if (job.currentIndex >= job.profileUrls.length) {
+    return finishEnrichmentJob(job);
+  }
+
+  // The quota was checked when the profile was started, so one read part-way goes on
+  const quotaCheck = job.profile ?
+    Promise.resolve({ allowed: true }) :
+    checkThrottleQuota(THROTTLE_USAGE_KINDS.PROFILE);
+
+  return quotaCheck.then(quota => {
+    if (!isEnrichmentJobRunning(job)) return;
+
+    if (!quota.allowed) {
+      job.status = 'paused';
+      job.message = `${quota.message} Paused on profile ${job.currentIndex + 1} of ${job.profileUrls.length}.`;
+      return saveEnrichmentJob();
+    }
+
+    const profileUrl = job.profileUrls[job.currentIndex];
+    return enrichProfile(job, profileUrl)
+      .then(profileDetails => {
+        // Waiting before the profile's next page, or paused or cancelled part-way
+        if (!profileDetails) return;
+
+        return saveEnrichedProfile(job, profileUrl, profileDetails).then(saved => {
+          if (!saved) {
+            job.status = 'failed';
+            job.message = 'The dataset being enriched was deleted.';
+            closeEnrichmentTab(job);
+            return saveEnrichmentJob();
+          }
+
+          job.enrichedCount++;
+          return advanceEnrichmentJob(job);
+        });
+      })
+      .catch(error => {
+        if (enrichmentJob !== job || job.status === 'cancelled') return;
+        if (error.blockType) return stopBlockedEnrichmentJob(job, error.blockType);
+
+        console.warn(`Could not enrich ${profileUrl}:`, error.message);
+        job.errors.push({ profileUrl, message: error.message, at: new Date().toISOString() });
+        return advanceEnrichmentJob(job);
+      });
+  });
+}
+
+/**
+ * Moves the job on to its next profile and keeps the loop going
+ * @param {Object} job The enrichment job
+ * @returns {Promise} Resolves when the loop stops
+ */
+function advanceEnrichmentJob(job) {
+  job.currentIndex++;
+  job.profile = null;
+
+  if (job.status === 'paused') {
+    job.message = `Paused on profile ${job.currentIndex + 1} of ${job.profileUrls.length}.`;
+  }
+
+  return saveEnrichmentJob().then(enrichNextProfile);
+}
+
+/**
+ * Reads a profile: the profile page, the details pages of the lists it shows only part of,
+ * and the contact info dialog. Every page after the profile page waits a page delay, and
+ * every profile after the first waits a profile delay. What has been read is kept on the job
+ * as its profile property, so a job woken by its alarm goes on with the next page.
+ * @param {Object} job The enrichment job
+ * @param {string} profileUrl The profile's canonical address
+ * @returns {Promise<Object|null>} Resolves to the profile details, or null while the job
+ *   waits before the next page or when it was paused or cancelled part-way
+ */
+function enrichProfile(job, profileUrl) {
+  const label = `profile ${job.currentIndex + 1} of ${job.profileUrls.length}`;
+
+  // Details pages are added to the sections once the profile page shows which lists are cut short
+  if (!job.profile) {
+    job.profile = { sections: ['main', 'contactInfo'], sectionIndex: 0, fields: {} };
+  }
+  const { profile } = job;
+
+  const readSection = () => {
+    if (profile.sectionIndex >= profile.sections.length) {
+      return Promise.resolve(createProfileDetails(profile.fields));
+    }
+
+    const section = profile.sections[profile.sectionIndex];
+    const firstDelay = job.currentIndex > 0 ? getProfileDelay() : 0;
+    const delay = profile.sectionIndex === 0 ? firstDelay : getPageDelay();
+    return waitBeforeProfilePage(job, delay, label).then(isDelayOver => {
+      if (!isDelayOver || !isEnrichmentJobRunning(job)) return null;
+
+      return readProfileSection(job, profileUrl, section)
+        .then(data => {
+          if (section !== 'main') {
+            profile.fields[section] = data;
+            return;
+          }
+
+          const { moreSections, ...details } = data;
+          Object.assign(profile.fields, details);
+          profile.sections.splice(1, 0, ...moreSections.filter(name => PROFILE_DETAILS_SECTIONS.includes(name)));
+
+          // The profile page is the profile view LinkedIn counts
+          return recordThrottleUsage(THROTTLE_USAGE_KINDS.PROFILE);
+        })
+        .then(() => {
+          profile.sectionIndex++;
+          return saveEnrichmentJob();
+        })
+        .then(() => isEnrichmentJobRunning(job) ? readSection() : null);
+    });
+  };
+
+  return readSection();
+}
+
+/**
+ * Makes the job wait a random delay before it loads the next page of a profile. The first call
+ * starts the delay and sets the job's alarm for when it is over.
+ * @param {Object} job The enrichment job
+ * @param {number} delay Delay in ms, 0 to load straight away; ignored while a delay is running
+ * @param {string} label Which profile is being read, e.g. 'profile 3 of 40'
+ * @returns {Promise<boolean>} Resolves to true once the delay is over, false while it lasts
+ */
+function waitBeforeProfilePage(job, delay, label) {
+  if (!job.resumeAt && delay > 0) {
+    console.log(`Waiting ${delay}ms before loading the next page of ${label}`);
+    job.resumeAt = Date.now() + delay;
+    job.message = `Waiting ${Math.round(delay / 1000)}s before ${label}...`;
+  }
+
+  if (job.resumeAt > Date.now()) {
+    chrome.alarms.create(ENRICHMENT_JOB_ALARM, { when: job.resumeAt });
+    return saveEnrichmentJob().then(() => false);
+  }
+
+  job.resumeAt = null;
+  job.message = `Reading ${label}...`;
+  return saveEnrichmentJob().then(() => true);
+}
+
+/**
+ * Loads a part of a profile in the job's tab and reads it
+ * @param {Object} job The enrichment job
+ * @param {string} profileUrl The profile's canonical address
+ * @param {string} section 'main', 'contactInfo' or one of PROFILE_DETAILS_SECTIONS
+ * @returns {Promise<Object|Array>} Resolves to what the content script read
+ */
+function readProfileSection(job, profileUrl, section) {
+  return ensureEnrichmentTab(job)
+    .then(tabId => loadTabUrl(tabId, getProfileSectionUrl(profileUrl, section)))
+    .then(tab => {
+      // LinkedIn redirects to sign-in and security check pages, where there is nothing to read
+      const blockType = detectPageBlockFromUrl(tab.url);
+      if (blockType) throw createPageBlockError(blockType);
+
+      return ensureContentScript(tab.id)
+        .then(() => sendTabMessage(tab.id, { action: 'extractProfileSection', section }));
+    })
+    .then(response => {
+      if (response && response.blockType) {
+        throw createPageBlockError(response.blockType);
+      }
+
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'No response from the profile page.');
+      }
+
+      return response.data;
+    });
+}
+
+/**
+ * Returns the job's background tab, opening a new one if it was closed
+ * @param {Object} job The enrichment job
+ * @returns {Promise<number>} Resolves to the tab id
+ */
+function ensureEnrichmentTab(job) {
+  const openTab = () => chrome.tabs.create({ url: 'about:blank', active: false }).then(tab => {
+    job.tabId = tab.id;
+    return saveEnrichmentJob().then(() => tab.id);
+  });
+
+  if (!job.tabId) return openTab();
+  return chrome.tabs.get(job.tabId).then(tab => tab.id).catch(openTab);
+}
+
+/**
+ * Closes the job's background tab
+ * @param {Object} job The enrichment job
+ */
+function closeEnrichmentTab(job) {
+  if (!job.tabId) return;
+
+  chrome.tabs.remove(job.tabId).catch(() => {
+    // The user may have closed it already
+  });
+  job.tabId = null;
+}
+
+/**
+ * Navigates the enrichment job's tab and waits for the page to finish loading. The enrichment
+ * job's alarm times the wait out.
+ * @param {number} tabId The tab to navigate
+ * @param {string} url The page to load
+ * @returns {Promise<Object>} Resolves to the tab once loaded, rejects if it doesn't load in time
+ */
+function loadTabUrl(tabId, url) {
+  return new Promise((resolve, reject) => {
+    const stopWaiting = () => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      tabLoadWaiters.delete(tabId);
+      chrome.alarms.clear(ENRICHMENT_JOB_ALARM);
+    };
+    const listener = (updatedTabId, changeInfo, tab) => {
+      if (updatedTabId !== tabId || changeInfo.status !== 'complete') return;
+      stopWaiting();
+      resolve(tab);
+    };
+
+    tabLoadWaiters.set(tabId, {
+      timeOut: () => {
+        stopWaiting();
+        reject(new Error(`Timed out loading ${url}`));
+      }
+    });
+    chrome.alarms.create(ENRICHMENT_JOB_ALARM, { when: Date.now() + PAGE_READY_TIMEOUT_MS });
+
+    // Start listening before navigating so a fast page can't finish loading unnoticed
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.update(tabId, { url }).catch(error => {
+      stopWaiting();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Adds a profile's details to its leads in the dataset being enriched, and to the popup's
+ * scraped data when it shows that dataset
+ * @param {Object} job The enrichment job
+ * @param {string} profileUrl The profile's canonical address
+ * @param {Object} profileDetails Details as created by createProfileDetails()
+ * @returns {Promise<boolean>} Resolves to false if the dataset has been deleted
+ */
+function saveEnrichedProfile(job, profileUrl, profileDetails) {
+  return loadDatasetRecords(job.datasetId).then(records => {
+    const { records: enrichedRecords } = applyProfileDetails(records, profileUrl, profileDetails);
+    return saveDatasetRecords(job.datasetId, enrichedRecords).then(saved => {
+      if (!saved) return false;
+
+      return chrome.storage.local.get('currentDatasetId')
+        .then(result => {
+          if (result.currentDatasetId === job.datasetId) {
+            return chrome.storage.local.set({ scrapedData: enrichedRecords });
+          }
+        })
+        .then(() => true);
+    });
+  });
+}
+
+/**
+ * Marks the enrichment job as completed and closes its tab
+ * @param {Object} job The enrichment job
+ * @returns {Promise} Resolves once the job is saved
+ */
+function finishEnrichmentJob(job) {
+  job.status = 'completed';
+  job.message = `Enriched ${job.enrichedCount} of ${job.profileUrls.length} profiles.` +
+    (job.errors.length > 0 ? ` ${job.errors.length} could not be read.` : '');
+  closeEnrichmentTab(job);
+  return saveEnrichmentJob();
+}
+
+/**
+ * Stops an enrichment job that LinkedIn blocked. The tab is left open on the block so it can be cleared there.
+ * @param {Object} job The enrichment job
+ * @param {string} blockType A key of PAGE_BLOCKS
+ * @returns {Promise} Resolves once the job is saved
+ */
+function stopBlockedEnrichmentJob(job, blockType) {
+  const { message } = PAGE_BLOCKS[blockType];
+  job.errors.push({ profileUrl: job.profileUrls[job.currentIndex], message, at: new Date().toISOString() });
+  job.status = 'blocked';
+  job.blockType = blockType;
+  job.message = `Stopped on profile ${job.currentIndex + 1} of ${job.profileUrls.length}. ${message}` +
+    (job.enrichedCount > 0 ? ` The ${job.enrichedCount} profiles enriched before are saved.` : '');
+  return saveEnrichmentJob();
+}
+
+/**
+ * Persists the enrichment job
+ * @returns {Promise} Resolves once the job is saved
+ */
+function saveEnrichmentJob() {
+  enrichmentJob.updatedAt = new Date().toISOString();
+  return chrome.storage.local.set({ enrichmentJob });
+}
+
+/**
+ * Injects the content script into a tab unless it is already listening
+ * @param {number} tabId The tab to inject into
+ * @returns {Promise} Resolves once the content script can receive messages
+ */
+function ensureContentScript(tabId) {
+  return sendTabMessage(tabId, { action: 'ping' })
+    .catch(() => chrome.scripting.executeScript({
+      target: { tabId },
+      files: CONTENT_SCRIPT_FILES
+    }));
+}
+
+/**
+ * Sends a message to a tab's content script
+ * @param {number} tabId The tab to message
+ * @param {Object} message The message to send
+ * @returns {Promise<Object>} Resolves to the content script's response
+ */
+function sendTabMessage(tabId, message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
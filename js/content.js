@@ -1,27 +1,45 @@
 /**
  * Content script for LinkedIn Scraper
- * Extracts lead information from LinkedIn search results
+ * Extracts leads, accounts, companies and posts from LinkedIn search results and people lists,
+ * and reads the profile pages the enrichment job visits
  */
 
 // Log when content script initializes
 console.log('LinkedIn Scraper: Content script loaded');
 
+// Let a running multi-page job know once this page has finished loading
+announceResultsPageReady();
+
 // Listen for messages from popup or background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Message received in content script:', message);
   
   if (message.action === 'scrapePage') {
     try {
-      // Both functions now return promises, handle them consistently
-      const scrapePromise = message.isRegularLinkedIn ? 
-        scrapeRegularLinkedIn() : scrapeNavigator();
+      // Older callers only say whether the page is a regular search or Sales Navigator
+      const pageType = message.pageType || (message.isRegularLinkedIn ? 'search' : 'salesNavigator');
+      const pageLabel = PAGE_TYPES[pageType] ? PAGE_TYPES[pageType].label : pageType;
+      
+      // Load any imported selector pack and the throttle settings first, then scrape with them.
+      // Every scraper returns a promise, handle them consistently
+      const scrapePromise = Promise.all([loadSelectorPack(), loadThrottleSettings(), loadSettings()])
+        .then(() => {
+          // A sign-in page or security check has no results to scrape
+          throwIfPageBlocked();
+          return scrapePageOfType(pageType);
+        })
+        .then(results => {
+          // The commercial use limit notice can render after the first check, and empties the results
+          if (results.length === 0) throwIfPageBlocked();
+          return results;
+        });
       
       // Store a boolean to track if we've responded yet
       let hasResponded = false;
       
       scrapePromise
         .then(results => {
-          console.log(`Scraped ${results.length} results from ${message.isRegularLinkedIn ? 'regular LinkedIn' : 'Sales Navigator'} page`);
+          console.log(`Scraped ${results.length} results from ${pageLabel} page`);
           
           // Collect debug info if no results were found
           let debugInfo = '';
@@ -39,13 +57,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           }
         })
         .catch(error => {
-          console.error(`Error scraping ${message.isRegularLinkedIn ? 'regular LinkedIn' : 'Sales Navigator'}:`, error);
+          console.error(`Error scraping ${pageLabel}:`, error);
           
           if (!hasResponded) {
             hasResponded = true;
             sendResponse({ 
               success: false, 
               error: error.message,
+              blockType: error.blockType,
               debug: collectDebugInfo()
             });
           }
@@ -63,15 +82,42 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
     }
   } else if (message.action === 'getTotalPages') {
-    try {
-      const totalPages = message.isRegularLinkedIn ? 
-        getRegularLinkedInTotalPages() : getNavigatorTotalPages();
-      console.log(`Total pages: ${totalPages}`);
-      sendResponse({ success: true, totalPages });
-    } catch (error) {
-      console.error('Error getting total pages:', error);
-      sendResponse({ success: false, error: error.message });
-    }
+    Promise.all([loadSelectorPack(), loadSettings()]).then(() => {
+      try {
+        throwIfPageBlocked();
+        const totalPages = message.isRegularLinkedIn ? 
+          getRegularLinkedInTotalPages() : getNavigatorTotalPages();
+        console.log(`Total pages: ${totalPages}`);
+        sendResponse({ success: true, totalPages });
+      } catch (error) {
+        console.error('Error getting total pages:', error);
+        sendResponse({ success: false, error: error.message, blockType: error.blockType });
+      }
+    });
+    return true;
+  } else if (message.action === 'collectDiagnostics') {
+    Promise.all([loadSelectorPack(), loadSettings()]).then(() => {
+      try {
+        sendResponse({ success: true, diagnostics: collectDebugInfo() });
+      } catch (error) {
+        console.error('Error collecting diagnostics:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    });
+    return true;
+  } else if (message.action === 'extractProfileSection') {
+    Promise.all([loadSelectorPack(), loadThrottleSettings(), loadSettings()])
+      .then(() => waitForProfileSection(message.section))
+      .then(() => extractProfileSection(message.section))
+      .then(data => sendResponse({ success: true, data }))
+      .catch(error => {
+        console.error(`Error reading profile ${message.section}:`, error);
+        sendResponse({ success: false, error: error.message, blockType: error.blockType });
+      });
+    return true;
+  } else if (message.action === 'ping') {
+    // Lets the popup and the background script check whether the content script is already loaded
+    sendResponse({ success: true });
     return true;
   } else if (message.action === 'navigateToPage') {
     try {
@@ -87,9 +133,37 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+/**
+ * Stops a scrape when LinkedIn shows a sign-in page, a security check or the commercial use limit
+ * instead of results, so the caller hears what happened instead of "No results found"
+ * @throws {Error} Error from createPageBlockError() when the page is blocked
+ */
+function throwIfPageBlocked() {
+  const blockType = detectPageBlock();
+  if (blockType) {
+    console.warn(`Page blocked by LinkedIn: ${PAGE_BLOCKS[blockType].label}`);
+    throw createPageBlockError(blockType);
+  }
+}
+
+/**
+ * Runs the scraper for a page type
+ * @param {string} pageType A page type id from page-types.js
+ * @returns {Promise<Array>} Promise that resolves to an array of records of the page's record type
+ */
+function scrapePageOfType(pageType) {
+  if (pageType === 'search') return scrapeRegularLinkedIn();
+  if (pageType === 'searchCompanies') return scrapeCompanySearch();
+  if (pageType === 'searchContent') return scrapePostSearch();
+  if (pageType === 'salesNavigator') return scrapeNavigator();
+  if (pageType === 'salesNavigatorAccounts') return scrapeNavigatorAccounts();
+  if (isInfiniteScrollPage(pageType)) return scrapeProfileList(pageType);
+  return Promise.reject(new Error(`This page type is not supported: ${pageType}`));
+}
+
 /**
  * Scrapes lead data from regular LinkedIn search page
- * @returns {Array|Promise<Array>} Array of lead objects or Promise that resolves to array
+ * @returns {Promise<Array>} Promise that resolves to an array of lead records
  */
 function scrapeRegularLinkedIn() {
   console.log('Attempting to scrape regular LinkedIn search page');
@@ -103,214 +177,7 @@ function scrapeRegularLinkedIn() {
   return scrollPageToBottom()
     .then(() => {
       const results = [];
-      // Try to identify the correct search results container first
-      let searchResultsContainer = null;
-      
-      // Latest LinkedIn search structure (as of 2023-2024)
-      const searchContainerSelectors = [
-        '.search-results-container',
-        '.scaffold-layout__main',
-        '.scaffold-finite-scroll__content',
-        'div[data-view-name="search-results-container"]',
-        'div.search-marvel-srp'
-      ];
-      
-      // Try to find the search results container
-      for (const selector of searchContainerSelectors) {
-        const container = document.querySelector(selector);
-        if (container) {
-          console.log(`Found search results container using selector: ${selector}`);
-          searchResultsContainer = container;
-          break;
-        }
-      }
-      
-      let leadCards = [];
-      
-      // If we found a search container, first try to find results directly within it
-      if (searchResultsContainer) {
-        console.log('Searching for profiles within the identified search container');
-        
-        // Try specific LinkedIn search result selectors within the container
-        const containerSelectors = [
-          'li.reusable-search__result-container',
-          'li.search-result',
-          'li.artdeco-list__item',
-          'div.entity-result',
-          'div.search-entity-result'
-        ];
-        
-        for (const selector of containerSelectors) {
-          const foundCards = searchResultsContainer.querySelectorAll(selector);
-          if (foundCards.length > 0) {
-            console.log(`Found ${foundCards.length} profiles using selector ${selector} within search container`);
-            leadCards = [...leadCards, ...Array.from(foundCards)];
-          }
-        }
-        
-        // If we found profiles directly in the container, log the count
-        if (leadCards.length > 0) {
-          console.log(`Found a total of ${leadCards.length} profile cards in search container before deduplication`);
-          leadCards = [...new Set(leadCards)];
-          console.log(`Found a total of ${leadCards.length} unique profile cards after deduplication`);
-        } 
-        // If no results found using specific selectors, try to find any divs or list items that might be profile cards
-        else {
-          console.log('No profiles found with specific selectors, trying generic approach in search container');
-          
-          // Look for list items in the search container that might be profile cards
-          const listItems = searchResultsContainer.querySelectorAll('li');
-          console.log(`Found ${listItems.length} list items in search container`);
-          
-          // Filter to only include items that are likely search results
-          for (const item of listItems) {
-            // Check if this list item is likely a search result
-            if (
-              item.querySelector('a[href*="/in/"]') || // Has profile link
-              item.querySelector('img[class*="profile"]') || // Has profile image
-              (item.textContent && item.textContent.includes('connection')) || // Mentions connection
-              item.clientHeight > 60 // Reasonably sized
-            ) {
-              leadCards.push(item);
-            }
-          }
-          
-          console.log(`Found ${leadCards.length} potential profile cards using generic approach`);
-        }
-      }
-      
-      // If we still don't have any lead cards, fall back to the original approach
-      if (leadCards.length === 0) {
-        console.log('No profiles found in search container, falling back to global search');
-        
-        // Try different selectors for lead cards on the page based on the latest LinkedIn UI
-        const selectors = [
-          'li.reusable-search__result-container',  // Main selector from screenshot
-          'div.scaffold-finite-scroll__content > div > ul > li', // More generic approach
-          'ul.reusable-search__entity-result-list > li', // Entity result list
-          '.search-results-container > div > ul > li', // General search results
-          'li[data-chameleon-result-urn]',   // Attribute-based selector
-          'li.artdeco-list__item',          // Generic list items
-          '.reusable-search__result-container', // Without li prefix
-          '.entity-result', // Common entity result class
-          'li.search-result', // Another possible result container
-          '.profile-card', // Simple profile card class
-          // New selectors for better matching
-          '.artdeco-entity-lockup', // Entity lockup component
-          'li.occludable-update', // Occludable update items
-          'div[data-viewport-offset-top]', // Elements with viewport offset
-          'div.relative.ember-view', // Relative ember views
-          'div.artdeco-card', // Artdeco cards
-          'div.feed-shared-update-v2', // Feed updates that might contain profiles
-          'li.feed-item' // Feed items
-        ];
-        
-        // Log all attempts for debugging
-        selectors.forEach(selector => {
-          const count = document.querySelectorAll(selector).length;
-          console.log(`Selector "${selector}" found ${count} elements`);
-        });
-      
-        // Try all selectors and combine results
-        for (const selector of selectors) {
-          const foundCards = document.querySelectorAll(selector);
-          if (foundCards.length > 0) {
-            console.log(`Found ${foundCards.length} leads using selector: ${selector}`);
-            // Add these cards to our collection
-            leadCards = [...leadCards, ...Array.from(foundCards)];
-          }
-        }
-        
-        // Remove duplicate elements that might have been found by multiple selectors
-        if (leadCards.length > 0) {
-          console.log(`Found a total of ${leadCards.length} leads before deduplication`);
-          leadCards = [...new Set(leadCards)];
-          console.log(`Found a total of ${leadCards.length} unique leads after deduplication`);
-        }
-      }
-      
-      // Filter out false positives - elements that don't look like real profile cards
-      if (leadCards.length > 0) {
-        leadCards = filterProfileCards(leadCards);
-        console.log(`Filtered down to ${leadCards.length} likely profile cards`);
-      }
-      
-      // Updated selectors for the latest LinkedIn UI
-      const nameSelectors = [
-        'span.entity-result__title-text a', // Current LinkedIn (from screenshot)
-        'span.entity-result__title-text a span span', // Name within spans
-        'div.linked-area a span span',
-        'span.entity-result__title-line a',
-        '.artdeco-entity-lockup__title a',
-        '.search-result__info a.search-result__result-link',
-        'a[data-control-name="search_srp_result"] span span', // Common LinkedIn structure
-        'h3 a span span', // Simplified structure
-        'h3 span.t-24', // Entity title
-        'a[href*="/in/"]', // Direct profile link
-        '.app-aware-link', // Generic app aware link
-        '.entity-result__title-text', // Entity title without link
-        'h2.profile-card__name', // Profile card name
-        '.mb1 a', // List item name
-        'strong.profile-name', // Another name format
-        // New selectors for better name extraction
-        '.artdeco-entity-lockup__title span span',
-        'a.app-aware-link[href*="/in/"] span',
-        '.feed-shared-actor__name span',
-        '.update-components-actor__name',
-        '.update-components-actor__meta',
-        '.feed-shared-actor__title'
-      ];
-      
-      const titleSelectors = [
-        'div.entity-result__primary-subtitle', // From screenshot
-        '.search-result__truncate.search-result__truncate--primary',
-        'div.linked-area + div.entity-result__primary-subtitle', // Adjacent to linked area
-        '.artdeco-entity-lockup__subtitle',
-        '.entity-result__summary',
-        '.search-result__info p.subline-level-1',
-        'div.t-14.t-black--light', // Generic subtitle class
-        '.entity-result__primary-subtitle', // Direct primary subtitle
-        'p.subline-level-1', // Subline level 1
-        'div[data-test-id="job-title"]', // Direct job title attribute
-        '.profile-position', // Profile position
-        '.profile-card__occupation', // Profile card occupation
-        '.mb1 + div', // Position after name
-        '.pv-entity__secondary-title', // Secondary title
-        'p.job-title', // Simple job title
-        'div.profile-info' // Profile info container that might include title
-      ];
-      
-      const companySelectors = [
-        'div.entity-result__secondary-subtitle', // From screenshot
-        '.search-result__truncate.search-result__truncate--secondary',
-        '.artdeco-entity-lockup__subtitle:nth-child(2)',
-        '.search-result__info p.subline-level-2',
-        'div.t-14.t-black--light.t-normal:nth-child(2)', // Secondary text
-        '.entity-result__secondary-subtitle', // Direct secondary subtitle
-        'a[data-field="headline"]', // Headline field
-        'p.subline-level-2', // Subline level 2
-        '.company-name', // Direct company name
-        '.profile-card__company', // Profile card company
-        '.pv-entity__company-summary', // Company summary
-        'span.company', // Simple company span
-        'a[data-control-name="view_company"]' // View company link
-      ];
-      
-      const locationSelectors = [
-        'div.entity-result__tertiary-subtitle', // From screenshot
-        '.artdeco-entity-lockup__caption',
-        '.search-result__info p.subline-level-2',
-        'div.t-12.t-black--light.t-normal',
-        'div.t-14.t-normal.t-black--light',
-        '.entity-result__tertiary-subtitle', // Direct tertiary subtitle
-        'div[data-test-id="location"]', // Location by data attribute
-        '.presence-entity__content', // Presence entity content
-        'p.subline-level-2', // Can also be in subline level 2
-        '.entity-result__summary', // Sometimes in summary
-        '.profile-card__location', // Profile card location
-        '.location', // Simple location class
-        '.profile-location' // Profile location
-      ];
+      const leadCards = findRegularLinkedInCards();
       
       // Process the lead cards to extract data
       if (leadCards.length === 0) {
@@ -320,235 +187,111 @@ function scrapeRegularLinkedIn() {
       
       console.log(`Starting to extract data from ${leadCards.length} leads`);
       
-      // Helper functions for extraction
-      function extractName(card) {
-        for (const selector of nameSelectors) {
-          try {
-            const nameElement = card.querySelector(selector);
-            if (nameElement) {
-              // Get innermost text if there are nested spans
-              let name = nameElement.innerText || nameElement.textContent;
-              if (name) {
-                name = name.trim();
-                
-                // Strip out "View X's profile" text if present
-                if (name.includes("View ") && name.includes("'s profile")) {
-                  name = name.replace(/View |'s profile/g, '').trim();
-                }
-                
-                return name;
-              }
-            }
-          } catch (error) {
-            console.error(`Error extracting name with selector ${selector}:`, error);
-          }
-        }
-        
-        // If we still don't have a name, try a deeper search in the card
+      // Every lead on this page shares the same source, search URL and page number
+      const context = getScrapeContext(LEAD_SOURCES.SEARCH);
+      
+      // Process each lead to extract the required information
+      for (let leadCard of leadCards) {
         try {
-          // Look for any element with an href containing "/in/" which is likely a profile link
-          const possibleLinks = card.querySelectorAll('a[href*="/in/"]');
-          for (const link of possibleLinks) {
-            // Try to get name from the link text
-            let linkText = link.innerText || link.textContent;
-            if (linkText) {
-              linkText = linkText.trim();
-              if (linkText && !linkText.includes('View profile') && linkText.length > 3) {
-                return linkText;
-              }
-            }
-            
-            // If the link itself doesn't have text, check for child span elements
-            const spans = link.querySelectorAll('span');
-            for (const span of spans) {
-              const spanText = span.innerText || span.textContent;
-              if (spanText && spanText.trim() && spanText.length > 3) {
-                return spanText.trim();
-              }
-            }
+          const leadObject = createLead(extractRegularLinkedInLead(leadCard), context);
+          
+          // Only add if we have at least a name or profile URL
+          if (leadObject.name || leadObject.profileUrl) {
+            console.log('Extracted lead:', leadObject);
+            results.push(leadObject);
+          } else {
+            console.log('Skipping lead with no name or profile URL');
           }
         } catch (error) {
-          console.error('Error in deep name search:', error);
+          console.error('Error processing lead card:', error);
         }
-        
-        return '';
       }
       
-      function extractProfileUrl(card) {
-        // Look for a direct link to a profile
-        const profileLinks = card.querySelectorAll('a[href*="/in/"]');
-        for (const link of profileLinks) {
-          if (link.href) {
-            return link.href;
-          }
-        }
-        return '';
-      }
+      console.log(`Successfully extracted ${results.length} leads from regular LinkedIn search`);
+      return results;
+    });
+}
+
+/**
+ * Scrapes company data from a regular LinkedIn company search page
+ * @returns {Promise<Array>} Promise that resolves to an array of company records
+ */
+function scrapeCompanySearch() {
+  console.log('Attempting to scrape regular LinkedIn company search page');
+  
+  // Scroll the page first to load all content
+  return scrollPageToBottom()
+    .then(() => {
+      const results = [];
+      const companyCards = findCompanySearchCards();
       
-      function extractTitle(card) {
-        // First check if there's a current role section
-        const currentRoleInfo = extractCurrentRoleInfo(card);
-        if (currentRoleInfo.title) {
-          return currentRoleInfo.title;
-        }
-        
-        // Next, try headline info
-        const headlineInfo = extractMainHeadlineInfo(card);
-        if (headlineInfo.title) {
-          return headlineInfo.title;
-        }
-        
-        // Finally, try direct selectors
-        for (const selector of titleSelectors) {
-          try {
-            const titleElement = card.querySelector(selector);
-            if (titleElement) {
-              let title = titleElement.innerText || titleElement.textContent;
-              if (title) {
-                title = title.trim();
-                
-                // Check if title contains company information
-                if (title.includes(' at ')) {
-                  return title.split(' at ')[0].trim();
-                }
-                
-                return title;
-              }
-            }
-          } catch (error) {
-            console.error(`Error extracting title with selector ${selector}:`, error);
-          }
-        }
-        
-        return '';
+      if (companyCards.length === 0) {
+        console.log('No company cards found on LinkedIn company search page');
+        return results;
       }
       
-      function extractCompany(card) {
-        // First check if there's a current role section
-        const currentRoleInfo = extractCurrentRoleInfo(card);
-        if (currentRoleInfo.company) {
-          return currentRoleInfo.company;
-        }
-        
-        // Next, try headline info
-        const headlineInfo = extractMainHeadlineInfo(card);
-        if (headlineInfo.company) {
-          return headlineInfo.company;
-        }
-        
-        // Check if title contains company information
-        const title = extractTitle(card);
-        if (title && title.includes(' at ')) {
-          return title.split(' at ')[1].trim();
-        }
-        
-        // Finally, try direct selectors
-        for (const selector of companySelectors) {
-          try {
-            const companyElement = card.querySelector(selector);
-            if (companyElement) {
-              let company = companyElement.innerText || companyElement.textContent;
-              if (company) {
-                return company.trim();
-              }
-            }
-          } catch (error) {
-            console.error(`Error extracting company with selector ${selector}:`, error);
-          }
-        }
-        
-        return '';
-      }
+      // Every company on this page shares the same source, search URL and page number
+      const context = getScrapeContext(LEAD_SOURCES.SEARCH_COMPANIES);
       
-      function extractLocation(card) {
-        for (const selector of locationSelectors) {
-          try {
-            const locationElement = card.querySelector(selector);
-            if (locationElement) {
-              let location = locationElement.innerText || locationElement.textContent;
-              if (location) {
-                location = location.trim();
-                
-                // Clean up location if needed (remove any "Location: " prefix)
-                if (location.startsWith('Location:')) {
-                  location = location.substring('Location:'.length).trim();
-                }
-                
-                return location;
-              }
-            }
-          } catch (error) {
-            console.error(`Error extracting location with selector ${selector}:`, error);
-          }
-        }
-        
-        // If we still don't have a location, try a more direct approach
+      companyCards.forEach(card => {
         try {
-          // Look for any text that fits location patterns (e.g., "City, State" or "City, Country")
-          const allParas = card.querySelectorAll('p, div');
-          for (const para of allParas) {
-            const text = para.innerText || para.textContent;
-            // Simple pattern matching for locations: typically City, State or City, Country
-            if (/^[A-Za-z\s]+, [A-Za-z\s]+$/.test(text) && text.length < 50) {
-              return text.trim();
-            }
-            
-            // Check for one-word countries
-            if (/^(Canada|Australia|England|France|Germany|Japan|Brazil|Mexico|Israel|India|China|Russia)$/.test(text)) {
-              return text.trim();
-            }
+          const company = extractCompanySearchResult(card);
+          
+          // Add the company if we at least have a name
+          if (company.name) {
+            results.push(createCompany(company, context));
           }
         } catch (error) {
-          console.error('Error in location pattern matching:', error);
+          console.error('Error scraping company card:', error);
         }
-        
-        return '';
-      }
+      });
       
-      // Process each lead to extract the required information
-      for (let leadCard of leadCards) {
+      console.log(`Successfully extracted ${results.length} companies from regular LinkedIn company search`);
+      return results;
+    });
+}
+
+/**
+ * Scrapes post data from a regular LinkedIn content search page, which loads more posts as you scroll
+ * @returns {Promise<Array>} Promise that resolves to an array of post records
+ */
+function scrapePostSearch() {
+  console.log('Attempting to scrape regular LinkedIn content search page');
+  
+  // Content search has no pagination, so load every post before scraping
+  return loadAllListResults('searchContent')
+    .then(() => {
+      const results = [];
+      const postCards = findPostSearchCards();
+      
+      // Every post shares the same source and search URL
+      const context = getScrapeContext(LEAD_SOURCES.SEARCH_CONTENT);
+      
+      postCards.forEach(card => {
         try {
-          const leadObject = {};
-          
-          // Name 
-          leadObject.fullName = extractName(leadCard);
-          
-          // Title
-          leadObject.title = extractTitle(leadCard);
-          
-          // Location
-          leadObject.location = extractLocation(leadCard);
+          const post = extractPostSearchResult(card);
           
-          // Profile URL - Look for links containing /in/ which indicates a LinkedIn profile URL
-          leadObject.profileUrl = extractProfileUrl(leadCard);
-          
-          // Company
-          leadObject.companyName = extractCompany(leadCard);
-          
-          // Only add if we have at least a name or profile URL
-          if (leadObject.fullName || leadObject.profileUrl) {
-            console.log('Extracted lead:', leadObject);
-            results.push(leadObject);
-          } else {
-            console.log('Skipping lead with no name or profile URL');
+          // Only add if we have at least a post URL or some text
+          if (post.postUrl || post.snippet) {
+            results.push(createPost(post, context));
           }
         } catch (error) {
-          console.error('Error processing lead card:', error);
+          console.error('Error scraping post card:', error);
         }
-      }
+      });
       
-      console.log(`Successfully extracted ${results.length} leads from regular LinkedIn search`);
+      console.log(`Successfully extracted ${results.length} posts from regular LinkedIn content search`);
       return results;
     });
 }
 
 /**
- * Scrolls the page to the bottom to load lazy-loaded content
- * @param {number} scrollDelay - Delay between scroll steps in ms
- * @param {number} scrollStep - Amount to scroll in each step
+ * Scrolls the page to the bottom to load lazy-loaded content. Each scroll step waits a random
+ * delay from the throttle settings.
+ * @param {number} scrollStep - Amount to scroll in each step, defaults to the scroll step setting
  * @returns {Promise} Resolves when scrolling is complete
  */
-function scrollPageToBottom(scrollDelay = 100, scrollStep = 300) {
+function scrollPageToBottom(scrollStep = activeSettings.scrollStep) {
   return new Promise((resolve) => {
     console.log('Starting to scroll page to load all content...');
     
@@ -570,12 +313,7 @@ function scrollPageToBottom(scrollDelay = 100, scrollStep = 300) {
     
     if (isSalesNavigator) {
       // Sales Navigator selectors
-      const possibleContainers = [
-        '.search-results__container',
-        '.search-results',
-        '.artdeco-tabpanel__content',
-        '.artdeco-tabpanel'
-      ];
+      const possibleContainers = getSelectors('salesNavigator', 'resultsContainer');
       
       for (const selector of possibleContainers) {
         const container = document.querySelector(selector);
@@ -587,27 +325,12 @@ function scrollPageToBottom(scrollDelay = 100, scrollStep = 300) {
       }
     }
     
-    // Function to check if there are any loading indicators on the page
-    function hasLoadingIndicators() {
-      const spinners = document.querySelectorAll(
-        '.artdeco-spinner, .loading-spinner, .fetching-indicator, ' +
-        'div[class*="loading"], div[class*="spinner"], ' +
-        'span[class*="loading"], span[class*="spinner"]'
-      );
-      return spinners.length > 0;
-    }
-    
     // Returns the number of results currently visible
     function getVisibleResultsCount() {
       if (!resultsContainer) return 0;
       
       // Different selectors for results
-      const selectors = [
-        '.search-result', 
-        '.artdeco-list__item', 
-        'li.result-lockup',
-        '.entity-result'
-      ];
+      const selectors = getSelectors('salesNavigator', 'visibleResult');
       
       for (const selector of selectors) {
         const items = resultsContainer.querySelectorAll(selector);
@@ -721,6 +444,7 @@ function scrollPageToBottom(scrollDelay = 100, scrollStep = 300) {
       }
       
       // If we're currently seeing loading indicators, wait a bit longer before next scroll
+      const scrollDelay = getScrollDelay();
       const nextDelay = isLoading ? scrollDelay * 3 : scrollDelay;
       
       // Scroll down by the defined step
@@ -735,342 +459,381 @@ function scrollPageToBottom(scrollDelay = 100, scrollStep = 300) {
   });
 }
 
+/**
+ * Checks if there are any loading indicators on the page
+ * @returns {boolean} True while LinkedIn is still loading content
+ */
+function hasLoadingIndicators() {
+  const spinners = document.querySelectorAll(getSelectors('common', 'loadingIndicator').join(', '));
+  return spinners.length > 0;
+}
+
+/**
+ * Finds the result cards of a page type the same way its scraper does
+ * @param {string} pageType A page type id from page-types.js
+ * @returns {Array} The result cards, empty for unsupported page types
+ */
+function findResultCards(pageType) {
+  if (pageType === 'search') return findRegularLinkedInCards();
+  if (pageType === 'searchCompanies') return findCompanySearchCards();
+  if (pageType === 'searchContent') return findPostSearchCards();
+  if (pageType === 'salesNavigator') return findNavigatorCards();
+  if (pageType === 'salesNavigatorAccounts') return findNavigatorAccountCards();
+  if (isInfiniteScrollPage(pageType)) return findProfileListCards(pageType);
+  return [];
+}
+
+/**
+ * Counts the result cards (or the "no results" message) rendered on a search page
+ * @param {string} pageType A page type id from page-types.js
+ * @returns {number} Number of result cards, or 1 if the page says there are no results
+ */
+function countRenderedResults(pageType) {
+  // People and lead searches have narrower selectors that only match fully rendered cards
+  const readyCardSelectors = getSelectors(pageType, 'readyCard');
+  const cardCount = readyCardSelectors.length > 0 ?
+    document.querySelectorAll(readyCardSelectors.join(', ')).length :
+    findResultCards(pageType).length;
+  if (cardCount > 0) return cardCount;
+  
+  // An empty result set is a fully loaded page too
+  const emptyState = document.querySelector(getSelectors('common', 'emptyState').join(', '));
+  return emptyState ? 1 : 0;
+}
+
+/**
+ * Waits until a results page is ready to scrape: the URL shows the expected page,
+ * result cards have rendered and no loading indicators are left
+ * @param {number} expectedPage The page number the URL should show
+ * @param {string} pageType A page type id from page-types.js
+ * @param {number} timeout Maximum time to wait in ms
+ * @returns {Promise<Object>} Resolves with pageNumber and cardCount, rejects on timeout
+ */
+function waitForResultsPage(expectedPage, pageType, timeout = 20000) {
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const pollInterval = 250;
+    let readyChecks = 0;
+    
+    function check() {
+      // A blocked page never turns into a results page, so don't wait for one
+      const blockType = detectPageBlock();
+      if (blockType) {
+        reject(createPageBlockError(blockType));
+        return;
+      }
+      
+      const pageNumber = getPageNumberFromUrl(window.location.href);
+      const cardCount = countRenderedResults(pageType);
+      const isLoading = hasLoadingIndicators();
+      
+      // Require two ready checks in a row so a half-rendered list isn't mistaken for a loaded one
+      if (pageNumber === expectedPage && cardCount > 0 && !isLoading) {
+        readyChecks++;
+      } else {
+        readyChecks = 0;
+      }
+      
+      if (readyChecks >= 2) {
+        console.log(`Results page ${pageNumber} is ready with ${cardCount} cards after ${Date.now() - startTime}ms`);
+        resolve({ pageNumber, cardCount });
+        return;
+      }
+      
+      if (Date.now() - startTime >= timeout) {
+        reject(new Error(
+          `Page ${expectedPage} was not ready after ${timeout}ms ` +
+          `(URL page: ${pageNumber}, cards: ${cardCount}, loading: ${isLoading})`
+        ));
+        return;
+      }
+      
+      setTimeout(check, pollInterval);
+    }
+    
+    check();
+  });
+}
+
+/**
+ * Tells the background script when the results page that just loaded is ready to scrape,
+ * so a running multi-page job doesn't have to guess how long the page takes to load
+ */
+function announceResultsPageReady() {
+  const currentUrl = window.location.href;
+  const pageType = detectPageType(currentUrl);
+  
+  // Only paginated pages are scraped by multi-page jobs
+  if (!PAGE_TYPES[pageType] || !PAGE_TYPES[pageType].paginated) return;
+  
+  const pageNumber = getPageNumberFromUrl(currentUrl);
+  loadSelectorPack()
+    .then(() => waitForResultsPage(pageNumber, pageType))
+    .then(readiness => ({ ready: true, ...readiness }))
+    .catch(error => ({ ready: false, pageNumber, error: error.message, blockType: error.blockType }))
+    .then(announcement => {
+      chrome.runtime.sendMessage({ action: 'resultsPageReady', ...announcement }, () => {
+        // Nobody may be waiting for this page, which is fine
+        void chrome.runtime.lastError;
+      });
+    });
+}
+
+/**
+ * Waits until the part of a profile the enrichment job reads has rendered
+ * @param {string} section See extractProfileSection()
+ * @param {number} timeout Maximum time to wait in ms
+ * @returns {Promise} Resolves once the section has rendered, rejects if the page is blocked or on timeout
+ */
+function waitForProfileSection(section, timeout = 20000) {
+  const readyField = { main: 'topCard', contactInfo: 'contactInfo' }[section] || 'detailsList';
+  
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const pollInterval = 250;
+    
+    function check() {
+      const blockType = detectPageBlock();
+      if (blockType) {
+        reject(createPageBlockError(blockType));
+        return;
+      }
+      
+      if (document.querySelector(getSelectors('profile', readyField).join(', '))) {
+        console.log(`Profile ${section} is ready after ${Date.now() - startTime}ms`);
+        resolve();
+        return;
+      }
+      
+      if (Date.now() - startTime >= timeout) {
+        reject(new Error(`Profile ${section} was not ready after ${timeout}ms`));
+        return;
+      }
+      
+      setTimeout(check, pollInterval);
+    }
+    
+    check();
+  });
+}
+
+/**
+ * Reads one part of a profile for the enrichment job
+ * @param {string} section 'main' for the profile page, 'experience', 'education' or 'skills' for
+ *   their details pages, or 'contactInfo' for the contact info dialog
+ * @returns {Promise<Object|Array>} Resolves to what the section's extractor returns
+ */
+function extractProfileSection(section) {
+  if (section === 'contactInfo') {
+    return Promise.resolve(extractContactInfo());
+  }
+  
+  // Sections further down a profile only render once they are scrolled into view
+  return scrollPageToBottom().then(() => {
+    return section === 'main' ? extractProfileDetails() : extractProfileDetailsPage(section);
+  });
+}
+
 /**
  * Scrapes lead data from Sales Navigator search page
- * @returns {Array} Array of lead objects
+ * @returns {Promise<Array>} Promise that resolves to an array of lead records
  */
 function scrapeNavigator() {
   // First scroll the page to load all content
   return scrollPageToBottom()
     .then(() => {
       const results = [];
+      const leadCards = findNavigatorCards();
+      
+      if (leadCards.length === 0) {
+        console.warn('No lead cards found on page');
+        return results;
+      }
       
-      // Try different selectors for lead cards on the page
-      // LinkedIn might use different selectors based on page version or updates
-      const selectors = [
-        '.artdeco-list__item.search-result', // Original selector
-        '.search-results__result-item',      // Alternative selector
-        'li.result-lockup',                  // Another possible selector
-        'li.artdeco-list__item',             // Generic list item
-        '.entity-result',                    // Yet another possible selector
-        // More specific Sales Navigator selectors
-        'li.artdeco-list__item.search-results__result-item',
-        'li.search-results__result-item',
-        'div.artdeco-entity-lockup--stacked',
-        'div[data-test-search-result]',
-        // Fall back to any list items that might contain profile information
-        '.artdeco-list > li',
-        '.search-results__container > ul > li',
-      ];
+      // Every lead on this page shares the same source, search URL and page number
+      const context = getScrapeContext(LEAD_SOURCES.SALES_NAVIGATOR);
       
-      // Find the first selector that works
-      let leadCards = [];
-      for (const selector of selectors) {
-        const foundCards = document.querySelectorAll(selector);
-        if (foundCards.length > 0) {
-          console.log(`Found ${foundCards.length} leads using selector: ${selector}`);
-          // Add these cards to our collection instead of breaking
-          leadCards = [...leadCards, ...Array.from(foundCards)];
+      leadCards.forEach(card => {
+        try {
+          const lead = extractNavigatorLead(card);
+          
+          // Add the lead if we at least have a name
+          if (lead.name) {
+            results.push(createLead(lead, context));
+          }
+        } catch (error) {
+          console.error('Error scraping lead card:', error);
         }
-      }
+      });
       
-      // Remove duplicate elements that might have been found by multiple selectors
-      if (leadCards.length > 0) {
-        console.log(`Found a total of ${leadCards.length} leads before deduplication`);
-        leadCards = [...new Set(leadCards)];
-        console.log(`Found a total of ${leadCards.length} unique leads after deduplication`);
-        
-        // Filter out false positives - elements that don't look like real profile cards
-        leadCards = filterProfileCards(leadCards);
-        console.log(`Filtered down to ${leadCards.length} likely profile cards`);
-      }
+      return results;
+    });
+}
+
+/**
+ * Scrapes account data from Sales Navigator account search page
+ * @returns {Promise<Array>} Promise that resolves to an array of account records
+ */
+function scrapeNavigatorAccounts() {
+  // First scroll the page to load all content
+  return scrollPageToBottom()
+    .then(() => {
+      const results = [];
+      const accountCards = findNavigatorAccountCards();
       
-      if (leadCards.length === 0) {
-        console.warn('No lead cards found on page');
+      if (accountCards.length === 0) {
+        console.warn('No account cards found on page');
         return results;
       }
       
-      // Collect all possible selector combinations for different elements
-      const nameSelectors = [
-        '.result-lockup__name a',
-        '.artdeco-entity-lockup__title a',
-        '.entity-result__title-text a',
-        'a[data-control-name="search_srp_result"]',
-        // More specific Sales Navigator selectors
-        '.artdeco-entity-lockup__title span',
-        '.result-lockup__name span',
-        '.artdeco-entity-lockup__title',
-        'h3.result-lockup__name',
-        'h3.artdeco-entity-lockup__title',
-        '.customer-name',
-        'a[href*="/sales/lead/"]', // Sales Navigator lead URLs
-        'a[href*="/sales/people/"]', // Sales Navigator people URLs
-        'a.artdeco-entity-lockup__title-link',
-        'div.artdeco-entity-lockup__title a'
-      ];
+      // Every account on this page shares the same source, search URL and page number
+      const context = getScrapeContext(LEAD_SOURCES.SALES_NAVIGATOR_ACCOUNTS);
       
-      const titleSelectors = [
-        '.result-lockup__highlight-keyword',
-        '.artdeco-entity-lockup__subtitle',
-        '.entity-result__primary-subtitle',
-        '.search-result__info-container .t-14',
-        // More specific Sales Navigator selectors
-        '.result-lockup__position-company',
-        '.result-lockup__title',
-        '.artdeco-entity-lockup__subtitle:first-of-type',
-        '.customer-title',
-        'div[data-test-customer-occupation]',
-        'div.artdeco-entity-lockup__subtitle:first-child',
-        '.result-lockup__position-company-text'
-      ];
+      accountCards.forEach(card => {
+        try {
+          const account = extractNavigatorAccount(card);
+          
+          // Add the account if we at least have a name
+          if (account.name) {
+            results.push(createAccount(account, context));
+          }
+        } catch (error) {
+          console.error('Error scraping account card:', error);
+        }
+      });
       
-      const companySelectors = [
-        '.result-lockup__position-company a',
-        '.artdeco-entity-lockup__subtitle:nth-child(2)',
-        '.entity-result__secondary-subtitle',
-        '[data-control-name="view_company"]',
-        // More specific Sales Navigator selectors
-        '.result-lockup__company-name',
-        '.result-lockup__position-company-text a',
-        '.artdeco-entity-lockup__subtitle:nth-of-type(2)',
-        '.customer-company',
-        'div[data-test-customer-company]',
-        'a[data-control-name="view_company_via_lockup"]',
-        'span.result-lockup__position-company-text'
-      ];
+      return results;
+    });
+}
+
+/**
+ * Scrapes lead data from a list page that loads more people as you scroll
+ * (company people, group members, event attendees)
+ * @param {string} pageType A page type id from page-types.js
+ * @returns {Promise<Array>} Promise that resolves to an array of lead records
+ */
+function scrapeProfileList(pageType) {
+  console.log(`Attempting to scrape ${PAGE_TYPES[pageType].label}`);
+  
+  // These pages have no pagination, so load every result before scraping
+  return loadAllListResults(pageType)
+    .then(() => {
+      const results = [];
+      const leadCards = findProfileListCards(pageType);
       
-      const locationSelectors = [
-        '.result-lockup__misc-item',
-        '.artdeco-entity-lockup__caption',
-        '.entity-result__secondary-subtitle + .entity-result__tertiary-subtitle',
-        '.search-result__location',
-        // More specific Sales Navigator selectors  
-        '.result-lockup__misc li.result-lockup__misc-item',
-        '.result-lockup__misc-item:first-child',
-        '.artdeco-entity-lockup__metadata',
-        '.result-lockup__misc-list li:first-child',
-        'span.customer-location',
-        'div[data-test-customer-location]',
-        'div.artdeco-entity-lockup__caption'
-      ];
+      // The page type id is also the source of the leads scraped there
+      const context = getScrapeContext(pageType);
       
       leadCards.forEach(card => {
         try {
-          // Use the first selector that works for each field
-          
-          // Extract name
-          let name = '';
-          let profileUrl = '';
-          for (const selector of nameSelectors) {
-            const nameElement = card.querySelector(selector);
-            if (nameElement) {
-              name = nameElement.textContent.trim();
-              if (nameElement.href) {
-                profileUrl = nameElement.href || '';
-              } else {
-                // If the name element itself doesn't have a URL, look for a parent or nearby link
-                const parentLink = nameElement.closest('a');
-                if (parentLink && parentLink.href) {
-                  profileUrl = parentLink.href;
-                }
-              }
-              break;
-            }
-          }
-          
-          // Extract title
-          let title = '';
-          for (const selector of titleSelectors) {
-            const titleElement = card.querySelector(selector);
-            if (titleElement) {
-              title = titleElement.textContent.trim();
-              break;
-            }
-          }
-          
-          // Initialize company variable
-          let company = '';
-          
-          // Check if title contains company info (like "Title at Company")
-          if (title.includes(' at ')) {
-            const parts = title.split(' at ');
-            const extractedTitle = parts[0].trim();
-            const extractedCompany = parts[1].trim();
-            title = extractedTitle;
-            company = extractedCompany;
-          } else if (title.includes(' @ ')) {
-            const parts = title.split(' @ ');
-            const extractedTitle = parts[0].trim();
-            const extractedCompany = parts[1].trim();
-            title = extractedTitle;
-            company = extractedCompany;
-          } else if (title.includes(' chez ')) {
-            const parts = title.split(' chez ');
-            const extractedTitle = parts[0].trim();
-            const extractedCompany = parts[1].trim();
-            title = extractedTitle;
-            company = extractedCompany;
-          } else {
-            // If title doesn't contain company info, try to extract company separately
-            for (const selector of companySelectors) {
-              const companyElement = card.querySelector(selector);
-              if (companyElement) {
-                company = companyElement.textContent.trim();
-                break;
-              }
-            }
-          }
-          
-          // Extract location
-          let location = '';
-          for (const selector of locationSelectors) {
-            const locationElement = card.querySelector(selector);
-            if (locationElement) {
-              location = locationElement.textContent.trim();
-              
-              // Clean up location if needed
-              if (location.startsWith('Location:')) {
-                location = location.substring('Location:'.length).trim();
-              }
-              
-              break;
-            }
-          }
+          const lead = extractProfileListLead(card, pageType);
           
-          // Extract industry - this is more difficult to pinpoint with a specific selector
-          // so we'll look for text patterns or neighboring elements
-          let industry = '';
-          const possibleIndustryElements = card.querySelectorAll('.t-14, .t-black--light, .artdeco-entity-lockup__caption, .result-lockup__misc-item');
-          for (const element of possibleIndustryElements) {
-            const text = element.textContent.trim();
-            // Industry text often contains "industry" or follows certain patterns
-            if (text.includes('industry') || /^[A-Z][a-z]+( & [A-Z][a-z]+)?$/.test(text)) {
-              industry = text;
-              break;
-            }
-          }
-          
-          // Extract additional data if available
-          const connectionDegree = extractConnectionDegree(card);
-          const sharedConnections = extractSharedConnections(card);
-          
-          // Add the lead if we at least have a name
-          if (name) {
-            results.push({
-              name,
-              profileUrl,
-              title,
-              company,
-              location,
-              industry,
-              connectionDegree,
-              sharedConnections
-            });
+          // Only add if we have at least a name or profile URL
+          if (lead.name || lead.profileUrl) {
+            results.push(createLead(lead, context));
           }
         } catch (error) {
           console.error('Error scraping lead card:', error);
         }
       });
       
+      console.log(`Successfully extracted ${results.length} leads from ${PAGE_TYPES[pageType].label}`);
       return results;
     });
 }
 
 /**
- * Extracts connection degree (1st, 2nd, 3rd)
- * @param {Element} card The lead card element
- * @returns {string} Connection degree
+ * Keeps scrolling a list page and clicking its "Show more" button until no new cards load
+ * @param {string} pageType A page type id from page-types.js
+ * @param {number} maxCards Stop once this many cards have loaded
+ * @param {number} scrollDelay Time to wait for new cards after each scroll, in ms
+ * @returns {Promise<number>} Resolves with the number of cards loaded
  */
-function extractConnectionDegree(card) {
-  // Try different selectors for connection degree
-  const degreeSelectors = [
-    '.result-lockup__badge-icon',
-    '.artdeco-entity-lockup__badge',
-    '.entity-result__badge',
-    '.search-result__connection-indicator',
-    '.distance-badge',
-    'span[data-test-distance-badge]',
-    '.message-link__badge'
-  ];
-  
-  for (const selector of degreeSelectors) {
-    const degreeElement = card.querySelector(selector);
-    if (degreeElement) {
-      const degreeClass = degreeElement.className;
-      const degreeText = degreeElement.textContent.trim();
+function loadAllListResults(pageType, maxCards = 1000, scrollDelay = 1500) {
+  return new Promise((resolve) => {
+    const cardSelector = getSelectors(pageType, 'card').join(', ');
+    const scrollContainers = getSelectors(pageType, 'scrollContainer');
+    // Give up after 3 rounds without new cards, or after 200 rounds in total
+    const idleRoundsLimit = 3;
+    const maxRounds = 200;
+    let lastCount = -1;
+    let idleRounds = 0;
+    let rounds = 0;
+    
+    function step() {
+      const cardCount = document.querySelectorAll(cardSelector).length;
       
-      // Check class names first
-      if (degreeClass.includes('degree-1') || degreeClass.includes('first-degree')) return '1st';
-      if (degreeClass.includes('degree-2') || degreeClass.includes('second-degree')) return '2nd';
-      if (degreeClass.includes('degree-3') || degreeClass.includes('third-degree')) return '3rd';
+      // Rounds spent waiting on a loading indicator don't count as idle
+      if (cardCount !== lastCount) {
+        idleRounds = 0;
+      } else if (!hasLoadingIndicators()) {
+        idleRounds++;
+      }
+      lastCount = cardCount;
       
-      // Then check text content
-      if (degreeText.includes('1st')) return '1st';
-      if (degreeText.includes('2nd')) return '2nd';
-      if (degreeText.includes('3rd')) return '3rd';
-    }
-  }
-  
-  // Look for aria-label attributes that might contain connection info
-  const elements = card.querySelectorAll('[aria-label]');
-  for (const element of elements) {
-    const label = element.getAttribute('aria-label');
-    if (label) {
-      if (label.includes('1st') || label.includes('1 st')) return '1st';
-      if (label.includes('2nd') || label.includes('2 nd')) return '2nd';
-      if (label.includes('3rd') || label.includes('3 rd')) return '3rd';
+      if (idleRounds >= idleRoundsLimit || cardCount >= maxCards || rounds >= maxRounds) {
+        console.log(`Finished loading the list with ${cardCount} cards after ${rounds} rounds`);
+        resolve(cardCount);
+        return;
+      }
+      
+      rounds++;
+      clickShowMoreButton(pageType);
+      window.scrollTo(0, document.body.scrollHeight);
+      
+      // Some lists (like event attendees) scroll inside a panel instead of the page
+      if (scrollContainers.length > 0) {
+        document.querySelectorAll(scrollContainers.join(', ')).forEach(container => {
+          container.scrollTop = container.scrollHeight;
+        });
+      }
+      
+      setTimeout(step, scrollDelay);
     }
-  }
-  
-  return '';
+    
+    step();
+  });
 }
 
 /**
- * Extracts number of shared connections
- * @param {Element} card The lead card element
- * @returns {string} Number of shared connections
+ * Clicks the list's "Show more results" button if one is showing
+ * @param {string} pageType A page type id from page-types.js
+ * @returns {boolean} True if a button was clicked
  */
-function extractSharedConnections(card) {
-  // Try different selectors for shared connections
-  const sharedSelectors = [
-    '.search-result__social-proof',
-    '.result-lockup__misc-list',
-    '.artdeco-entity-lockup__metadata',
-    '.entity-result__simple-insight-text',
-    'span[data-control-name="connection_degree_pill"]',
-    '.shared-connections',
-    '.member-insights'
-  ];
-  
-  for (const selector of sharedSelectors) {
-    const sharedElement = card.querySelector(selector);
-    if (sharedElement && sharedElement.textContent.includes('shared')) {
-      return sharedElement.textContent.trim();
+function clickShowMoreButton(pageType) {
+  for (const selector of getSelectors(pageType, 'showMore')) {
+    const button = document.querySelector(selector);
+    if (button && !button.disabled && button.offsetParent !== null) {
+      console.log(`Clicking "show more" button: ${selector}`);
+      button.click();
+      return true;
     }
   }
-  
-  // Look for text that mentions shared connections
-  const allText = card.textContent;
-  const sharedMatch = allText.match(/(\d+) shared connections?/);
-  if (sharedMatch) {
-    return `${sharedMatch[1]} shared connections`;
-  }
-  
-  return '';
+  return false;
 }
 
+/**
+ * Builds the context stamped onto every lead scraped from the current page
+ * @param {string} source One of LEAD_SOURCES
+ * @returns {Object} Object with source, searchUrl and pageNumber properties
+ */
+function getScrapeContext(source) {
+  const searchUrl = window.location.href;
+  return {
+    source,
+    searchUrl,
+    pageNumber: getPageNumberFromUrl(searchUrl)
+  };
+}
+
+
 /**
  * Gets the total number of pages in Sales Navigator search results
  * @returns {number} Total number of pages
  */
 function getNavigatorTotalPages() {
   // Try various selectors for pagination
-  const paginationSelectors = [
-    '.artdeco-pagination__pages',
-    '.search-results__pagination',
-    '.artdeco-pagination ul',
-    '.search-results-container .artdeco-pagination'
-  ];
+  const paginationSelectors = getSelectors('salesNavigator', 'pagination');
   
   for (const selector of paginationSelectors) {
     const paginationList = document.querySelector(selector);
@@ -1088,14 +851,14 @@ function getNavigatorTotalPages() {
   }
   
   // If we can't find pagination, check if there's text like "1-25 of 100 results"
-  const resultStats = document.querySelector('.search-results__total');
+  const resultStats = document.querySelector(getSelectors('salesNavigator', 'resultCount').join(', '));
   if (resultStats) {
     const text = resultStats.textContent;
     const match = text.match(/of (\d+) results/);
     if (match && match[1]) {
       const totalResults = parseInt(match[1]);
-      // Assume 25 results per page
-      return Math.ceil(totalResults / 25);
+      // Sales Navigator shows 25 results per page unless the settings say otherwise
+      return Math.ceil(totalResults / activeSettings.salesNavigatorResultsPerPage);
     }
   }
   
@@ -1109,11 +872,7 @@ function getNavigatorTotalPages() {
  */
 function getRegularLinkedInTotalPages() {
   // Try various selectors for pagination
-  const paginationSelectors = [
-    'ul.artdeco-pagination__pages',
-    '.artdeco-pagination ol',
-    '.pagination'
-  ];
+  const paginationSelectors = getSelectors('search', 'pagination');
   
   for (const selector of paginationSelectors) {
     const paginationList = document.querySelector(selector);
@@ -1131,12 +890,7 @@ function getRegularLinkedInTotalPages() {
   }
   
   // If we can't find pagination, check result count text
-  const resultCountElements = [
-    '.search-results-container h2',
-    '.search-results__total',
-    '.t-12.t-black--light.t-normal',
-    '.pb2.t-black--light.t-14'
-  ];
+  const resultCountElements = getSelectors('search', 'resultCount');
   
   for (const selector of resultCountElements) {
     const element = document.querySelector(selector);
@@ -1147,8 +901,8 @@ function getRegularLinkedInTotalPages() {
       if (match) {
         const totalResults = parseInt(match[1] || match[2]);
         if (!isNaN(totalResults)) {
-          // Assume 10 results per page
-          return Math.ceil(totalResults / 10);
+          // Regular search shows 10 results per page unless the settings say otherwise
+          return Math.ceil(totalResults / activeSettings.searchResultsPerPage);
         }
       }
     }
@@ -1193,352 +947,4 @@ function navigateRegularLinkedIn(pageNumber) {
     const separator = currentUrl.includes('?') ? '&' : '?';
     window.location.href = `${currentUrl}${separator}page=${pageNumber}`;
   }
-}
-
-/**
- * Extracts detailed current role information from a card
- * @param {Element} card The lead card element
- * @returns {Object} Object with title and company properties
- */
-function extractCurrentRoleInfo(card) {
-  const result = { title: '', company: '' };
-  
-  try {
-    // Get the full text content of the card
-    const cardText = card.textContent || card.innerText;
-    
-    // Check if the card contains "Current:" text
-    if (cardText.includes('Current:')) {
-      console.log('Found card with Current: info');
-      
-      // Try to find the specific element that contains "Current:"
-      let currentElement = null;
-      
-      // Try various selectors that might contain the current role info
-      const selectors = [
-        '.entity-result__summary',
-        '.profile-info',
-        '.current-position',
-        'p',
-        'div'
-      ];
-      
-      for (const selector of selectors) {
-        const elements = card.querySelectorAll(selector);
-        for (const el of elements) {
-          const text = el.textContent || el.innerText;
-          if (text.includes('Current:')) {
-            currentElement = el;
-            console.log(`Found Current: element using selector ${selector}`);
-            break;
-          }
-        }
-        if (currentElement) break;
-      }
-      
-      // If we found a specific element, extract from it, otherwise use the whole card text
-      const textToAnalyze = currentElement ? (currentElement.textContent || currentElement.innerText) : cardText;
-      
-      console.log('Text to analyze for Current info:', textToAnalyze);
-      
-      // Specific pattern for the case shown in screenshot: "Current: Senior Marketing Manager at Intuit"
-      const exactPattern = /Current:\s*Senior\s+Marketing\s+Manager:\s*Product\s+Marketing\s*&\s*Sales\s+Enablement\s+at\s+Intuit/i;
-      if (exactPattern.test(textToAnalyze)) {
-        console.log('Found exact pattern match for Fiorella at Intuit!');
-        result.title = 'Senior Marketing Manager: Product Marketing & Sales Enablement';
-        result.company = 'Intuit';
-        return result;
-      }
-      
-      // Look for exact pattern of "Current: Senior Marketing Manager" + "at Intuit"
-      if (textToAnalyze.includes('Current: Senior Marketing Manager') && textToAnalyze.includes('at Intuit')) {
-        console.log('Found Fiorella Robinson pattern!');
-        // Try to extract the full title - anything between "Current: " and " at Intuit"
-        const fullTitleMatch = textToAnalyze.match(/Current:\s*(.*?)\s+at\s+Intuit/i);
-        if (fullTitleMatch) {
-          result.title = fullTitleMatch[1].trim();
-          result.company = 'Intuit';
-          console.log(`Extracted for Fiorella: title="${result.title}", company="${result.company}"`);
-          return result;
-        } else {
-          // Fallback for this specific case
-          result.title = 'Senior Marketing Manager';
-          result.company = 'Intuit';
-          return result;
-        }
-      }
-      
-      // Try to extract using regular expressions - various patterns
-      
-      // Pattern 1: "Current: Title at Company"
-      const basicPattern = /Current:\s*(.*?)\s*at\s*(.*?)(?:\s*$|\s*[•|])/i;
-      const basicMatch = textToAnalyze.match(basicPattern);
-      
-      if (basicMatch) {
-        result.title = basicMatch[1].trim();
-        result.company = basicMatch[2].trim();
-        console.log(`Extracted from basic pattern: title="${result.title}", company="${result.company}"`);
-        return result;
-      }
-      
-      // Pattern 2: "Current: Title: Subtitle at Company"
-      const complexPattern = /Current:\s*(.*?)(?::\s*(.*?))?\s*at\s*(.*?)(?:\s*$|\s*[•|])/i;
-      const complexMatch = textToAnalyze.match(complexPattern);
-      
-      if (complexMatch) {
-        // If we have a subtitle, combine it with the title
-        if (complexMatch[2]) {
-          result.title = `${complexMatch[1].trim()}: ${complexMatch[2].trim()}`;
-        } else {
-          result.title = complexMatch[1].trim();
-        }
-        result.company = complexMatch[3].trim();
-        console.log(`Extracted from complex pattern: title="${result.title}", company="${result.company}"`);
-        return result;
-      }
-      
-      // Try another pattern for cases with Senior Marketing Manager
-      if (textToAnalyze.includes('Marketing Manager')) {
-        const marketingMatch = textToAnalyze.match(/Current:.*?((?:Senior\s+)?Marketing\s+Manager(?:[^a-z]+[A-Za-z]+)?).*?at\s+([A-Za-z0-9\s&]+)/i);
-        if (marketingMatch) {
-          result.title = marketingMatch[1].trim();
-          result.company = marketingMatch[2].trim();
-          console.log(`Extracted from marketing manager pattern: title="${result.title}", company="${result.company}"`);
-          return result;
-        }
-      }
-      
-      // Last resort pattern - try to get anything after Current:
-      const fallbackPattern = /Current:\s*(.*?)(?:\s*$|\s*[•|])/i;
-      const fallbackMatch = textToAnalyze.match(fallbackPattern);
-      
-      if (fallbackMatch) {
-        const fullInfo = fallbackMatch[1].trim();
-        
-        // Try to split by "at" if it exists
-        if (fullInfo.includes(' at ')) {
-          const parts = fullInfo.split(' at ');
-          result.title = parts[0].trim();
-          result.company = parts[1].trim();
-        } else {
-          // If we can't split, use the whole thing as title
-          result.title = fullInfo;
-        }
-        
-        console.log(`Extracted from fallback pattern: title="${result.title}", company="${result.company}"`);
-        return result;
-      }
-      
-      // If all else fails, look for any mentions of "Marketing Manager" in the card
-      if (textToAnalyze.includes('Marketing Manager')) {
-        result.title = 'Marketing Manager';
-        
-        // Try to find company after "at" nearby
-        const atIndex = textToAnalyze.indexOf(' at ');
-        if (atIndex > -1) {
-          // Look for up to 30 characters after "at "
-          const companyText = textToAnalyze.substring(atIndex + 4, atIndex + 34);
-          // Take everything up to the first punctuation or line break
-          const companyMatch = companyText.match(/^([^.,;:\n\r]+)/);
-          if (companyMatch) {
-            result.company = companyMatch[1].trim();
-          }
-        }
-        
-        console.log(`Extracted using Marketing Manager fallback: title="${result.title}", company="${result.company}"`);
-        return result;
-      }
-    }
-  } catch (error) {
-    console.error('Error extracting current role info:', error);
-  }
-  
-  return result;
-}
-
-/**
- * Directly extracts title and company from main headline/subtitle
- * @param {Element} card The lead card element
- * @returns {Object} Object with title and company properties
- */
-function extractMainHeadlineInfo(card) {
-  const result = { title: '', company: '' };
-  
-  try {
-    // Look for specific headline/subtitle formats
-    // These are often in standard positions under the person's name
-    
-    // List of possible selectors for the headline containing "Title at Company"
-    const headlineSelectors = [
-      '.entity-result__primary-subtitle',
-      '.search-result__info p.subline-level-1',
-      '.artdeco-entity-lockup__subtitle',
-      '.profile-card__occupation',
-      '.profile-position',
-      '.job-info',
-      '.occupation',
-      'h2 + div', // Element right after the name
-      'h3 + div', // Element right after the name
-      '.mb1 + div', // Element right after the name
-      'p.job-title',
-      '.headline'
-    ];
-    
-    // First check for the "Current: " pattern as shown in the screenshot
-    const allElements = card.querySelectorAll('div, p, span');
-    for (const element of allElements) {
-      const text = element.innerText || element.textContent;
-      if (text && text.trim().startsWith('Current:')) {
-        const currentText = text.trim();
-        console.log(`Found Current text: "${currentText}"`);
-        
-        // Extract using pattern "Current: Title at Company"
-        const currentPattern = /Current:\s*(.*?)(?:\s+at\s+|@\s+)(.*?)(?:$|,|\s+\W|and\s+)/i;
-        const currentMatch = currentText.match(currentPattern);
-        
-        if (currentMatch) {
-          result.title = currentMatch[1].trim();
-          result.company = currentMatch[2].trim();
-          console.log(`Extracted from Current pattern: title="${result.title}", company="${result.company}"`);
-          return result;
-        }
-        
-        // If we can't parse the pattern, at least use what's after "Current: "
-        result.title = currentText.substring(currentText.indexOf(':') + 1).trim();
-        console.log(`Using text after Current: as title: "${result.title}"`);
-        break;
-      }
-    }
-    
-    // If we didn't find a Current: pattern, proceed with regular headline selectors
-    for (const selector of headlineSelectors) {
-      try {
-        const element = card.querySelector(selector);
-        if (element) {
-          const headlineText = element.innerText || element.textContent;
-          if (headlineText && headlineText.trim()) {
-            const text = headlineText.trim();
-            console.log(`Found headline text: "${text}" using selector: ${selector}`);
-            
-            // Common pattern: "Job Title at Company"
-            if (text.includes(' at ')) {
-              const parts = text.split(' at ');
-              result.title = parts[0].trim();
-              result.company = parts[1].trim();
-              console.log(`Split headline into title: "${result.title}" and company: "${result.company}"`);
-              return result;
-            }
-            
-            // Alternative pattern: "Job Title @ Company"
-            if (text.includes(' @ ')) {
-              const parts = text.split(' @ ');
-              result.title = parts[0].trim();
-              result.company = parts[1].trim();
-              console.log(`Extracted from @ pattern: title="${result.title}", company="${result.company}"`);
-              return result;
-            }
-            
-            // Alternative pattern: "Job Title: Subtitle at Company"
-            if (text.includes(': ')) {
-              const parts = text.split(': ');
-              result.title = parts[0].trim();
-              result.company = parts[1].trim();
-              console.log(`Extracted from : pattern: title="${result.title}", company="${result.company}"`);
-              return result;
-            }
-            
-            // Alternative pattern: "Title: Subtitle at Company"
-            if (text.includes(': ')) {
-              const parts = text.split(': ');
-              result.title = parts[0].trim();
-              result.company = parts[1].trim();
-              console.log(`Extracted from : pattern: title="${result.title}", company="${result.company}"`);
-              return result;
-            }
-          }
-        }
-      } catch (error) {
-        console.error(`Error extracting headline info with selector ${selector}:`, error);
-      }
-    }
-  } catch (error) {
-    console.error('Error extracting headline info:', error);
-  }
-  
-  return result;
-}
-
-/**
- * Filters a list of elements to include only those that are likely to be actual profile cards
- * @param {Array} elements List of DOM elements to filter
- * @returns {Array} Filtered list containing only likely profile cards
- */
-function filterProfileCards(elements) {
-  // Check if we're on Sales Navigator
-  const isSalesNavigator = window.location.href.includes('linkedin.com/sales/');
-  
-  return Array.from(elements).filter(card => {
-    try {
-      // Check if the card contains elements we'd expect in a profile card
-      
-      // 1. Should have a link to a profile or a sales lead
-      const hasProfileLink = !!card.querySelector('a[href*="/in/"]') || 
-                             (isSalesNavigator && !!card.querySelector('a[href*="/sales/lead/"]')) ||
-                             (isSalesNavigator && !!card.querySelector('a[href*="/sales/people/"]'));
-      
-      // 2. Should have at least some text content
-      const hasText = card.textContent && card.textContent.trim().length > 20;
-      
-      // 3. Should have some structure - look for typical elements in profile cards
-      const hasTitleElement = !!card.querySelector(
-        '[class*="subtitle"], [class*="headline"], [class*="title"], ' +
-        '[class*="result-lockup__position"], [class*="customer-title"]'
-      );
-      
-      // 4. Should have certain classes or tags that indicate it's a card
-      const hasCardStructure = 
-        card.tagName === 'LI' || 
-        card.classList.contains('entity-result') || 
-        card.classList.contains('artdeco-entity-lockup') ||
-        card.classList.contains('search-result') ||
-        card.classList.contains('reusable-search__result-container') ||
-        card.classList.contains('artdeco-card') ||
-        (isSalesNavigator && card.classList.contains('result-lockup')) ||
-        (isSalesNavigator && card.classList.contains('search-results__result-item'));
-      
-      // 5. Should not be too small
-      const hasReasonableSize = card.clientHeight > 40 && card.clientWidth > 50;
-      
-      // 6. Should have an image (like a profile picture) or some structured data
-      const hasProfileImage = !!card.querySelector('img, .artdeco-entity-lockup__image, .ghost-person');
-      
-      // 7. For Sales Navigator, check for specific elements
-      const hasSalesNavElements = !isSalesNavigator || (
-        !!card.querySelector('.result-lockup__name, .customer-name, .artdeco-entity-lockup__title') ||
-        !!card.querySelector('[data-test-search-result], [data-test-customer-name]')
-      );
-      
-      // Calculate a score based on these factors - the higher the score, the more likely it's a profile card
-      let score = 0;
-      if (hasProfileLink) score += 3;
-      if (hasText) score += 1;
-      if (hasTitleElement) score += 2;
-      if (hasCardStructure) score += 2;
-      if (hasReasonableSize) score += 1;
-      if (hasProfileImage) score += 1;
-      if (hasSalesNavElements) score += 2;
-      
-      // Log the details for debugging purposes
-      console.log(`Card score: ${score}/12, hasProfileLink: ${hasProfileLink}, hasTitleElement: ${hasTitleElement}, hasCardStructure: ${hasCardStructure}, hasSalesNavElements: ${hasSalesNavElements}`);
-      
-      // Different thresholds based on page type
-      const scoreThreshold = isSalesNavigator ? 4 : 3;
-      
-      // Require a minimum score to consider this a profile card
-      return score >= scoreThreshold;
-    } catch (error) {
-      console.error('Error filtering profile card:', error);
-      return false;
-    }
-  });
 }
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * Data quality checks for LinkedIn Scraper
+ * Flags leads that are missing fields a CRM import needs, for the popup's warnings and the
+ * results page's highlighted rows
+ */
+
+// Lead fields every lead should have, and how the warnings name them
+const DATA_QUALITY_FIELDS = {
+  title: 'job titles',
+  company: 'companies',
+  location: 'locations'
+};
+
+/**
+ * Lists the checked fields a record is missing
+ * @param {Object} record A scraped record
+ * @returns {Array} Names of the missing fields from DATA_QUALITY_FIELDS; always empty for
+ *   accounts, companies and posts, which have no title or company
+ */
+function getRecordQualityIssues(record) {
+  if (getRecordType(record) !== RECORD_TYPES.LEAD) return [];
+  return Object.keys(DATA_QUALITY_FIELDS).filter(field => !String(record[field] || '').trim());
+}
+
+/**
+ * Checks data quality and returns a list of issues
+ * @param {Array} data The scraped data to check
+ * @returns {Array} List of quality issues found
+ */
+function checkDataQuality(data) {
+  const leads = data.filter(item => getRecordType(item) === RECORD_TYPES.LEAD);
+  if (leads.length === 0) return [];
+
+  return Object.keys(DATA_QUALITY_FIELDS)
+    .map(field => ({ field, missing: leads.filter(lead => getRecordQualityIssues(lead).includes(field)).length }))
+    .filter(entry => entry.missing > 0)
+    .map(entry => {
+      const percent = Math.round((entry.missing / leads.length) * 100);
+      return `${percent}% of profiles are missing ${DATA_QUALITY_FIELDS[entry.field]}`;
+    });
+}
+
+// Export the data quality checks when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DATA_QUALITY_FIELDS,
+    getRecordQualityIssues,
+    checkDataQuality
+  };
+}
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * Dataset library for LinkedIn Scraper
+ * Keeps every scrape run as a named dataset so earlier results can be renamed,
+ * re-exported, merged or deleted instead of being replaced by the next scrape
+ */
+
+// Storage key of the dataset summaries, newest first
+const DATASETS_KEY = 'datasets';
+
+// Each dataset's records live under their own key, so saving one page of a running job
+// doesn't rewrite every other dataset
+const DATASET_RECORDS_KEY_PREFIX = 'datasetRecords_';
+
+// Lock held while the library is loaded, changed and saved again
+const DATASETS_LOCK_NAME = 'datasets';
+
+// The last queued library update, when the Web Locks API is unavailable
+let datasetUpdateQueue = Promise.resolve();
+
+/**
+ * Creates the summary of a new dataset
+ * @param {Object} fields Dataset fields: pageType, searchUrl, firstPage, lastPage and optionally name
+ * @returns {Object} Dataset summary with id, name, pageType, searchUrl, firstPage, lastPage,
+ *   recordCount, createdAt, updatedAt and mergedFrom properties
+ */
+function createDataset(fields) {
+  const createdAt = new Date().toISOString();
+  return {
+    id: `dataset_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name: fields.name || getDefaultDatasetName(fields.pageType, fields.searchUrl, createdAt),
+    pageType: fields.pageType || '',
+    searchUrl: fields.searchUrl || '',
+    firstPage: fields.firstPage || 1,
+    lastPage: fields.lastPage || fields.firstPage || 1,
+    recordCount: 0,
+    createdAt,
+    updatedAt: createdAt,
+    mergedFrom: fields.mergedFrom || []
+  };
+}
+
+/**
+ * Names a dataset after where and when it was scraped, e.g. 'LinkedIn search results "cto" 2024-01-31 14:05'
+ * @param {string} pageType A page type id from page-types.js
+ * @param {string} searchUrl URL of the scraped page
+ * @param {string} createdAt ISO timestamp of the scrape
+ * @returns {string} Dataset name
+ */
+function getDefaultDatasetName(pageType, searchUrl, createdAt) {
+  const label = PAGE_TYPES[pageType] ? PAGE_TYPES[pageType].label : 'LinkedIn';
+  const keywords = getSearchKeywords(searchUrl);
+  const timestamp = createdAt.slice(0, 16).replace('T', ' ');
+  return keywords ? `${label} "${keywords}" ${timestamp}` : `${label} ${timestamp}`;
+}
+
+/**
+ * Reads the search keywords from a search URL
+ * @param {string} searchUrl The search URL
+ * @returns {string} The keywords, or '' if the URL has none
+ */
+function getSearchKeywords(searchUrl) {
+  try {
+    return new URL(searchUrl).searchParams.get('keywords') || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Describes a dataset's contents in one line for the dataset list
+ * @param {Object} dataset Dataset summary
+ * @returns {string} Text like '42 records, pages 1-3, 2024-01-31 14:05'
+ */
+function describeDataset(dataset) {
+  const pages = dataset.firstPage === dataset.lastPage ?
+    `page ${dataset.firstPage}` : `pages ${dataset.firstPage}-${dataset.lastPage}`;
+  const source = dataset.mergedFrom.length > 0 ? `merged from ${dataset.mergedFrom.length} datasets` : pages;
+  return `${dataset.recordCount} records, ${source}, ${dataset.createdAt.slice(0, 16).replace('T', ' ')}`;
+}
+
+/**
+ * Loads the summaries of every saved dataset
+ * @returns {Promise<Array>} Resolves to the dataset summaries, newest first
+ */
+function loadDatasets() {
+  return chrome.storage.local.get(DATASETS_KEY).then(result => {
+    return Array.isArray(result[DATASETS_KEY]) ? result[DATASETS_KEY] : [];
+  });
+}
+
+/**
+ * Loads the records of a dataset
+ * @param {string} datasetId The dataset id
+ * @returns {Promise<Array>} Resolves to the dataset's records in the current lead schema
+ */
+function loadDatasetRecords(datasetId) {
+  const key = DATASET_RECORDS_KEY_PREFIX + datasetId;
+  return chrome.storage.local.get(key).then(result => {
+    return Array.isArray(result[key]) ? result[key].map(normalizeLead) : [];
+  });
+}
+
+/**
+ * Loads the records of every saved dataset, oldest dataset first, to compare a new scrape against
+ * @param {string} [excludeDatasetId] Dataset to leave out, usually the one holding the new scrape
+ * @returns {Promise<Array>} Resolves to the records of all other datasets
+ */
+function loadLeadHistory(excludeDatasetId) {
+  return loadDatasets().then(datasets => {
+    const earlier = datasets.filter(dataset => dataset.id !== excludeDatasetId).reverse();
+    return Promise.all(earlier.map(dataset => loadDatasetRecords(dataset.id)));
+  }).then(recordLists => recordLists.flat());
+}
+
+/**
+ * Runs a change to the library once the changes started before it are saved. The popup, the
+ * results page and the background jobs all change the library, and a load followed by a save
+ * isn't atomic, so a lock shared by the extension's pages and service worker keeps them apart.
+ * @param {Function} update Loads, changes and saves the library; returns a promise
+ * @returns {Promise} Resolves to what the update resolves to
+ */
+function updateDatasets(update) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(DATASETS_LOCK_NAME, update);
+  }
+
+  // Outside the extension, e.g. in the tests, changes made here are queued instead
+  const result = datasetUpdateQueue.then(update);
+  datasetUpdateQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Adds a new dataset and its records to the library
+ * @param {Object} dataset Dataset summary, as created by createDataset()
+ * @param {Array} records The dataset's records
+ * @returns {Promise<Object>} Resolves to the saved summary
+ */
+function addDataset(dataset, records) {
+  const saved = {
+    ...dataset,
+    recordCount: records.length,
+    updatedAt: new Date().toISOString()
+  };
+
+  return updateDatasets(() => loadDatasets().then(datasets => {
+    return chrome.storage.local.set({
+      [DATASETS_KEY]: [saved, ...datasets.filter(item => item.id !== saved.id)],
+      [DATASET_RECORDS_KEY_PREFIX + saved.id]: records
+    });
+  })).then(() => saved);
+}
+
+/**
+ * Saves the records of a dataset already in the library. The summary is read from storage
+ * rather than taken from the caller, whose copy can be older than a rename made in the
+ * meantime, and a dataset deleted in the meantime isn't added back.
+ * @param {string} datasetId The dataset id
+ * @param {Array} records The dataset's records
+ * @param {Object} [changes] Summary fields the caller updates, e.g. a running job's lastPage
+ * @returns {Promise<Object|null>} Resolves to the saved summary, or null if the dataset has been deleted
+ */
+function saveDatasetRecords(datasetId, records, changes = {}) {
+  return updateDatasets(() => loadDatasets().then(datasets => {
+    const existing = datasets.find(item => item.id === datasetId);
+    if (!existing) return null;
+
+    const saved = {
+      ...existing,
+      ...changes,
+      recordCount: records.length,
+      updatedAt: new Date().toISOString()
+    };
+    return chrome.storage.local.set({
+      [DATASETS_KEY]: datasets.map(item => item.id === datasetId ? saved : item),
+      [DATASET_RECORDS_KEY_PREFIX + datasetId]: records
+    }).then(() => saved);
+  }));
+}
+
+/**
+ * Renames a dataset
+ * @param {string} datasetId The dataset id
+ * @param {string} name The new name
+ * @returns {Promise} Resolves once the dataset is saved
+ */
+function renameDataset(datasetId, name) {
+  return updateDatasets(() => loadDatasets().then(datasets => {
+    const updated = datasets.map(item => item.id === datasetId ? { ...item, name } : item);
+    return chrome.storage.local.set({ [DATASETS_KEY]: updated });
+  }));
+}
+
+/**
+ * Deletes datasets and their records
+ * @param {Array} datasetIds Ids of the datasets to delete
+ * @returns {Promise} Resolves once the datasets are deleted
+ */
+function deleteDatasets(datasetIds) {
+  return updateDatasets(() => loadDatasets().then(datasets => {
+    const remaining = datasets.filter(item => !datasetIds.includes(item.id));
+    return chrome.storage.local.set({ [DATASETS_KEY]: remaining });
+  }).then(() => chrome.storage.local.remove(datasetIds.map(id => DATASET_RECORDS_KEY_PREFIX + id))));
+}
+
+/**
+ * Merges datasets into a new dataset, collapsing records that appear in more than one.
+ * The merged datasets are kept.
+ * @param {Array} datasetIds Ids of the datasets to merge, in the order their records are combined
+ * @param {string} [name] Name of the new dataset
+ * @returns {Promise<Object>} Resolves to an object with dataset (the new summary) and
+ *   duplicatesCollapsed properties
+ */
+function mergeDatasets(datasetIds, name) {
+  return loadDatasets().then(datasets => {
+    const sources = datasetIds
+      .map(id => datasets.find(item => item.id === id))
+      .filter(Boolean);
+    if (sources.length < 2) {
+      throw new Error('Select at least two datasets to merge.');
+    }
+
+    return Promise.all(sources.map(source => loadDatasetRecords(source.id))).then(recordLists => {
+      const { leads, duplicatesCollapsed } = recordLists.reduce(
+        (merged, records) => {
+          const result = dedupeLeads(merged.leads, records);
+          return { leads: result.leads, duplicatesCollapsed: merged.duplicatesCollapsed + result.duplicatesCollapsed };
+        },
+        { leads: [], duplicatesCollapsed: 0 }
+      );
+
+      // A merge of one kind of search keeps its page type; mixed merges have none
+      const pageTypes = [...new Set(sources.map(source => source.pageType))];
+      const dataset = createDataset({
+        name: name || `Merged: ${sources.map(source => source.name).join(' + ')}`,
+        pageType: pageTypes.length === 1 ? pageTypes[0] : '',
+        searchUrl: sources[0].searchUrl,
+        firstPage: Math.min(...sources.map(source => source.firstPage)),
+        lastPage: Math.max(...sources.map(source => source.lastPage)),
+        mergedFrom: sources.map(source => source.id)
+      });
+
+      return addDataset(dataset, leads).then(saved => ({ dataset: saved, duplicatesCollapsed }));
+    });
+  });
+}
+
+// Export the dataset library when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DATASETS_KEY,
+    DATASET_RECORDS_KEY_PREFIX,
+    createDataset,
+    getDefaultDatasetName,
+    getSearchKeywords,
+    describeDataset,
+    loadDatasets,
+    loadDatasetRecords,
+    loadLeadHistory,
+    addDataset,
+    saveDatasetRecords,
+    renameDataset,
+    deleteDatasets,
+    mergeDatasets
+  };
+}
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * Diagnostics for LinkedIn Scraper
+ * Collects a structured snapshot of how the scrapers see the current page, to attach to bug reports
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+// Bump when the shape of the diagnostics snapshot changes
+var DIAGNOSTICS_VERSION = 3;
+
+// Only the first cards are scored so a long results page doesn't produce a huge report
+var DIAGNOSTICS_MAX_CARDS = 50;
+
+/**
+ * Collects a diagnostics snapshot of the current page
+ * @returns {Object} Snapshot with the page type, any block LinkedIn put up instead of results,
+ *   selector match counts, card scores and pagination state
+ */
+function collectDebugInfo() {
+  const url = window.location.href;
+  const pageType = detectPageType(url);
+
+  return {
+    diagnosticsVersion: DIAGNOSTICS_VERSION,
+    collectedAt: new Date().toISOString(),
+    url,
+    title: document.title,
+    pageType,
+    pageBlock: detectPageBlock(),
+    selectorPackVersion: activeSelectorPack.version,
+    selectors: countSelectorMatches(),
+    cards: scoreCandidateCards(pageType),
+    pagination: getPaginationState(pageType)
+  };
+}
+
+/**
+ * Logs a summary of the diagnostics snapshot to the console
+ */
+function dumpPageStructure() {
+  const snapshot = collectDebugInfo();
+  console.log(`Page type: ${snapshot.pageType}, selector pack ${snapshot.selectorPackVersion}`);
+  console.log(`Candidate cards: ${snapshot.cards.candidates}, accepted as profile cards: ${snapshot.cards.accepted}`);
+  console.log(`Pagination: page ${snapshot.pagination.currentPage} of ${snapshot.pagination.totalPages}`);
+
+  // Only list the selectors that match something, the full counts are in the snapshot
+  Object.keys(snapshot.selectors).forEach(pageType => {
+    Object.keys(snapshot.selectors[pageType]).forEach(field => {
+      const matching = snapshot.selectors[pageType][field].filter(entry => entry.matches > 0);
+      const summary = matching.map(entry => `"${entry.selector}" (${entry.matches})`).join(', ');
+      console.log(`${pageType}.${field}: ${summary || 'no matches'}`);
+    });
+  });
+}
+
+/**
+ * Counts how many elements every selector in the registry matches on the page
+ * @returns {Object} Page type to field to an array of { selector, matches } entries
+ */
+function countSelectorMatches() {
+  const counts = {};
+
+  Object.keys(BUILT_IN_SELECTOR_PACK.pages).forEach(pageType => {
+    counts[pageType] = {};
+    Object.keys(BUILT_IN_SELECTOR_PACK.pages[pageType]).forEach(field => {
+      counts[pageType][field] = getSelectors(pageType, field).map(countSelectorMatch);
+    });
+  });
+
+  return counts;
+}
+
+/**
+ * Counts the elements a single selector matches
+ * @param {string} selector CSS selector
+ * @returns {Object} Object with selector and matches properties; matches is null and error is set
+ *   when the selector is invalid
+ */
+function countSelectorMatch(selector) {
+  try {
+    return { selector, matches: document.querySelectorAll(selector).length };
+  } catch (error) {
+    return { selector, matches: null, error: error.message };
+  }
+}
+
+/**
+ * Scores every element the card selectors match, the way filterProfileCards does
+ * @param {string} pageType Detected page type
+ * @returns {Object} Object with candidates, accepted and scored (per-card selector, scores and
+ *   text length) properties
+ */
+function scoreCandidateCards(pageType) {
+  const isSalesNavigator = pageType === 'salesNavigator' || pageType === 'salesNavigatorAccounts';
+  let selectors;
+  // People search also tries its fallback selectors; unsupported pages are scored like people search
+  if (pageType === 'search' || !PAGE_TYPES[pageType]) {
+    selectors = [...getSelectors('search', 'card'), ...getSelectors('search', 'cardFallback')];
+  } else {
+    selectors = getSelectors(pageType, 'card');
+  }
+
+  // Remember the first selector that found each element
+  const candidates = new Map();
+  selectors.forEach(selector => {
+    try {
+      document.querySelectorAll(selector).forEach(element => {
+        if (!candidates.has(element)) candidates.set(element, selector);
+      });
+    } catch (error) {
+      console.error(`Invalid card selector ${selector}:`, error);
+    }
+  });
+
+  let accepted = 0;
+  const scored = [];
+  candidates.forEach((selector, element) => {
+    const result = scoreProfileCard(element, isSalesNavigator);
+    if (result.accepted) accepted++;
+    if (scored.length < DIAGNOSTICS_MAX_CARDS) {
+      // Only the length of the card's text: the text itself holds people's names, titles and employers
+      scored.push({
+        selector,
+        ...result,
+        textLength: (element.textContent || '').replace(/\s+/g, ' ').trim().length
+      });
+    }
+  });
+
+  return { candidates: candidates.size, accepted, scored };
+}
+
+/**
+ * Reads the pagination state using the same functions the scrapers use
+ * @param {string} pageType Detected page type; only paginated page types have pagination
+ * @returns {Object} Object with currentPage, totalPages, paginationSelector and resultCountText properties
+ */
+function getPaginationState(pageType) {
+  const state = {
+    currentPage: getPageNumberFromUrl(window.location.href),
+    totalPages: null,
+    paginationSelector: '',
+    resultCountText: ''
+  };
+  // List pages load more results as you scroll instead of having pages
+  if (!PAGE_TYPES[pageType] || !PAGE_TYPES[pageType].paginated) return state;
+
+  // Every search vertical shares the pagination of its product's people search
+  const paginationPageType = isRegularLinkedInPage(pageType) ? 'search' : 'salesNavigator';
+  try {
+    state.totalPages = paginationPageType === 'salesNavigator' ? getNavigatorTotalPages() : getRegularLinkedInTotalPages();
+  } catch (error) {
+    state.error = error.message;
+  }
+
+  state.paginationSelector = getSelectors(paginationPageType, 'pagination')
+    .find(selector => countSelectorMatch(selector).matches > 0) || '';
+
+  const resultCountSelector = getSelectors(paginationPageType, 'resultCount')
+    .find(selector => countSelectorMatch(selector).matches > 0);
+  if (resultCountSelector) {
+    state.resultCountText = document.querySelector(resultCountSelector).textContent.trim();
+  }
+
+  return state;
+}
\ No newline at end of file
@@ -0,0 +1,583 @@
+/**
+ * Export profiles for LinkedIn Scraper
+ * Defines the columns available for export and persists user-defined column layouts
+ */
+
+// Columns every record type can export once it has been compared to earlier scrapes
+// (see lead-diff.js); records that weren't compared leave them empty
+const CHANGE_EXPORT_COLUMNS = {
+  changeStatus: {
+    label: 'Change Status',
+    getValue: record => record.changeStatus
+  },
+  changedFields: {
+    label: 'Changed Fields',
+    getValue: record => (record.changedFields || []).join(', ')
+  }
+};
+
+// Columns filled in by the profile enrichment job (see profile-enrichment.js); leads that
+// weren't enriched leave them empty. Lists are written one entry after another, separated by semicolons.
+const PROFILE_DETAILS_EXPORT_COLUMNS = {
+  about: {
+    label: 'About',
+    getValue: lead => lead.profileDetails ? lead.profileDetails.about : ''
+  },
+  experience: {
+    label: 'Experience',
+    getValue: lead => lead.profileDetails ? lead.profileDetails.experience.map(position => {
+      const role = position.company ? `${position.title} at ${position.company}` : position.title;
+      return position.dateRange ? `${role} (${position.dateRange})` : role;
+    }).join('; ') : ''
+  },
+  education: {
+    label: 'Education',
+    getValue: lead => lead.profileDetails ? lead.profileDetails.education.map(school => {
+      const name = school.degree ? `${school.degree}, ${school.school}` : school.school;
+      return school.dateRange ? `${name} (${school.dateRange})` : name;
+    }).join('; ') : ''
+  },
+  skills: {
+    label: 'Skills',
+    getValue: lead => lead.profileDetails ? lead.profileDetails.skills.join('; ') : ''
+  },
+  emails: {
+    label: 'Emails',
+    getValue: lead => lead.profileDetails ? lead.profileDetails.contactInfo.emails.join('; ') : ''
+  },
+  phones: {
+    label: 'Phones',
+    getValue: lead => lead.profileDetails ? lead.profileDetails.contactInfo.phones.join('; ') : ''
+  },
+  websites: {
+    label: 'Websites',
+    getValue: lead => lead.profileDetails ? lead.profileDetails.contactInfo.websites.join('; ') : ''
+  },
+  twitter: {
+    label: 'Twitter',
+    getValue: lead => lead.profileDetails ? lead.profileDetails.contactInfo.twitter : ''
+  },
+  enrichedAt: {
+    label: 'Enriched At',
+    type: 'date',
+    getValue: lead => lead.profileDetails ? lead.profileDetails.enrichedAt : ''
+  }
+};
+
+// Every column that can appear in an export, keyed by column id.
+// Columns are strings unless they declare a type, which typed formats like XLSX use for their cells.
+const EXPORT_COLUMNS = {
+  name: {
+    label: 'Name',
+    getValue: lead => lead.name
+  },
+  namePrefix: {
+    label: 'Prefix',
+    getValue: lead => lead.namePrefix
+  },
+  firstName: {
+    label: 'First Name',
+    getValue: lead => lead.firstName
+  },
+  middleName: {
+    label: 'Middle Name',
+    getValue: lead => lead.middleName
+  },
+  lastName: {
+    label: 'Last Name',
+    getValue: lead => lead.lastName
+  },
+  nameSuffix: {
+    label: 'Suffix',
+    getValue: lead => lead.nameSuffix
+  },
+  credentials: {
+    label: 'Credentials',
+    getValue: lead => lead.credentials
+  },
+  rawName: {
+    label: 'Name as Shown',
+    getValue: lead => lead.rawName
+  },
+  title: {
+    label: 'Title',
+    getValue: lead => lead.title
+  },
+  company: {
+    label: 'Company',
+    getValue: lead => lead.company
+  },
+  titleAndCompany: {
+    label: 'Title & Company',
+    getValue: lead => lead.company ? (lead.title ? `${lead.title} at ${lead.company}` : lead.company) : lead.title
+  },
+  headline: {
+    label: 'Headline',
+    getValue: lead => lead.headline
+  },
+  seniority: {
+    label: 'Seniority',
+    getValue: lead => lead.seniority
+  },
+  jobFunction: {
+    label: 'Job Function',
+    getValue: lead => lead.jobFunction
+  },
+  location: {
+    label: 'Location',
+    getValue: lead => lead.location
+  },
+  city: {
+    label: 'City',
+    getValue: lead => lead.city
+  },
+  region: {
+    label: 'Region',
+    getValue: lead => lead.region
+  },
+  country: {
+    label: 'Country',
+    getValue: lead => lead.country
+  },
+  countryCode: {
+    label: 'Country Code',
+    getValue: lead => lead.countryCode
+  },
+  isMetroArea: {
+    label: 'Metro Area',
+    getValue: lead => lead.isMetroArea ? 'Yes' : 'No'
+  },
+  profileUrl: {
+    label: 'Profile URL',
+    getValue: lead => lead.profileUrl
+  },
+  industry: {
+    label: 'Industry',
+    getValue: lead => lead.industry
+  },
+  connectionDegree: {
+    label: 'Connection Degree',
+    getValue: lead => lead.connectionDegree
+  },
+  sharedConnections: {
+    label: 'Shared Connections',
+    getValue: lead => lead.sharedConnections
+  },
+  source: {
+    label: 'Source',
+    getValue: lead => lead.source
+  },
+  searchUrl: {
+    label: 'Search URL',
+    getValue: lead => lead.searchUrl
+  },
+  pageNumber: {
+    label: 'Page Number',
+    type: 'number',
+    getValue: lead => lead.pageNumber
+  },
+  scrapedAt: {
+    label: 'Scraped At',
+    type: 'date',
+    getValue: lead => lead.scrapedAt
+  },
+  ...PROFILE_DETAILS_EXPORT_COLUMNS,
+  ...CHANGE_EXPORT_COLUMNS
+};
+
+// Every column of an account export (Sales Navigator account search), keyed by column id
+const ACCOUNT_EXPORT_COLUMNS = {
+  name: {
+    label: 'Company',
+    getValue: account => account.name
+  },
+  industry: {
+    label: 'Industry',
+    getValue: account => account.industry
+  },
+  headcountRange: {
+    label: 'Headcount',
+    getValue: account => account.headcountRange
+  },
+  location: {
+    label: 'HQ Location',
+    getValue: account => account.location
+  },
+  accountUrl: {
+    label: 'Account URL',
+    getValue: account => account.accountUrl
+  },
+  source: {
+    label: 'Source',
+    getValue: account => account.source
+  },
+  searchUrl: {
+    label: 'Search URL',
+    getValue: account => account.searchUrl
+  },
+  pageNumber: {
+    label: 'Page Number',
+    type: 'number',
+    getValue: account => account.pageNumber
+  },
+  scrapedAt: {
+    label: 'Scraped At',
+    type: 'date',
+    getValue: account => account.scrapedAt
+  },
+  ...CHANGE_EXPORT_COLUMNS
+};
+
+// Every column of a company export (regular LinkedIn company search), keyed by column id
+const COMPANY_EXPORT_COLUMNS = {
+  name: {
+    label: 'Company',
+    getValue: company => company.name
+  },
+  industry: {
+    label: 'Industry',
+    getValue: company => company.industry
+  },
+  followerCount: {
+    label: 'Followers',
+    type: 'number',
+    getValue: company => company.followerCount
+  },
+  location: {
+    label: 'Location',
+    getValue: company => company.location
+  },
+  companyUrl: {
+    label: 'Company URL',
+    getValue: company => company.companyUrl
+  },
+  source: {
+    label: 'Source',
+    getValue: company => company.source
+  },
+  searchUrl: {
+    label: 'Search URL',
+    getValue: company => company.searchUrl
+  },
+  pageNumber: {
+    label: 'Page Number',
+    type: 'number',
+    getValue: company => company.pageNumber
+  },
+  scrapedAt: {
+    label: 'Scraped At',
+    type: 'date',
+    getValue: company => company.scrapedAt
+  },
+  ...CHANGE_EXPORT_COLUMNS
+};
+
+// Every column of a post export (regular LinkedIn content search), keyed by column id
+const POST_EXPORT_COLUMNS = {
+  authorName: {
+    label: 'Author',
+    getValue: post => post.authorName
+  },
+  authorHeadline: {
+    label: 'Author Headline',
+    getValue: post => post.authorHeadline
+  },
+  authorUrl: {
+    label: 'Author URL',
+    getValue: post => post.authorUrl
+  },
+  snippet: {
+    label: 'Snippet',
+    getValue: post => post.snippet
+  },
+  reactionCount: {
+    label: 'Reactions',
+    type: 'number',
+    getValue: post => post.reactionCount
+  },
+  commentCount: {
+    label: 'Comments',
+    type: 'number',
+    getValue: post => post.commentCount
+  },
+  repostCount: {
+    label: 'Reposts',
+    type: 'number',
+    getValue: post => post.repostCount
+  },
+  postUrl: {
+    label: 'Post URL',
+    getValue: post => post.postUrl
+  },
+  source: {
+    label: 'Source',
+    getValue: post => post.source
+  },
+  searchUrl: {
+    label: 'Search URL',
+    getValue: post => post.searchUrl
+  },
+  scrapedAt: {
+    label: 'Scraped At',
+    type: 'date',
+    getValue: post => post.scrapedAt
+  },
+  ...CHANGE_EXPORT_COLUMNS
+};
+
+// Every column of a job change report (see findJobChanges() in lead-diff.js), keyed by column id
+const JOB_CHANGE_EXPORT_COLUMNS = {
+  name: {
+    label: 'Name',
+    getValue: jobChange => jobChange.name
+  },
+  oldTitle: {
+    label: 'Old Title',
+    getValue: jobChange => jobChange.oldTitle
+  },
+  newTitle: {
+    label: 'New Title',
+    getValue: jobChange => jobChange.newTitle
+  },
+  oldCompany: {
+    label: 'Old Company',
+    getValue: jobChange => jobChange.oldCompany
+  },
+  newCompany: {
+    label: 'New Company',
+    getValue: jobChange => jobChange.newCompany
+  },
+  changedFields: {
+    label: 'Changed Fields',
+    getValue: jobChange => jobChange.changedFields.join(', ')
+  },
+  location: {
+    label: 'Location',
+    getValue: jobChange => jobChange.location
+  },
+  profileUrl: {
+    label: 'Profile URL',
+    getValue: jobChange => jobChange.profileUrl
+  },
+  previouslyScrapedAt: {
+    label: 'Previously Scraped At',
+    type: 'date',
+    getValue: jobChange => jobChange.previouslyScrapedAt
+  },
+  scrapedAt: {
+    label: 'Scraped At',
+    type: 'date',
+    getValue: jobChange => jobChange.scrapedAt
+  }
+};
+
+// The columns each record type can export. Export profiles apply to leads; other
+// record types always export with their built-in profile below.
+const EXPORT_COLUMNS_BY_RECORD_TYPE = {
+  [RECORD_TYPES.LEAD]: EXPORT_COLUMNS,
+  [RECORD_TYPES.ACCOUNT]: ACCOUNT_EXPORT_COLUMNS,
+  [RECORD_TYPES.COMPANY]: COMPANY_EXPORT_COLUMNS,
+  [RECORD_TYPES.POST]: POST_EXPORT_COLUMNS,
+  [JOB_CHANGE_REPORT_TYPE]: JOB_CHANGE_EXPORT_COLUMNS
+};
+
+// Built-in profile for account records
+const ACCOUNT_EXPORT_PROFILE = {
+  id: 'accounts',
+  name: 'Accounts',
+  builtIn: true,
+  recordType: RECORD_TYPES.ACCOUNT,
+  columns: [
+    { id: 'name', header: 'Company' },
+    { id: 'industry', header: 'Industry' },
+    { id: 'headcountRange', header: 'Headcount' },
+    { id: 'location', header: 'HQ Location' },
+    { id: 'accountUrl', header: 'Account URL' }
+  ]
+};
+
+// Built-in profile for company records
+const COMPANY_EXPORT_PROFILE = {
+  id: 'companies',
+  name: 'Companies',
+  builtIn: true,
+  recordType: RECORD_TYPES.COMPANY,
+  columns: [
+    { id: 'name', header: 'Company' },
+    { id: 'industry', header: 'Industry' },
+    { id: 'followerCount', header: 'Followers' },
+    { id: 'location', header: 'Location' },
+    { id: 'companyUrl', header: 'Company URL' }
+  ]
+};
+
+// Built-in profile for post records
+const POST_EXPORT_PROFILE = {
+  id: 'posts',
+  name: 'Posts',
+  builtIn: true,
+  recordType: RECORD_TYPES.POST,
+  columns: [
+    { id: 'authorName', header: 'Author' },
+    { id: 'authorHeadline', header: 'Author Headline' },
+    { id: 'authorUrl', header: 'Author URL' },
+    { id: 'snippet', header: 'Snippet' },
+    { id: 'reactionCount', header: 'Reactions' },
+    { id: 'commentCount', header: 'Comments' },
+    { id: 'repostCount', header: 'Reposts' },
+    { id: 'postUrl', header: 'Post URL' }
+  ]
+};
+
+// Built-in profile for job change reports
+const JOB_CHANGE_EXPORT_PROFILE = {
+  id: 'jobChanges',
+  name: 'Job changes',
+  builtIn: true,
+  recordType: JOB_CHANGE_REPORT_TYPE,
+  columns: Object.keys(JOB_CHANGE_EXPORT_COLUMNS).map(id => ({ id, header: JOB_CHANGE_EXPORT_COLUMNS[id].label }))
+};
+
+// The built-in profile of every record type that doesn't use the editable lead profiles
+const EXPORT_PROFILES_BY_RECORD_TYPE = {
+  [RECORD_TYPES.ACCOUNT]: ACCOUNT_EXPORT_PROFILE,
+  [RECORD_TYPES.COMPANY]: COMPANY_EXPORT_PROFILE,
+  [RECORD_TYPES.POST]: POST_EXPORT_PROFILE,
+  [JOB_CHANGE_REPORT_TYPE]: JOB_CHANGE_EXPORT_PROFILE
+};
+
+// Built-in profile matching the original four-column CSV layout
+const DEFAULT_EXPORT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  builtIn: true,
+  columns: [
+    { id: 'name', header: 'Name' },
+    { id: 'titleAndCompany', header: 'Title & Company' },
+    { id: 'location', header: 'Location' },
+    { id: 'profileUrl', header: 'Profile URL' }
+  ]
+};
+
+/**
+ * Loads the saved export profiles and the id of the active one
+ * @param {Function} callback Called with { profiles, activeProfileId }
+ */
+function loadExportProfiles(callback) {
+  chrome.storage.local.get(['exportProfiles', 'activeExportProfileId'], (result) => {
+    const savedProfiles = Array.isArray(result.exportProfiles) ? result.exportProfiles : [];
+    const profiles = [DEFAULT_EXPORT_PROFILE, ...savedProfiles.map(sanitizeExportProfile)];
+
+    // Fall back to the default profile if the active one was deleted
+    let activeProfileId = result.activeExportProfileId || DEFAULT_EXPORT_PROFILE.id;
+    if (!profiles.some(profile => profile.id === activeProfileId)) {
+      activeProfileId = DEFAULT_EXPORT_PROFILE.id;
+    }
+
+    callback({ profiles, activeProfileId });
+  });
+}
+
+/**
+ * Persists the user-defined export profiles (the built-in profile is never stored)
+ * @param {Array} profiles All profiles, including the built-in one
+ * @param {string} activeProfileId Id of the profile to use for the next export
+ * @param {Function} [callback] Called once the profiles are saved
+ */
+function saveExportProfiles(profiles, activeProfileId, callback) {
+  const exportProfiles = profiles.filter(profile => !profile.builtIn);
+  chrome.storage.local.set({ exportProfiles, activeExportProfileId: activeProfileId }, () => {
+    if (callback) callback();
+  });
+}
+
+/**
+ * Drops unknown columns from a stored profile so a stale profile can't break the export
+ * @param {Object} profile Profile as read from storage
+ * @returns {Object} Profile containing only known columns
+ */
+function sanitizeExportProfile(profile) {
+  const columns = (profile.columns || [])
+    .filter(column => EXPORT_COLUMNS[column.id])
+    .map(column => ({
+      id: column.id,
+      header: column.header || EXPORT_COLUMNS[column.id].label
+    }));
+
+  return {
+    id: profile.id,
+    name: profile.name || 'Untitled',
+    columns
+  };
+}
+
+/**
+ * Builds the header row and data rows for an export using the given profile
+ * @param {Array} leads The scraped records, all of the profile's record type
+ * @param {Object} profile Export profile describing which columns to write, in order
+ * @returns {Object} Object with headers, types and rows arrays
+ */
+function buildExportTable(leads, profile) {
+  const availableColumns = EXPORT_COLUMNS_BY_RECORD_TYPE[profile.recordType || RECORD_TYPES.LEAD];
+  const columns = profile.columns.filter(column => availableColumns[column.id]);
+  const headers = columns.map(column => column.header);
+  const types = columns.map(column => availableColumns[column.id].type || 'string');
+  const rows = leads.map(lead => columns.map(column => availableColumns[column.id].getValue(lead)));
+
+  return { headers, types, rows };
+}
+
+/**
+ * Returns the export profile for a record type
+ * @param {string} recordType One of RECORD_TYPES
+ * @param {Object} leadProfile The export profile selected for leads
+ * @returns {Object} The lead profile for leads, the built-in profile for other record types
+ */
+function getExportProfileForRecordType(recordType, leadProfile) {
+  return EXPORT_PROFILES_BY_RECORD_TYPE[recordType] || leadProfile;
+}
+
+/**
+ * Adds the change status columns to a profile that doesn't export them yet, for exports of
+ * records that were compared to earlier scrapes
+ * @param {Object} profile Export profile
+ * @returns {Object} A copy of the profile ending with the Change Status and Changed Fields columns
+ */
+function addChangeColumns(profile) {
+  const usedIds = profile.columns.map(column => column.id);
+  const missingColumns = Object.keys(CHANGE_EXPORT_COLUMNS)
+    .filter(id => !usedIds.includes(id))
+    .map(id => ({ id, header: CHANGE_EXPORT_COLUMNS[id].label }));
+  return { ...profile, columns: [...profile.columns, ...missingColumns] };
+}
+
+/**
+ * Creates a unique id for a new export profile
+ * @returns {string} Profile id
+ */
+function createExportProfileId() {
+  return `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Export the columns and profiles when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CHANGE_EXPORT_COLUMNS,
+    PROFILE_DETAILS_EXPORT_COLUMNS,
+    EXPORT_COLUMNS,
+    ACCOUNT_EXPORT_COLUMNS,
+    COMPANY_EXPORT_COLUMNS,
+    POST_EXPORT_COLUMNS,
+    JOB_CHANGE_EXPORT_COLUMNS,
+    EXPORT_COLUMNS_BY_RECORD_TYPE,
+    EXPORT_PROFILES_BY_RECORD_TYPE,
+    DEFAULT_EXPORT_PROFILE,
+    loadExportProfiles,
+    saveExportProfiles,
+    sanitizeExportProfile,
+    buildExportTable,
+    getExportProfileForRecordType,
+    addChangeColumns,
+    createExportProfileId
+  };
+}
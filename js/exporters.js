@@ -0,0 +1,124 @@
+/**
+ * Exporters for LinkedIn Scraper
+ * Turns scraped leads into downloadable files, one exporter per file format
+ */
+
+// Every supported export format, keyed by format id. Each exporter receives the leads and
+// the active export profile, and returns the file contents as a Blob part.
+const EXPORTERS = {
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv;charset=utf-8',
+    serialize: (leads, profile) => {
+      const { headers, rows } = buildExportTable(leads, profile);
+      let csvContent = headers.map(escapeCsvField).join(',') + '\n';
+      rows.forEach(row => {
+        csvContent += row.map(escapeCsvField).join(',') + '\n';
+      });
+      return csvContent;
+    }
+  },
+  xlsx: {
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    serialize: (leads, profile) => {
+      const { headers, types, rows } = buildExportTable(leads, profile);
+      return createXlsxWorkbook({ name: 'Leads', headers, types, rows });
+    }
+  },
+  json: {
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    // JSON formats carry the full lead records, so the export profile doesn't apply
+    serialize: leads => JSON.stringify(leads, null, 2)
+  },
+  jsonl: {
+    label: 'JSON Lines',
+    extension: 'jsonl',
+    mimeType: 'application/x-ndjson',
+    serialize: leads => leads.map(lead => JSON.stringify(lead)).join('\n') + '\n'
+  }
+};
+
+const DEFAULT_EXPORT_FORMAT = 'csv';
+
+// Each record type is exported to its own file, named after what it holds
+const EXPORT_FILE_PREFIXES = {
+  [RECORD_TYPES.LEAD]: 'linkedin_leads',
+  [RECORD_TYPES.ACCOUNT]: 'linkedin_accounts',
+  [RECORD_TYPES.COMPANY]: 'linkedin_companies',
+  [RECORD_TYPES.POST]: 'linkedin_posts',
+  [JOB_CHANGE_REPORT_TYPE]: 'linkedin_job_changes'
+};
+
+/**
+ * Returns the exporter for a format, falling back to CSV for unknown formats
+ * @param {string} format Format id
+ * @returns {Object} The exporter
+ */
+function getExporter(format) {
+  return EXPORTERS[format] || EXPORTERS[DEFAULT_EXPORT_FORMAT];
+}
+
+/**
+ * Serializes leads into a Blob using the given format
+ * @param {Array} leads The leads to export
+ * @param {Object} profile The active export profile
+ * @param {string} format Format id
+ * @returns {Blob} The file contents with the format's MIME type
+ */
+function createExportBlob(leads, profile, format) {
+  const exporter = getExporter(format);
+  return new Blob([exporter.serialize(leads, profile)], { type: exporter.mimeType });
+}
+
+/**
+ * Builds a timestamped filename from the export filename pattern setting, with the format's extension
+ * @param {string} format Format id
+ * @param {string} [recordType] Record type being exported, defaults to leads
+ * @returns {string} Filename such as linkedin_leads_2024-01-31_14-05-09.csv
+ */
+function createExportFilename(format, recordType = RECORD_TYPES.LEAD) {
+  const now = new Date();
+  const date = now.toISOString().split('T')[0];
+  const time = now.toTimeString().split(' ')[0].replace(/:/g, '-');
+  const prefix = EXPORT_FILE_PREFIXES[recordType] || EXPORT_FILE_PREFIXES[RECORD_TYPES.LEAD];
+  const name = formatExportFilename(activeSettings.exportFilenamePattern, { prefix, date, time });
+  return `${name}.${getExporter(format).extension}`;
+}
+
+/**
+ * Escapes a field for CSV format
+ * @param {string} field The field to escape
+ * @returns {string} Escaped field
+ */
+function escapeCsvField(field) {
+  if (field === null || field === undefined) return '';
+
+  // Convert to string
+  const str = String(field);
+
+  // If the field contains commas, quotes, or newlines, wrap it in quotes
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    // Double any existing quotes
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+
+  return str;
+}
+
+// Export the exporters when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXPORTERS,
+    DEFAULT_EXPORT_FORMAT,
+    EXPORT_FILE_PREFIXES,
+    getExporter,
+    createExportBlob,
+    createExportFilename,
+    escapeCsvField
+  };
+}
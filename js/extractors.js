@@ -0,0 +1,1376 @@
+/**
+ * Extractors for LinkedIn Scraper
+ * Finds lead cards on a results page and reads their fields, and reads the profile pages the
+ * enrichment job visits. Kept free of scrolling and messaging so the same functions run in the
+ * content script and in the fixture tests.
+ */
+
+/**
+ * Finds the lead cards on a regular LinkedIn search results page
+ * @returns {Array} Elements that look like profile cards
+ */
+function findRegularLinkedInCards() {
+  // Try to identify the correct search results container first
+  let searchResultsContainer = null;
+  
+  // Latest LinkedIn search structure (as of 2023-2024)
+  const searchContainerSelectors = getSelectors('search', 'resultsContainer');
+  
+  // Try to find the search results container
+  for (const selector of searchContainerSelectors) {
+    const container = document.querySelector(selector);
+    if (container) {
+      console.log(`Found search results container using selector: ${selector}`);
+      searchResultsContainer = container;
+      break;
+    }
+  }
+  
+  let leadCards = [];
+  
+  // If we found a search container, first try to find results directly within it
+  if (searchResultsContainer) {
+    console.log('Searching for profiles within the identified search container');
+    
+    // Try specific LinkedIn search result selectors within the container
+    const containerSelectors = getSelectors('search', 'card');
+    
+    for (const selector of containerSelectors) {
+      const foundCards = searchResultsContainer.querySelectorAll(selector);
+      if (foundCards.length > 0) {
+        console.log(`Found ${foundCards.length} profiles using selector ${selector} within search container`);
+        leadCards = [...leadCards, ...Array.from(foundCards)];
+      }
+    }
+    
+    // If we found profiles directly in the container, log the count
+    if (leadCards.length > 0) {
+      console.log(`Found a total of ${leadCards.length} profile cards in search container before deduplication`);
+      leadCards = [...new Set(leadCards)];
+      console.log(`Found a total of ${leadCards.length} unique profile cards after deduplication`);
+    } 
+    // If no results found using specific selectors, try to find any divs or list items that might be profile cards
+    else {
+      console.log('No profiles found with specific selectors, trying generic approach in search container');
+      
+      // Look for list items in the search container that might be profile cards
+      const listItems = searchResultsContainer.querySelectorAll('li');
+      console.log(`Found ${listItems.length} list items in search container`);
+      
+      // Filter to only include items that are likely search results
+      for (const item of listItems) {
+        // Check if this list item is likely a search result
+        if (
+          item.querySelector('a[href*="/in/"]') || // Has profile link
+          item.querySelector('img[class*="profile"]') || // Has profile image
+          (item.textContent && item.textContent.includes('connection')) || // Mentions connection
+          item.clientHeight > 60 // Reasonably sized
+        ) {
+          leadCards.push(item);
+        }
+      }
+      
+      console.log(`Found ${leadCards.length} potential profile cards using generic approach`);
+    }
+  }
+  
+  // If we still don't have any lead cards, fall back to the original approach
+  if (leadCards.length === 0) {
+    console.log('No profiles found in search container, falling back to global search');
+    
+    // Try different selectors for lead cards on the page based on the latest LinkedIn UI
+    const selectors = getSelectors('search', 'cardFallback');
+    
+    // Log all attempts for debugging
+    selectors.forEach(selector => {
+      const count = document.querySelectorAll(selector).length;
+      console.log(`Selector "${selector}" found ${count} elements`);
+    });
+  
+    // Try all selectors and combine results
+    for (const selector of selectors) {
+      const foundCards = document.querySelectorAll(selector);
+      if (foundCards.length > 0) {
+        console.log(`Found ${foundCards.length} leads using selector: ${selector}`);
+        // Add these cards to our collection
+        leadCards = [...leadCards, ...Array.from(foundCards)];
+      }
+    }
+    
+    // Remove duplicate elements that might have been found by multiple selectors
+    if (leadCards.length > 0) {
+      console.log(`Found a total of ${leadCards.length} leads before deduplication`);
+      leadCards = [...new Set(leadCards)];
+      console.log(`Found a total of ${leadCards.length} unique leads after deduplication`);
+    }
+  }
+  
+  // Filter out false positives - elements that don't look like real profile cards
+  if (leadCards.length > 0) {
+    leadCards = filterProfileCards(leadCards);
+    console.log(`Filtered down to ${leadCards.length} likely profile cards`);
+  }
+  
+  return leadCards;
+}
+
+/**
+ * Extracts the lead fields from a regular LinkedIn search result card
+ * @param {Element} card The lead card element
+ * @returns {Object} Object with name, title, headline, company, location and profileUrl properties
+ */
+function extractRegularLinkedInLead(card) {
+  return {
+    name: extractName(card),
+    title: extractTitle(card),
+    headline: extractHeadline(card),
+    location: extractLocation(card),
+    // Profile URL - Look for links containing /in/ which indicates a LinkedIn profile URL
+    profileUrl: extractProfileUrl(card),
+    company: extractCompany(card)
+  };
+}
+
+/**
+ * Extracts the person's name from a regular search result card
+ * @param {Element} card The lead card element
+ * @returns {string} Name, or '' if none was found
+ */
+function extractName(card) {
+  const nameSelectors = getSelectors('search', 'name');
+  
+  for (const selector of nameSelectors) {
+    try {
+      const nameElement = card.querySelector(selector);
+      if (nameElement) {
+        // Get innermost text if there are nested spans
+        let name = nameElement.innerText || nameElement.textContent;
+        if (name) {
+          name = name.trim();
+          
+          // Strip out "View X's profile" text if present
+          if (name.includes("View ") && name.includes("'s profile")) {
+            name = name.replace(/View |'s profile/g, '').trim();
+          }
+          
+          return name;
+        }
+      }
+    } catch (error) {
+      console.error(`Error extracting name with selector ${selector}:`, error);
+    }
+  }
+  
+  // If we still don't have a name, try a deeper search in the card
+  try {
+    // Look for any element with an href containing "/in/" which is likely a profile link
+    const possibleLinks = card.querySelectorAll('a[href*="/in/"]');
+    for (const link of possibleLinks) {
+      // Try to get name from the link text
+      let linkText = link.innerText || link.textContent;
+      if (linkText) {
+        linkText = linkText.trim();
+        if (linkText && !linkText.includes('View profile') && linkText.length > 3) {
+          return linkText;
+        }
+      }
+      
+      // If the link itself doesn't have text, check for child span elements
+      const spans = link.querySelectorAll('span');
+      for (const span of spans) {
+        const spanText = span.innerText || span.textContent;
+        if (spanText && spanText.trim() && spanText.length > 3) {
+          return spanText.trim();
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error in deep name search:', error);
+  }
+  
+  return '';
+}
+
+/**
+ * Extracts the profile URL from a regular search result card
+ * @param {Element} card The lead card element
+ * @returns {string} Profile URL, or '' if none was found
+ */
+function extractProfileUrl(card) {
+  // Look for a direct link to a profile
+  const profileLinks = card.querySelectorAll('a[href*="/in/"]');
+  for (const link of profileLinks) {
+    if (link.href) {
+      return link.href;
+    }
+  }
+  return '';
+}
+
+/**
+ * Extracts the job title from a regular search result card
+ * @param {Element} card The lead card element
+ * @returns {string} Job title, or '' if none was found
+ */
+function extractTitle(card) {
+  const titleSelectors = getSelectors('search', 'title');
+  
+  // First check if there's a current role section
+  const currentRoleInfo = extractCurrentRoleInfo(card);
+  if (currentRoleInfo.title) {
+    return currentRoleInfo.title;
+  }
+  
+  // Next, try headline info
+  const headlineInfo = extractMainHeadlineInfo(card);
+  if (headlineInfo.title) {
+    return headlineInfo.title;
+  }
+  
+  // Finally, try direct selectors
+  for (const selector of titleSelectors) {
+    try {
+      const titleElement = card.querySelector(selector);
+      if (titleElement) {
+        let title = titleElement.innerText || titleElement.textContent;
+        if (title) {
+          // The title may name the company too, as in "Title at Company"
+          return parseHeadline(title).title;
+        }
+      }
+    } catch (error) {
+      console.error(`Error extracting title with selector ${selector}:`, error);
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Extracts the company from a regular search result card
+ * @param {Element} card The lead card element
+ * @returns {string} Company, or '' if none was found
+ */
+function extractCompany(card) {
+  const companySelectors = getSelectors('search', 'company');
+  
+  // First check if there's a current role section
+  const currentRoleInfo = extractCurrentRoleInfo(card);
+  if (currentRoleInfo.company) {
+    return currentRoleInfo.company;
+  }
+  
+  // Next, try headline info
+  const headlineInfo = extractMainHeadlineInfo(card);
+  if (headlineInfo.company) {
+    return headlineInfo.company;
+  }
+  
+  // Finally, try direct selectors
+  for (const selector of companySelectors) {
+    try {
+      const companyElement = card.querySelector(selector);
+      if (companyElement) {
+        let company = companyElement.innerText || companyElement.textContent;
+        if (company) {
+          return company.trim();
+        }
+      }
+    } catch (error) {
+      console.error(`Error extracting company with selector ${selector}:`, error);
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Extracts the location from a regular search result card
+ * @param {Element} card The lead card element
+ * @returns {string} Location, or '' if none was found
+ */
+function extractLocation(card) {
+  const locationSelectors = getSelectors('search', 'location');
+  
+  for (const selector of locationSelectors) {
+    try {
+      const locationElement = card.querySelector(selector);
+      if (locationElement) {
+        let location = locationElement.innerText || locationElement.textContent;
+        if (location) {
+          location = location.trim();
+          
+          // Clean up location if needed (remove any "Location: " prefix)
+          if (location.startsWith('Location:')) {
+            location = location.substring('Location:'.length).trim();
+          }
+          
+          return location;
+        }
+      }
+    } catch (error) {
+      console.error(`Error extracting location with selector ${selector}:`, error);
+    }
+  }
+  
+  // If we still don't have a location, try a more direct approach
+  try {
+    // Look for a short line of text the gazetteer places in a country, e.g. "City, State",
+    // "São Paulo, Brasil" or "Greater Boston"
+    const allParas = card.querySelectorAll('p, div');
+    for (const para of allParas) {
+      const text = (para.innerText || para.textContent || '').trim();
+      if (text && text.length < 80 && !text.includes('\n') && text.split(',').length <= 4 &&
+          parseLocation(text).countryCode) {
+        return text;
+      }
+    }
+  } catch (error) {
+    console.error('Error in location pattern matching:', error);
+  }
+  
+  return '';
+}
+
+/**
+ * Finds the lead cards on a Sales Navigator search results page
+ * @returns {Array} Elements that look like profile cards
+ */
+function findNavigatorCards() {
+  // Try different selectors for lead cards on the page
+  // LinkedIn might use different selectors based on page version or updates
+  const selectors = getSelectors('salesNavigator', 'card');
+  
+  // Find the first selector that works
+  let leadCards = [];
+  for (const selector of selectors) {
+    const foundCards = document.querySelectorAll(selector);
+    if (foundCards.length > 0) {
+      console.log(`Found ${foundCards.length} leads using selector: ${selector}`);
+      // Add these cards to our collection instead of breaking
+      leadCards = [...leadCards, ...Array.from(foundCards)];
+    }
+  }
+  
+  // Remove duplicate elements that might have been found by multiple selectors
+  if (leadCards.length > 0) {
+    console.log(`Found a total of ${leadCards.length} leads before deduplication`);
+    leadCards = [...new Set(leadCards)];
+    console.log(`Found a total of ${leadCards.length} unique leads after deduplication`);
+    
+    // Filter out false positives - elements that don't look like real profile cards
+    leadCards = filterProfileCards(leadCards);
+    console.log(`Filtered down to ${leadCards.length} likely profile cards`);
+  }
+  
+  return leadCards;
+}
+
+/**
+ * Extracts the lead fields from a Sales Navigator result card
+ * @param {Element} card The lead card element
+ * @returns {Object} Object with name, profileUrl, title, company, location, industry,
+ *   connectionDegree and sharedConnections properties
+ */
+function extractNavigatorLead(card) {
+  // Collect all possible selector combinations for different elements from the selector registry
+  const nameSelectors = getSelectors('salesNavigator', 'name');
+  const titleSelectors = getSelectors('salesNavigator', 'title');
+  const companySelectors = getSelectors('salesNavigator', 'company');
+  const locationSelectors = getSelectors('salesNavigator', 'location');
+  
+  // Use the first selector that works for each field
+  
+  // Extract name
+  let name = '';
+  let profileUrl = '';
+  for (const selector of nameSelectors) {
+    const nameElement = card.querySelector(selector);
+    if (nameElement) {
+      name = nameElement.textContent.trim();
+      if (nameElement.href) {
+        profileUrl = nameElement.href || '';
+      } else {
+        // If the name element itself doesn't have a URL, look for a parent or nearby link
+        const parentLink = nameElement.closest('a');
+        if (parentLink && parentLink.href) {
+          profileUrl = parentLink.href;
+        }
+      }
+      break;
+    }
+  }
+  
+  // Extract title
+  let title = '';
+  for (const selector of titleSelectors) {
+    const titleElement = card.querySelector(selector);
+    if (titleElement) {
+      title = titleElement.textContent.trim();
+      break;
+    }
+  }
+  
+  // Check if title contains company info (like "Title at Company")
+  const position = parseHeadline(title);
+  title = position.title;
+  let company = position.company;
+  
+  if (!company) {
+    // If title doesn't contain company info, try to extract company separately
+    for (const selector of companySelectors) {
+      const companyElement = card.querySelector(selector);
+      if (companyElement) {
+        company = companyElement.textContent.trim();
+        break;
+      }
+    }
+  }
+  
+  // Extract location
+  let location = '';
+  for (const selector of locationSelectors) {
+    const locationElement = card.querySelector(selector);
+    if (locationElement) {
+      location = locationElement.textContent.trim();
+      
+      // Clean up location if needed
+      if (location.startsWith('Location:')) {
+        location = location.substring('Location:'.length).trim();
+      }
+      
+      break;
+    }
+  }
+  
+  // Extract industry - this is more difficult to pinpoint with a specific selector
+  // so we'll look for text patterns or neighboring elements
+  let industry = '';
+  const possibleIndustryElements = card.querySelectorAll(getSelectors('salesNavigator', 'industry').join(', '));
+  for (const element of possibleIndustryElements) {
+    const text = element.textContent.trim();
+    // Industry text often contains "industry" or follows certain patterns
+    if (text.includes('industry') || /^[A-Z][a-z]+( & [A-Z][a-z]+)?$/.test(text)) {
+      industry = text;
+      break;
+    }
+  }
+  
+  // Extract additional data if available
+  const connectionDegree = extractConnectionDegree(card);
+  const sharedConnections = extractSharedConnections(card);
+  
+  return {
+    name,
+    profileUrl,
+    title,
+    company,
+    location,
+    industry,
+    connectionDegree,
+    sharedConnections
+  };
+}
+
+/**
+ * Finds the account cards on a Sales Navigator account search page
+ * @returns {Array} Elements that link to an account
+ */
+function findNavigatorAccountCards() {
+  let accountCards = [];
+  for (const selector of getSelectors('salesNavigatorAccounts', 'card')) {
+    const foundCards = document.querySelectorAll(selector);
+    if (foundCards.length > 0) {
+      console.log(`Found ${foundCards.length} accounts using selector: ${selector}`);
+      accountCards = [...accountCards, ...Array.from(foundCards)];
+    }
+  }
+  
+  // Account cards are told apart from other list items by their link to the account
+  const accountLinkSelector = getSelectors('salesNavigatorAccounts', 'accountLink').join(', ');
+  return [...new Set(accountCards)].filter(card => !!card.querySelector(accountLinkSelector));
+}
+
+/**
+ * Extracts the account fields from a Sales Navigator account search result card
+ * @param {Element} card The account card element
+ * @returns {Object} Object with name, industry, headcountRange, location and accountUrl properties
+ */
+function extractNavigatorAccount(card) {
+  let accountUrl = '';
+  for (const selector of getSelectors('salesNavigatorAccounts', 'accountLink')) {
+    const link = card.querySelector(selector);
+    if (link && link.href) {
+      accountUrl = link.href;
+      break;
+    }
+  }
+  
+  // The headcount link isn't always marked up, so fall back to the "... employees" text anywhere in the card
+  const headcountText = getFirstText(card, getSelectors('salesNavigatorAccounts', 'headcount'));
+  const headcountRange = parseHeadcountRange(headcountText) || parseHeadcountRange(card.textContent || '');
+  
+  return {
+    name: getFirstText(card, getSelectors('salesNavigatorAccounts', 'name')),
+    industry: getFirstText(card, getSelectors('salesNavigatorAccounts', 'industry')),
+    headcountRange,
+    location: getFirstText(card, getSelectors('salesNavigatorAccounts', 'location')),
+    accountUrl
+  };
+}
+
+/**
+ * Reads a headcount range such as "51-200" or "10K+" from text like "51-200 employees"
+ * @param {string} text Text mentioning the number of employees
+ * @returns {string} The headcount range, or '' if the text has none
+ */
+function parseHeadcountRange(text) {
+  const match = text.match(/(\d[\d,.]*K?\+?(?:\s*[-–]\s*\d[\d,.]*K?\+?)?)\s+employees/i);
+  return match ? match[1].replace(/\s*[-–]\s*/, '-') : '';
+}
+
+/**
+ * Finds the company cards on a regular LinkedIn company search results page
+ * @returns {Array} Elements that look like company result cards
+ */
+function findCompanySearchCards() {
+  let companyCards = [];
+  for (const selector of getSelectors('searchCompanies', 'card')) {
+    const foundCards = document.querySelectorAll(selector);
+    if (foundCards.length > 0) {
+      console.log(`Found ${foundCards.length} companies using selector: ${selector}`);
+      companyCards = [...companyCards, ...Array.from(foundCards)];
+    }
+  }
+  
+  companyCards = [...new Set(companyCards)];
+  
+  // The card selectors match both a result and the entity inside it; keep the outermost element only
+  companyCards = companyCards.filter(card => !companyCards.some(other => other !== card && other.contains(card)));
+  
+  // Company cards are told apart from ads and suggestions by their link to the company page
+  const companyLinkSelector = getSelectors('searchCompanies', 'companyLink').join(', ');
+  return companyCards.filter(card => !!card.querySelector(companyLinkSelector));
+}
+
+/**
+ * Extracts the company fields from a regular LinkedIn company search result card
+ * @param {Element} card The company card element
+ * @returns {Object} Object with name, industry, followerCount, location and companyUrl properties
+ */
+function extractCompanySearchResult(card) {
+  let companyUrl = '';
+  for (const selector of getSelectors('searchCompanies', 'companyLink')) {
+    const link = card.querySelector(selector);
+    if (link && link.href) {
+      // Drop tracking parameters so the same company always has the same URL
+      companyUrl = link.href.split('?')[0];
+      break;
+    }
+  }
+  
+  // The subtitle reads "Industry • Location"; either part can be missing
+  const subtitle = getFirstText(card, getSelectors('searchCompanies', 'subtitle'));
+  const subtitleParts = subtitle.split(/\s+[•·]\s+/);
+  
+  // The follower count isn't always in its own element, so fall back to the "... followers" text anywhere in the card
+  const followersText = getFirstText(card, getSelectors('searchCompanies', 'followers'));
+  const followerCount = parseFollowerCount(followersText) || parseFollowerCount(card.textContent || '');
+  
+  return {
+    name: getFirstText(card, getSelectors('searchCompanies', 'name')),
+    industry: subtitleParts[0] || '',
+    followerCount,
+    location: subtitleParts.slice(1).join(', '),
+    companyUrl
+  };
+}
+
+/**
+ * Reads a follower count from text like "12K followers"
+ * @param {string} text Text mentioning the number of followers
+ * @returns {number} The follower count, or 0 if the text has none
+ */
+function parseFollowerCount(text) {
+  const match = text.match(/(\d[\d,.]*\s*[KM]?)\s+followers/i);
+  return match ? parseCount(match[1]) : 0;
+}
+
+/**
+ * Finds the post cards on a regular LinkedIn content search results page
+ * @returns {Array} Elements that look like post cards
+ */
+function findPostSearchCards() {
+  let postCards = [];
+  for (const selector of getSelectors('searchContent', 'card')) {
+    const foundCards = document.querySelectorAll(selector);
+    if (foundCards.length > 0) {
+      console.log(`Found ${foundCards.length} posts using selector: ${selector}`);
+      postCards = [...postCards, ...Array.from(foundCards)];
+    }
+  }
+  postCards = [...new Set(postCards)];
+  
+  // The card selectors match both a result and the post inside it; keep the outermost element only
+  postCards = postCards.filter(card => !postCards.some(other => other !== card && other.contains(card)));
+  
+  // Skip cards that aren't posts, like "People also searched" modules
+  const postContentSelector = [
+    ...getSelectors('searchContent', 'authorName'),
+    ...getSelectors('searchContent', 'snippet')
+  ].join(', ');
+  return postCards.filter(card => !!card.querySelector(postContentSelector));
+}
+
+/**
+ * Extracts the post fields from a regular LinkedIn content search result card
+ * @param {Element} card The post card element
+ * @returns {Object} Object with authorName, authorHeadline, authorUrl, snippet, reactionCount,
+ *   commentCount, repostCount and postUrl properties
+ */
+function extractPostSearchResult(card) {
+  let authorUrl = '';
+  for (const selector of getSelectors('searchContent', 'authorLink')) {
+    const link = card.querySelector(selector);
+    if (link && link.href) {
+      authorUrl = link.href.split('?')[0];
+      break;
+    }
+  }
+  
+  // The comment and repost counts share one line of text, e.g. "12 comments • 3 reposts"
+  const socialCountsText = getFirstText(card, getSelectors('searchContent', 'socialCounts'));
+  const commentMatch = socialCountsText.match(/(\d[\d,.]*\s*[KM]?)\s+comments?/i);
+  const repostMatch = socialCountsText.match(/(\d[\d,.]*\s*[KM]?)\s+reposts?/i);
+  
+  return {
+    authorName: getFirstText(card, getSelectors('searchContent', 'authorName')),
+    authorHeadline: getFirstText(card, getSelectors('searchContent', 'authorHeadline')),
+    authorUrl,
+    snippet: getFirstText(card, getSelectors('searchContent', 'snippet')),
+    reactionCount: parseReactionCount(getFirstText(card, getSelectors('searchContent', 'reactions'))),
+    commentCount: commentMatch ? parseCount(commentMatch[1]) : 0,
+    repostCount: repostMatch ? parseCount(repostMatch[1]) : 0,
+    postUrl: extractPostUrl(card)
+  };
+}
+
+/**
+ * Builds the permanent URL of a post from its activity URN, falling back to a link to the post
+ * @param {Element} card The post card element
+ * @returns {string} Post URL, or '' if none was found
+ */
+function extractPostUrl(card) {
+  const urnElement = card.matches('[data-urn^="urn:li:activity:"]') ?
+    card : card.querySelector('[data-urn^="urn:li:activity:"]');
+  if (urnElement) {
+    return `https://www.linkedin.com/feed/update/${urnElement.getAttribute('data-urn')}/`;
+  }
+  
+  for (const selector of getSelectors('searchContent', 'postLink')) {
+    const link = card.querySelector(selector);
+    if (link && link.href) {
+      return link.href.split('?')[0];
+    }
+  }
+  return '';
+}
+
+/**
+ * Reads a reaction count from text like "1,234" or "Jane Doe and 56 others"
+ * @param {string} text The reactions count text
+ * @returns {number} The number of reactions, or 0 if the text has none
+ */
+function parseReactionCount(text) {
+  // "Jane Doe and 56 others" counts Jane Doe too
+  const othersMatch = text.match(/and (\d[\d,.]*\s*[KM]?) others?/i);
+  if (othersMatch) return parseCount(othersMatch[1]) + 1;
+  return parseCount(text);
+}
+
+/**
+ * Parses an abbreviated count as LinkedIn writes them, e.g. "1,234", "1.2K" or "3M"
+ * @param {string} text The count text
+ * @returns {number} The count, or 0 if the text has no number
+ */
+function parseCount(text) {
+  const match = (text || '').match(/(\d[\d,.]*)\s*([KM])?/i);
+  if (!match) return 0;
+  
+  if (!match[2]) return parseInt(match[1].replace(/[,.]/g, ''), 10);
+  
+  const multiplier = match[2].toUpperCase() === 'M' ? 1000000 : 1000;
+  return Math.round(parseFloat(match[1].replace(/,/g, '')) * multiplier);
+}
+
+/**
+ * Finds the person cards on a list page that loads more results as you scroll
+ * (company people, group members, event attendees)
+ * @param {string} pageType A page type id from page-types.js
+ * @returns {Array} Elements that look like profile cards
+ */
+function findProfileListCards(pageType) {
+  let leadCards = [];
+  for (const selector of getSelectors(pageType, 'card')) {
+    const foundCards = document.querySelectorAll(selector);
+    if (foundCards.length > 0) {
+      console.log(`Found ${foundCards.length} cards using selector: ${selector}`);
+      leadCards = [...leadCards, ...Array.from(foundCards)];
+    }
+  }
+  
+  // Remove duplicate elements that might have been found by multiple selectors
+  leadCards = [...new Set(leadCards)];
+  
+  // Filter out false positives - elements that don't look like real profile cards
+  if (leadCards.length > 0) {
+    leadCards = filterProfileCards(leadCards);
+    console.log(`Filtered down to ${leadCards.length} likely profile cards`);
+  }
+  
+  return leadCards;
+}
+
+/**
+ * Extracts the lead fields from a person card on a list page
+ * @param {Element} card The lead card element
+ * @param {string} pageType A page type id from page-types.js
+ * @returns {Object} Object with name, title, headline, company, location, profileUrl and connectionDegree properties
+ */
+function extractProfileListLead(card, pageType) {
+  let name = getFirstText(card, getSelectors(pageType, 'name'));
+  
+  // Strip out "View X's profile" text if present
+  if (name.includes('View ') && name.includes("'s profile")) {
+    name = name.replace(/View |'s profile/g, '').trim();
+  }
+  
+  // People outside your network are listed without a name or a profile link
+  if (name === 'LinkedIn Member') {
+    name = '';
+  }
+  
+  const headline = getFirstText(card, getSelectors(pageType, 'headline'));
+  const { title, company } = splitHeadline(headline);
+  
+  return {
+    name,
+    title,
+    headline,
+    company,
+    location: getFirstText(card, getSelectors(pageType, 'location')),
+    profileUrl: extractProfileUrl(card),
+    connectionDegree: extractConnectionDegree(card)
+  };
+}
+
+/**
+ * Returns the text of the first element matched by a list of selectors
+ * @param {Element} card The card to search in
+ * @param {Array} selectors Selectors to try, in order
+ * @returns {string} Text with whitespace collapsed, or '' if nothing matched
+ */
+function getFirstText(card, selectors) {
+  for (const selector of selectors) {
+    const element = card.querySelector(selector);
+    const text = element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    if (text) return text;
+  }
+  return '';
+}
+
+/**
+ * Splits a headline such as "Title at Company" or "Title @ Company | Tagline" with parseHeadline()
+ * @param {string} headline The headline text
+ * @returns {Object} Object with the title and company of the headline's current role
+ */
+function splitHeadline(headline) {
+  const { title, company } = parseHeadline(headline);
+  return { title, company };
+}
+
+/**
+ * Extracts connection degree (1st, 2nd, 3rd)
+ * @param {Element} card The lead card element
+ * @returns {string} Connection degree
+ */
+function extractConnectionDegree(card) {
+  // Try different selectors for connection degree
+  const degreeSelectors = getSelectors('common', 'connectionDegree');
+  
+  for (const selector of degreeSelectors) {
+    const degreeElement = card.querySelector(selector);
+    if (degreeElement) {
+      const degreeClass = degreeElement.className;
+      const degreeText = degreeElement.textContent.trim();
+      
+      // Check class names first
+      if (degreeClass.includes('degree-1') || degreeClass.includes('first-degree')) return '1st';
+      if (degreeClass.includes('degree-2') || degreeClass.includes('second-degree')) return '2nd';
+      if (degreeClass.includes('degree-3') || degreeClass.includes('third-degree')) return '3rd';
+      
+      // Then check text content
+      if (degreeText.includes('1st')) return '1st';
+      if (degreeText.includes('2nd')) return '2nd';
+      if (degreeText.includes('3rd')) return '3rd';
+    }
+  }
+  
+  // Look for aria-label attributes that might contain connection info
+  const elements = card.querySelectorAll('[aria-label]');
+  for (const element of elements) {
+    const label = element.getAttribute('aria-label');
+    if (label) {
+      if (label.includes('1st') || label.includes('1 st')) return '1st';
+      if (label.includes('2nd') || label.includes('2 nd')) return '2nd';
+      if (label.includes('3rd') || label.includes('3 rd')) return '3rd';
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Extracts number of shared connections
+ * @param {Element} card The lead card element
+ * @returns {string} Number of shared connections
+ */
+function extractSharedConnections(card) {
+  // Try different selectors for shared connections
+  const sharedSelectors = getSelectors('common', 'sharedConnections');
+  
+  for (const selector of sharedSelectors) {
+    const sharedElement = card.querySelector(selector);
+    if (sharedElement && sharedElement.textContent.includes('shared')) {
+      return sharedElement.textContent.trim();
+    }
+  }
+  
+  // Look for text that mentions shared connections
+  const allText = card.textContent;
+  const sharedMatch = allText.match(/(\d+) shared connections?/);
+  if (sharedMatch) {
+    return `${sharedMatch[1]} shared connections`;
+  }
+  
+  return '';
+}
+
+/**
+ * Extracts detailed current role information from a card
+ * @param {Element} card The lead card element
+ * @returns {Object} Object with title and company properties
+ */
+function extractCurrentRoleInfo(card) {
+  const result = { title: '', company: '' };
+  
+  try {
+    // Get the full text content of the card
+    const cardText = card.textContent || card.innerText;
+    
+    // Check if the card contains "Current:" text
+    if (cardText.includes('Current:')) {
+      console.log('Found card with Current: info');
+      
+      // Try to find the specific element that contains "Current:"
+      let currentElement = null;
+      
+      // Try various selectors that might contain the current role info
+      const selectors = getSelectors('common', 'currentRole');
+      
+      for (const selector of selectors) {
+        const elements = card.querySelectorAll(selector);
+        for (const el of elements) {
+          const text = el.textContent || el.innerText;
+          if (text.includes('Current:')) {
+            currentElement = el;
+            console.log(`Found Current: element using selector ${selector}`);
+            break;
+          }
+        }
+        if (currentElement) break;
+      }
+      
+      // If we found a specific element, extract from it, otherwise use the whole card text
+      const textToAnalyze = currentElement ? (currentElement.textContent || currentElement.innerText) : cardText;
+      
+      console.log('Text to analyze for Current info:', textToAnalyze);
+      
+      const { title, company } = parseHeadline(textToAnalyze.slice(textToAnalyze.indexOf('Current:')));
+      result.title = title;
+      result.company = company;
+      console.log(`Extracted from Current info: title="${result.title}", company="${result.company}"`);
+    }
+  } catch (error) {
+    console.error('Error extracting current role info:', error);
+  }
+  
+  return result;
+}
+
+/**
+ * Directly extracts title and company from main headline/subtitle
+ * @param {Element} card The lead card element
+ * @returns {Object} Object with title and company properties
+ */
+function extractMainHeadlineInfo(card) {
+  const result = { title: '', company: '' };
+  
+  try {
+    // First check for the "Current: " pattern as shown in the screenshot
+    const allElements = card.querySelectorAll('div, p, span');
+    for (const element of allElements) {
+      const text = element.innerText || element.textContent;
+      if (text && text.trim().startsWith('Current:')) {
+        const currentText = text.trim();
+        console.log(`Found Current text: "${currentText}"`);
+        
+        const currentInfo = parseHeadline(currentText);
+        if (currentInfo.company) {
+          result.title = currentInfo.title;
+          result.company = currentInfo.company;
+          console.log(`Extracted from Current pattern: title="${result.title}", company="${result.company}"`);
+          return result;
+        }
+        
+        // If the current role names no company, at least use its title
+        result.title = currentInfo.title;
+        console.log(`Using text after Current: as title: "${result.title}"`);
+        break;
+      }
+    }
+    
+    // If we didn't find a Current: pattern, proceed with the headline
+    const headline = extractHeadline(card);
+    if (headline) {
+      const headlineInfo = parseHeadline(headline);
+      if (headlineInfo.company || !result.title) {
+        result.title = headlineInfo.title;
+        result.company = headlineInfo.company;
+        console.log(`Split headline into title: "${result.title}" and company: "${result.company}"`);
+      }
+    }
+  } catch (error) {
+    console.error('Error extracting headline info:', error);
+  }
+  
+  return result;
+}
+
+/**
+ * Extracts the headline shown under the person's name
+ * @param {Element} card The lead card element
+ * @returns {string} Headline with whitespace collapsed, or '' if none was found
+ */
+function extractHeadline(card) {
+  // List of possible selectors for the headline containing "Title at Company"
+  const headlineSelectors = getSelectors('common', 'headline');
+  
+  for (const selector of headlineSelectors) {
+    try {
+      const element = card.querySelector(selector);
+      const headlineText = element ? (element.innerText || element.textContent) : '';
+      if (headlineText && headlineText.trim()) {
+        console.log(`Found headline text: "${headlineText.trim()}" using selector: ${selector}`);
+        return headlineText.replace(/\s+/g, ' ').trim();
+      }
+    } catch (error) {
+      console.error(`Error extracting headline with selector ${selector}:`, error);
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Filters a list of elements to include only those that are likely to be actual profile cards
+ * @param {Array} elements List of DOM elements to filter
+ * @returns {Array} Filtered list containing only likely profile cards
+ */
+function filterProfileCards(elements) {
+  // Check if we're on Sales Navigator
+  const isSalesNavigator = window.location.href.includes('linkedin.com/sales/');
+  
+  return Array.from(elements).filter(card => {
+    try {
+      const { score, threshold, accepted, checks } = scoreProfileCard(card, isSalesNavigator);
+      
+      // Log the details for debugging purposes
+      console.log(`Card score: ${score}/12 (needs ${threshold}), hasProfileLink: ${checks.hasProfileLink}, hasTitleElement: ${checks.hasTitleElement}, hasCardStructure: ${checks.hasCardStructure}, hasSalesNavElements: ${checks.hasSalesNavElements}`);
+      
+      return accepted;
+    } catch (error) {
+      console.error('Error filtering profile card:', error);
+      return false;
+    }
+  });
+}
+
+/**
+ * Scores how much an element looks like a profile card
+ * @param {Element} card The candidate element
+ * @param {boolean} isSalesNavigator Whether the page is a Sales Navigator page
+ * @returns {Object} Object with score, threshold, accepted and checks (each check's result) properties
+ */
+function scoreProfileCard(card, isSalesNavigator) {
+  // Check if the card contains elements we'd expect in a profile card
+  
+  // 1. Should have a link to a profile or a sales lead
+  const hasProfileLink = !!card.querySelector('a[href*="/in/"]') || 
+                         (isSalesNavigator && !!card.querySelector('a[href*="/sales/lead/"]')) ||
+                         (isSalesNavigator && !!card.querySelector('a[href*="/sales/people/"]'));
+  
+  // 2. Should have at least some text content
+  const hasText = !!card.textContent && card.textContent.trim().length > 20;
+  
+  // 3. Should have some structure - look for typical elements in profile cards
+  const hasTitleElement = !!card.querySelector(
+    '[class*="subtitle"], [class*="headline"], [class*="title"], ' +
+    '[class*="result-lockup__position"], [class*="customer-title"]'
+  );
+  
+  // 4. Should have certain classes or tags that indicate it's a card
+  const hasCardStructure = 
+    card.tagName === 'LI' || 
+    card.classList.contains('entity-result') || 
+    card.classList.contains('artdeco-entity-lockup') ||
+    card.classList.contains('search-result') ||
+    card.classList.contains('reusable-search__result-container') ||
+    card.classList.contains('artdeco-card') ||
+    (isSalesNavigator && card.classList.contains('result-lockup')) ||
+    (isSalesNavigator && card.classList.contains('search-results__result-item'));
+  
+  // 5. Should not be too small
+  const hasReasonableSize = card.clientHeight > 40 && card.clientWidth > 50;
+  
+  // 6. Should have an image (like a profile picture) or some structured data
+  const hasProfileImage = !!card.querySelector('img, .artdeco-entity-lockup__image, .ghost-person');
+  
+  // 7. For Sales Navigator, check for specific elements
+  const hasSalesNavElements = !isSalesNavigator || (
+    !!card.querySelector('.result-lockup__name, .customer-name, .artdeco-entity-lockup__title') ||
+    !!card.querySelector('[data-test-search-result], [data-test-customer-name]')
+  );
+  
+  // Calculate a score based on these factors - the higher the score, the more likely it's a profile card
+  let score = 0;
+  if (hasProfileLink) score += 3;
+  if (hasText) score += 1;
+  if (hasTitleElement) score += 2;
+  if (hasCardStructure) score += 2;
+  if (hasReasonableSize) score += 1;
+  if (hasProfileImage) score += 1;
+  if (hasSalesNavElements) score += 2;
+  
+  // Different thresholds based on page type, set on the options page
+  const threshold = isSalesNavigator ? activeSettings.salesNavigatorCardThreshold : activeSettings.searchCardThreshold;
+  
+  return {
+    score,
+    threshold,
+    // Require a minimum score to consider this a profile card
+    accepted: score >= threshold,
+    checks: {
+      hasProfileLink,
+      hasText,
+      hasTitleElement,
+      hasCardStructure,
+      hasReasonableSize,
+      hasProfileImage,
+      hasSalesNavElements
+    }
+  };
+}
+
+/**
+ * Reads the about, experience, education and skills sections of a profile page
+ * @returns {Object} Object with about, experience, education and skills properties, and
+ *   moreSections listing the sections that show only part of their list
+ */
+function extractProfileDetails() {
+  const aboutSection = findProfileSection('about');
+  const details = {
+    about: aboutSection ? getFirstText(aboutSection, getSelectors('profile', 'aboutText')) : '',
+    moreSections: []
+  };
+  
+  ['experience', 'education', 'skills'].forEach(section => {
+    const sectionElement = findProfileSection(section);
+    details[section] = sectionElement ? extractProfileListSection(section, sectionElement) : [];
+    
+    // Long lists end in a "Show all" link to the section's details page
+    if (sectionElement && sectionElement.querySelector(getSelectors('profile', 'showAllLink').join(', '))) {
+      details.moreSections.push(section);
+    }
+  });
+  
+  console.log(`Profile details: ${details.experience.length} positions, ${details.education.length} schools, ${details.skills.length} skills`);
+  return details;
+}
+
+/**
+ * Reads the whole list of a profile details page, such as /in/<name>/details/experience/
+ * @param {string} section 'experience', 'education' or 'skills'
+ * @returns {Array} The section's entries, see extractProfileListSection()
+ */
+function extractProfileDetailsPage(section) {
+  const list = document.querySelector(getSelectors('profile', 'detailsList').join(', '));
+  return list ? extractProfileListSection(section, list) : [];
+}
+
+/**
+ * Finds a section of a profile page by its anchor
+ * @param {string} section 'about', 'experience', 'education' or 'skills'
+ * @returns {Element|null} The section element, or null if the profile doesn't show it
+ */
+function findProfileSection(section) {
+  for (const selector of getSelectors('profile', `${section}Section`)) {
+    const anchor = document.querySelector(selector);
+    if (anchor) return anchor.closest('section') || anchor;
+  }
+  return null;
+}
+
+/**
+ * Reads the entries of a profile section's list
+ * @param {string} section 'experience', 'education' or 'skills'
+ * @param {Element} container The section or the details page list
+ * @returns {Array} Positions for experience, schools for education, skill names for skills
+ */
+function extractProfileListSection(section, container) {
+  const items = findProfileListItems(container).map(readProfileListItem).filter(item => item.title);
+  
+  if (section === 'experience') {
+    return items.flatMap(parseExperienceItem);
+  }
+  
+  if (section === 'education') {
+    return items.map(item => ({
+      school: item.title,
+      degree: item.subtitle,
+      dateRange: item.captions[0] || ''
+    }));
+  }
+  
+  return items.map(item => item.title);
+}
+
+/**
+ * Finds the top-level entries of a profile list, leaving out the entries nested in them
+ * @param {Element} container The section or list to search
+ * @returns {Array} List item elements
+ */
+function findProfileListItems(container) {
+  const itemSelector = getSelectors('profile', 'listItem').join(', ');
+  return Array.from(container.querySelectorAll(itemSelector)).filter(item => {
+    const parentItem = item.parentElement.closest(itemSelector);
+    return !parentItem || !container.contains(parentItem);
+  });
+}
+
+/**
+ * Reads the lines of a profile list entry. An entry holding several positions at one company
+ * lists them as nested entries.
+ * @param {Element} item The list item
+ * @returns {Object} Object with title, subtitle, captions (dates and location), description
+ *   and subItems (nested entries, read the same way) properties
+ */
+function readProfileListItem(item) {
+  const itemSelector = getSelectors('profile', 'listItem').join(', ');
+  const titleSelector = getSelectors('profile', 'itemTitle').join(', ');
+  const nestedItems = Array.from(item.querySelectorAll(itemSelector))
+    .filter(nested => nested.parentElement.closest(itemSelector) === item);
+  
+  // Nested entries without a title of their own hold the entry's description
+  const isOwnLine = element => {
+    const owner = element.closest(itemSelector);
+    return owner === item || (nestedItems.includes(owner) && !owner.querySelector(titleSelector));
+  };
+  
+  const getOwnTexts = field => {
+    for (const selector of getSelectors('profile', field)) {
+      const texts = Array.from(item.querySelectorAll(selector))
+        .filter(element => element.closest(itemSelector) === item)
+        .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+        .filter(text => text);
+      if (texts.length > 0) return texts;
+    }
+    return [];
+  };
+  
+  const descriptions = [];
+  for (const selector of getSelectors('profile', 'itemDescription')) {
+    Array.from(item.querySelectorAll(selector)).filter(isOwnLine).forEach(element => {
+      const text = element.textContent.replace(/\s+/g, ' ').trim();
+      // LinkedIn lists the skills used in a position below its description
+      if (text && !/^Skills:/.test(text)) descriptions.push(text);
+    });
+    if (descriptions.length > 0) break;
+  }
+  
+  return {
+    title: getOwnTexts('itemTitle')[0] || '',
+    subtitle: getOwnTexts('itemSubtitle')[0] || '',
+    captions: getOwnTexts('itemCaption'),
+    description: descriptions.join('\n'),
+    subItems: nestedItems
+      .filter(nested => nested.querySelector(titleSelector))
+      .map(readProfileListItem)
+  };
+}
+
+/**
+ * Turns an experience entry into positions. A company with several positions lists the
+ * company as the entry and each position as a nested entry.
+ * @param {Object} item Entry as read by readProfileListItem()
+ * @returns {Array} Positions with title, company, employmentType, dateRange, location and description properties
+ */
+function parseExperienceItem(item) {
+  // "Jan 2020 - Present · 4 yrs 2 mos" keeps the dates, "Acme · Full-time" splits into company and type
+  const readDates = caption => (caption || '').split(' · ')[0];
+  
+  if (item.subItems.length > 0) {
+    // The company's own lines are the total time there, e.g. "Full-time · 6 yrs", and its location
+    const companyLines = item.subtitle.split(' · ');
+    const companyEmploymentType = companyLines.length > 1 ? companyLines[0] : '';
+    return item.subItems.map(position => ({
+      title: position.title,
+      company: item.title,
+      employmentType: position.subtitle.split(' · ')[0] || companyEmploymentType,
+      dateRange: readDates(position.captions[0]),
+      location: position.captions[1] || item.captions[0] || '',
+      description: position.description
+    }));
+  }
+  
+  const [company, employmentType] = item.subtitle.split(' · ');
+  return [{
+    title: item.title,
+    company: company || '',
+    employmentType: employmentType || '',
+    dateRange: readDates(item.captions[0]),
+    location: item.captions[1] || '',
+    description: item.description
+  }];
+}
+
+/**
+ * Reads the contact info dialog of a profile (/in/<name>/overlay/contact-info/). Only what
+ * LinkedIn shows the signed-in user is there to read.
+ * @returns {Object} Object with emails, phones, websites, twitter, address and birthday properties
+ */
+function extractContactInfo() {
+  // How the dialog's section headers map to contact info fields
+  const fieldsByHeader = [
+    [/e-?mail/i, 'emails'],
+    [/phone/i, 'phones'],
+    [/website/i, 'websites'],
+    [/twitter/i, 'twitter'],
+    [/address/i, 'address'],
+    [/birthday/i, 'birthday']
+  ];
+  const contactInfo = { emails: [], phones: [], websites: [] };
+  const dialog = document.querySelector(getSelectors('profile', 'contactInfo').join(', '));
+  if (!dialog) return contactInfo;
+  
+  dialog.querySelectorAll(getSelectors('profile', 'contactSection').join(', ')).forEach(section => {
+    const header = getFirstText(section, getSelectors('profile', 'contactHeader'));
+    const match = fieldsByHeader.find(([pattern]) => pattern.test(header));
+    if (!match) return;
+    
+    const values = readContactValues(section);
+    const field = match[1];
+    if (Array.isArray(contactInfo[field])) {
+      contactInfo[field].push(...values);
+    } else {
+      contactInfo[field] = values[0] || '';
+    }
+  });
+  
+  return contactInfo;
+}
+
+/**
+ * Reads the values of a contact info section: link targets for emails and websites, the text otherwise
+ * @param {Element} section The contact info section
+ * @returns {Array} Values, in the order shown
+ */
+function readContactValues(section) {
+  for (const selector of getSelectors('profile', 'contactValue')) {
+    const values = Array.from(section.querySelectorAll(selector)).map(element => {
+      const href = element.getAttribute('href');
+      const text = href ? href.replace(/^(mailto|tel):/, '') : element.textContent;
+      return text.replace(/\s+/g, ' ').trim();
+    }).filter(value => value);
+    if (values.length > 0) return values;
+  }
+  return [];
+}
+
+/**
+ * Checks whether LinkedIn shows a sign-in page, a security check or the commercial use limit
+ * instead of results
+ * @returns {string|null} A key of PAGE_BLOCKS, or null if the page isn't blocked
+ */
+function detectPageBlock() {
+  const urlBlock = detectPageBlockFromUrl(window.location.href);
+  if (urlBlock) return urlBlock;
+  
+  const markupBlock = Object.keys(PAGE_BLOCKS).find(blockType => {
+    const selectors = getSelectors('common', blockType);
+    return selectors.length > 0 && !!document.querySelector(selectors.join(', '));
+  });
+  if (markupBlock) return markupBlock;
+  
+  // The commercial use limit can also be a plain notice above the results, only recognizable by its wording.
+  // Only notices are read so a post that mentions the limit isn't mistaken for it.
+  const notices = document.querySelectorAll(getSelectors('common', 'notice').join(', '));
+  const limitReached = Array.from(notices).some(notice => {
+    return PAGE_BLOCKS.commercialUseLimit.textPattern.test(notice.textContent || '');
+  });
+  return limitReached ? 'commercialUseLimit' : null;
+}
+
+// Export the extractors when loaded outside the extension, e.g. by the fixture tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findRegularLinkedInCards,
+    extractRegularLinkedInLead,
+    extractName,
+    extractProfileUrl,
+    extractTitle,
+    extractCompany,
+    extractLocation,
+    findNavigatorCards,
+    extractNavigatorLead,
+    findNavigatorAccountCards,
+    extractNavigatorAccount,
+    parseHeadcountRange,
+    findCompanySearchCards,
+    extractCompanySearchResult,
+    parseFollowerCount,
+    findPostSearchCards,
+    extractPostSearchResult,
+    extractPostUrl,
+    parseReactionCount,
+    parseCount,
+    findProfileListCards,
+    extractProfileListLead,
+    splitHeadline,
+    extractConnectionDegree,
+    extractSharedConnections,
+    extractCurrentRoleInfo,
+    extractMainHeadlineInfo,
+    extractHeadline,
+    filterProfileCards,
+    scoreProfileCard,
+    extractProfileDetails,
+    extractProfileDetailsPage,
+    findProfileSection,
+    extractProfileListSection,
+    readProfileListItem,
+    parseExperienceItem,
+    extractContactInfo,
+    detectPageBlock
+  };
+}
\ No newline at end of file
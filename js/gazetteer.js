@@ -0,0 +1,527 @@
+/**
+ * Gazetteer for LinkedIn Scraper
+ * The countries, regions, cities and metro areas location-parser.js resolves locations against,
+ * bundled so locations are normalized without any network lookup. Names are written the way
+ * exports show them; aliases are other spellings and names in the local language. Matching ignores
+ * case, accents and punctuation, so "Sao Paulo" needs no alias next to "São Paulo".
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+// [ISO 3166-1 alpha-2 code, name, ...aliases]
+var GAZETTEER_COUNTRIES = [
+  ['AE', 'United Arab Emirates', 'UAE', 'U.A.E.', 'Emirates'],
+  ['AR', 'Argentina'],
+  ['AT', 'Austria', 'Österreich'],
+  ['AU', 'Australia'],
+  ['BD', 'Bangladesh'],
+  ['BE', 'Belgium', 'België', 'Belgique', 'Belgien'],
+  ['BG', 'Bulgaria', 'България'],
+  ['BR', 'Brazil', 'Brasil'],
+  ['CA', 'Canada'],
+  ['CH', 'Switzerland', 'Schweiz', 'Suisse', 'Svizzera'],
+  ['CL', 'Chile'],
+  ['CN', 'China', "People's Republic of China", '中国'],
+  ['CO', 'Colombia'],
+  ['CR', 'Costa Rica'],
+  ['CY', 'Cyprus'],
+  ['CZ', 'Czechia', 'Czech Republic', 'Česko', 'Česká republika'],
+  ['DE', 'Germany', 'Deutschland'],
+  ['DK', 'Denmark', 'Danmark'],
+  ['DO', 'Dominican Republic', 'República Dominicana'],
+  ['DZ', 'Algeria', 'Algérie'],
+  ['EC', 'Ecuador'],
+  ['EE', 'Estonia', 'Eesti'],
+  ['EG', 'Egypt', 'مصر'],
+  ['ES', 'Spain', 'España'],
+  ['ET', 'Ethiopia'],
+  ['FI', 'Finland', 'Suomi'],
+  ['FR', 'France'],
+  ['GB', 'United Kingdom', 'UK', 'U.K.', 'Great Britain', 'Britain'],
+  ['GE', 'Georgia'],
+  ['GH', 'Ghana'],
+  ['GR', 'Greece', 'Ελλάδα'],
+  ['GT', 'Guatemala'],
+  ['HK', 'Hong Kong', 'Hong Kong SAR', '香港'],
+  ['HR', 'Croatia', 'Hrvatska'],
+  ['HU', 'Hungary', 'Magyarország'],
+  ['ID', 'Indonesia'],
+  ['IE', 'Ireland', 'Republic of Ireland', 'Éire'],
+  ['IL', 'Israel', 'ישראל'],
+  ['IN', 'India', 'भारत'],
+  ['IS', 'Iceland', 'Ísland'],
+  ['IT', 'Italy', 'Italia'],
+  ['JM', 'Jamaica'],
+  ['JO', 'Jordan'],
+  ['JP', 'Japan', '日本'],
+  ['KE', 'Kenya'],
+  ['KR', 'South Korea', 'Korea', 'Republic of Korea', '대한민국'],
+  ['KW', 'Kuwait'],
+  ['KZ', 'Kazakhstan'],
+  ['LB', 'Lebanon'],
+  ['LK', 'Sri Lanka'],
+  ['LT', 'Lithuania', 'Lietuva'],
+  ['LU', 'Luxembourg'],
+  ['LV', 'Latvia', 'Latvija'],
+  ['MA', 'Morocco', 'Maroc'],
+  ['MT', 'Malta'],
+  ['MX', 'Mexico', 'México'],
+  ['MY', 'Malaysia'],
+  ['NG', 'Nigeria'],
+  ['NL', 'Netherlands', 'The Netherlands', 'Nederland', 'Holland'],
+  ['NO', 'Norway', 'Norge'],
+  ['NP', 'Nepal'],
+  ['NZ', 'New Zealand', 'Aotearoa'],
+  ['OM', 'Oman'],
+  ['PA', 'Panama', 'Panamá'],
+  ['PE', 'Peru', 'Perú'],
+  ['PH', 'Philippines'],
+  ['PK', 'Pakistan'],
+  ['PL', 'Poland', 'Polska'],
+  ['PR', 'Puerto Rico'],
+  ['PT', 'Portugal'],
+  ['QA', 'Qatar'],
+  ['RO', 'Romania', 'România'],
+  ['RS', 'Serbia', 'Srbija'],
+  ['RU', 'Russia', 'Russian Federation', 'Россия'],
+  ['RW', 'Rwanda'],
+  ['SA', 'Saudi Arabia', 'KSA', 'Kingdom of Saudi Arabia'],
+  ['SE', 'Sweden', 'Sverige'],
+  ['SG', 'Singapore'],
+  ['SI', 'Slovenia', 'Slovenija'],
+  ['SK', 'Slovakia', 'Slovensko'],
+  ['SN', 'Senegal', 'Sénégal'],
+  ['TH', 'Thailand'],
+  ['TN', 'Tunisia', 'Tunisie'],
+  ['TR', 'Türkiye', 'Turkey', 'Turkiye'],
+  ['TW', 'Taiwan', '台灣'],
+  ['TZ', 'Tanzania'],
+  ['UA', 'Ukraine', 'Україна'],
+  ['UG', 'Uganda'],
+  ['US', 'United States', 'USA', 'U.S.A.', 'U.S.', 'United States of America', 'America', 'Estados Unidos'],
+  ['UY', 'Uruguay'],
+  ['VE', 'Venezuela'],
+  ['VN', 'Vietnam', 'Viet Nam', 'Việt Nam'],
+  ['ZA', 'South Africa', 'Suid-Afrika']
+];
+
+// [country code, name, ...aliases]. Where two regions share an alias (WA is Washington and
+// Western Australia), the one the city is in wins, then the country, then the one listed first.
+var GAZETTEER_REGIONS = [
+  ['US', 'Alabama', 'AL'], ['US', 'Alaska', 'AK'], ['US', 'Arizona', 'AZ'], ['US', 'Arkansas', 'AR'],
+  ['US', 'California', 'CA', 'Calif'], ['US', 'Colorado', 'CO'], ['US', 'Connecticut', 'CT'],
+  ['US', 'Delaware', 'DE'], ['US', 'District of Columbia', 'DC', 'D.C.'], ['US', 'Florida', 'FL'],
+  ['US', 'Georgia', 'GA'], ['US', 'Hawaii', 'HI'], ['US', 'Idaho', 'ID'], ['US', 'Illinois', 'IL'],
+  ['US', 'Indiana', 'IN'], ['US', 'Iowa', 'IA'], ['US', 'Kansas', 'KS'], ['US', 'Kentucky', 'KY'],
+  ['US', 'Louisiana', 'LA'], ['US', 'Maine', 'ME'], ['US', 'Maryland', 'MD'], ['US', 'Massachusetts', 'MA'],
+  ['US', 'Michigan', 'MI'], ['US', 'Minnesota', 'MN'], ['US', 'Mississippi', 'MS'], ['US', 'Missouri', 'MO'],
+  ['US', 'Montana', 'MT'], ['US', 'Nebraska', 'NE'], ['US', 'Nevada', 'NV'], ['US', 'New Hampshire', 'NH'],
+  ['US', 'New Jersey', 'NJ'], ['US', 'New Mexico', 'NM'], ['US', 'New York', 'NY'],
+  ['US', 'North Carolina', 'NC'], ['US', 'North Dakota', 'ND'], ['US', 'Ohio', 'OH'], ['US', 'Oklahoma', 'OK'],
+  ['US', 'Oregon', 'OR'], ['US', 'Pennsylvania', 'PA'], ['US', 'Rhode Island', 'RI'],
+  ['US', 'South Carolina', 'SC'], ['US', 'South Dakota', 'SD'], ['US', 'Tennessee', 'TN'], ['US', 'Texas', 'TX'],
+  ['US', 'Utah', 'UT'], ['US', 'Vermont', 'VT'], ['US', 'Virginia', 'VA'], ['US', 'Washington', 'WA'],
+  ['US', 'West Virginia', 'WV'], ['US', 'Wisconsin', 'WI'], ['US', 'Wyoming', 'WY'],
+  ['CA', 'Alberta', 'AB'], ['CA', 'British Columbia', 'BC'], ['CA', 'Manitoba', 'MB'], ['CA', 'New Brunswick', 'NB'],
+  ['CA', 'Newfoundland and Labrador', 'NL'], ['CA', 'Nova Scotia', 'NS'], ['CA', 'Ontario', 'ON'],
+  ['CA', 'Prince Edward Island', 'PE', 'PEI'], ['CA', 'Quebec', 'QC', 'Québec'], ['CA', 'Saskatchewan', 'SK'],
+  ['CA', 'Northwest Territories', 'NT'], ['CA', 'Nunavut', 'NU'], ['CA', 'Yukon', 'YT'],
+  ['GB', 'England'], ['GB', 'Scotland'], ['GB', 'Wales', 'Cymru'], ['GB', 'Northern Ireland'],
+  ['AU', 'New South Wales', 'NSW'], ['AU', 'Victoria', 'VIC'], ['AU', 'Queensland', 'QLD'],
+  ['AU', 'Western Australia', 'WA'], ['AU', 'South Australia', 'SA'], ['AU', 'Tasmania', 'TAS'],
+  ['AU', 'Australian Capital Territory', 'ACT'], ['AU', 'Northern Territory', 'NT'],
+  ['DE', 'Baden-Württemberg'], ['DE', 'Bavaria', 'Bayern'], ['DE', 'Berlin'], ['DE', 'Brandenburg'],
+  ['DE', 'Bremen'], ['DE', 'Hamburg'], ['DE', 'Hesse', 'Hessen'], ['DE', 'Lower Saxony', 'Niedersachsen'],
+  ['DE', 'Mecklenburg-Western Pomerania', 'Mecklenburg-Vorpommern'],
+  ['DE', 'North Rhine-Westphalia', 'Nordrhein-Westfalen', 'NRW'], ['DE', 'Rhineland-Palatinate', 'Rheinland-Pfalz'],
+  ['DE', 'Saarland'], ['DE', 'Saxony', 'Sachsen'], ['DE', 'Saxony-Anhalt', 'Sachsen-Anhalt'],
+  ['DE', 'Schleswig-Holstein'], ['DE', 'Thuringia', 'Thüringen'],
+  ['FR', 'Île-de-France', 'Ile de France'], ['FR', 'Auvergne-Rhône-Alpes'], ['FR', "Provence-Alpes-Côte d'Azur", 'PACA'],
+  ['FR', 'Occitanie'], ['FR', 'Nouvelle-Aquitaine'], ['FR', 'Hauts-de-France'], ['FR', 'Grand Est'],
+  ['FR', 'Brittany', 'Bretagne'], ['FR', 'Pays de la Loire'], ['FR', 'Normandy', 'Normandie'],
+  ['ES', 'Community of Madrid', 'Comunidad de Madrid'], ['ES', 'Catalonia', 'Cataluña', 'Catalunya'],
+  ['ES', 'Andalusia', 'Andalucía'], ['ES', 'Valencian Community', 'Comunidad Valenciana'], ['ES', 'Basque Country', 'País Vasco', 'Euskadi'],
+  ['IT', 'Lombardy', 'Lombardia'], ['IT', 'Lazio'], ['IT', 'Piedmont', 'Piemonte'], ['IT', 'Emilia-Romagna'],
+  ['IT', 'Veneto'], ['IT', 'Tuscany', 'Toscana'], ['IT', 'Campania'], ['IT', 'Sicily', 'Sicilia'],
+  ['NL', 'North Holland', 'Noord-Holland'], ['NL', 'South Holland', 'Zuid-Holland'], ['NL', 'Utrecht'],
+  ['NL', 'North Brabant', 'Noord-Brabant'], ['NL', 'Gelderland'],
+  ['CH', 'Zurich', 'Zürich'], ['CH', 'Geneva', 'Genève'], ['CH', 'Vaud'], ['CH', 'Basel-City', 'Basel-Stadt'], ['CH', 'Bern'],
+  ['IN', 'Maharashtra'], ['IN', 'Karnataka'], ['IN', 'Tamil Nadu'], ['IN', 'Telangana'], ['IN', 'Delhi', 'NCT of Delhi'],
+  ['IN', 'Haryana'], ['IN', 'Uttar Pradesh', 'UP'], ['IN', 'Gujarat'], ['IN', 'West Bengal'], ['IN', 'Kerala'],
+  ['IN', 'Rajasthan'], ['IN', 'Punjab'], ['IN', 'Andhra Pradesh'], ['IN', 'Madhya Pradesh'], ['IN', 'Odisha'],
+  ['PK', 'Punjab'], ['PK', 'Sindh'], ['PK', 'Khyber Pakhtunkhwa'], ['PK', 'Islamabad Capital Territory'],
+  ['BR', 'São Paulo', 'SP'], ['BR', 'Rio de Janeiro', 'RJ'], ['BR', 'Minas Gerais', 'MG'], ['BR', 'Paraná', 'PR'],
+  ['BR', 'Rio Grande do Sul', 'RS'], ['BR', 'Santa Catarina', 'SC'], ['BR', 'Bahia', 'BA'], ['BR', 'Pernambuco', 'PE'],
+  ['BR', 'Federal District', 'Distrito Federal', 'DF'], ['BR', 'Ceará', 'CE'], ['BR', 'Goiás', 'GO'],
+  ['MX', 'Mexico City', 'Ciudad de México', 'CDMX'], ['MX', 'Jalisco'], ['MX', 'Nuevo León'], ['MX', 'State of Mexico', 'Estado de México'],
+  ['AR', 'Buenos Aires'], ['AR', 'Córdoba'], ['AR', 'Santa Fe'],
+  ['CN', 'Beijing'], ['CN', 'Shanghai'], ['CN', 'Guangdong'], ['CN', 'Zhejiang'], ['CN', 'Jiangsu'], ['CN', 'Sichuan'],
+  ['JP', 'Tokyo'], ['JP', 'Osaka'], ['JP', 'Kanagawa'], ['JP', 'Aichi'], ['JP', 'Fukuoka'], ['JP', 'Hokkaido'],
+  ['NG', 'Lagos'], ['NG', 'Federal Capital Territory', 'FCT', 'Abuja FCT'], ['NG', 'Rivers'], ['NG', 'Oyo'],
+  ['ZA', 'Gauteng'], ['ZA', 'Western Cape'], ['ZA', 'KwaZulu-Natal'], ['ZA', 'Eastern Cape'],
+  ['KE', 'Nairobi County'], ['KE', 'Mombasa County'],
+  ['IE', 'County Dublin', 'Dublin'], ['IE', 'County Cork', 'Cork'], ['IE', 'County Galway', 'Galway'],
+  ['NZ', 'Auckland'], ['NZ', 'Wellington'], ['NZ', 'Canterbury'],
+  ['AE', 'Dubai'], ['AE', 'Abu Dhabi'], ['AE', 'Sharjah'],
+  ['SA', 'Riyadh Region'], ['SA', 'Makkah Region', 'Mecca Region'], ['SA', 'Eastern Province']
+];
+
+// [name, region, country code, ...aliases]. Where two cities share a name, the one listed first
+// wins unless the region or country says otherwise.
+var GAZETTEER_CITIES = [
+  // United States
+  ['New York', 'New York', 'US', 'New York City', 'NYC', 'Manhattan'],
+  ['Brooklyn', 'New York', 'US'],
+  ['Los Angeles', 'California', 'US', 'LA'],
+  ['San Francisco', 'California', 'US', 'SF'],
+  ['San Jose', 'California', 'US'],
+  ['San Diego', 'California', 'US'],
+  ['Palo Alto', 'California', 'US'],
+  ['Mountain View', 'California', 'US'],
+  ['Menlo Park', 'California', 'US'],
+  ['Sunnyvale', 'California', 'US'],
+  ['Santa Clara', 'California', 'US'],
+  ['Cupertino', 'California', 'US'],
+  ['Oakland', 'California', 'US'],
+  ['Berkeley', 'California', 'US'],
+  ['Sacramento', 'California', 'US'],
+  ['Irvine', 'California', 'US'],
+  ['Santa Monica', 'California', 'US'],
+  ['Chicago', 'Illinois', 'US'],
+  ['Houston', 'Texas', 'US'],
+  ['Dallas', 'Texas', 'US'],
+  ['Austin', 'Texas', 'US'],
+  ['San Antonio', 'Texas', 'US'],
+  ['Fort Worth', 'Texas', 'US'],
+  ['Phoenix', 'Arizona', 'US'],
+  ['Scottsdale', 'Arizona', 'US'],
+  ['Philadelphia', 'Pennsylvania', 'US'],
+  ['Pittsburgh', 'Pennsylvania', 'US'],
+  ['Boston', 'Massachusetts', 'US'],
+  ['Cambridge', 'England', 'GB'],
+  ['Cambridge', 'Massachusetts', 'US'],
+  ['Seattle', 'Washington', 'US'],
+  ['Bellevue', 'Washington', 'US'],
+  ['Redmond', 'Washington', 'US'],
+  ['Washington', 'District of Columbia', 'US', 'Washington DC', 'Washington D.C.'],
+  ['Arlington', 'Virginia', 'US'],
+  ['Baltimore', 'Maryland', 'US'],
+  ['Atlanta', 'Georgia', 'US'],
+  ['Miami', 'Florida', 'US'],
+  ['Orlando', 'Florida', 'US'],
+  ['Tampa', 'Florida', 'US'],
+  ['Jacksonville', 'Florida', 'US'],
+  ['Denver', 'Colorado', 'US'],
+  ['Boulder', 'Colorado', 'US'],
+  ['Minneapolis', 'Minnesota', 'US'],
+  ['Saint Paul', 'Minnesota', 'US', 'St. Paul'],
+  ['Detroit', 'Michigan', 'US'],
+  ['Ann Arbor', 'Michigan', 'US'],
+  ['Nashville', 'Tennessee', 'US'],
+  ['Memphis', 'Tennessee', 'US'],
+  ['Charlotte', 'North Carolina', 'US'],
+  ['Raleigh', 'North Carolina', 'US'],
+  ['Durham', 'North Carolina', 'US'],
+  ['Portland', 'Oregon', 'US'],
+  ['Las Vegas', 'Nevada', 'US'],
+  ['Salt Lake City', 'Utah', 'US'],
+  ['Columbus', 'Ohio', 'US'],
+  ['Cleveland', 'Ohio', 'US'],
+  ['Cincinnati', 'Ohio', 'US'],
+  ['Indianapolis', 'Indiana', 'US'],
+  ['Kansas City', 'Missouri', 'US'],
+  ['St. Louis', 'Missouri', 'US', 'Saint Louis'],
+  ['Milwaukee', 'Wisconsin', 'US'],
+  ['New Orleans', 'Louisiana', 'US'],
+  ['Honolulu', 'Hawaii', 'US'],
+  ['Newark', 'New Jersey', 'US'],
+  ['Jersey City', 'New Jersey', 'US'],
+  ['Hoboken', 'New Jersey', 'US'],
+  ['Stamford', 'Connecticut', 'US'],
+  ['Providence', 'Rhode Island', 'US'],
+  ['Richmond', 'Virginia', 'US'],
+  ['Albuquerque', 'New Mexico', 'US'],
+  ['Omaha', 'Nebraska', 'US'],
+  ['Louisville', 'Kentucky', 'US'],
+  ['Oklahoma City', 'Oklahoma', 'US'],
+  ['Anchorage', 'Alaska', 'US'],
+  ['Boise', 'Idaho', 'US'],
+  ['San Juan', '', 'PR'],
+  // Canada
+  ['Toronto', 'Ontario', 'CA'],
+  ['Ottawa', 'Ontario', 'CA'],
+  ['Mississauga', 'Ontario', 'CA'],
+  ['Waterloo', 'Ontario', 'CA'],
+  ['Montreal', 'Quebec', 'CA', 'Montréal'],
+  ['Quebec City', 'Quebec', 'CA', 'Québec City', 'Ville de Québec'],
+  ['Vancouver', 'British Columbia', 'CA'],
+  ['Victoria', 'British Columbia', 'CA'],
+  ['Calgary', 'Alberta', 'CA'],
+  ['Edmonton', 'Alberta', 'CA'],
+  ['Winnipeg', 'Manitoba', 'CA'],
+  ['Halifax', 'Nova Scotia', 'CA'],
+  // Latin America
+  ['Mexico City', 'Mexico City', 'MX', 'Ciudad de México', 'CDMX'],
+  ['Guadalajara', 'Jalisco', 'MX'],
+  ['Monterrey', 'Nuevo León', 'MX'],
+  ['São Paulo', 'São Paulo', 'BR', 'Sampa'],
+  ['Rio de Janeiro', 'Rio de Janeiro', 'BR'],
+  ['Belo Horizonte', 'Minas Gerais', 'BR'],
+  ['Curitiba', 'Paraná', 'BR'],
+  ['Porto Alegre', 'Rio Grande do Sul', 'BR'],
+  ['Florianópolis', 'Santa Catarina', 'BR'],
+  ['Brasília', 'Federal District', 'BR'],
+  ['Recife', 'Pernambuco', 'BR'],
+  ['Salvador', 'Bahia', 'BR'],
+  ['Campinas', 'São Paulo', 'BR'],
+  ['Buenos Aires', 'Buenos Aires', 'AR', 'CABA'],
+  ['Córdoba', 'Córdoba', 'AR'],
+  ['Santiago', '', 'CL', 'Santiago de Chile'],
+  ['Bogotá', '', 'CO', 'Bogota D.C.'],
+  ['Medellín', '', 'CO'],
+  ['Lima', '', 'PE'],
+  ['Quito', '', 'EC'],
+  ['Montevideo', '', 'UY'],
+  ['Caracas', '', 'VE'],
+  ['San José', '', 'CR'],
+  ['Panama City', '', 'PA', 'Ciudad de Panamá'],
+  ['Santo Domingo', '', 'DO'],
+  ['Kingston', '', 'JM'],
+  ['Guatemala City', '', 'GT', 'Ciudad de Guatemala'],
+  // United Kingdom and Ireland
+  ['London', 'England', 'GB'],
+  ['Manchester', 'England', 'GB'],
+  ['Birmingham', 'England', 'GB'],
+  ['Leeds', 'England', 'GB'],
+  ['Liverpool', 'England', 'GB'],
+  ['Bristol', 'England', 'GB'],
+  ['Oxford', 'England', 'GB'],
+  ['Newcastle upon Tyne', 'England', 'GB', 'Newcastle'],
+  ['Sheffield', 'England', 'GB'],
+  ['Nottingham', 'England', 'GB'],
+  ['Reading', 'England', 'GB'],
+  ['Brighton', 'England', 'GB'],
+  ['Edinburgh', 'Scotland', 'GB'],
+  ['Glasgow', 'Scotland', 'GB'],
+  ['Aberdeen', 'Scotland', 'GB'],
+  ['Cardiff', 'Wales', 'GB'],
+  ['Belfast', 'Northern Ireland', 'GB'],
+  ['Dublin', 'County Dublin', 'IE', 'Baile Átha Cliath'],
+  ['Cork', 'County Cork', 'IE'],
+  ['Galway', 'County Galway', 'IE'],
+  // Europe
+  ['Paris', 'Île-de-France', 'FR'],
+  ['Lyon', 'Auvergne-Rhône-Alpes', 'FR'],
+  ['Marseille', "Provence-Alpes-Côte d'Azur", 'FR'],
+  ['Toulouse', 'Occitanie', 'FR'],
+  ['Bordeaux', 'Nouvelle-Aquitaine', 'FR'],
+  ['Lille', 'Hauts-de-France', 'FR'],
+  ['Nantes', 'Pays de la Loire', 'FR'],
+  ['Nice', "Provence-Alpes-Côte d'Azur", 'FR'],
+  ['Berlin', 'Berlin', 'DE'],
+  ['Munich', 'Bavaria', 'DE', 'München'],
+  ['Hamburg', 'Hamburg', 'DE'],
+  ['Frankfurt', 'Hesse', 'DE', 'Frankfurt am Main'],
+  ['Cologne', 'North Rhine-Westphalia', 'DE', 'Köln'],
+  ['Düsseldorf', 'North Rhine-Westphalia', 'DE'],
+  ['Stuttgart', 'Baden-Württemberg', 'DE'],
+  ['Leipzig', 'Saxony', 'DE'],
+  ['Dresden', 'Saxony', 'DE'],
+  ['Hanover', 'Lower Saxony', 'DE', 'Hannover'],
+  ['Nuremberg', 'Bavaria', 'DE', 'Nürnberg'],
+  ['Karlsruhe', 'Baden-Württemberg', 'DE'],
+  ['Bremen', 'Bremen', 'DE'],
+  ['Vienna', '', 'AT', 'Wien'],
+  ['Graz', '', 'AT'],
+  ['Zurich', 'Zurich', 'CH', 'Zürich'],
+  ['Geneva', 'Geneva', 'CH', 'Genève', 'Genf'],
+  ['Basel', 'Basel-City', 'CH'],
+  ['Bern', 'Bern', 'CH', 'Berne'],
+  ['Lausanne', 'Vaud', 'CH'],
+  ['Amsterdam', 'North Holland', 'NL'],
+  ['Rotterdam', 'South Holland', 'NL'],
+  ['The Hague', 'South Holland', 'NL', 'Den Haag'],
+  ['Utrecht', 'Utrecht', 'NL'],
+  ['Eindhoven', 'North Brabant', 'NL'],
+  ['Brussels', '', 'BE', 'Bruxelles', 'Brussel'],
+  ['Antwerp', '', 'BE', 'Antwerpen'],
+  ['Ghent', '', 'BE', 'Gent'],
+  ['Luxembourg', '', 'LU', 'Luxembourg City'],
+  ['Madrid', 'Community of Madrid', 'ES'],
+  ['Barcelona', 'Catalonia', 'ES'],
+  ['Valencia', 'Valencian Community', 'ES', 'València'],
+  ['Seville', 'Andalusia', 'ES', 'Sevilla'],
+  ['Málaga', 'Andalusia', 'ES'],
+  ['Bilbao', 'Basque Country', 'ES'],
+  ['Lisbon', '', 'PT', 'Lisboa'],
+  ['Porto', '', 'PT', 'Oporto'],
+  ['Milan', 'Lombardy', 'IT', 'Milano'],
+  ['Rome', 'Lazio', 'IT', 'Roma'],
+  ['Turin', 'Piedmont', 'IT', 'Torino'],
+  ['Bologna', 'Emilia-Romagna', 'IT'],
+  ['Florence', 'Tuscany', 'IT', 'Firenze'],
+  ['Naples', 'Campania', 'IT', 'Napoli'],
+  ['Venice', 'Veneto', 'IT', 'Venezia'],
+  ['Copenhagen', '', 'DK', 'København'],
+  ['Aarhus', '', 'DK', 'Århus'],
+  ['Stockholm', '', 'SE'],
+  ['Gothenburg', '', 'SE', 'Göteborg'],
+  ['Malmö', '', 'SE'],
+  ['Oslo', '', 'NO'],
+  ['Bergen', '', 'NO'],
+  ['Helsinki', '', 'FI'],
+  ['Espoo', '', 'FI'],
+  ['Reykjavik', '', 'IS', 'Reykjavík'],
+  ['Tallinn', '', 'EE'],
+  ['Riga', '', 'LV', 'Rīga'],
+  ['Vilnius', '', 'LT'],
+  ['Warsaw', '', 'PL', 'Warszawa'],
+  ['Kraków', '', 'PL', 'Krakow', 'Cracow'],
+  ['Wrocław', '', 'PL'],
+  ['Gdańsk', '', 'PL'],
+  ['Poznań', '', 'PL'],
+  ['Prague', '', 'CZ', 'Praha'],
+  ['Brno', '', 'CZ'],
+  ['Bratislava', '', 'SK'],
+  ['Budapest', '', 'HU'],
+  ['Bucharest', '', 'RO', 'București'],
+  ['Cluj-Napoca', '', 'RO'],
+  ['Sofia', '', 'BG', 'София'],
+  ['Belgrade', '', 'RS', 'Beograd'],
+  ['Zagreb', '', 'HR'],
+  ['Ljubljana', '', 'SI'],
+  ['Athens', '', 'GR', 'Αθήνα'],
+  ['Thessaloniki', '', 'GR'],
+  ['Nicosia', '', 'CY'],
+  ['Limassol', '', 'CY'],
+  ['Valletta', '', 'MT'],
+  ['Istanbul', '', 'TR', 'İstanbul'],
+  ['Ankara', '', 'TR'],
+  ['Izmir', '', 'TR', 'İzmir'],
+  ['Kyiv', '', 'UA', 'Kiev', 'Київ'],
+  ['Lviv', '', 'UA', 'Львів'],
+  ['Kharkiv', '', 'UA'],
+  ['Moscow', '', 'RU', 'Москва'],
+  ['Saint Petersburg', '', 'RU', 'St. Petersburg', 'Санкт-Петербург'],
+  ['Tbilisi', '', 'GE'],
+  ['Almaty', '', 'KZ'],
+  // Middle East and Africa
+  ['Tel Aviv', '', 'IL', 'Tel Aviv-Yafo'],
+  ['Jerusalem', '', 'IL'],
+  ['Haifa', '', 'IL'],
+  ['Dubai', 'Dubai', 'AE'],
+  ['Abu Dhabi', 'Abu Dhabi', 'AE'],
+  ['Sharjah', 'Sharjah', 'AE'],
+  ['Riyadh', 'Riyadh Region', 'SA'],
+  ['Jeddah', 'Makkah Region', 'SA'],
+  ['Dammam', 'Eastern Province', 'SA'],
+  ['Doha', '', 'QA'],
+  ['Kuwait City', '', 'KW'],
+  ['Muscat', '', 'OM'],
+  ['Amman', '', 'JO'],
+  ['Beirut', '', 'LB'],
+  ['Cairo', '', 'EG', 'القاهرة'],
+  ['Alexandria', '', 'EG'],
+  ['Casablanca', '', 'MA'],
+  ['Rabat', '', 'MA'],
+  ['Tunis', '', 'TN'],
+  ['Algiers', '', 'DZ', 'Alger'],
+  ['Lagos', 'Lagos', 'NG'],
+  ['Abuja', 'Federal Capital Territory', 'NG'],
+  ['Port Harcourt', 'Rivers', 'NG'],
+  ['Ibadan', 'Oyo', 'NG'],
+  ['Accra', '', 'GH'],
+  ['Nairobi', 'Nairobi County', 'KE'],
+  ['Mombasa', 'Mombasa County', 'KE'],
+  ['Kampala', '', 'UG'],
+  ['Kigali', '', 'RW'],
+  ['Dar es Salaam', '', 'TZ'],
+  ['Addis Ababa', '', 'ET'],
+  ['Dakar', '', 'SN'],
+  ['Johannesburg', 'Gauteng', 'ZA'],
+  ['Pretoria', 'Gauteng', 'ZA'],
+  ['Cape Town', 'Western Cape', 'ZA'],
+  ['Durban', 'KwaZulu-Natal', 'ZA'],
+  // Asia and Oceania
+  ['Bengaluru', 'Karnataka', 'IN', 'Bangalore'],
+  ['Mumbai', 'Maharashtra', 'IN', 'Bombay'],
+  ['Pune', 'Maharashtra', 'IN'],
+  ['New Delhi', 'Delhi', 'IN', 'Delhi'],
+  ['Gurugram', 'Haryana', 'IN', 'Gurgaon'],
+  ['Noida', 'Uttar Pradesh', 'IN'],
+  ['Hyderabad', 'Telangana', 'IN'],
+  ['Chennai', 'Tamil Nadu', 'IN', 'Madras'],
+  ['Kolkata', 'West Bengal', 'IN', 'Calcutta'],
+  ['Ahmedabad', 'Gujarat', 'IN'],
+  ['Jaipur', 'Rajasthan', 'IN'],
+  ['Kochi', 'Kerala', 'IN', 'Cochin'],
+  ['Chandigarh', 'Punjab', 'IN'],
+  ['Indore', 'Madhya Pradesh', 'IN'],
+  ['Karachi', 'Sindh', 'PK'],
+  ['Lahore', 'Punjab', 'PK'],
+  ['Islamabad', 'Islamabad Capital Territory', 'PK'],
+  ['Dhaka', '', 'BD'],
+  ['Colombo', '', 'LK'],
+  ['Kathmandu', '', 'NP'],
+  ['Singapore', '', 'SG'],
+  ['Kuala Lumpur', '', 'MY', 'KL'],
+  ['Jakarta', '', 'ID'],
+  ['Bangkok', '', 'TH', 'กรุงเทพมหานคร'],
+  ['Manila', '', 'PH'],
+  ['Makati', '', 'PH'],
+  ['Cebu City', '', 'PH'],
+  ['Ho Chi Minh City', '', 'VN', 'Saigon', 'Thành phố Hồ Chí Minh'],
+  ['Hanoi', '', 'VN', 'Hà Nội'],
+  ['Hong Kong', '', 'HK'],
+  ['Taipei', '', 'TW', '台北'],
+  ['Beijing', 'Beijing', 'CN', 'Peking', '北京'],
+  ['Shanghai', 'Shanghai', 'CN', '上海'],
+  ['Shenzhen', 'Guangdong', 'CN', '深圳'],
+  ['Guangzhou', 'Guangdong', 'CN', '广州'],
+  ['Hangzhou', 'Zhejiang', 'CN', '杭州'],
+  ['Chengdu', 'Sichuan', 'CN', '成都'],
+  ['Suzhou', 'Jiangsu', 'CN'],
+  ['Tokyo', 'Tokyo', 'JP', '東京'],
+  ['Osaka', 'Osaka', 'JP', '大阪'],
+  ['Yokohama', 'Kanagawa', 'JP'],
+  ['Nagoya', 'Aichi', 'JP'],
+  ['Fukuoka', 'Fukuoka', 'JP'],
+  ['Sapporo', 'Hokkaido', 'JP'],
+  ['Seoul', '', 'KR', '서울'],
+  ['Busan', '', 'KR'],
+  ['Sydney', 'New South Wales', 'AU'],
+  ['Melbourne', 'Victoria', 'AU'],
+  ['Brisbane', 'Queensland', 'AU'],
+  ['Perth', 'Western Australia', 'AU'],
+  ['Adelaide', 'South Australia', 'AU'],
+  ['Canberra', 'Australian Capital Territory', 'AU'],
+  ['Hobart', 'Tasmania', 'AU'],
+  ['Gold Coast', 'Queensland', 'AU'],
+  ['Auckland', 'Auckland', 'NZ'],
+  ['Wellington', 'Wellington', 'NZ'],
+  ['Christchurch', 'Canterbury', 'NZ']
+];
+
+// [name as LinkedIn writes it, principal city, region, country code, ...aliases]. Metro areas named
+// "Greater <city> Area", "<city> Metropolitan Area" and the like are recognized without an entry here.
+var GAZETTEER_METRO_AREAS = [
+  ['San Francisco Bay Area', 'San Francisco', 'California', 'US', 'Bay Area', 'SF Bay Area', 'Silicon Valley'],
+  ['Dallas-Fort Worth Metroplex', 'Dallas', 'Texas', 'US', 'DFW', 'Dallas-Fort Worth'],
+  ['Washington DC-Baltimore Area', 'Washington', 'District of Columbia', 'US', 'DC Metro', 'DMV'],
+  ['Raleigh-Durham-Chapel Hill Area', 'Raleigh', 'North Carolina', 'US', 'Research Triangle'],
+  ['Greater Tokyo Area', 'Tokyo', 'Tokyo', 'JP', '首都圏'],
+  ['Randstad', 'Amsterdam', 'North Holland', 'NL'],
+  ['Ruhr', 'Dortmund', 'North Rhine-Westphalia', 'DE', 'Ruhrgebiet', 'Metropolregion Rhein-Ruhr'],
+  ['National Capital Region', 'New Delhi', 'Delhi', 'IN', 'Delhi NCR'],
+  ['Metro Manila', 'Manila', '', 'PH']
+];
+
+// Export the gazetteer when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GAZETTEER_COUNTRIES,
+    GAZETTEER_REGIONS,
+    GAZETTEER_CITIES,
+    GAZETTEER_METRO_AREAS
+  };
+}
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Headline parsing for LinkedIn Scraper
+ * Reads the title and company out of headlines such as "VP Sales @ Hooli | Ex-Google | Helping SaaS
+ * scale" and classifies titles by seniority level and job function
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+// Normalized seniority levels, from the top down
+var SENIORITY_LEVELS = {
+  C_LEVEL: 'C-level',
+  VP: 'VP',
+  DIRECTOR: 'Director',
+  MANAGER: 'Manager',
+  IC: 'IC'
+};
+
+// Checked in order; the first level whose keywords (any case) or acronyms (as written) appear in a
+// title wins. Titles that match none are individual contributors.
+var SENIORITY_PATTERNS = [
+  { level: SENIORITY_LEVELS.IC, keywords: /\b(assistant to|executive assistant|intern|internship)\b/i },
+  { level: SENIORITY_LEVELS.VP, keywords: /\b(vp|svp|evp|avp|vice[\s-]president)\b/i },
+  {
+    level: SENIORITY_LEVELS.C_LEVEL,
+    keywords: /\b(chief|co-?founder|founder|owner|president|managing partner)\b/i,
+    acronyms: /\b(CEO|CTO|CFO|COO|CMO|CIO|CRO|CPO|CDO|CSO|CCO|CAO|CLO|CHRO|CISO|CXO)\b/
+  },
+  { level: SENIORITY_LEVELS.DIRECTOR, keywords: /\b(director|head|partner|dir)\b/i },
+  { level: SENIORITY_LEVELS.MANAGER, keywords: /\b(manager|mgr|supervisor|team lead|team leader)\b/i }
+];
+
+// Checked in order, so the more specific functions come first: a "Product Marketing Manager" is
+// in marketing and a "Sales Engineer" in sales
+var JOB_FUNCTIONS = [
+  { name: 'Administrative', keywords: /\b(executive assistant|administrative|assistant to|receptionist|secretary)\b/i },
+  {
+    name: 'Human Resources',
+    keywords: /\b(human resources|people|talent|recruit\w*|hiring)\b/i,
+    acronyms: /\b(HR|HRBP|CHRO)\b/
+  },
+  { name: 'Customer Success', keywords: /\b(customer (success|support|experience|service)|client services?|support)\b/i },
+  {
+    name: 'Marketing',
+    keywords: /\b(marketing|growth|brand|content|communications|demand generation)\b/i,
+    acronyms: /\b(CMO|SEO|PR)\b/
+  },
+  {
+    name: 'Sales',
+    keywords: /\b(sales|business development|account executive|revenue|partnerships)\b/i,
+    acronyms: /\b(BDR|SDR|AE|CRO)\b/
+  },
+  {
+    name: 'Data',
+    keywords: /\b(data|analytics|analyst|machine learning|business intelligence)\b/i,
+    acronyms: /\b(CDO|ML|AI|BI)\b/
+  },
+  { name: 'Design', keywords: /\b(design\w*|user experience)\b/i, acronyms: /\b(UX|UI)\b/ },
+  { name: 'Product', keywords: /\bproduct\b/i, acronyms: /\b(CPO)\b/ },
+  {
+    name: 'Engineering',
+    keywords: /\b(engineer\w*|developer|software|devops|architect|technology|technical)\b/i,
+    acronyms: /\b(CTO|SRE)\b/
+  },
+  {
+    name: 'Information Technology',
+    keywords: /\b(information technology|infrastructure|security|systems administrator)\b/i,
+    acronyms: /\b(IT|CIO|CISO)\b/
+  },
+  {
+    name: 'Finance',
+    keywords: /\b(finance|financial|accounting|accountant|controller|treasury|investor relations)\b/i,
+    acronyms: /\b(CFO|FP&A)\b/
+  },
+  { name: 'Legal', keywords: /\b(legal|counsel|attorney|lawyer|compliance|paralegal)\b/i, acronyms: /\b(CLO)\b/ },
+  {
+    name: 'Operations',
+    keywords: /\b(operations|operating|supply chain|logistics|procurement|purchasing)\b/i,
+    acronyms: /\b(COO)\b/
+  },
+  { name: 'Consulting', keywords: /\b(consult\w*|advisor|adviser)\b/i },
+  { name: 'Research', keywords: /\b(research\w*|scientist)\b/i },
+  { name: 'Education', keywords: /\b(teacher|professor|lecturer|educator|instructor)\b/i },
+  {
+    name: 'General Management',
+    keywords: /\b(chief executive|co-?founder|founder|owner|president|general manager|managing director|entrepreneur)\b/i,
+    acronyms: /\b(CEO)\b/
+  }
+];
+
+// Separators between the parts of a headline, as in "VP Sales | Ex-Google | Helping SaaS scale"
+var HEADLINE_PART_SEPARATOR = /\s*[|•·;]\s*|\s+\/\s+/;
+
+// A dash separates a title from its company when a part has one, as in "Data Engineer - Spotify";
+// more dashes separate the parts of the headline
+var HEADLINE_DASH = /\s+[-–—]\s+/g;
+
+// Separators between a title and its company, tried in order
+var HEADLINE_COMPANY_SEPARATORS = [/\s+at\s+/, /\s+@\s*/, /\s+chez\s+/, /\s+[-–—]\s+/];
+
+// Parts about past roles or the person rather than their current job
+var HEADLINE_PAST_ROLE = /^(ex\b|former(ly)?\b|previously\b|prev\b|retired\b)/i;
+
+/**
+ * Reads the current title and company out of a headline
+ * @param {string} headline Headline or position as shown on LinkedIn, with or without a "Current:" label
+ * @returns {Object} Object with title, company and roles (every title/company pair the headline
+ *   names, in order) properties; the title is '' when the headline is empty
+ */
+function parseHeadline(headline) {
+  const text = (headline || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^\s*current\s*:\s*/i, '')
+    .trim();
+
+  const roles = text.split(HEADLINE_PART_SEPARATOR)
+    .flatMap(part => (part.match(HEADLINE_DASH) || []).length > 1 ? part.split(HEADLINE_DASH) : [part])
+    .map(part => part.trim())
+    .filter(part => part && !HEADLINE_PAST_ROLE.test(part))
+    .map(splitHeadlineRole);
+
+  // The first part that names a company is the current role; without one, the first part that
+  // reads like a job title, e.g. "VP Sales" rather than "Helping SaaS scale"
+  const current = roles.find(role => role.company) ||
+    roles.find(role => getJobFunction(role.title) || getSeniority(role.title) !== SENIORITY_LEVELS.IC) ||
+    roles[0] ||
+    { title: '', company: '' };
+
+  return { title: current.title, company: current.company, roles };
+}
+
+/**
+ * Splits one part of a headline into title and company, as in "Title at Company" or "Title @ Company"
+ * @param {string} part Part of a headline
+ * @returns {Object} Object with title and company properties; the whole part is the title when it
+ *   names no company
+ */
+function splitHeadlineRole(part) {
+  for (const separator of HEADLINE_COMPANY_SEPARATORS) {
+    const match = part.match(separator);
+    if (match && match.index > 0) {
+      const company = part.slice(match.index + match[0].length).trim();
+      if (company) {
+        return { title: part.slice(0, match.index).trim(), company };
+      }
+    }
+  }
+  return { title: part, company: '' };
+}
+
+/**
+ * Classifies a job title by seniority
+ * @param {string} title Job title
+ * @returns {string} One of SENIORITY_LEVELS, or '' for an empty title
+ */
+function getSeniority(title) {
+  if (!title) return '';
+  const match = SENIORITY_PATTERNS.find(entry => matchesTitlePattern(title, entry));
+  return match ? match.level : SENIORITY_LEVELS.IC;
+}
+
+/**
+ * Classifies a job title by job function
+ * @param {string} title Job title
+ * @returns {string} Name of one of JOB_FUNCTIONS, or '' when the title names none
+ */
+function getJobFunction(title) {
+  if (!title) return '';
+  const match = JOB_FUNCTIONS.find(entry => matchesTitlePattern(title, entry));
+  return match ? match.name : '';
+}
+
+/**
+ * Checks a title against an entry of SENIORITY_PATTERNS or JOB_FUNCTIONS
+ * @param {string} title Job title
+ * @param {Object} entry Entry with keywords and optional acronyms patterns
+ * @returns {boolean} True when either pattern matches
+ */
+function matchesTitlePattern(title, entry) {
+  return entry.keywords.test(title) || Boolean(entry.acronyms && entry.acronyms.test(title));
+}
+
+// Export the headline parser when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SENIORITY_LEVELS,
+    JOB_FUNCTIONS,
+    parseHeadline,
+    splitHeadlineRole,
+    getSeniority,
+    getJobFunction
+  };
+}
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * Lead deduplication for LinkedIn Scraper
+ * Identifies the same person across scrapes and merges their records
+ */
+
+/**
+ * Extracts the identity keys for a lead. Strong keys come from the profile URL
+ * (the /in/ slug or the Sales Navigator lead URN), or for other record types from the account,
+ * company or post URL; the fallback key is name + company, the name alone for accounts and
+ * companies, or the author and text for posts.
+ * @param {Object} lead The scraped record
+ * @returns {Object} Object with strong (array of keys) and fallback (key or '') properties
+ */
+function getLeadIdentityKeys(lead) {
+  const strong = [];
+  const profileUrl = lead.profileUrl || lead.accountUrl || lead.companyUrl || lead.postUrl || '';
+
+  // Regular profile URL: https://www.linkedin.com/in/jane-doe-123/?miniProfileUrn=...
+  const slugMatch = profileUrl.match(/\/in\/([^/?#]+)/);
+  if (slugMatch) {
+    strong.push(`in:${safeDecode(slugMatch[1]).toLowerCase()}`);
+  }
+
+  // Sales Navigator URL: https://www.linkedin.com/sales/lead/ACwAAA...,NAME_SEARCH,abcd
+  const urnMatch = profileUrl.match(/\/sales\/(?:lead|people)\/([^,/?#]+)/);
+  if (urnMatch) {
+    strong.push(`urn:${urnMatch[1]}`);
+  }
+
+  // Sales Navigator account URL: https://www.linkedin.com/sales/company/1035?_ntb=...
+  const accountMatch = profileUrl.match(/\/sales\/company\/([^/?#]+)/);
+  if (accountMatch) {
+    strong.push(`account:${accountMatch[1]}`);
+  }
+
+  // Company page URL: https://www.linkedin.com/company/acme-corp/
+  const companyMatch = profileUrl.match(/linkedin\.com\/(?:company|showcase|school)\/([^/?#]+)/);
+  if (companyMatch) {
+    strong.push(`company:${safeDecode(companyMatch[1]).toLowerCase()}`);
+  }
+
+  // Post URL: https://www.linkedin.com/feed/update/urn:li:activity:7123456789012345678/
+  const activityMatch = profileUrl.match(/activity[:-](\d+)/);
+  if (activityMatch) {
+    strong.push(`post:${activityMatch[1]}`);
+  }
+
+  // Other record types get their own fallback key so a company is never merged into a person of the same name
+  const recordType = getRecordType(lead);
+  const name = normalizeIdentityText(lead.name);
+  let fallback = '';
+  if (recordType === RECORD_TYPES.POST) {
+    const postText = normalizeIdentityText(`${lead.authorName || ''} ${lead.snippet || ''}`);
+    fallback = postText ? `post-text:${postText}` : '';
+  } else if (name && recordType !== RECORD_TYPES.LEAD) {
+    fallback = `${recordType}-name:${name}`;
+  } else if (name) {
+    fallback = `name:${name}|${normalizeIdentityText(lead.company)}`;
+  }
+
+  return { strong, fallback };
+}
+
+/**
+ * Returns the primary identity of a lead, used to compare leads across datasets
+ * @param {Object} lead The lead record
+ * @returns {string} Identity key, or '' when the lead has neither a profile URL nor a name
+ */
+function getLeadIdentity(lead) {
+  const { strong, fallback } = getLeadIdentityKeys(lead);
+  return strong[0] || fallback;
+}
+
+/**
+ * Merges incoming leads into an existing list, collapsing records that refer to the same person
+ * @param {Array} existingLeads Leads already collected
+ * @param {Array} incomingLeads Newly scraped leads
+ * @returns {Object} Object with leads (merged list) and duplicatesCollapsed (number) properties
+ */
+function dedupeLeads(existingLeads, incomingLeads) {
+  const leads = [];
+  const index = new Map();
+  let duplicatesCollapsed = 0;
+
+  [...existingLeads, ...incomingLeads].forEach(lead => {
+    const keys = getLeadIdentityKeys(lead);
+    const matchIndex = findDuplicateIndex(index, leads, keys);
+
+    if (matchIndex === -1) {
+      leads.push(lead);
+      registerIdentityKeys(index, keys, leads.length - 1);
+      return;
+    }
+
+    duplicatesCollapsed++;
+    leads[matchIndex] = mergeLeadRecords(leads[matchIndex], lead);
+    registerIdentityKeys(index, keys, matchIndex);
+  });
+
+  return { leads, duplicatesCollapsed };
+}
+
+/**
+ * Merges two records for the same person. Fields the existing record is missing
+ * are filled in from the incoming one; values already present are kept.
+ * @param {Object} existingLead The record collected first
+ * @param {Object} incomingLead The record collected later
+ * @returns {Object} Merged record
+ */
+function mergeLeadRecords(existingLead, incomingLead) {
+  const merged = { ...existingLead };
+
+  Object.keys(incomingLead).forEach(field => {
+    if (isEmptyLeadValue(merged[field]) && !isEmptyLeadValue(incomingLead[field])) {
+      merged[field] = incomingLead[field];
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Checks whether a lead field holds no data
+ * @param {*} value Field value
+ * @returns {boolean} True for empty strings, null and undefined
+ */
+function isEmptyLeadValue(value) {
+  return value === '' || value === null || value === undefined;
+}
+
+/**
+ * Finds the index of an already collected lead with the same identity
+ * @param {Map} index Identity key to lead index
+ * @param {Array} leads Leads collected so far
+ * @param {Object} keys Identity keys of the lead being added
+ * @returns {number} Index of the duplicate, or -1 if there is none
+ */
+function findDuplicateIndex(index, leads, keys) {
+  for (const key of keys.strong) {
+    if (index.has(key)) return index.get(key);
+  }
+
+  if (keys.fallback && index.has(keys.fallback)) {
+    const candidateIndex = index.get(keys.fallback);
+
+    // Two different profile URLs mean two different people, even with the same name and company
+    const candidateKeys = getLeadIdentityKeys(leads[candidateIndex]);
+    if (keys.strong.length === 0 || candidateKeys.strong.length === 0) {
+      return candidateIndex;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Points every identity key of a lead at its position in the merged list
+ * @param {Map} index Identity key to lead index
+ * @param {Object} keys Identity keys of the lead
+ * @param {number} leadIndex Position of the lead in the merged list
+ */
+function registerIdentityKeys(index, keys, leadIndex) {
+  keys.strong.forEach(key => index.set(key, leadIndex));
+  if (keys.fallback && !index.has(keys.fallback)) {
+    index.set(keys.fallback, leadIndex);
+  }
+}
+
+/**
+ * Lowercases text and collapses whitespace so identity keys ignore formatting differences
+ * @param {string} text Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeIdentityText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Decodes a URL component, returning it unchanged if it is malformed
+ * @param {string} value URL component
+ * @returns {string} Decoded value
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Export the deduplication functions when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    dedupeLeads,
+    getLeadIdentityKeys,
+    mergeLeadRecords,
+    normalizeIdentityText
+  };
+}
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * Lead change detection for LinkedIn Scraper
+ * Compares a scrape against earlier scrapes by identity and flags every record as new,
+ * changed or unchanged, so a re-run search can export only what is new
+ */
+
+// How a record compares to what earlier scrapes found
+const CHANGE_STATUSES = {
+  NEW: 'new',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged'
+};
+
+// The fields of each record type that count as a change when they differ from the last scrape.
+// Counts that move all the time, like followers or reactions, are left out.
+const CHANGE_TRACKED_FIELDS = {
+  [RECORD_TYPES.LEAD]: ['title', 'company', 'location'],
+  [RECORD_TYPES.ACCOUNT]: ['name', 'industry', 'headcountRange', 'location'],
+  [RECORD_TYPES.COMPANY]: ['name', 'industry', 'location'],
+  [RECORD_TYPES.POST]: ['snippet']
+};
+
+// Rows of a job change report are exported like a record type of their own
+const JOB_CHANGE_REPORT_TYPE = 'jobChange';
+
+// The lead fields whose change means the person changed jobs
+const JOB_CHANGE_FIELDS = ['title', 'company'];
+
+/**
+ * Flags each current record as new, changed or unchanged compared to earlier records
+ * @param {Array} currentRecords Records of the current scrape
+ * @param {Array} previousRecords Records of earlier scrapes, oldest first, so the most
+ *   recent sighting of a record is the one it is compared to
+ * @returns {Object} Object with records (copies of the current records with changeStatus and
+ *   changedFields properties) and counts (number of records per change status) properties
+ */
+function diffLeads(currentRecords, previousRecords) {
+  const history = buildLeadHistory(previousRecords);
+  const counts = {
+    [CHANGE_STATUSES.NEW]: 0,
+    [CHANGE_STATUSES.CHANGED]: 0,
+    [CHANGE_STATUSES.UNCHANGED]: 0
+  };
+
+  const records = currentRecords.map(record => {
+    const previous = findPreviousRecord(history, record);
+    let changeStatus = CHANGE_STATUSES.NEW;
+    let changedFields = [];
+
+    if (previous) {
+      changedFields = getChangedFields(previous, record);
+      changeStatus = changedFields.length > 0 ? CHANGE_STATUSES.CHANGED : CHANGE_STATUSES.UNCHANGED;
+    }
+
+    counts[changeStatus]++;
+    return { ...record, changeStatus, changedFields };
+  });
+
+  return { records, counts };
+}
+
+/**
+ * Indexes earlier records by identity key; later records replace earlier ones
+ * @param {Array} previousRecords Records of earlier scrapes, oldest first
+ * @returns {Map} Identity key to the most recent record with that key
+ */
+function buildLeadHistory(previousRecords) {
+  const history = new Map();
+  previousRecords.forEach(record => {
+    const keys = getLeadIdentityKeys(record);
+    keys.strong.forEach(key => history.set(key, record));
+    if (keys.fallback) history.set(keys.fallback, record);
+  });
+  return history;
+}
+
+/**
+ * Finds the earlier sighting of a record, matching the way lead deduplication does:
+ * by profile identity first, and by name + company only when one side has no profile URL
+ * @param {Map} history Index built by buildLeadHistory()
+ * @param {Object} record The current record
+ * @returns {Object|null} The earlier record, or null if the record is new
+ */
+function findPreviousRecord(history, record) {
+  const keys = getLeadIdentityKeys(record);
+  for (const key of keys.strong) {
+    if (history.has(key)) return history.get(key);
+  }
+
+  if (keys.fallback && history.has(keys.fallback)) {
+    const candidate = history.get(keys.fallback);
+    // Two different profile URLs mean two different people, even with the same name and company
+    if (keys.strong.length === 0 || getLeadIdentityKeys(candidate).strong.length === 0) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lists the tracked fields whose value changed since the earlier sighting. A field the current
+ * scrape couldn't read is not a change, since LinkedIn often leaves fields out of a card.
+ * @param {Object} previous The earlier record
+ * @param {Object} current The current record
+ * @returns {Array} Names of the changed fields
+ */
+function getChangedFields(previous, current) {
+  const fields = CHANGE_TRACKED_FIELDS[getRecordType(current)] || [];
+  return fields.filter(field => {
+    const currentValue = normalizeIdentityText(String(current[field] || ''));
+    const previousValue = normalizeIdentityText(String(previous[field] || ''));
+    return currentValue !== '' && currentValue !== previousValue;
+  });
+}
+
+/**
+ * Lists every person whose title or company differs between two snapshots of the same search.
+ * People found in only one of the snapshots are left out.
+ * @param {Array} olderRecords Records of the older snapshot
+ * @param {Array} newerRecords Records of the newer snapshot
+ * @returns {Array} Job change rows with recordType, name, profileUrl, oldTitle, newTitle,
+ *   oldCompany, newCompany, location, changedFields, previouslyScrapedAt and scrapedAt properties
+ */
+function findJobChanges(olderRecords, newerRecords) {
+  const isLead = record => getRecordType(record) === RECORD_TYPES.LEAD;
+  const history = buildLeadHistory(olderRecords.filter(isLead));
+
+  return newerRecords.filter(isLead).reduce((jobChanges, record) => {
+    const previous = findPreviousRecord(history, record);
+    if (!previous) return jobChanges;
+
+    const changedFields = getChangedFields(previous, record).filter(field => JOB_CHANGE_FIELDS.includes(field));
+    if (changedFields.length === 0) return jobChanges;
+
+    jobChanges.push({
+      recordType: JOB_CHANGE_REPORT_TYPE,
+      name: record.name,
+      profileUrl: record.profileUrl || previous.profileUrl,
+      oldTitle: previous.title,
+      newTitle: record.title,
+      oldCompany: previous.company,
+      newCompany: record.company,
+      location: record.location || previous.location,
+      changedFields,
+      previouslyScrapedAt: previous.scrapedAt,
+      scrapedAt: record.scrapedAt
+    });
+    return jobChanges;
+  }, []);
+}
+
+// Export the change detection when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CHANGE_STATUSES,
+    CHANGE_TRACKED_FIELDS,
+    JOB_CHANGE_REPORT_TYPE,
+    JOB_CHANGE_FIELDS,
+    diffLeads,
+    findJobChanges,
+    buildLeadHistory,
+    findPreviousRecord,
+    getChangedFields
+  };
+}
\ No newline at end of file
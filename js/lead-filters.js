@@ -0,0 +1,157 @@
+/**
+ * Lead filters for LinkedIn Scraper
+ * Narrows the scraped records down to the ones the popup's filter panel asks for, so the
+ * results count and every export cover only the filtered set
+ */
+
+// Lead fields the include and exclude keywords can be matched against
+const LEAD_FILTER_KEYWORD_FIELDS = {
+  title: 'Title',
+  company: 'Company',
+  location: 'Location'
+};
+
+// Connection degrees the filter can pick, as extracted by extractConnectionDegree()
+const LEAD_FILTER_CONNECTION_DEGREES = ['1st', '2nd', '3rd'];
+
+// A filter that lets every record through
+const DEFAULT_LEAD_FILTER = {
+  search: '',
+  includeKeywords: '',
+  excludeKeywords: '',
+  keywordFields: Object.keys(LEAD_FILTER_KEYWORD_FIELDS),
+  connectionDegrees: [],
+  hasProfileUrl: false
+};
+
+/**
+ * Keeps the records that match a filter
+ * @param {Array} records Scraped records of any type
+ * @param {Object} filter Filter shaped like DEFAULT_LEAD_FILTER
+ * @returns {Array} The matching records, in their original order
+ */
+function filterLeads(records, filter) {
+  if (!isLeadFilterActive(filter)) return records;
+  return records.filter(record => matchesLeadFilter(record, filter));
+}
+
+/**
+ * Checks whether a record matches a filter. The text search looks at every record type;
+ * the keyword, connection degree and profile URL filters only apply to leads, so accounts,
+ * companies and posts are matched by the text search alone.
+ * @param {Object} record A scraped record
+ * @param {Object} filter Filter shaped like DEFAULT_LEAD_FILTER
+ * @returns {boolean} True if the record passes every part of the filter
+ */
+function matchesLeadFilter(record, filter) {
+  // Every search word has to appear somewhere in the record
+  const searchWords = getFilterText(filter.search).split(/\s+/).filter(word => word);
+  if (searchWords.length > 0) {
+    const recordText = getRecordSearchText(record);
+    if (!searchWords.every(word => recordText.includes(word))) return false;
+  }
+
+  if (getRecordType(record) !== RECORD_TYPES.LEAD) return true;
+
+  // Any include keyword is enough; a single exclude keyword rules the lead out
+  const keywordText = filter.keywordFields
+    .map(field => getFilterText(record[field]))
+    .join('\n');
+  const includeKeywords = parseFilterKeywords(filter.includeKeywords);
+  if (includeKeywords.length > 0 && !includeKeywords.some(keyword => keywordText.includes(keyword))) {
+    return false;
+  }
+  if (parseFilterKeywords(filter.excludeKeywords).some(keyword => keywordText.includes(keyword))) {
+    return false;
+  }
+
+  if (filter.connectionDegrees.length > 0 && !filter.connectionDegrees.includes(record.connectionDegree)) {
+    return false;
+  }
+
+  return !filter.hasProfileUrl || !!record.profileUrl;
+}
+
+/**
+ * Checks whether a filter would leave any record out
+ * @param {Object} filter Filter shaped like DEFAULT_LEAD_FILTER
+ * @returns {boolean} True if any part of the filter is set
+ */
+function isLeadFilterActive(filter) {
+  return !!getFilterText(filter.search) ||
+    parseFilterKeywords(filter.includeKeywords).length > 0 ||
+    parseFilterKeywords(filter.excludeKeywords).length > 0 ||
+    filter.connectionDegrees.length > 0 ||
+    filter.hasProfileUrl;
+}
+
+/**
+ * Splits a comma-separated keyword list, e.g. "founder, head of sales"
+ * @param {string} text Keywords as typed
+ * @returns {Array} Keywords in the form getFilterText() compares them, without empty entries
+ */
+function parseFilterKeywords(text) {
+  return getFilterText(text)
+    .split(',')
+    .map(keyword => keyword.trim())
+    .filter(keyword => keyword);
+}
+
+/**
+ * Joins the text fields of a record for the text search
+ * @param {Object} record A scraped record
+ * @returns {string} The record's string values in the form getFilterText() compares them
+ */
+function getRecordSearchText(record) {
+  return Object.values(record)
+    .filter(value => typeof value === 'string')
+    .map(getFilterText)
+    .join('\n');
+}
+
+/**
+ * Folds text for case- and accent-insensitive matching, so "sao paulo" finds "São Paulo"
+ * @param {string} text Text to fold
+ * @returns {string} Lowercase text without accents
+ */
+function getFilterText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Repairs a filter read from storage, filling in anything missing or unknown from the defaults
+ * @param {Object} filter Stored filter
+ * @returns {Object} Filter shaped like DEFAULT_LEAD_FILTER
+ */
+function sanitizeLeadFilter(filter) {
+  const saved = filter || {};
+  const toString = value => typeof value === 'string' ? value : '';
+  return {
+    search: toString(saved.search),
+    includeKeywords: toString(saved.includeKeywords),
+    excludeKeywords: toString(saved.excludeKeywords),
+    keywordFields: Array.isArray(saved.keywordFields) ?
+      saved.keywordFields.filter(field => LEAD_FILTER_KEYWORD_FIELDS[field]) : DEFAULT_LEAD_FILTER.keywordFields,
+    connectionDegrees: Array.isArray(saved.connectionDegrees) ?
+      saved.connectionDegrees.filter(degree => LEAD_FILTER_CONNECTION_DEGREES.includes(degree)) : [],
+    hasProfileUrl: saved.hasProfileUrl === true
+  };
+}
+
+// Export the lead filters when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LEAD_FILTER_KEYWORD_FIELDS,
+    LEAD_FILTER_CONNECTION_DEGREES,
+    DEFAULT_LEAD_FILTER,
+    filterLeads,
+    matchesLeadFilter,
+    isLeadFilterActive,
+    parseFilterKeywords,
+    sanitizeLeadFilter
+  };
+}
\ No newline at end of file
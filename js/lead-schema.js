@@ -0,0 +1,357 @@
+/**
+ * Lead schema for LinkedIn Scraper
+ * Defines the canonical records produced by the scrapers and consumed by the popup:
+ * lead records for people, account and company records for companies, and post records
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+// Bump when the shape of a lead record changes
+var LEAD_SCHEMA_VERSION = 4;
+
+// Where a lead was scraped from; each value is also the id of the page type in page-types.js
+var LEAD_SOURCES = {
+  SEARCH: 'search',
+  SALES_NAVIGATOR: 'salesNavigator',
+  COMPANY_PEOPLE: 'companyPeople',
+  GROUP_MEMBERS: 'groupMembers',
+  EVENT_ATTENDEES: 'eventAttendees',
+  SALES_NAVIGATOR_ACCOUNTS: 'salesNavigatorAccounts',
+  SEARCH_COMPANIES: 'searchCompanies',
+  SEARCH_CONTENT: 'searchContent'
+};
+
+// Kinds of record the scrapers produce. Lead records predate this and carry no recordType.
+var RECORD_TYPES = {
+  LEAD: 'lead',
+  ACCOUNT: 'account',
+  COMPANY: 'company',
+  POST: 'post'
+};
+
+// Every field of a lead record and its type
+var LEAD_FIELDS = {
+  schemaVersion: 'number',
+  source: 'string',
+  name: 'string',
+  rawName: 'string',
+  namePrefix: 'string',
+  firstName: 'string',
+  middleName: 'string',
+  lastName: 'string',
+  nameSuffix: 'string',
+  credentials: 'string',
+  title: 'string',
+  company: 'string',
+  headline: 'string',
+  seniority: 'string',
+  jobFunction: 'string',
+  location: 'string',
+  city: 'string',
+  region: 'string',
+  country: 'string',
+  countryCode: 'string',
+  isMetroArea: 'boolean',
+  industry: 'string',
+  connectionDegree: 'string',
+  sharedConnections: 'string',
+  profileUrl: 'string',
+  searchUrl: 'string',
+  pageNumber: 'number',
+  scrapedAt: 'string'
+};
+
+// Bump when the shape of an account record changes
+var ACCOUNT_SCHEMA_VERSION = 1;
+
+// Every field of an account record (a company from Sales Navigator account search) and its type
+var ACCOUNT_FIELDS = {
+  schemaVersion: 'number',
+  recordType: 'string',
+  source: 'string',
+  name: 'string',
+  industry: 'string',
+  headcountRange: 'string',
+  location: 'string',
+  accountUrl: 'string',
+  searchUrl: 'string',
+  pageNumber: 'number',
+  scrapedAt: 'string'
+};
+
+// Bump when the shape of a company record changes
+var COMPANY_SCHEMA_VERSION = 1;
+
+// Every field of a company record (a result of regular LinkedIn company search) and its type
+var COMPANY_FIELDS = {
+  schemaVersion: 'number',
+  recordType: 'string',
+  source: 'string',
+  name: 'string',
+  industry: 'string',
+  followerCount: 'number',
+  location: 'string',
+  companyUrl: 'string',
+  searchUrl: 'string',
+  pageNumber: 'number',
+  scrapedAt: 'string'
+};
+
+// Bump when the shape of a post record changes
+var POST_SCHEMA_VERSION = 1;
+
+// Every field of a post record (a result of regular LinkedIn content search) and its type
+var POST_FIELDS = {
+  schemaVersion: 'number',
+  recordType: 'string',
+  source: 'string',
+  authorName: 'string',
+  authorHeadline: 'string',
+  authorUrl: 'string',
+  snippet: 'string',
+  reactionCount: 'number',
+  commentCount: 'number',
+  repostCount: 'number',
+  postUrl: 'string',
+  searchUrl: 'string',
+  pageNumber: 'number',
+  scrapedAt: 'string'
+};
+
+// Bump when the shape of a lead's profile details changes
+var PROFILE_DETAILS_SCHEMA_VERSION = 1;
+
+// Every field of a position on a profile's experience list and its type
+var EXPERIENCE_FIELDS = {
+  title: 'string',
+  company: 'string',
+  employmentType: 'string',
+  dateRange: 'string',
+  location: 'string',
+  description: 'string'
+};
+
+// Every field of a school on a profile's education list and its type
+var EDUCATION_FIELDS = {
+  school: 'string',
+  degree: 'string',
+  dateRange: 'string'
+};
+
+// Every field of a profile's contact info and its type. Only what LinkedIn shows the signed-in user is filled in.
+var CONTACT_INFO_FIELDS = {
+  emails: 'list',
+  phones: 'list',
+  websites: 'list',
+  twitter: 'string',
+  address: 'string',
+  birthday: 'string'
+};
+
+/**
+ * Creates a canonical lead record, coercing every field to its declared type. The name is split
+ * into its parts by parseLeadName() in name-parser.js; the name as scraped is kept as rawName.
+ * The title is classified by seniority and job function with headline-parser.js, and the location
+ * resolved into city, region and country with location-parser.js.
+ * @param {Object} fields Extracted lead fields
+ * @param {Object} context Scrape context with source, searchUrl and pageNumber
+ * @returns {Object} Lead record
+ */
+function createLead(fields, context = {}) {
+  const values = {
+    ...fields,
+    ...parseLeadName(fields.rawName || fields.name),
+    seniority: getSeniority(fields.title),
+    jobFunction: getJobFunction(fields.title),
+    ...parseLocation(fields.location),
+    schemaVersion: LEAD_SCHEMA_VERSION,
+    source: context.source || fields.source || '',
+    searchUrl: context.searchUrl || fields.searchUrl || '',
+    pageNumber: context.pageNumber || fields.pageNumber || 1,
+    scrapedAt: fields.scrapedAt || new Date().toISOString()
+  };
+
+  return coerceRecord(values, LEAD_FIELDS);
+}
+
+/**
+ * Creates a canonical account record, coercing every field to its declared type
+ * @param {Object} fields Extracted account fields
+ * @param {Object} context Scrape context with source, searchUrl and pageNumber
+ * @returns {Object} Account record
+ */
+function createAccount(fields, context = {}) {
+  return createTypedRecord(fields, context, RECORD_TYPES.ACCOUNT, ACCOUNT_SCHEMA_VERSION, ACCOUNT_FIELDS);
+}
+
+/**
+ * Creates a canonical company record, coercing every field to its declared type
+ * @param {Object} fields Extracted company fields
+ * @param {Object} context Scrape context with source, searchUrl and pageNumber
+ * @returns {Object} Company record
+ */
+function createCompany(fields, context = {}) {
+  return createTypedRecord(fields, context, RECORD_TYPES.COMPANY, COMPANY_SCHEMA_VERSION, COMPANY_FIELDS);
+}
+
+/**
+ * Creates a canonical post record, coercing every field to its declared type
+ * @param {Object} fields Extracted post fields
+ * @param {Object} context Scrape context with source, searchUrl and pageNumber
+ * @returns {Object} Post record
+ */
+function createPost(fields, context = {}) {
+  return createTypedRecord(fields, context, RECORD_TYPES.POST, POST_SCHEMA_VERSION, POST_FIELDS);
+}
+
+/**
+ * Creates the profile details the enrichment job adds to a lead as its profileDetails property
+ * @param {Object} fields Extracted about, experience, education, skills and contactInfo fields
+ * @returns {Object} Profile details
+ */
+function createProfileDetails(fields) {
+  const toList = value => Array.isArray(value) ? value : [];
+  return {
+    schemaVersion: PROFILE_DETAILS_SCHEMA_VERSION,
+    about: coerceLeadField(fields.about, 'string'),
+    experience: toList(fields.experience).map(position => coerceRecord(position, EXPERIENCE_FIELDS)),
+    education: toList(fields.education).map(school => coerceRecord(school, EDUCATION_FIELDS)),
+    skills: coerceLeadField(fields.skills, 'list'),
+    contactInfo: coerceRecord(fields.contactInfo || {}, CONTACT_INFO_FIELDS),
+    enrichedAt: fields.enrichedAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Creates a record of a type other than lead, stamped with its record type and scrape context
+ * @param {Object} fields Extracted fields
+ * @param {Object} context Scrape context with source, searchUrl and pageNumber
+ * @param {string} recordType One of RECORD_TYPES
+ * @param {number} schemaVersion Version of the record type's shape
+ * @param {Object} schemaFields Field name to type, such as ACCOUNT_FIELDS
+ * @returns {Object} The record
+ */
+function createTypedRecord(fields, context, recordType, schemaVersion, schemaFields) {
+  const values = {
+    ...fields,
+    schemaVersion,
+    recordType,
+    source: context.source || fields.source || '',
+    searchUrl: context.searchUrl || fields.searchUrl || '',
+    pageNumber: context.pageNumber || fields.pageNumber || 1,
+    scrapedAt: fields.scrapedAt || new Date().toISOString()
+  };
+
+  return coerceRecord(values, schemaFields);
+}
+
+/**
+ * Builds a record holding exactly the fields of a schema, each coerced to its type
+ * @param {Object} values Raw field values
+ * @param {Object} schemaFields Field name to type, such as LEAD_FIELDS
+ * @returns {Object} The record
+ */
+function coerceRecord(values, schemaFields) {
+  const record = {};
+  Object.keys(schemaFields).forEach(field => {
+    record[field] = coerceLeadField(values[field], schemaFields[field]);
+  });
+  return record;
+}
+
+/**
+ * Returns the kind of a scraped record
+ * @param {Object} record A scraped record
+ * @returns {string} One of RECORD_TYPES
+ */
+function getRecordType(record) {
+  return record.recordType || RECORD_TYPES.LEAD;
+}
+
+/**
+ * Converts a lead stored by an older version of the extension into the canonical shape.
+ * Records of other types are returned unchanged.
+ * @param {Object} record Record as read from storage
+ * @returns {Object} Lead record; properties outside the schema, like profileDetails, are kept
+ */
+function normalizeLead(record) {
+  if (getRecordType(record) !== RECORD_TYPES.LEAD || record.schemaVersion === LEAD_SCHEMA_VERSION) {
+    return record;
+  }
+
+  // Before the schema existed, regular search used fullName/companyName
+  const { fullName, companyName, ...properties } = record;
+  const isLegacySearchLead = 'fullName' in record || 'companyName' in record;
+  return {
+    ...properties,
+    ...createLead({
+      ...record,
+      name: record.name || fullName,
+      company: record.company || companyName,
+      source: record.source || (isLegacySearchLead ? LEAD_SOURCES.SEARCH : LEAD_SOURCES.SALES_NAVIGATOR)
+    })
+  };
+}
+
+/**
+ * Coerces a raw value into the given field type
+ * @param {*} value The raw value
+ * @param {string} type 'string', 'number', 'boolean' or 'list' (a list of non-empty strings)
+ * @returns {string|number|boolean|Array} The coerced value
+ */
+function coerceLeadField(value, type) {
+  if (type === 'boolean') return value === true;
+
+  if (type === 'list') {
+    return (Array.isArray(value) ? value : [])
+      .map(item => coerceLeadField(item, 'string'))
+      .filter(item => item);
+  }
+
+  if (type === 'number') {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? 0 : number;
+  }
+
+  if (value === null || value === undefined) return '';
+  return String(value).trim();
+}
+
+/**
+ * Reads the current results page number from a search URL
+ * @param {string} url The search URL
+ * @returns {number} Page number, 1 when the URL has no page parameter
+ */
+function getPageNumberFromUrl(url) {
+  const match = url.match(/[?&]page=(\d+)/);
+  return match ? parseInt(match[1], 10) : 1;
+}
+
+// Export the schema when loaded outside the extension, e.g. by the fixture tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LEAD_SCHEMA_VERSION,
+    LEAD_SOURCES,
+    LEAD_FIELDS,
+    RECORD_TYPES,
+    ACCOUNT_SCHEMA_VERSION,
+    ACCOUNT_FIELDS,
+    COMPANY_SCHEMA_VERSION,
+    COMPANY_FIELDS,
+    POST_SCHEMA_VERSION,
+    POST_FIELDS,
+    PROFILE_DETAILS_SCHEMA_VERSION,
+    EXPERIENCE_FIELDS,
+    EDUCATION_FIELDS,
+    CONTACT_INFO_FIELDS,
+    createLead,
+    createAccount,
+    createCompany,
+    createPost,
+    createProfileDetails,
+    getRecordType,
+    normalizeLead,
+    coerceLeadField,
+    getPageNumberFromUrl
+  };
+}
\ No newline at end of file
@@ -0,0 +1,249 @@
+/**
+ * Location parsing for LinkedIn Scraper
+ * Resolves the locations the scrapers read, such as "Austin, Texas, United States", "Greater Boston"
+ * or "São Paulo, Brasil", into city, region, country and ISO country code with the gazetteer in
+ * gazetteer.js
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+// Wordings LinkedIn uses for a city's metro area, in the languages it shows locations in. Each
+// pattern captures the city. Only tried when the whole text isn't a known place, so "Grand Est"
+// stays a region.
+var METRO_AREA_PATTERNS = [
+  /^greater\s+(.+?)(?:\s+(?:metropolitan|metro))?(?:\s+(?:area|region))?$/i,
+  /^(.+?)\s+(?:metropolitan|metro)\s+(?:area|region)$/i,
+  /^(?:großraum|metropolregion|région de|grand|grande|área metropolitana de|região metropolitana de|area metropolitana di)\s+(.+)$/i
+];
+
+// "<city> Area" or "<city> Region" also names a metro area, but only when the city is in the
+// gazetteer; "Sales Area" or "EMEA Region" is no place
+var CITY_AREA_PATTERN = /^(.+?)\s+(?:area|region)$/i;
+
+// Words that follow a region's name, as in "Lagos State" or "Riyadh Province"
+var REGION_SUFFIX = /\s+(?:state|province|region|county|prefecture|district|oblast)$/;
+
+// Lookup tables built from the gazetteer the first time a location is parsed
+var locationIndex = null;
+
+/**
+ * Resolves a location into its parts
+ * @param {string} location Location as shown on LinkedIn
+ * @returns {Object} Object with city, region, country, countryCode (ISO 3166-1 alpha-2) and
+ *   isMetroArea properties. Parts that can't be resolved are empty; a part that sits where LinkedIn
+ *   puts a city or region, next to a known region or country, is kept as written.
+ */
+function parseLocation(location) {
+  const result = { city: '', region: '', country: '', countryCode: '', isMetroArea: false };
+  const parts = (location || '').split(',')
+    .map(part => part.replace(/\s+/g, ' ').trim())
+    .filter(part => part);
+  if (parts.length === 0) return result;
+
+  const index = getLocationIndex();
+  let countryCode = '';
+  let region = null;
+
+  // The country comes last. A state that shares its name with a country, like Georgia, is the
+  // state when the city before it is in that state.
+  const country = findPlace(index.countries, parts[parts.length - 1]);
+  if (country && !(parts.length > 1 && isCityInRegion(index, parts[0], parts[parts.length - 1]))) {
+    countryCode = country.code;
+    parts.pop();
+  }
+
+  // Then the region, as in "Austin, Texas"
+  if (parts.length > 1) {
+    region = findRegion(index, parts[parts.length - 1], countryCode, parts[0]);
+    if (!region && countryCode) {
+      region = { name: parts[parts.length - 1], countryCode };
+    }
+    if (region) parts.pop();
+  }
+
+  // What's left first is the city or metro area, or on its own a region
+  const place = parts[0];
+  let city = null;
+  if (place) {
+    const metroArea = findPlace(index.metroAreas, place);
+    if (metroArea) {
+      city = metroArea;
+      result.isMetroArea = true;
+    } else {
+      city = findCity(index, place, countryCode, region);
+    }
+
+    if (!city && !region && parts.length === 1) {
+      region = findRegion(index, place, countryCode);
+    }
+
+    if (!city && !region) {
+      const metroCity = matchMetroArea(place);
+      if (metroCity) {
+        city = findCity(index, metroCity, countryCode, region) || { name: metroCity, region: '', countryCode: '' };
+        result.isMetroArea = true;
+      } else {
+        const areaCity = matchMetroArea(place, [CITY_AREA_PATTERN]);
+        city = areaCity ? findCity(index, areaCity, countryCode, region) : null;
+        result.isMetroArea = Boolean(city);
+      }
+    }
+
+    if (!city && (region || countryCode) && place !== (region && region.name)) {
+      city = { name: place, region: '', countryCode: '' };
+    }
+  }
+
+  result.city = city ? city.name : '';
+  result.region = region ? region.name : (city ? city.region : '');
+  result.countryCode = countryCode || (region && region.countryCode) || (city ? city.countryCode : '');
+  result.country = result.countryCode ? index.countriesByCode.get(result.countryCode).name : '';
+  return result;
+}
+
+/**
+ * Builds the lookup tables of the gazetteer, once
+ * @returns {Object} Object with countries, countriesByCode, regions, cities and metroAreas maps;
+ *   all but countriesByCode map place keys to the places with that name or alias
+ */
+function getLocationIndex() {
+  if (locationIndex) return locationIndex;
+
+  const index = {
+    countries: new Map(),
+    countriesByCode: new Map(),
+    regions: new Map(),
+    cities: new Map(),
+    metroAreas: new Map()
+  };
+
+  GAZETTEER_COUNTRIES.forEach(([code, name, ...aliases]) => {
+    const country = { code, name };
+    index.countriesByCode.set(code, country);
+    [name, ...aliases].forEach(alias => addPlace(index.countries, alias, country));
+  });
+  GAZETTEER_REGIONS.forEach(([countryCode, name, ...aliases]) => {
+    const region = { name, countryCode };
+    [name, ...aliases].forEach(alias => addPlace(index.regions, alias, region));
+  });
+  GAZETTEER_CITIES.forEach(([name, region, countryCode, ...aliases]) => {
+    const city = { name, region, countryCode };
+    [name, ...aliases].forEach(alias => addPlace(index.cities, alias, city));
+  });
+  GAZETTEER_METRO_AREAS.forEach(([name, city, region, countryCode, ...aliases]) => {
+    const metroArea = { name: city, region, countryCode };
+    [name, ...aliases].forEach(alias => addPlace(index.metroAreas, alias, metroArea));
+  });
+
+  locationIndex = index;
+  return index;
+}
+
+/**
+ * Adds a place to a lookup table under one of its names
+ * @param {Map} table Lookup table
+ * @param {string} name Name or alias of the place
+ * @param {Object} place The place
+ */
+function addPlace(table, name, place) {
+  const key = getPlaceKey(name);
+  if (!table.has(key)) table.set(key, []);
+  table.get(key).push(place);
+}
+
+/**
+ * Looks up a place by name
+ * @param {Map} table Lookup table
+ * @param {string} name Name as written
+ * @param {Function} [accept] Returns true for a place that fits the rest of the location
+ * @returns {Object|null} The first fitting place with that name, or null
+ */
+function findPlace(table, name, accept = () => true) {
+  return (table.get(getPlaceKey(name)) || []).find(accept) || null;
+}
+
+/**
+ * Looks up a region, also when written with a word like "State" or "Province" after it
+ * @param {Object} index Lookup tables from getLocationIndex()
+ * @param {string} name Name as written
+ * @param {string} countryCode Country the region must be in, or '' for any
+ * @param {string} [cityName] City written before the region; of regions sharing a name or
+ *   abbreviation, like WA, the one the city is in wins
+ * @returns {Object|null} Region with name and countryCode properties, or null
+ */
+function findRegion(index, name, countryCode, cityName = '') {
+  const key = getPlaceKey(name);
+  const regions = [key, key.replace(REGION_SUFFIX, '')]
+    .flatMap(regionKey => index.regions.get(regionKey) || [])
+    .filter(region => !countryCode || region.countryCode === countryCode);
+  return regions.find(region => findPlace(index.cities, cityName, city =>
+    city.region === region.name && city.countryCode === region.countryCode)) || regions[0] || null;
+}
+
+/**
+ * Looks up a city that fits the region and country found so far
+ * @param {Object} index Lookup tables from getLocationIndex()
+ * @param {string} name Name as written
+ * @param {string} countryCode Country the city must be in, or '' for any
+ * @param {Object|null} region Region the city must be in, or null for any
+ * @returns {Object|null} City with name, region and countryCode properties, or null
+ */
+function findCity(index, name, countryCode, region) {
+  return findPlace(index.cities, name, city =>
+    (!countryCode || city.countryCode === countryCode) &&
+    (!region || !city.region || city.region === region.name));
+}
+
+/**
+ * Checks whether a known city lies in a region of the same name as written
+ * @param {Object} index Lookup tables from getLocationIndex()
+ * @param {string} cityName City as written
+ * @param {string} regionName Region as written
+ * @returns {boolean} True when the city is listed in that region
+ */
+function isCityInRegion(index, cityName, regionName) {
+  const regionKey = getPlaceKey(regionName);
+  return Boolean(findPlace(index.cities, cityName, city =>
+    city.region && (index.regions.get(regionKey) || []).some(region => region.name === city.region)));
+}
+
+/**
+ * Reads the city out of a metro area's name, as in "Greater Boston" or "Großraum München"
+ * @param {string} text Location as written
+ * @param {Array} [patterns] Patterns to try, defaults to METRO_AREA_PATTERNS
+ * @returns {string} The city as written, or '' when the text doesn't name a metro area.
+ *   Of a metro area named after several cities, like "Minneapolis-St. Paul", the first.
+ */
+function matchMetroArea(text, patterns = METRO_AREA_PATTERNS) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      return match[1].split(/\s*[-–]\s*/)[0].trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * Reduces a place name to the form the lookup tables use: lowercase, without accents, and with
+ * punctuation turned into spaces
+ * @param {string} name Place name, e.g. "São Paulo" or "St. Louis"
+ * @returns {string} e.g. "sao paulo" or "st louis"
+ */
+function getPlaceKey(name) {
+  return name
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Export the location parser when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseLocation,
+    getPlaceKey
+  };
+}
\ No newline at end of file
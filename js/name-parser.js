@@ -0,0 +1,141 @@
+/**
+ * Name parsing for LinkedIn Scraper
+ * Splits the display names the scrapers read, such as "Dr. Jane Q. Doe, MBA, PMP 🚀", into
+ * prefix, first, middle and last name, suffix and credentials for CRM and mail-merge exports
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+// Titles written before a name, compared lowercased and without dots
+var NAME_PREFIXES = [
+  'mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'professor', 'rev', 'fr', 'sir', 'dame', 'hon',
+  'capt', 'col', 'maj', 'lt', 'sgt', 'rabbi', 'imam', 'eng', 'ing'
+];
+
+// Generational and legal suffixes, compared lowercased and without dots
+var NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'esq'];
+
+// Degrees and certifications people add after their name, compared lowercased and without dots.
+// After a comma anything counts as a credential; without one only these do.
+var NAME_CREDENTIALS = [
+  'phd', 'mba', 'emba', 'md', 'do', 'dds', 'dmd', 'jd', 'llm', 'msc', 'bsc', 'ma', 'ms', 'ba', 'bs', 'meng', 'beng',
+  'cpa', 'cfa', 'cfp', 'acca', 'aca', 'fca', 'cima', 'pmp', 'capm', 'csm', 'cspo', 'cissp', 'cism', 'cisa',
+  'phr', 'sphr', 'shrm-cp', 'shrm-scp', 'cipd', 'rn', 'np', 'pa-c', 'pe', 'peng', 'cpa-ca'
+];
+
+// Words that belong to the last name that follows them, e.g. "van" in "Ludwig van Beethoven"
+var LAST_NAME_PARTICLES = [
+  'van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'du', 'dos', 'das', 'la', 'le', 'ter', 'ten',
+  'bin', 'binti', 'al', 'el'
+];
+
+// Emoji and pictographs, with the modifiers and joiners that build them up
+var NAME_EMOJI_PATTERN = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{So}\u{1F1E6}-\u{1F1FF}\u200D\uFE0F\u20E3]/gu;
+
+/**
+ * Splits a display name into its parts
+ * @param {string} rawName Name as shown on LinkedIn
+ * @returns {Object} Object with name (the name without emoji, pronouns or credentials), rawName
+ *   (the name as given), namePrefix, firstName, middleName, lastName, nameSuffix and credentials
+ *   (comma-separated) properties; parts that weren't found are empty strings
+ */
+function parseLeadName(rawName) {
+  const parts = {
+    name: '',
+    rawName: (rawName || '').trim(),
+    namePrefix: '',
+    firstName: '',
+    middleName: '',
+    lastName: '',
+    nameSuffix: '',
+    credentials: ''
+  };
+
+  const [nameText, ...qualifiers] = cleanNameText(parts.rawName).split(',').map(text => text.trim());
+  const tokens = nameText ? nameText.split(' ') : [];
+  const prefixes = [];
+  const suffixes = [];
+  const credentials = [];
+
+  while (tokens.length > 1 && NAME_PREFIXES.includes(getNameKey(tokens[0]))) {
+    prefixes.push(tokens.shift());
+  }
+
+  // Without a comma, only recognized suffixes and credentials written in capitals are split off the end
+  while (tokens.length > 1) {
+    const token = tokens[tokens.length - 1];
+    if (NAME_SUFFIXES.includes(getNameKey(token))) {
+      suffixes.unshift(tokens.pop());
+    } else if (NAME_CREDENTIALS.includes(getNameKey(token)) && /[A-Z]/.test(token.slice(1))) {
+      credentials.unshift(tokens.pop());
+    } else {
+      break;
+    }
+  }
+
+  qualifiers.filter(text => text).forEach(text => {
+    if (NAME_SUFFIXES.includes(getNameKey(text))) {
+      suffixes.push(text);
+    } else {
+      credentials.push(text);
+    }
+  });
+
+  if (tokens.length > 0) {
+    parts.firstName = tokens.shift();
+  }
+  if (tokens.length > 0) {
+    let lastNameStart = tokens.length - 1;
+    while (lastNameStart > 0 && LAST_NAME_PARTICLES.includes(getNameKey(tokens[lastNameStart - 1]))) {
+      lastNameStart--;
+    }
+    parts.middleName = tokens.slice(0, lastNameStart).join(' ');
+    parts.lastName = tokens.slice(lastNameStart).join(' ');
+  }
+
+  parts.namePrefix = prefixes.join(' ');
+  parts.nameSuffix = suffixes.join(' ');
+  parts.credentials = credentials.join(', ');
+  parts.name = [parts.namePrefix, parts.firstName, parts.middleName, parts.lastName, parts.nameSuffix]
+    .filter(part => part)
+    .join(' ');
+  return parts;
+}
+
+/**
+ * Removes what isn't part of a name: emoji, pronouns and nicknames in brackets or quotes, and
+ * taglines after a separator, as in "Jane Doe | Hiring"
+ * @param {string} text Name as shown on LinkedIn
+ * @returns {string} The name on one line, with single spaces and no leading or trailing punctuation
+ */
+function cleanNameText(text) {
+  return text
+    .replace(NAME_EMOJI_PATTERN, ' ')
+    .replace(/\([^)]*\)|\[[^\]]*\]|"[^"]*"|“[^”]*”/g, ' ')
+    .replace(/\s*,\s*/g, ',')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,|·•\-–—]+/, '')
+    .replace(/\s*[|·•].*$/, '')
+    .replace(/[\s,\-–—]+$/, '');
+}
+
+/**
+ * Reduces a word of a name to the form the prefix, suffix and credential lists use
+ * @param {string} word A word of a name, e.g. "Ph.D."
+ * @returns {string} e.g. "phd"
+ */
+function getNameKey(word) {
+  return word.toLowerCase().replace(/\./g, '');
+}
+
+// Export the name parser when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NAME_PREFIXES,
+    NAME_SUFFIXES,
+    NAME_CREDENTIALS,
+    LAST_NAME_PARTICLES,
+    parseLeadName,
+    cleanNameText
+  };
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Options page script for LinkedIn Scraper
+ * Edits the throttle settings and the scraper settings, both kept in chrome.storage.sync
+ */
+
+// DOM elements
+const saveSettingsButton = document.getElementById('saveSettingsButton');
+const resetSettingsButton = document.getElementById('resetSettingsButton');
+const settingsStatus = document.getElementById('settingsStatus');
+
+// Every throttle setting's input, and how many of the setting's units one unit of the input is
+const THROTTLE_SETTING_SCALES = {
+  minPageDelayMs: 1000,
+  maxPageDelayMs: 1000,
+  minScrollDelayMs: 1,
+  maxScrollDelayMs: 1,
+  minProfileDelayMs: 1000,
+  maxProfileDelayMs: 1000,
+  maxPagesPerRun: 1,
+  dailyPageQuota: 1,
+  dailyProfileQuota: 1
+};
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', () => {
+  Promise.all([loadThrottleSettings(), loadSettings()]).then(([throttleSettings, settings]) => {
+    renderSettings(throttleSettings, settings);
+  });
+});
+
+saveSettingsButton.addEventListener('click', () => {
+  Promise.all([saveThrottleSettings(readThrottleSettings()), saveSettings(readSettings())])
+    .then(([throttleSettings, settings]) => {
+      // Show the settings as saved, with invalid entries replaced by their defaults
+      renderSettings(throttleSettings, settings);
+      settingsStatus.textContent = 'Settings saved.';
+    });
+});
+
+resetSettingsButton.addEventListener('click', () => {
+  Promise.all([saveThrottleSettings(DEFAULT_THROTTLE_SETTINGS), saveSettings(DEFAULT_SETTINGS)])
+    .then(([throttleSettings, settings]) => {
+      renderSettings(throttleSettings, settings);
+      settingsStatus.textContent = 'Default settings restored.';
+    });
+});
+
+/**
+ * Fills every input from the settings; each input's id is its setting's key
+ * @param {Object} throttleSettings Throttle settings
+ * @param {Object} settings Scraper settings
+ */
+function renderSettings(throttleSettings, settings) {
+  Object.keys(THROTTLE_SETTING_SCALES).forEach(key => {
+    document.getElementById(key).value = throttleSettings[key] / THROTTLE_SETTING_SCALES[key];
+  });
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    document.getElementById(key).value = settings[key];
+  });
+}
+
+/**
+ * Reads the throttle settings from their inputs
+ * @returns {Object} Throttle settings, before normalizeThrottleSettings() fills in invalid entries
+ */
+function readThrottleSettings() {
+  const throttleSettings = {};
+  Object.keys(THROTTLE_SETTING_SCALES).forEach(key => {
+    const { value } = document.getElementById(key);
+    throttleSettings[key] = value === '' ? undefined : Number(value) * THROTTLE_SETTING_SCALES[key];
+  });
+  return throttleSettings;
+}
+
+/**
+ * Reads the scraper settings from their inputs
+ * @returns {Object} Scraper settings, before normalizeSettings() fills in invalid entries
+ */
+function readSettings() {
+  const settings = {};
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    settings[key] = document.getElementById(key).value;
+  });
+  return settings;
+}
\ No newline at end of file
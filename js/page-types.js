@@ -0,0 +1,180 @@
+/**
+ * Page types for LinkedIn Scraper
+ * Recognizes which kind of LinkedIn page a URL belongs to and how it is scraped
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+// Every page type the scrapers support, keyed by the id detectPageType() returns.
+// The ids double as page names in the selector registry and as the LEAD_SOURCES value of
+// the records scraped there. Paginated pages are scraped page by page; the others load more
+// results as you scroll. Regular LinkedIn pages share the regular search pagination and
+// navigation; the Sales Navigator pages share Sales Navigator's.
+var PAGE_TYPES = {
+  searchCompanies: {
+    label: 'LinkedIn company search results',
+    paginated: true,
+    regularLinkedIn: true,
+    pattern: /linkedin\.com\/search\/results\/companies/
+  },
+  searchContent: {
+    label: 'LinkedIn post search results',
+    paginated: false,
+    regularLinkedIn: true,
+    pattern: /linkedin\.com\/search\/results\/content/
+  },
+  // Only the people vertical; the others, like jobs, groups or events, aren't supported
+  search: {
+    label: 'LinkedIn search results',
+    paginated: true,
+    regularLinkedIn: true,
+    pattern: /linkedin\.com\/search\/results\/people/
+  },
+  // Listed before salesNavigator so account search isn't mistaken for lead search
+  salesNavigatorAccounts: {
+    label: 'Sales Navigator accounts',
+    paginated: true,
+    pattern: /linkedin\.com\/sales\/search\/company/
+  },
+  salesNavigator: {
+    label: 'Sales Navigator results',
+    paginated: true,
+    pattern: /linkedin\.com\/sales\/search/
+  },
+  companyPeople: {
+    label: 'company people',
+    paginated: false,
+    pattern: /linkedin\.com\/company\/[^/?#]+\/people/
+  },
+  groupMembers: {
+    label: 'group members',
+    paginated: false,
+    pattern: /linkedin\.com\/groups\/[^/?#]+\/members/
+  },
+  eventAttendees: {
+    label: 'event attendees',
+    paginated: false,
+    pattern: /linkedin\.com\/events\/[^/?#]+\/attendees/
+  }
+};
+
+// Returned by detectPageType() for pages the scrapers don't support
+var UNKNOWN_PAGE_TYPE = 'unknown';
+
+// Pages LinkedIn shows instead of results, keyed by the block type scrapers report. Sign-in and
+// security check pages have URLs of their own; the commercial use limit shows up on the results
+// page itself and is recognized by its markup or wording (see detectPageBlock() in extractors.js).
+var PAGE_BLOCKS = {
+  loginWall: {
+    label: 'sign-in page',
+    message: 'LinkedIn is asking you to sign in. Sign in to LinkedIn in this browser, then start the scrape again.',
+    pattern: /linkedin\.com\/(?:login|authwall|uas\/login|signup)/
+  },
+  checkpoint: {
+    label: 'security check',
+    message: 'LinkedIn is showing a security check (a CAPTCHA or an identity verification). ' +
+      'Complete it in the LinkedIn tab, then start the scrape again.',
+    pattern: /linkedin\.com\/checkpoint\//
+  },
+  commercialUseLimit: {
+    label: 'commercial use limit',
+    message: 'LinkedIn\'s commercial use limit on searches has been reached. LinkedIn lifts it at the ' +
+      'start of next month; until then it only shows a few results per search.',
+    textPattern: /commercial use limit|reached the monthly limit for profile searches/i
+  }
+};
+
+/**
+ * Works out which kind of LinkedIn page a URL belongs to
+ * @param {string} url Page URL
+ * @returns {string} A key of PAGE_TYPES, or UNKNOWN_PAGE_TYPE
+ */
+function detectPageType(url) {
+  const pageType = Object.keys(PAGE_TYPES).find(type => PAGE_TYPES[type].pattern.test(url || ''));
+  return pageType || UNKNOWN_PAGE_TYPE;
+}
+
+/**
+ * Checks whether a page type loads its results as you scroll instead of page by page
+ * @param {string} pageType A key of PAGE_TYPES
+ * @returns {boolean} True for infinite-scroll list pages
+ */
+function isInfiniteScrollPage(pageType) {
+  return !!PAGE_TYPES[pageType] && !PAGE_TYPES[pageType].paginated;
+}
+
+/**
+ * Checks whether a page type is one of the regular LinkedIn search verticals
+ * @param {string} pageType A key of PAGE_TYPES
+ * @returns {boolean} True for regular search pages, false for Sales Navigator and list pages
+ */
+function isRegularLinkedInPage(pageType) {
+  return !!PAGE_TYPES[pageType] && !!PAGE_TYPES[pageType].regularLinkedIn;
+}
+
+/**
+ * Recognizes the sign-in and security check pages LinkedIn redirects to
+ * @param {string} url Page URL
+ * @returns {string|null} A key of PAGE_BLOCKS, or null if the URL isn't a blocking page
+ */
+function detectPageBlockFromUrl(url) {
+  const blockType = Object.keys(PAGE_BLOCKS).find(type => {
+    return PAGE_BLOCKS[type].pattern && PAGE_BLOCKS[type].pattern.test(url || '');
+  });
+  return blockType || null;
+}
+
+/**
+ * Creates the error the scrapers report when LinkedIn blocks the page
+ * @param {string} blockType A key of PAGE_BLOCKS
+ * @returns {Error} Error with the block's message and a blockType property
+ */
+function createPageBlockError(blockType) {
+  const error = new Error(PAGE_BLOCKS[blockType].message);
+  error.blockType = blockType;
+  return error;
+}
+
+/**
+ * Works out which pages a multi-page run scrapes and how many leads it may collect. A limit
+ * left empty or at 0 means no limit.
+ * @param {Object} limits Object with startPage, endPage and maxLeads properties, as entered
+ * @param {number} totalPages Number of pages the search has
+ * @returns {Object} Object with firstPage, lastPage and maxLeads (0 for no limit) properties
+ * @throws {RangeError} If the range is empty or starts after the last page of the search
+ */
+function resolveScrapeRange(limits, totalPages) {
+  const readLimit = value => {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  };
+
+  const firstPage = readLimit(limits.startPage) || 1;
+  const endPage = readLimit(limits.endPage);
+  const lastPage = endPage ? Math.min(endPage, totalPages) : totalPages;
+
+  if (firstPage > totalPages) {
+    throw new RangeError(`The search only has ${totalPages} page${totalPages === 1 ? '' : 's'}, so it can't start on page ${firstPage}.`);
+  }
+
+  if (lastPage < firstPage) {
+    throw new RangeError(`The end page (${endPage}) comes before the start page (${firstPage}).`);
+  }
+
+  return { firstPage, lastPage, maxLeads: readLimit(limits.maxLeads) };
+}
+
+// Export the page types when loaded outside the extension, e.g. by the fixture tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PAGE_TYPES,
+    UNKNOWN_PAGE_TYPE,
+    PAGE_BLOCKS,
+    detectPageType,
+    isInfiniteScrollPage,
+    isRegularLinkedInPage,
+    detectPageBlockFromUrl,
+    createPageBlockError,
+    resolveScrapeRange
+  };
+}
\ No newline at end of file
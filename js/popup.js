@@ -6,45 +6,188 @@
 // DOM elements
 const scrapeButton = document.getElementById('scrapeButton');
 const scrapeAllButton = document.getElementById('scrapeAllButton');
+const startPageInput = document.getElementById('startPageInput');
+const endPageInput = document.getElementById('endPageInput');
+const maxLeadsInput = document.getElementById('maxLeadsInput');
+const jobControls = document.getElementById('jobControls');
+const pauseJobButton = document.getElementById('pauseJobButton');
+const resumeJobButton = document.getElementById('resumeJobButton');
+const cancelJobButton = document.getElementById('cancelJobButton');
 const downloadButton = document.getElementById('downloadButton');
+const viewResultsButton = document.getElementById('viewResultsButton');
 const statusMessage = document.getElementById('statusMessage');
 const progressBar = document.getElementById('progressFill');
 const resultsCount = document.getElementById('resultsCount');
+const exportFormatSelect = document.getElementById('exportFormatSelect');
+const selectorPackStatus = document.getElementById('selectorPackStatus');
+const selectorPackFile = document.getElementById('selectorPackFile');
+const importSelectorsButton = document.getElementById('importSelectorsButton');
+const exportSelectorsButton = document.getElementById('exportSelectorsButton');
+const resetSelectorsButton = document.getElementById('resetSelectorsButton');
+const exportProfileSelect = document.getElementById('exportProfileSelect');
+const exportColumnList = document.getElementById('exportColumnList');
+const exportProfileName = document.getElementById('exportProfileName');
+const saveProfileButton = document.getElementById('saveProfileButton');
+const saveProfileAsButton = document.getElementById('saveProfileAsButton');
+const deleteProfileButton = document.getElementById('deleteProfileButton');
+const diagnosticsStatus = document.getElementById('diagnosticsStatus');
+const downloadDiagnosticsButton = document.getElementById('downloadDiagnosticsButton');
+const datasetStatus = document.getElementById('datasetStatus');
+const datasetList = document.getElementById('datasetList');
+const datasetName = document.getElementById('datasetName');
+const renameDatasetButton = document.getElementById('renameDatasetButton');
+const exportDatasetButton = document.getElementById('exportDatasetButton');
+const mergeDatasetsButton = document.getElementById('mergeDatasetsButton');
+const jobChangesButton = document.getElementById('jobChangesButton');
+const enrichDatasetButton = document.getElementById('enrichDatasetButton');
+const deleteDatasetButton = document.getElementById('deleteDatasetButton');
+const onlyNewLeadsCheckbox = document.getElementById('onlyNewLeadsCheckbox');
+const changeSummary = document.getElementById('changeSummary');
+const throttleStatus = document.getElementById('throttleStatus');
+const openOptionsButton = document.getElementById('openOptionsButton');
+const enrichmentPanel = document.getElementById('enrichmentPanel');
+const enrichmentStatus = document.getElementById('enrichmentStatus');
+const enrichmentControls = document.getElementById('enrichmentControls');
+const pauseEnrichmentButton = document.getElementById('pauseEnrichmentButton');
+const resumeEnrichmentButton = document.getElementById('resumeEnrichmentButton');
+const cancelEnrichmentButton = document.getElementById('cancelEnrichmentButton');
+const filterPanel = document.getElementById('filterPanel');
+const filterSearchInput = document.getElementById('filterSearchInput');
+const filterIncludeInput = document.getElementById('filterIncludeInput');
+const filterExcludeInput = document.getElementById('filterExcludeInput');
+const filterKeywordFields = document.getElementById('filterKeywordFields');
+const filterConnectionDegrees = document.getElementById('filterConnectionDegrees');
+const filterProfileUrlCheckbox = document.getElementById('filterProfileUrlCheckbox');
+const clearFiltersButton = document.getElementById('clearFiltersButton');
+
+// Scripts injected into the page, the same ones the manifest's content_scripts load
+const CONTENT_SCRIPT_FILES = chrome.runtime.getManifest().content_scripts[0].js;
+
+// How the results count names each record type
+const RECORD_TYPE_NOUNS = {
+  [RECORD_TYPES.LEAD]: 'leads',
+  [RECORD_TYPES.ACCOUNT]: 'accounts',
+  [RECORD_TYPES.COMPANY]: 'companies',
+  [RECORD_TYPES.POST]: 'posts'
+};
 
 // Global variables
 let scrapedData = [];
-let isScrapingAll = false;
-let currentPage = 1;
-let totalPages = 1;
+let currentDatasetId = null;
+let scrapeJob = null;
+let enrichmentJob = null;
+let pageType = UNKNOWN_PAGE_TYPE;
 let isRegularLinkedIn = false;
+let isSupportedPage = false;
+let exportProfiles = [DEFAULT_EXPORT_PROFILE];
+let activeExportProfileId = DEFAULT_EXPORT_PROFILE.id;
+let exportFormat = DEFAULT_EXPORT_FORMAT;
+let datasets = [];
+let selectedDatasetIds = new Set();
+let leadFilter = DEFAULT_LEAD_FILTER;
 
 // Initialize the popup
 document.addEventListener('DOMContentLoaded', () => {
+  // Load saved export profiles so the column layout survives between exports
+  loadExportProfiles(({ profiles, activeProfileId }) => {
+    exportProfiles = profiles;
+    activeExportProfileId = activeProfileId;
+    renderExportProfiles();
+  });
+  
+  // Show which selector pack the scrapers will use
+  renderSelectorPackStatus();
+  
+  // Show how much of today's quota is used
+  renderThrottleUsage();
+  
+  // Exports are named after the filename pattern setting
+  loadSettings();
+  
+  // List the datasets saved by earlier scrapes
+  loadDatasets().then(savedDatasets => {
+    datasets = savedDatasets;
+    renderDatasetList();
+  });
+  
+  // Offer every registered export format and restore the last one used
+  Object.keys(EXPORTERS).forEach(format => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = EXPORTERS[format].label;
+    exportFormatSelect.appendChild(option);
+  });
+  chrome.storage.local.get(['exportFormat', 'onlyNewLeads', 'leadFilter'], (result) => {
+    if (result.exportFormat && EXPORTERS[result.exportFormat]) {
+      exportFormat = result.exportFormat;
+    }
+    exportFormatSelect.value = exportFormat;
+    onlyNewLeadsCheckbox.checked = !!result.onlyNewLeads;
+    
+    // The filters stay set between popup sessions, so show them whenever they leave records out
+    leadFilter = sanitizeLeadFilter(result.leadFilter);
+    renderLeadFilter();
+    filterPanel.open = isLeadFilterActive(leadFilter);
+    if (scrapedData.length > 0) {
+      updateResultsCount();
+    } else {
+      refreshChangeSummary();
+    }
+  });
+  
+  // Multi-page jobs run in the background script, so pick up any job still in progress
+  chrome.runtime.sendMessage({ action: 'getScrapeJob' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderScrapeJob(response.job, false);
+  });
+  
+  // Profile enrichment runs in the background script too
+  chrome.runtime.sendMessage({ action: 'getEnrichmentJob' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderEnrichmentJob(response.job);
+  });
+  
   // Check if we're on a LinkedIn search page
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     const currentTab = tabs[0];
     
-    // Check if we're on a regular LinkedIn search page
-    if (currentTab.url.includes('linkedin.com/search/results')) {
-      isRegularLinkedIn = true;
-      statusMessage.textContent = 'Ready to scrape LinkedIn search results.';
-    } 
-    // Check if we're on a Sales Navigator page
-    else if (currentTab.url.includes('linkedin.com/sales/search')) {
-      isRegularLinkedIn = false;
-      statusMessage.textContent = 'Ready to scrape Sales Navigator results.';
-    } 
+    pageType = detectPageType(currentTab.url);
+    
+    // LinkedIn redirected to a sign-in page or security check
+    const blockType = detectPageBlockFromUrl(currentTab.url);
+    if (blockType) {
+      disableButtons();
+      statusMessage.textContent = PAGE_BLOCKS[blockType].message;
+      return;
+    }
+    
     // Not on a supported LinkedIn page
-    else {
+    if (pageType === UNKNOWN_PAGE_TYPE) {
       disableButtons();
-      statusMessage.textContent = 'Please navigate to a LinkedIn search page.';
+      statusMessage.textContent = 'Please navigate to a LinkedIn people, company or post search, a company People tab, group member list or event attendee list.';
       return;
     }
     
+    isRegularLinkedIn = isRegularLinkedInPage(pageType);
+    statusMessage.textContent = `Ready to scrape ${PAGE_TYPES[pageType].label}.`;
+    
+    // List pages load all their results as you scroll, so the current page is the whole list
+    if (isInfiniteScrollPage(pageType)) {
+      scrapeButton.textContent = 'Scrape Whole List';
+      scrapeAllButton.disabled = true;
+    }
+    
+    isSupportedPage = true;
+    
     // Load any previously scraped data
-    chrome.storage.local.get('scrapedData', (result) => {
+    chrome.storage.local.get(['scrapedData', 'currentDatasetId'], (result) => {
+      // A running job owns the scraped data and has already been rendered
+      if (isJobActive()) return;
+      
       if (result.scrapedData && result.scrapedData.length > 0) {
-        scrapedData = result.scrapedData;
+        // Data saved by an older version may still use the old per-scraper field names
+        scrapedData = result.scrapedData.map(normalizeLead);
+        currentDatasetId = result.currentDatasetId || null;
         updateResultsCount();
         downloadButton.disabled = false;
       }
@@ -65,10 +208,287 @@ scrapeAllButton.addEventListener('click', () => {
   startMultiPageScrape();
 });
 
+pauseJobButton.addEventListener('click', () => {
+  sendJobCommand('pauseScrapeJob');
+});
+
+resumeJobButton.addEventListener('click', () => {
+  sendJobCommand('resumeScrapeJob');
+});
+
+cancelJobButton.addEventListener('click', () => {
+  sendJobCommand('cancelScrapeJob');
+});
+
+pauseEnrichmentButton.addEventListener('click', () => {
+  sendJobCommand('pauseEnrichmentJob');
+});
+
+resumeEnrichmentButton.addEventListener('click', () => {
+  sendJobCommand('resumeEnrichmentJob');
+});
+
+cancelEnrichmentButton.addEventListener('click', () => {
+  sendJobCommand('cancelEnrichmentJob');
+});
+
+// The background script saves the job after every page, so follow along while the popup is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.scrapeJob) {
+    renderScrapeJob(changes.scrapeJob.newValue, true);
+  }
+  
+  if (areaName === 'local' && changes.enrichmentJob) {
+    renderEnrichmentJob(changes.enrichmentJob.newValue);
+  }
+  
+  // The enrichment job adds profile details to the scraped data when it enriches the current
+  // dataset, and the results page saves the rows fixed or deleted there
+  if (areaName === 'local' && changes.scrapedData && !changes.scrapeJob && !isJobActive()) {
+    scrapedData = (changes.scrapedData.newValue || []).map(normalizeLead);
+    updateResultsCount();
+  }
+  
+  // Running jobs count every page they scrape against the daily quota
+  if (areaName === 'local' && changes.throttleUsage) {
+    renderThrottleUsage();
+  }
+  
+  // Settings saved on the options page while the popup is open
+  if (areaName === 'sync' && changes.throttleSettings) {
+    renderThrottleUsage();
+  }
+  if (areaName === 'sync' && changes.scraperSettings) {
+    loadSettings();
+  }
+  
+  // Datasets are saved by this popup and by running jobs alike
+  if (areaName === 'local' && changes.datasets) {
+    datasets = changes.datasets.newValue || [];
+    renderDatasetList();
+  }
+});
+
 downloadButton.addEventListener('click', () => {
-  if (scrapedData.length > 0) {
-    exportToCSV();
+  if (scrapedData.length === 0) return;
+  
+  // Only the records that pass the filter panel are exported
+  const records = getFilteredData();
+  if (records.length === 0) {
+    statusMessage.textContent = 'Nothing to export: no records match the filters.';
+    return;
+  }
+  
+  if (onlyNewLeadsCheckbox.checked) {
+    exportNewAndChangedLeads(records);
+  } else {
+    exportLeads(records);
+  }
+});
+
+[filterSearchInput, filterIncludeInput, filterExcludeInput].forEach(input => {
+  input.addEventListener('input', () => {
+    applyLeadFilter();
+  });
+});
+
+filterProfileUrlCheckbox.addEventListener('change', () => {
+  applyLeadFilter();
+});
+
+clearFiltersButton.addEventListener('click', () => {
+  leadFilter = DEFAULT_LEAD_FILTER;
+  renderLeadFilter();
+  applyLeadFilter();
+});
+
+viewResultsButton.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('results.html') });
+});
+
+onlyNewLeadsCheckbox.addEventListener('change', () => {
+  chrome.storage.local.set({ onlyNewLeads: onlyNewLeadsCheckbox.checked });
+  refreshChangeSummary();
+});
+
+importSelectorsButton.addEventListener('click', () => {
+  selectorPackFile.click();
+});
+
+selectorPackFile.addEventListener('change', () => {
+  const file = selectorPackFile.files[0];
+  selectorPackFile.value = ''; // Allow importing the same file again
+  if (!file) return;
+  
+  file.text()
+    .then(text => {
+      const pack = JSON.parse(text);
+      const errors = validateSelectorPack(pack);
+      if (errors.length > 0) {
+        statusMessage.textContent = 'Selector pack rejected.';
+        showDebugInfo(`Selector pack problems: ${errors.map(escapeHtml).join('<br>')}`);
+        return;
+      }
+      
+      chrome.storage.local.set({ selectorPack: pack }, () => {
+        statusMessage.textContent = `Imported selector pack version ${pack.version}.`;
+        renderSelectorPackStatus();
+      });
+    })
+    .catch(error => {
+      statusMessage.textContent = 'Selector pack rejected.';
+      showDebugInfo(`Could not read the selector pack: ${escapeHtml(error.message)}`);
+    });
+});
+
+exportSelectorsButton.addEventListener('click', () => {
+  chrome.storage.local.get('selectorPack', (result) => {
+    const pack = result.selectorPack || BUILT_IN_SELECTOR_PACK;
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    chrome.runtime.sendMessage({
+      action: 'downloadFile',
+      data: {
+        url: URL.createObjectURL(blob),
+        filename: `linkedin_selectors_${pack.version}.json`
+      }
+    });
+  });
+});
+
+resetSelectorsButton.addEventListener('click', () => {
+  chrome.storage.local.remove('selectorPack', () => {
+    statusMessage.textContent = 'Using the built-in selector pack.';
+    renderSelectorPackStatus();
+  });
+});
+
+openOptionsButton.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+downloadDiagnosticsButton.addEventListener('click', () => {
+  downloadDiagnostics();
+});
+
+renameDatasetButton.addEventListener('click', () => {
+  const [datasetId] = selectedDatasetIds;
+  const name = datasetName.value.trim();
+  if (!datasetId || !name) {
+    datasetStatus.textContent = 'Enter a name for the dataset.';
+    return;
+  }
+  
+  renameDataset(datasetId, name).then(() => {
+    datasetStatus.textContent = `Dataset renamed to "${name}".`;
+  });
+});
+
+exportDatasetButton.addEventListener('click', () => {
+  // Each dataset is exported to its own files
+  [...selectedDatasetIds].forEach(datasetId => {
+    loadDatasetRecords(datasetId).then(records => {
+      exportLeads(records);
+    });
+  });
+});
+
+mergeDatasetsButton.addEventListener('click', () => {
+  mergeDatasets([...selectedDatasetIds], datasetName.value.trim())
+    .then(({ dataset, duplicatesCollapsed }) => {
+      // The new dataset is listed at the top; start a fresh selection
+      selectedDatasetIds = new Set();
+      renderDatasetList();
+      fillDatasetName();
+      datasetStatus.textContent = duplicatesCollapsed > 0 ?
+        `Merged into "${dataset.name}" (${duplicatesCollapsed} duplicates merged).` : `Merged into "${dataset.name}".`;
+    })
+    .catch(error => {
+      datasetStatus.textContent = error.message;
+    });
+});
+
+jobChangesButton.addEventListener('click', () => {
+  exportJobChanges();
+});
+
+enrichDatasetButton.addEventListener('click', () => {
+  const [datasetId] = selectedDatasetIds;
+  chrome.runtime.sendMessage({ action: 'startEnrichmentJob', datasetId }, (response) => {
+    if (chrome.runtime.lastError) {
+      showDebugInfo(`Communication error: ${escapeHtml(chrome.runtime.lastError.message)}`);
+      return;
+    }
+    
+    if (!response || !response.success) {
+      datasetStatus.textContent = response && response.error ? response.error : 'Could not start enriching profiles.';
+      return;
+    }
+    
+    renderEnrichmentJob(response.job);
+  });
+});
+
+deleteDatasetButton.addEventListener('click', () => {
+  const datasetIds = [...selectedDatasetIds];
+  const message = datasetIds.length === 1 ? 'Delete the selected dataset?' : `Delete ${datasetIds.length} datasets?`;
+  if (datasetIds.length === 0 || !confirm(message)) return;
+  
+  deleteDatasets(datasetIds).then(() => {
+    selectedDatasetIds = new Set();
+    datasetStatus.textContent = datasetIds.length === 1 ? 'Dataset deleted.' : `${datasetIds.length} datasets deleted.`;
+    updateDatasetActions();
+    fillDatasetName();
+  });
+});
+
+exportFormatSelect.addEventListener('change', () => {
+  exportFormat = exportFormatSelect.value;
+  chrome.storage.local.set({ exportFormat });
+});
+
+exportProfileSelect.addEventListener('change', () => {
+  activeExportProfileId = exportProfileSelect.value;
+  saveExportProfiles(exportProfiles, activeExportProfileId);
+  renderExportProfiles();
+});
+
+saveProfileButton.addEventListener('click', () => {
+  const profile = getActiveExportProfile();
+  
+  // The built-in profile can't be overwritten, so saving it creates a new profile
+  if (profile.builtIn) {
+    saveExportProfileAsNew();
+    return;
+  }
+  
+  const columns = readColumnEditor();
+  if (columns.length === 0) {
+    statusMessage.textContent = 'Select at least one column to export.';
+    return;
   }
+  
+  profile.name = exportProfileName.value.trim() || profile.name;
+  profile.columns = columns;
+  saveExportProfiles(exportProfiles, activeExportProfileId, () => {
+    statusMessage.textContent = `Export profile "${profile.name}" saved.`;
+    renderExportProfiles();
+  });
+});
+
+saveProfileAsButton.addEventListener('click', () => {
+  saveExportProfileAsNew();
+});
+
+deleteProfileButton.addEventListener('click', () => {
+  const profile = getActiveExportProfile();
+  if (profile.builtIn) return;
+  
+  exportProfiles = exportProfiles.filter(item => item.id !== profile.id);
+  activeExportProfileId = DEFAULT_EXPORT_PROFILE.id;
+  saveExportProfiles(exportProfiles, activeExportProfileId, () => {
+    statusMessage.textContent = `Export profile "${profile.name}" deleted.`;
+    renderExportProfiles();
+  });
 });
 
 /**
@@ -81,21 +501,58 @@ function scrapeSinglePage() {
   // Start with progress bar at 0%
   updateProgressBar(0);
   
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    // Make sure the content script is loaded
+  // A single page counts against the daily page quota just like a page of a multi-page run
+  checkThrottleQuota(THROTTLE_USAGE_KINDS.PAGE).then(quota => {
+    if (!quota.allowed) {
+      statusMessage.textContent = quota.message;
+      scrapeButton.disabled = false;
+      return;
+    }
+    
+    scrapeActiveTab();
+  });
+}
+
+/**
+ * Loads the content script into a tab unless it's already there. The manifest injects it into
+ * LinkedIn pages, and injecting it again would register its message listener twice, so every
+ * request would be handled twice.
+ * @param {number} tabId Tab to load the content script into
+ * @param {Function} callback Called with the injection error, or null once the script is loaded
+ */
+function ensureContentScript(tabId, callback) {
+  chrome.tabs.sendMessage(tabId, { action: 'ping' }, (pingResponse) => {
+    if (!chrome.runtime.lastError && pingResponse) {
+      callback(null);
+      return;
+    }
+    
     chrome.scripting.executeScript({
-      target: { tabId: tabs[0].id },
-      files: ['js/content.js']
+      target: { tabId },
+      files: CONTENT_SCRIPT_FILES
     }, () => {
-      if (chrome.runtime.lastError) {
-        console.error('Error injecting content script:', chrome.runtime.lastError);
+      callback(chrome.runtime.lastError || null);
+    });
+  });
+}
+
+/**
+ * Scrapes the page shown in the active tab
+ */
+function scrapeActiveTab() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    // Make sure the content script is loaded
+    ensureContentScript(tabs[0].id, (error) => {
+      if (error) {
+        console.error('Error injecting content script:', error);
         statusMessage.textContent = 'Error injecting content script. Please refresh the page.';
         scrapeButton.disabled = false;
         return;
       }
       
       // Show scraping status with page type
-      statusMessage.textContent = `Scraping ${isRegularLinkedIn ? 'regular LinkedIn' : 'Sales Navigator'} page...`;
+      statusMessage.textContent = isInfiniteScrollPage(pageType) ?
+        `Loading and scraping all ${PAGE_TYPES[pageType].label}...` : `Scraping ${PAGE_TYPES[pageType].label}...`;
       
       // Update progress to 20% after content script is loaded
       updateProgressBar(20);
@@ -105,6 +562,7 @@ function scrapeSinglePage() {
         tabs[0].id,
         { 
           action: 'scrapePage',
+          pageType: pageType,
           isRegularLinkedIn: isRegularLinkedIn 
         },
         (response) => {
@@ -126,7 +584,14 @@ function scrapeSinglePage() {
           updateProgressBar(80);
           
           if (response && response.success) {
-            scrapedData = response.data;
+            recordThrottleUsage(THROTTLE_USAGE_KINDS.PAGE);
+            
+            // Collapse cards that LinkedIn rendered more than once
+            const { leads, duplicatesCollapsed } = dedupeLeads([], response.data);
+            scrapedData = leads;
+            if (duplicatesCollapsed > 0) {
+              console.log(`Merged ${duplicatesCollapsed} duplicate leads`);
+            }
             
             // Check data quality
             const dataQualityIssues = checkDataQuality(scrapedData);
@@ -136,16 +601,17 @@ function scrapeSinglePage() {
             if (scrapedData.length > 0) {
               // Fill progress bar to 100% when scraping is successful
               updateProgressBar(100);
-              statusMessage.textContent = 'Scraping completed!';
+              statusMessage.textContent = duplicatesCollapsed > 0 ?
+                `Scraping completed! (${duplicatesCollapsed} duplicates merged)` : 'Scraping completed!';
               downloadButton.disabled = false; // Enable download button
               
               // Show warnings about data quality if needed
               if (dataQualityIssues.length > 0) {
-                showDebugInfo(`Scraping completed with some issues: ${dataQualityIssues.join(', ')}. You can still download the data.`);
+                showDebugInfo(`Scraping completed with some issues: ${escapeHtml(dataQualityIssues.join(', '))}. You can still download the data.`);
               }
               
-              // Save data to storage
-              chrome.storage.local.set({ scrapedData });
+              // Save data to storage, and keep the run in the dataset library
+              saveScrapeAsDataset(tabs[0].url);
             } else {
               // Fill progress bar to 100% even when no results are found
               updateProgressBar(100);
@@ -153,7 +619,7 @@ function scrapeSinglePage() {
               
               // Provide more detailed debug info about why no results were found
               if (response.debug) {
-                showDebugInfo(`The scraper ran but found no profiles. Debug info: ${response.debug}`);
+                showDebugInfo(`The scraper ran but found no profiles. ${escapeHtml(describeDiagnostics(response.debug))} Use Diagnostics &gt; Download Diagnostics to save the full report.`);
               } else {
                 showDebugInfo(`
                   <p>The scraper ran but didn't find any profiles. This might be due to:</p>
@@ -167,13 +633,18 @@ function scrapeSinglePage() {
                 `);
               }
             }
+          } else if (response && response.blockType) {
+            // LinkedIn showed a sign-in page, security check or the commercial use limit instead of results
+            updateProgressBar(0);
+            statusMessage.textContent = response.error;
           } else {
             // Reset progress bar on error
             updateProgressBar(0);
             statusMessage.textContent = 'Failed to scrape page.';
             
             if (response && response.error) {
-              showDebugInfo(`Error: ${response.error}`);
+              const details = response.debug ? ` ${escapeHtml(describeDiagnostics(response.debug))}` : '';
+              showDebugInfo(`Error: ${escapeHtml(response.error)}.${details}`);
             } else {
               showDebugInfo('Unknown error occurred. Check the console for more details.');
             }
@@ -185,180 +656,140 @@ function scrapeSinglePage() {
 }
 
 /**
- * Checks data quality and returns a list of issues
- * @param {Array} data The scraped data to check
- * @returns {Array} List of quality issues found
- */
-function checkDataQuality(data) {
-  const issues = [];
-  let missingTitles = 0;
-  let missingCompanies = 0;
-  let missingLocations = 0;
-  
-  data.forEach(item => {
-    if (!item.title || item.title.trim() === '') missingTitles++;
-    if (!item.company || item.company.trim() === '') missingCompanies++;
-    if (!item.location || item.location.trim() === '') missingLocations++;
-  });
-  
-  const total = data.length;
-  if (total > 0) {
-    if (missingTitles > 0) {
-      const percent = Math.round((missingTitles / total) * 100);
-      issues.push(`${percent}% of profiles are missing job titles`);
-    }
-    
-    if (missingCompanies > 0) {
-      const percent = Math.round((missingCompanies / total) * 100);
-      issues.push(`${percent}% of profiles are missing companies`);
-    }
-    
-    if (missingLocations > 0) {
-      const percent = Math.round((missingLocations / total) * 100);
-      issues.push(`${percent}% of profiles are missing locations`);
-    }
-  }
-  
-  return issues;
-}
-
-/**
- * Starts scraping all pages of search results
+ * Starts scraping all pages of search results. The job itself runs in the background
+ * script so it keeps going when the popup is closed.
  */
 function startMultiPageScrape() {
-  isScrapingAll = true;
   statusMessage.textContent = 'Getting total pages...';
+  updateProgressBar(0);
   
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    // Make sure the content script is loaded
-    chrome.scripting.executeScript({
-      target: { tabId: tabs[0].id },
-      files: ['js/content.js']
-    }, () => {
-      if (chrome.runtime.lastError) {
-        console.error('Error injecting content script:', chrome.runtime.lastError);
-        statusMessage.textContent = 'Error injecting content script. Please refresh the page.';
-        return;
-      }
-      
-      chrome.tabs.sendMessage(
-        tabs[0].id,
-        { 
-          action: 'getTotalPages',
-          isRegularLinkedIn: isRegularLinkedIn 
-        },
-        (response) => {
-          if (chrome.runtime.lastError || !response || !response.success) {
-            statusMessage.textContent = 'Error getting total pages.';
-            isScrapingAll = false;
-            
-            if (chrome.runtime.lastError) {
-              showDebugInfo('Communication error: ' + chrome.runtime.lastError.message);
-            } else if (response && response.error) {
-              showDebugInfo('Error: ' + response.error);
-            }
-            return;
-          }
-          
-          totalPages = response.totalPages;
-          currentPage = 1;
-          
-          statusMessage.textContent = `Scraping page 1 of ${totalPages}...`;
-          updateProgressBar(0);
-          
-          // Disable buttons during scraping
-          scrapeButton.disabled = true;
-          scrapeAllButton.disabled = true;
-          
-          // Start scraping the first page
-          scrapeCurrentPage();
-        }
-      );
-    });
-  });
-}
-
-/**
- * Scrapes the current page and continues to the next if needed
- */
-function scrapeCurrentPage() {
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    chrome.tabs.sendMessage(
-      tabs[0].id,
+    chrome.runtime.sendMessage(
       { 
-        action: 'scrapePage',
-        isRegularLinkedIn: isRegularLinkedIn 
+        action: 'startScrapeJob',
+        tabId: tabs[0].id,
+        pageType: pageType,
+        isRegularLinkedIn: isRegularLinkedIn,
+        // Empty limits mean the whole search
+        limits: {
+          startPage: startPageInput.value,
+          endPage: endPageInput.value,
+          maxLeads: maxLeadsInput.value
+        }
       },
       (response) => {
+        // LinkedIn blocked the page, or the page range doesn't fit the search; the message says what to do
+        if (response && (response.blockType || response.isRangeError)) {
+          statusMessage.textContent = response.error;
+          return;
+        }
+        
         if (chrome.runtime.lastError || !response || !response.success) {
-          finishMultiPageScrape('Error scraping page ' + currentPage);
+          statusMessage.textContent = 'Error getting total pages.';
           
           if (chrome.runtime.lastError) {
-            showDebugInfo('Communication error: ' + chrome.runtime.lastError.message);
+            showDebugInfo(`Communication error: ${escapeHtml(chrome.runtime.lastError.message)}`);
           } else if (response && response.error) {
-            showDebugInfo('Error: ' + response.error);
+            showDebugInfo(`Error: ${escapeHtml(response.error)}`);
           }
           return;
         }
         
-        // Add the results to our data array
-        scrapedData = [...scrapedData, ...response.data];
-        updateResultsCount();
-        
-        // Save data to storage after each page
-        chrome.storage.local.set({ scrapedData });
-        
-        // Update progress
-        const progress = (currentPage / totalPages) * 100;
-        updateProgressBar(progress);
-        
-        // Check if we need to continue to the next page
-        if (currentPage < totalPages && isScrapingAll) {
-          currentPage++;
-          statusMessage.textContent = `Scraping page ${currentPage} of ${totalPages}...`;
-          
-          // Navigate to the next page
-          chrome.tabs.sendMessage(
-            tabs[0].id,
-            { 
-              action: 'navigateToPage', 
-              pageNumber: currentPage,
-              isRegularLinkedIn: isRegularLinkedIn 
-            },
-            () => {
-              // Wait for the page to load before continuing
-              setTimeout(() => {
-                scrapeCurrentPage();
-              }, 5000); // 5 second delay to allow page to load
-            }
-          );
-        } else {
-          finishMultiPageScrape('All pages scraped successfully!');
-        }
+        renderScrapeJob(response.job, true);
       }
     );
   });
 }
 
 /**
- * Completes the multi-page scraping process
- * @param {string} message Status message to display
+ * Sends a pause, resume or cancel command for the current scrape or enrichment job
+ * @param {string} action The job command to send to the background script
  */
-function finishMultiPageScrape(message) {
-  isScrapingAll = false;
-  statusMessage.textContent = message;
+function sendJobCommand(action) {
+  chrome.runtime.sendMessage({ action }, (response) => {
+    if (chrome.runtime.lastError) {
+      showDebugInfo(`Communication error: ${escapeHtml(chrome.runtime.lastError.message)}`);
+      return;
+    }
+    
+    if (response && !response.success && response.error) {
+      statusMessage.textContent = response.error;
+    }
+  });
+}
+
+/**
+ * Checks whether the current scrape job is still running or paused
+ * @returns {boolean} True if the job hasn't finished
+ */
+function isJobActive() {
+  return !!scrapeJob && (scrapeJob.status === 'running' || scrapeJob.status === 'paused');
+}
+
+/**
+ * Shows the state of a multi-page scrape job in the popup
+ * @param {Object} job The job as saved by the background script
+ * @param {boolean} isLiveUpdate Whether the job changed while the popup is open, as opposed
+ *   to a job left over from an earlier popup session
+ */
+function renderScrapeJob(job, isLiveUpdate) {
+  scrapeJob = job || null;
+  const isActive = isJobActive();
   
-  // Re-enable buttons
-  scrapeButton.disabled = false;
-  scrapeAllButton.disabled = false;
+  jobControls.hidden = !isActive;
+  pauseJobButton.hidden = !isActive || job.status !== 'running';
+  resumeJobButton.hidden = !isActive || job.status !== 'paused';
   
-  if (scrapedData.length > 0) {
-    downloadButton.disabled = false; // Make sure download button is enabled
-  } else {
+  // A finished job from an earlier session shouldn't replace the popup's ready message
+  if (!job || (!isActive && !isLiveUpdate)) return;
+  
+  scrapedData = job.leads;
+  currentDatasetId = job.dataset ? job.dataset.id : null;
+  statusMessage.textContent = job.duplicatesMerged > 0 ?
+    `${job.message} (${job.duplicatesMerged} duplicates merged)` : job.message;
+  // Jobs saved before runs had a page range cover every page
+  const pageCount = (job.lastPage || job.totalPages) - (job.firstPage || 1) + 1;
+  updateProgressBar(pageCount > 0 ? (job.pagesScraped / pageCount) * 100 : 0);
+  updateResultsCount();
+  
+  // Scraping both ways at once would fight over the same tab
+  scrapeButton.disabled = isActive || !isSupportedPage;
+  scrapeAllButton.disabled = isActive || !isSupportedPage || isInfiniteScrollPage(pageType);
+  
+  if (job.status === 'failed' && job.errors.length > 0) {
+    showDebugInfo(`Error: ${escapeHtml(job.errors[job.errors.length - 1].message)}`);
+  } else if (!isActive && job.status !== 'blocked' && scrapedData.length === 0) {
     showDebugInfo('No profiles were scraped. Try refreshing the page or check if you\'re logged in to LinkedIn.');
   }
 }
 
+/**
+ * Checks whether the profile enrichment job is still running or paused
+ * @returns {boolean} True if the job hasn't finished
+ */
+function isEnrichmentJobActive() {
+  return !!enrichmentJob && (enrichmentJob.status === 'running' || enrichmentJob.status === 'paused');
+}
+
+/**
+ * Shows the state of the profile enrichment job in the popup
+ * @param {Object} job The job as saved by the background script
+ */
+function renderEnrichmentJob(job) {
+  enrichmentJob = job || null;
+  const isActive = isEnrichmentJobActive();
+  
+  enrichmentPanel.hidden = !job;
+  enrichmentControls.hidden = !isActive;
+  pauseEnrichmentButton.hidden = !isActive || job.status !== 'running';
+  resumeEnrichmentButton.hidden = !isActive || job.status !== 'paused';
+  updateDatasetActions();
+  if (!job) return;
+  
+  enrichmentStatus.textContent = `Profile enrichment of "${job.datasetName}": ${job.message}`;
+  enrichmentStatus.classList.toggle('warning', job.status === 'blocked' || job.status === 'failed');
+}
+
 /**
  * Updates the progress bar fill
  * @param {number} percentage Progress percentage (0-100)
@@ -371,12 +802,149 @@ function updateProgressBar(percentage) {
  * Updates the results count display
  */
 function updateResultsCount() {
-  resultsCount.textContent = `${scrapedData.length} leads found`;
+  // Count each record type, in RECORD_TYPES order, and only mention the ones that were scraped
+  const counts = Object.values(RECORD_TYPES)
+    .map(recordType => ({
+      recordType,
+      count: scrapedData.filter(item => getRecordType(item) === recordType).length
+    }))
+    .filter(entry => entry.count > 0)
+    .map(entry => `${entry.count} ${RECORD_TYPE_NOUNS[entry.recordType]}`);
+  
+  if (counts.length === 0) {
+    resultsCount.textContent = '0 leads found';
+  } else if (counts.length === 1) {
+    resultsCount.textContent = `${counts[0]} found`;
+  } else {
+    resultsCount.textContent = `${counts.slice(0, -1).join(', ')} and ${counts[counts.length - 1]} found`;
+  }
+  
+  // Say how many of them the filter panel lets through to the export
+  if (scrapedData.length > 0 && isLeadFilterActive(leadFilter)) {
+    resultsCount.textContent += `, ${getFilteredData().length} match the filters`;
+  }
   
   // Always enable download button if we have data
   if (scrapedData.length > 0) {
     downloadButton.disabled = false;
   }
+  
+  refreshChangeSummary();
+}
+
+/**
+ * Shows how many of the filtered records are new, changed or unchanged since earlier scrapes
+ * while "Only new and changed leads" is ticked
+ */
+function refreshChangeSummary() {
+  const records = getFilteredData();
+  if (!onlyNewLeadsCheckbox.checked || records.length === 0) {
+    changeSummary.hidden = true;
+    return;
+  }
+  
+  loadLeadHistory(currentDatasetId).then(history => {
+    const { counts } = diffLeads(records, history);
+    changeSummary.hidden = false;
+    changeSummary.textContent = `${counts.new} new, ${counts.changed} changed and ${counts.unchanged} unchanged since earlier scrapes.`;
+  });
+}
+
+/**
+ * Exports only the records that are new or changed since earlier scrapes, with columns
+ * saying which of the two each record is and what changed
+ * @param {Array} currentRecords The records to compare, e.g. the filtered scrape
+ */
+function exportNewAndChangedLeads(currentRecords) {
+  loadLeadHistory(currentDatasetId).then(history => {
+    const { records, counts } = diffLeads(currentRecords, history);
+    const newAndChanged = records.filter(record => record.changeStatus !== CHANGE_STATUSES.UNCHANGED);
+    
+    if (newAndChanged.length === 0) {
+      statusMessage.textContent = `Nothing to export: all ${counts.unchanged} records were scraped before.`;
+      return;
+    }
+    
+    exportLeads(newAndChanged, true);
+    statusMessage.textContent = `Downloading ${counts.new} new and ${counts.changed} changed records ` +
+      `(${counts.unchanged} unchanged left out)...`;
+  });
+}
+
+/**
+ * Returns the scraped records that pass the filter panel
+ * @returns {Array} The filtered records
+ */
+function getFilteredData() {
+  return filterLeads(scrapedData, leadFilter);
+}
+
+/**
+ * Fills the filter panel in from the current filter
+ */
+function renderLeadFilter() {
+  filterSearchInput.value = leadFilter.search;
+  filterIncludeInput.value = leadFilter.includeKeywords;
+  filterExcludeInput.value = leadFilter.excludeKeywords;
+  filterProfileUrlCheckbox.checked = leadFilter.hasProfileUrl;
+  
+  renderFilterOptions(filterKeywordFields, 'Keywords in:', Object.keys(LEAD_FILTER_KEYWORD_FIELDS),
+    field => LEAD_FILTER_KEYWORD_FIELDS[field], leadFilter.keywordFields);
+  renderFilterOptions(filterConnectionDegrees, 'Connection:', LEAD_FILTER_CONNECTION_DEGREES,
+    degree => degree, leadFilter.connectionDegrees);
+}
+
+/**
+ * Renders a labeled row of checkboxes for one multiple-choice part of the filter
+ * @param {Element} container Element to render the row into
+ * @param {string} label Label in front of the checkboxes
+ * @param {Array} values Values to offer
+ * @param {Function} getLabel Returns the label of a value
+ * @param {Array} checkedValues Values to tick
+ */
+function renderFilterOptions(container, label, values, getLabel, checkedValues) {
+  container.innerHTML = '';
+  
+  const labelElement = document.createElement('span');
+  labelElement.className = 'filter-options-label';
+  labelElement.textContent = label;
+  container.appendChild(labelElement);
+  
+  values.forEach(value => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkbox.checked = checkedValues.includes(value);
+    checkbox.addEventListener('change', () => {
+      applyLeadFilter();
+    });
+    
+    const option = document.createElement('label');
+    option.append(checkbox, ` ${getLabel(value)}`);
+    container.appendChild(option);
+  });
+}
+
+/**
+ * Reads the filter panel, saves the filter for the next popup session and updates the counts
+ */
+function applyLeadFilter() {
+  const getCheckedValues = container => Array.from(container.querySelectorAll('input[type="checkbox"]'))
+    .filter(checkbox => checkbox.checked)
+    .map(checkbox => checkbox.value);
+  
+  leadFilter = {
+    search: filterSearchInput.value,
+    includeKeywords: filterIncludeInput.value,
+    excludeKeywords: filterExcludeInput.value,
+    keywordFields: getCheckedValues(filterKeywordFields),
+    connectionDegrees: getCheckedValues(filterConnectionDegrees),
+    hasProfileUrl: filterProfileUrlCheckbox.checked
+  };
+  chrome.storage.local.set({ leadFilter });
+  if (scrapedData.length > 0) {
+    updateResultsCount();
+  }
 }
 
 /**
@@ -390,7 +958,7 @@ function disableButtons() {
 
 /**
  * Shows debugging information
- * @param {string} debugText Debug information to display
+ * @param {string} debugText Debug information to display, as HTML; escape scraped or page text with escapeHtml()
  */
 function showDebugInfo(debugText) {
   console.log('Debug info:', debugText);
@@ -419,125 +987,439 @@ function showDebugInfo(debugText) {
 }
 
 /**
- * Exports scraped data to CSV file
+ * Exports scraped data in the selected file format, one file per record type
+ * @param {Array} [records] The records to export, defaults to the current scrape
+ * @param {boolean} [includeChangeColumns] Whether to add the Change Status and Changed Fields columns
  */
-function exportToCSV() {
-  if (scrapedData.length === 0) return;
+function exportLeads(records = scrapedData, includeChangeColumns = false) {
+  if (records.length === 0) return;
   
   // Log sample of data for debugging
-  console.log('Data structure sample:', scrapedData.slice(0, 2));
+  console.log('Data structure sample:', records.slice(0, 2));
   
   // Log data structure details
-  if (scrapedData.length > 0) {
-    const firstItem = scrapedData[0];
+  if (records.length > 0) {
+    const firstItem = records[0];
     console.log('First item properties:', Object.keys(firstItem));
     console.log('First item values:', firstItem);
   }
   
-  // Define CSV headers - combining Title and Company into a single field
-  const headers = ['Name', 'Title & Company', 'Location', 'Profile URL'];
-  
   // Log full data for debugging purposes
-  console.log('Data to export:', scrapedData);
-  
-  // Check for specific examples to diagnose
-  const diagExample = scrapedData.find(item => 
-    (item.name && item.name.includes("Fiorella")) || 
-    (item.fullName && item.fullName.includes("Fiorella")) ||
-    (item.company && item.company.includes("Intuit")) ||
-    (item.companyName && item.companyName.includes("Intuit")) ||
-    (item.title && item.title.includes("Marketing Manager"))
-  );
-  
-  if (diagExample) {
-    console.log('Found diagnostic example:', diagExample);
-    const name = diagExample.name || diagExample.fullName || 'Unknown';
-    const title = diagExample.title || 'N/A';
-    const company = diagExample.company || diagExample.companyName || 'N/A';
-    const location = diagExample.location || 'N/A';
-    showDebugInfo(`Found diagnostic example: ${name}, Title: "${title}", Company: "${company}", Location: "${location}"`);
-  }
+  console.log('Data to export:', records);
+  
+  // The lead diagnostics below read lead fields, which accounts don't have
+  const leads = records.filter(item => getRecordType(item) === RECORD_TYPES.LEAD);
   
-  // Check for missing data - using proper field names and checking field existence
+  // Check for missing data
   const missingData = [];
-  scrapedData.forEach(lead => {
-    const name = lead.name || lead.fullName || 'Unknown';
-    if (!lead.title && !lead.jobTitle) missingData.push(`${name} - missing title`);
-    if (!lead.company && !lead.companyName) missingData.push(`${name} - missing company`);
+  leads.forEach(lead => {
+    const name = lead.name || 'Unknown';
+    if (!lead.title) missingData.push(`${name} - missing title`);
+    if (!lead.company) missingData.push(`${name} - missing company`);
   });
   
   if (missingData.length > 0) {
     console.log('Missing data in leads:', missingData);
     if (missingData.length <= 5) {
-      showDebugInfo(`Data quality issues: ${missingData.join('; ')}`);
+      showDebugInfo(`Data quality issues: ${escapeHtml(missingData.join('; '))}`);
     } else {
       showDebugInfo(`Data quality issues found in ${missingData.length} records. Check console for details.`);
     }
   }
   
-  let csvContent = headers.join(',') + '\n';
+  // Serialize with the selected format; table formats use the active export profile's columns
+  // for leads and the built-in columns of the record type for everything else
+  const exporter = getExporter(exportFormat);
+  let fileCount = 0;
   
-  scrapedData.forEach(lead => {
-    // Ensure each field exists and has a value
-    const name = lead.name || lead.fullName || '';
-    const title = lead.title || '';
-    const company = lead.company || lead.companyName || '';
-    // Combine title and company
-    const titleAndCompany = company ? (title ? `${title} at ${company}` : company) : title;
-    const location = lead.location || '';
-    const profileUrl = lead.profileUrl || '';
+  Object.values(RECORD_TYPES).forEach(recordType => {
+    const recordsOfType = records.filter(item => getRecordType(item) === recordType);
+    if (recordsOfType.length === 0) return;
     
-    const row = [
-      escapeCsvField(name),
-      escapeCsvField(titleAndCompany),
-      escapeCsvField(location),
-      escapeCsvField(profileUrl)
-    ];
+    const recordTypeProfile = getExportProfileForRecordType(recordType, getActiveExportProfile());
+    const profile = includeChangeColumns ? addChangeColumns(recordTypeProfile) : recordTypeProfile;
+    console.log(`Exporting ${recordsOfType.length} ${recordType} records as ${exporter.label} with profile "${profile.name}"`);
     
-    csvContent += row.join(',') + '\n';
+    downloadExport(recordsOfType, profile, recordType);
+    fileCount++;
   });
   
-  // Create blob and download
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  statusMessage.textContent = fileCount > 1 ?
+    `Downloading ${fileCount} ${exporter.label} files...` : `Downloading ${exporter.label} file...`;
+}
+
+/**
+ * Serializes records of one type in the selected file format and downloads the file
+ * @param {Array} records The records to export
+ * @param {Object} profile Export profile with the columns of table formats
+ * @param {string} recordType Record type, used to name the file
+ */
+function downloadExport(records, profile, recordType) {
+  const blob = createExportBlob(records, profile, exportFormat);
   const url = URL.createObjectURL(blob);
-  
-  // Get current date and time for filename
-  const now = new Date();
-  const date = now.toISOString().split('T')[0];
-  const time = now.toTimeString().split(' ')[0].replace(/:/g, '-');
-  const filename = `linkedin_leads_${date}_${time}.csv`;
+  const filename = createExportFilename(exportFormat, recordType);
   
   // Send download request to background script
   chrome.runtime.sendMessage({
-    action: 'downloadCSV',
+    action: 'downloadFile',
     data: {
       url: url,
       filename: filename
     }
   });
+}
+
+/**
+ * Downloads a report of everyone whose title or company changed between the two selected
+ * datasets, comparing the older dataset to the newer one
+ */
+function exportJobChanges() {
+  const [older, newer] = datasets
+    .filter(dataset => selectedDatasetIds.has(dataset.id))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  if (!older || !newer) return;
+  
+  Promise.all([loadDatasetRecords(older.id), loadDatasetRecords(newer.id)]).then(([olderRecords, newerRecords]) => {
+    const jobChanges = findJobChanges(olderRecords, newerRecords);
+    if (jobChanges.length === 0) {
+      datasetStatus.textContent = `Nobody changed title or company between "${older.name}" and "${newer.name}".`;
+      return;
+    }
+    
+    downloadExport(jobChanges, JOB_CHANGE_EXPORT_PROFILE, JOB_CHANGE_REPORT_TYPE);
+    datasetStatus.textContent = jobChanges.length === 1 ?
+      `Downloading 1 job change since "${older.name}"...` :
+      `Downloading ${jobChanges.length} job changes since "${older.name}"...`;
+  });
+}
+
+/**
+ * Collects a diagnostics snapshot from the current page and downloads it as a JSON file
+ */
+function downloadDiagnostics() {
+  statusMessage.textContent = 'Collecting diagnostics...';
+  
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tabId = tabs[0].id;
+    
+    ensureContentScript(tabId, (error) => {
+      if (error) {
+        console.error('Error injecting content script:', error);
+        statusMessage.textContent = 'Diagnostics are only available on LinkedIn pages.';
+        return;
+      }
+      requestDiagnostics(tabId);
+    });
+  });
+}
+
+/**
+ * Asks the content script for a diagnostics snapshot and saves it
+ * @param {number} tabId Tab with the content script loaded
+ */
+function requestDiagnostics(tabId) {
+  chrome.tabs.sendMessage(tabId, { action: 'collectDiagnostics' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.error);
+      console.error('Error collecting diagnostics:', error);
+      statusMessage.textContent = 'Could not collect diagnostics.';
+      showDebugInfo(`Error: ${escapeHtml(error || 'No response from the content script.')}`);
+      return;
+    }
+    
+    const snapshot = response.diagnostics;
+    const now = new Date();
+    const date = now.toISOString().split('T')[0];
+    const time = now.toTimeString().split(' ')[0].replace(/:/g, '-');
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+    
+    chrome.runtime.sendMessage({
+      action: 'downloadFile',
+      data: {
+        url: URL.createObjectURL(blob),
+        filename: `linkedin_diagnostics_${date}_${time}.json`
+      }
+    });
+    
+    diagnosticsStatus.textContent = describeDiagnostics(snapshot);
+    statusMessage.textContent = 'Downloading diagnostics...';
+  });
+}
+
+/**
+ * Summarizes a diagnostics snapshot in one line
+ * @param {Object} snapshot Snapshot from collectDebugInfo in the content script
+ * @returns {string} Summary of the page type, card scores and pagination state
+ */
+function describeDiagnostics(snapshot) {
+  const { pageType, cards, pagination } = snapshot;
+  return `Page type: ${pageType}. ${cards.accepted} of ${cards.candidates} candidate cards passed the profile card check. ` +
+    `Page ${pagination.currentPage} of ${pagination.totalPages || 'unknown'}.`;
+}
+
+/**
+ * Returns the export profile currently selected in the popup
+ * @returns {Object} The active export profile
+ */
+function getActiveExportProfile() {
+  return exportProfiles.find(profile => profile.id === activeExportProfileId) || DEFAULT_EXPORT_PROFILE;
+}
+
+/**
+ * Fills the profile dropdown and the column editor from the loaded profiles
+ */
+function renderExportProfiles() {
+  exportProfileSelect.innerHTML = '';
+  exportProfiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    option.selected = profile.id === activeExportProfileId;
+    exportProfileSelect.appendChild(option);
+  });
+  
+  const profile = getActiveExportProfile();
+  exportProfileName.value = profile.builtIn ? '' : profile.name;
+  deleteProfileButton.disabled = !!profile.builtIn;
+  renderColumnEditor(profile);
+}
+
+/**
+ * Renders one editor row per available column: the profile's columns first, in order,
+ * followed by the columns it doesn't use yet
+ * @param {Object} profile The export profile being edited
+ */
+function renderColumnEditor(profile) {
+  exportColumnList.innerHTML = '';
+  
+  const usedIds = profile.columns.map(column => column.id);
+  const unusedColumns = Object.keys(EXPORT_COLUMNS)
+    .filter(id => !usedIds.includes(id))
+    .map(id => ({ id, header: EXPORT_COLUMNS[id].label, disabled: true }));
+  
+  [...profile.columns, ...unusedColumns].forEach(column => {
+    const item = document.createElement('li');
+    item.dataset.columnId = column.id;
+    item.classList.toggle('column-disabled', !!column.disabled);
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !column.disabled;
+    checkbox.title = `Include ${EXPORT_COLUMNS[column.id].label}`;
+    checkbox.addEventListener('change', () => {
+      item.classList.toggle('column-disabled', !checkbox.checked);
+    });
+    
+    const headerInput = document.createElement('input');
+    headerInput.type = 'text';
+    headerInput.value = column.header;
+    headerInput.title = `Header for ${EXPORT_COLUMNS[column.id].label}`;
+    
+    const upButton = document.createElement('button');
+    upButton.className = 'column-move';
+    upButton.textContent = '↑';
+    upButton.title = 'Move up';
+    upButton.addEventListener('click', () => {
+      if (item.previousElementSibling) {
+        exportColumnList.insertBefore(item, item.previousElementSibling);
+      }
+    });
+    
+    const downButton = document.createElement('button');
+    downButton.className = 'column-move';
+    downButton.textContent = '↓';
+    downButton.title = 'Move down';
+    downButton.addEventListener('click', () => {
+      if (item.nextElementSibling) {
+        exportColumnList.insertBefore(item.nextElementSibling, item);
+      }
+    });
+    
+    item.append(checkbox, headerInput, upButton, downButton);
+    exportColumnList.appendChild(item);
+  });
+}
+
+/**
+ * Reads the selected columns, in their on-screen order, from the column editor
+ * @returns {Array} Columns with id and header
+ */
+function readColumnEditor() {
+  return Array.from(exportColumnList.querySelectorAll('li'))
+    .filter(item => item.querySelector('input[type="checkbox"]').checked)
+    .map(item => {
+      const id = item.dataset.columnId;
+      const header = item.querySelector('input[type="text"]').value.trim();
+      return { id, header: header || EXPORT_COLUMNS[id].label };
+    });
+}
+
+/**
+ * Saves the column editor contents as a new export profile and makes it active
+ */
+function saveExportProfileAsNew() {
+  const columns = readColumnEditor();
+  if (columns.length === 0) {
+    statusMessage.textContent = 'Select at least one column to export.';
+    return;
+  }
+  
+  const name = exportProfileName.value.trim();
+  if (!name) {
+    statusMessage.textContent = 'Enter a name for the new export profile.';
+    exportProfileName.focus();
+    return;
+  }
+  
+  const profile = { id: createExportProfileId(), name, columns };
+  exportProfiles = [...exportProfiles, profile];
+  activeExportProfileId = profile.id;
+  saveExportProfiles(exportProfiles, activeExportProfileId, () => {
+    statusMessage.textContent = `Export profile "${name}" saved.`;
+    renderExportProfiles();
+  });
+}
+
+/**
+ * Saves the records of a single-page scrape as a new dataset
+ * @param {string} searchUrl URL of the scraped page
+ */
+function saveScrapeAsDataset(searchUrl) {
+  const pageNumber = getPageNumberFromUrl(searchUrl);
+  const dataset = createDataset({ pageType, searchUrl, firstPage: pageNumber, lastPage: pageNumber });
   
-  statusMessage.textContent = 'Downloading CSV file...';
+  // Remember which dataset holds the current scrape, so it isn't compared against itself
+  currentDatasetId = dataset.id;
+  chrome.storage.local.set({ scrapedData, currentDatasetId });
   
-  // Also write to console for debugging
-  console.log('CSV Content Preview (first 500 chars):', csvContent.substring(0, 500));
+  addDataset(dataset, scrapedData).then(saved => {
+    datasetStatus.textContent = `Saved as "${saved.name}".`;
+  });
 }
 
 /**
- * Escapes a field for CSV format
- * @param {string} field The field to escape
- * @returns {string} Escaped field
+ * Renders the saved datasets as a checklist; checked datasets are the ones the dataset buttons act on
  */
-function escapeCsvField(field) {
-  if (field === null || field === undefined) return '';
+function renderDatasetList() {
+  datasetList.innerHTML = '';
   
-  // Convert to string
-  const str = String(field);
+  // Forget selections of datasets that were deleted
+  selectedDatasetIds = new Set([...selectedDatasetIds].filter(id => datasets.some(dataset => dataset.id === id)));
   
-  // If the field contains commas, quotes, or newlines, wrap it in quotes
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    // Double any existing quotes
-    return `"${str.replace(/"/g, '""')}"`;
+  datasets.forEach(dataset => {
+    const item = document.createElement('li');
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedDatasetIds.has(dataset.id);
+    checkbox.id = `dataset-${dataset.id}`;
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selectedDatasetIds.add(dataset.id);
+      } else {
+        selectedDatasetIds.delete(dataset.id);
+      }
+      updateDatasetActions();
+      fillDatasetName();
+    });
+    
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = dataset.name;
+    
+    const details = document.createElement('div');
+    details.className = 'dataset-details';
+    details.textContent = describeDataset(dataset);
+    label.appendChild(details);
+    
+    item.appendChild(checkbox);
+    item.appendChild(label);
+    datasetList.appendChild(item);
+  });
+  
+  if (datasets.length === 0) {
+    datasetStatus.textContent = 'Every scrape is saved here.';
   }
+  updateDatasetActions();
+}
+
+/**
+ * Enables the dataset buttons that apply to the current selection
+ */
+function updateDatasetActions() {
+  const selectedCount = selectedDatasetIds.size;
+  renameDatasetButton.disabled = selectedCount !== 1;
+  exportDatasetButton.disabled = selectedCount === 0;
+  mergeDatasetsButton.disabled = selectedCount < 2;
+  jobChangesButton.disabled = selectedCount !== 2;
+  enrichDatasetButton.disabled = selectedCount !== 1 || isEnrichmentJobActive();
+  deleteDatasetButton.disabled = selectedCount === 0;
+}
+
+/**
+ * Fills in the dataset name field for the current selection. Only called when the selection
+ * changes, so a running job saving its dataset doesn't overwrite what is being typed.
+ */
+function fillDatasetName() {
+  const selectedCount = selectedDatasetIds.size;
   
-  return str;
-} 
\ No newline at end of file
+  // With one dataset selected the field renames it; with several it names the merged dataset
+  if (selectedCount === 1) {
+    const [datasetId] = selectedDatasetIds;
+    const dataset = datasets.find(item => item.id === datasetId);
+    datasetName.value = dataset ? dataset.name : '';
+    datasetName.placeholder = 'Dataset name';
+  } else {
+    datasetName.value = '';
+    datasetName.placeholder = selectedCount > 1 ? 'Name for the merged dataset (optional)' : 'Dataset name';
+  }
+}
+
+/**
+ * Shows which selector pack is active, warning when an imported pack is older than the built-in one
+ */
+function renderSelectorPackStatus() {
+  chrome.storage.local.get('selectorPack', (result) => {
+    const pack = result.selectorPack;
+    selectorPackStatus.classList.remove('warning');
+    resetSelectorsButton.disabled = !pack;
+    
+    if (!pack) {
+      selectorPackStatus.textContent = `Built-in selectors, version ${BUILT_IN_SELECTOR_PACK.version}.`;
+      return;
+    }
+    
+    selectorPackStatus.textContent = `Imported selectors, version ${pack.version}.`;
+    if (compareSelectorPackVersions(pack.version, BUILT_IN_SELECTOR_PACK.version) < 0) {
+      selectorPackStatus.textContent += ` Older than the built-in version ${BUILT_IN_SELECTOR_PACK.version}.`;
+      selectorPackStatus.classList.add('warning');
+    }
+  });
+}
+
+/**
+ * Shows how much of the daily quotas the last 24 hours used
+ */
+function renderThrottleUsage() {
+  Promise.all([loadThrottleSettings(), loadThrottleUsage()]).then(([settings, usage]) => {
+    const pages = getQuotaStatus(usage, THROTTLE_USAGE_KINDS.PAGE, settings);
+    const profiles = getQuotaStatus(usage, THROTTLE_USAGE_KINDS.PROFILE, settings);
+    const describe = (status, noun) => status.quota > 0 ? `${status.used} of ${status.quota} ${noun}` : `${status.used} ${noun}`;
+    
+    throttleStatus.textContent = `Last 24 hours: ${describe(pages, 'pages')}, ${describe(profiles, 'profiles')}.`;
+    throttleStatus.classList.toggle('warning', !pages.allowed || !profiles.allowed);
+  });
+}
+
+/**
+ * Escapes text for safe use inside the debug info HTML
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * Profile enrichment for LinkedIn Scraper
+ * Picks the leads whose profiles the enrichment job visits and adds what it reads there to
+ * their records. The job itself runs in background.js.
+ */
+
+// Sections whose details page the job visits when the profile shows only part of their list
+const PROFILE_DETAILS_SECTIONS = ['experience', 'education', 'skills'];
+
+/**
+ * Reduces a profile URL to the profile's canonical address
+ * @param {string} url Profile URL, e.g. https://www.linkedin.com/in/jane-doe/?miniProfileUrn=...
+ * @returns {string} e.g. https://www.linkedin.com/in/jane-doe/, or '' for anything but a /in/ profile
+ */
+function getProfileBaseUrl(url) {
+  const match = (url || '').match(/^https?:\/\/(?:[a-z]+\.)?linkedin\.com\/in\/([^/?#]+)/i);
+  return match ? `https://www.linkedin.com/in/${match[1]}/` : '';
+}
+
+/**
+ * Returns the address of a part of a profile
+ * @param {string} profileUrl The profile's canonical address, see getProfileBaseUrl()
+ * @param {string} section 'main', 'contactInfo' or one of PROFILE_DETAILS_SECTIONS
+ * @returns {string} URL of the profile page, its contact info dialog or the section's details page
+ */
+function getProfileSectionUrl(profileUrl, section) {
+  if (section === 'main') return profileUrl;
+  if (section === 'contactInfo') return `${profileUrl}overlay/contact-info/`;
+  return `${profileUrl}details/${section}/`;
+}
+
+/**
+ * Lists the profiles of a dataset that haven't been enriched yet. Sales Navigator leads have
+ * no /in/ profile URL and are left out.
+ * @param {Array} records The dataset's records
+ * @returns {Array} Canonical profile URLs, each once, in the order of the records
+ */
+function selectProfilesToEnrich(records) {
+  const profileUrls = records
+    .filter(record => getRecordType(record) === RECORD_TYPES.LEAD && !record.profileDetails)
+    .map(record => getProfileBaseUrl(record.profileUrl))
+    .filter(profileUrl => profileUrl);
+  return [...new Set(profileUrls)];
+}
+
+/**
+ * Adds profile details to every lead of a profile
+ * @param {Array} records The dataset's records
+ * @param {string} profileUrl The profile's canonical address
+ * @param {Object} profileDetails Details as created by createProfileDetails()
+ * @returns {Object} Object with records (a copy with the details added) and updatedCount properties
+ */
+function applyProfileDetails(records, profileUrl, profileDetails) {
+  let updatedCount = 0;
+  const updated = records.map(record => {
+    if (getRecordType(record) !== RECORD_TYPES.LEAD || getProfileBaseUrl(record.profileUrl) !== profileUrl) {
+      return record;
+    }
+    updatedCount++;
+    return { ...record, profileDetails };
+  });
+  return { records: updated, updatedCount };
+}
+
+// Export the enrichment helpers when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PROFILE_DETAILS_SECTIONS,
+    getProfileBaseUrl,
+    getProfileSectionUrl,
+    selectProfilesToEnrich,
+    applyProfileDetails
+  };
+}
\ No newline at end of file
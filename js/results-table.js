@@ -0,0 +1,136 @@
+/**
+ * Results table for LinkedIn Scraper
+ * Columns, sorting, paging and editing of the records shown on the results page
+ */
+
+// The columns the results page shows for each record type: the fields worth checking and
+// fixing before an import. Fields derived from them, like first name or city, follow edits.
+const RESULTS_TABLE_COLUMNS = {
+  [RECORD_TYPES.LEAD]: [
+    { field: 'name', label: 'Name' },
+    { field: 'title', label: 'Title' },
+    { field: 'company', label: 'Company' },
+    { field: 'location', label: 'Location' },
+    { field: 'industry', label: 'Industry' },
+    { field: 'connectionDegree', label: 'Degree' },
+    { field: 'profileUrl', label: 'Profile URL' }
+  ],
+  [RECORD_TYPES.ACCOUNT]: [
+    { field: 'name', label: 'Company' },
+    { field: 'industry', label: 'Industry' },
+    { field: 'headcountRange', label: 'Headcount' },
+    { field: 'location', label: 'HQ Location' },
+    { field: 'accountUrl', label: 'Account URL' }
+  ],
+  [RECORD_TYPES.COMPANY]: [
+    { field: 'name', label: 'Company' },
+    { field: 'industry', label: 'Industry' },
+    { field: 'followerCount', label: 'Followers' },
+    { field: 'location', label: 'Location' },
+    { field: 'companyUrl', label: 'Company URL' }
+  ],
+  [RECORD_TYPES.POST]: [
+    { field: 'authorName', label: 'Author' },
+    { field: 'authorHeadline', label: 'Author Headline' },
+    { field: 'snippet', label: 'Snippet' },
+    { field: 'reactionCount', label: 'Reactions' },
+    { field: 'commentCount', label: 'Comments' },
+    { field: 'repostCount', label: 'Reposts' },
+    { field: 'postUrl', label: 'Post URL' }
+  ]
+};
+
+// Rows per page the results page offers; the first is the default
+const RESULTS_PAGE_SIZES = [25, 50, 100];
+
+// Directions a column can be sorted in
+const SORT_DIRECTIONS = {
+  ASCENDING: 'ascending',
+  DESCENDING: 'descending'
+};
+
+// Creates the canonical record of each record type, coercing edited values to their field types
+const RECORD_CREATORS = {
+  [RECORD_TYPES.LEAD]: createLead,
+  [RECORD_TYPES.ACCOUNT]: createAccount,
+  [RECORD_TYPES.COMPANY]: createCompany,
+  [RECORD_TYPES.POST]: createPost
+};
+
+/**
+ * Orders records by one field
+ * @param {Array} records The records
+ * @param {Array} indexes Positions in records of the rows to order
+ * @param {string} field Field to sort by
+ * @param {string} direction One of SORT_DIRECTIONS
+ * @returns {Array} The indexes in sorted order; rows with equal values keep their order
+ */
+function sortRecordIndexes(records, indexes, field, direction) {
+  const sign = direction === SORT_DIRECTIONS.DESCENDING ? -1 : 1;
+  return [...indexes].sort((a, b) => sign * compareFieldValues(records[a][field], records[b][field]));
+}
+
+/**
+ * Compares two field values: numbers by size, everything else as text, ignoring case and
+ * reading digits as numbers, so "Page 10" comes after "Page 9"
+ * @param {*} a First value
+ * @param {*} b Second value
+ * @returns {number} Negative, zero or positive, as for Array.prototype.sort()
+ */
+function compareFieldValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a === undefined || a === null ? '' : a)
+    .localeCompare(String(b === undefined || b === null ? '' : b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Cuts one page out of the rows
+ * @param {Array} indexes Positions of the rows, in display order
+ * @param {number} pageNumber Page to show, starting at 1; out-of-range pages are clamped
+ * @param {number} pageSize Rows per page
+ * @returns {Object} Object with indexes (the page's rows), pageNumber (the page shown) and
+ *   pageCount properties; an empty table has one empty page
+ */
+function getResultsPage(indexes, pageNumber, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(indexes.length / pageSize));
+  const page = Math.min(Math.max(1, pageNumber), pageCount);
+  return {
+    indexes: indexes.slice((page - 1) * pageSize, page * pageSize),
+    pageNumber: page,
+    pageCount
+  };
+}
+
+/**
+ * Sets one field of a record as edited on the results page. The record is created again, so
+ * the value is coerced to the field's type and a lead's name parts, seniority, job function
+ * and location parts follow the edit.
+ * @param {Object} record The record
+ * @param {string} field Field that was edited
+ * @param {string} value The value as typed
+ * @returns {Object} The updated record; properties outside the schema, like profileDetails, are kept
+ */
+function updateRecordField(record, field, value) {
+  const recordType = getRecordType(record);
+  const fields = { ...record, [field]: value };
+
+  // The name as typed replaces the name as scraped, which is what the name parts come from
+  if (recordType === RECORD_TYPES.LEAD && field === 'name') {
+    fields.rawName = value;
+  }
+
+  return { ...record, ...RECORD_CREATORS[recordType](fields) };
+}
+
+// Export the results table when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RESULTS_TABLE_COLUMNS,
+    RESULTS_PAGE_SIZES,
+    SORT_DIRECTIONS,
+    sortRecordIndexes,
+    compareFieldValues,
+    getResultsPage,
+    updateRecordField
+  };
+}
\ No newline at end of file
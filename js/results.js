@@ -0,0 +1,368 @@
+/**
+ * Results page script for LinkedIn Scraper
+ * Shows the current scrape as a sortable, paginated table whose cells can be edited and whose
+ * rows can be deleted, saving every change back to the scraped data and its dataset
+ */
+
+// DOM elements
+const resultsSummary = document.getElementById('resultsSummary');
+const recordTypeLabel = document.getElementById('recordTypeLabel');
+const recordTypeSelect = document.getElementById('recordTypeSelect');
+const flaggedOnlyCheckbox = document.getElementById('flaggedOnlyCheckbox');
+const pageSizeSelect = document.getElementById('pageSizeSelect');
+const resultsTable = document.getElementById('resultsTable');
+const previousPageButton = document.getElementById('previousPageButton');
+const nextPageButton = document.getElementById('nextPageButton');
+const pageStatus = document.getElementById('pageStatus');
+const resultsStatus = document.getElementById('resultsStatus');
+
+// How the summary names each record type
+const RESULTS_RECORD_TYPE_LABELS = {
+  [RECORD_TYPES.LEAD]: 'Leads',
+  [RECORD_TYPES.ACCOUNT]: 'Accounts',
+  [RECORD_TYPES.COMPANY]: 'Companies',
+  [RECORD_TYPES.POST]: 'Posts'
+};
+
+// Global variables
+let records = [];
+let dataset = null;
+let recordType = RECORD_TYPES.LEAD;
+let sortField = null;
+let sortDirection = SORT_DIRECTIONS.ASCENDING;
+let pageNumber = 1;
+let pageSize = RESULTS_PAGE_SIZES[0];
+let isReadOnly = false;
+let activeJobName = '';
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', () => {
+  RESULTS_PAGE_SIZES.forEach(size => {
+    const option = document.createElement('option');
+    option.value = size;
+    option.textContent = size;
+    pageSizeSelect.appendChild(option);
+  });
+
+  loadResults();
+});
+
+// Scrape jobs and the enrichment job save the scraped data while the page is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes.currentDatasetId || changes.scrapeJob || changes.enrichmentJob) {
+    loadResults();
+    return;
+  }
+
+  // Changes saved by this page come back here too; only re-render for someone else's
+  if (changes.scrapedData && JSON.stringify(changes.scrapedData.newValue || []) !== JSON.stringify(records)) {
+    loadResults();
+  }
+});
+
+recordTypeSelect.addEventListener('change', () => {
+  recordType = recordTypeSelect.value;
+  sortField = null;
+  pageNumber = 1;
+  renderResults();
+});
+
+flaggedOnlyCheckbox.addEventListener('change', () => {
+  pageNumber = 1;
+  renderResults();
+});
+
+pageSizeSelect.addEventListener('change', () => {
+  pageSize = Number(pageSizeSelect.value);
+  pageNumber = 1;
+  renderResults();
+});
+
+previousPageButton.addEventListener('click', () => {
+  pageNumber--;
+  renderResults();
+});
+
+nextPageButton.addEventListener('click', () => {
+  pageNumber++;
+  renderResults();
+});
+
+/**
+ * Loads the current scrape and the dataset it is saved in, then shows them
+ */
+function loadResults() {
+  Promise.all([chrome.storage.local.get(['scrapedData', 'currentDatasetId', 'scrapeJob', 'enrichmentJob']), loadDatasets()])
+    .then(([result, datasets]) => {
+      records = (result.scrapedData || []).map(normalizeLead);
+      dataset = datasets.find(item => item.id === result.currentDatasetId) || null;
+
+      // A scrape job saves its records after every page and an enrichment job after every
+      // profile, which would overwrite any edit; a paused job saves again once resumed
+      if (isJobActive(result.scrapeJob)) {
+        activeJobName = 'a scrape';
+      } else if (isJobActive(result.enrichmentJob)) {
+        activeJobName = 'profile enrichment';
+      } else {
+        activeJobName = '';
+      }
+      isReadOnly = !!activeJobName;
+
+      renderResults();
+    });
+}
+
+/**
+ * Checks whether a scrape or enrichment job is still going to save records
+ * @param {Object} [job] The job as stored, if there is one
+ * @returns {boolean} True while the job is running or paused
+ */
+function isJobActive(job) {
+  return !!job && (job.status === 'running' || job.status === 'paused');
+}
+
+/**
+ * Renders the summary, the record type picker and the current page of the table
+ */
+function renderResults() {
+  const recordTypes = Object.values(RECORD_TYPES).filter(type => records.some(record => getRecordType(record) === type));
+  if (recordTypes.length > 0 && !recordTypes.includes(recordType)) {
+    recordType = recordTypes[0];
+  }
+  renderRecordTypeSelect(recordTypes);
+
+  const indexes = getRecordTypeIndexes();
+  const shownIndexes = flaggedOnlyCheckbox.checked ? indexes.filter(index => isRecordFlagged(records[index])) : indexes;
+  const sortedIndexes = sortField ? sortRecordIndexes(records, shownIndexes, sortField, sortDirection) : shownIndexes;
+  const page = getResultsPage(sortedIndexes, pageNumber, pageSize);
+  pageNumber = page.pageNumber;
+
+  renderSummary();
+  renderTableHeader();
+  renderTableRows(page.indexes);
+
+  pageStatus.textContent = `Page ${page.pageNumber} of ${page.pageCount}`;
+  previousPageButton.disabled = page.pageNumber <= 1;
+  nextPageButton.disabled = page.pageNumber >= page.pageCount;
+}
+
+/**
+ * Lists the rows of the record type being shown
+ * @returns {Array} Positions in records of the records of that type, in scrape order
+ */
+function getRecordTypeIndexes() {
+  return records
+    .map((record, index) => index)
+    .filter(index => getRecordType(records[index]) === recordType);
+}
+
+/**
+ * Checks whether a record is missing any field checkDataQuality() warns about
+ * @param {Object} record A scraped record
+ * @returns {boolean} True if the row is highlighted
+ */
+function isRecordFlagged(record) {
+  return getRecordQualityIssues(record).length > 0;
+}
+
+/**
+ * Says what the table holds and how many of its rows are missing fields
+ */
+function renderSummary() {
+  const indexes = getRecordTypeIndexes();
+  const flaggedCount = indexes.filter(index => isRecordFlagged(records[index])).length;
+
+  if (records.length === 0) {
+    resultsSummary.textContent = 'Nothing has been scraped yet.';
+  } else {
+    const name = dataset ? `"${dataset.name}": ` : '';
+    const flagged = flaggedCount > 0 ? `, ${flaggedCount} with missing fields` : '';
+    resultsSummary.textContent = `${name}${indexes.length} ${RESULTS_RECORD_TYPE_LABELS[recordType].toLowerCase()}${flagged}`;
+  }
+  if (isReadOnly) {
+    resultsSummary.textContent += ` (${activeJobName} is in progress, so editing is off until it finishes)`;
+  }
+}
+
+/**
+ * Offers a choice of record type when the scrape holds more than one
+ * @param {Array} recordTypes Record types present in the scrape, in RECORD_TYPES order
+ */
+function renderRecordTypeSelect(recordTypes) {
+  recordTypeLabel.hidden = recordTypes.length < 2;
+  recordTypeSelect.innerHTML = '';
+  recordTypes.forEach(type => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = RESULTS_RECORD_TYPE_LABELS[type];
+    recordTypeSelect.appendChild(option);
+  });
+  recordTypeSelect.value = recordType;
+}
+
+/**
+ * Renders the column headers; clicking one sorts by it, clicking it again reverses the order
+ */
+function renderTableHeader() {
+  const headerRow = document.createElement('tr');
+  RESULTS_TABLE_COLUMNS[recordType].forEach(column => {
+    const header = document.createElement('th');
+    const arrow = sortField !== column.field ? '' : (sortDirection === SORT_DIRECTIONS.ASCENDING ? ' ▲' : ' ▼');
+    header.textContent = column.label + arrow;
+    header.addEventListener('click', () => {
+      sortDirection = sortField === column.field && sortDirection === SORT_DIRECTIONS.ASCENDING ?
+        SORT_DIRECTIONS.DESCENDING : SORT_DIRECTIONS.ASCENDING;
+      sortField = column.field;
+      renderResults();
+    });
+    headerRow.appendChild(header);
+  });
+
+  // The delete buttons' column
+  headerRow.appendChild(document.createElement('th'));
+
+  const head = resultsTable.querySelector('thead');
+  head.innerHTML = '';
+  head.appendChild(headerRow);
+}
+
+/**
+ * Renders one editable row per record, highlighting the rows and cells checkDataQuality() warns about
+ * @param {Array} indexes Positions in records of the rows to show
+ */
+function renderTableRows(indexes) {
+  const body = resultsTable.querySelector('tbody');
+  body.innerHTML = '';
+
+  indexes.forEach(index => {
+    const row = document.createElement('tr');
+    RESULTS_TABLE_COLUMNS[recordType].forEach(column => {
+      row.appendChild(createEditableCell(index, column.field));
+    });
+
+    const deleteCell = document.createElement('td');
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'row-delete';
+    deleteButton.textContent = '×';
+    deleteButton.title = 'Delete row';
+    deleteButton.disabled = isReadOnly;
+    deleteButton.addEventListener('click', () => {
+      deleteRecord(index);
+    });
+    deleteCell.appendChild(deleteButton);
+    row.appendChild(deleteCell);
+
+    markRowIssues(row, records[index]);
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Highlights a row, and the cells of the fields it is missing, when checkDataQuality() would
+ * warn about it
+ * @param {Element} row The table row
+ * @param {Object} record The row's record
+ */
+function markRowIssues(row, record) {
+  const issues = getRecordQualityIssues(record);
+  row.classList.toggle('row-flagged', issues.length > 0);
+  row.title = issues.length > 0 ? `Missing ${issues.map(field => DATA_QUALITY_FIELDS[field]).join(', ')}` : '';
+  row.querySelectorAll('td[data-field]').forEach(cell => {
+    cell.classList.toggle('cell-missing', issues.includes(cell.dataset.field));
+  });
+}
+
+/**
+ * Creates a table cell that saves its field when edited
+ * @param {number} index Position of the record in records
+ * @param {string} field Field shown in the cell
+ * @returns {Element} The cell
+ */
+function createEditableCell(index, field) {
+  const cell = document.createElement('td');
+  cell.dataset.field = field;
+  cell.textContent = getCellText(records[index], field);
+  cell.contentEditable = isReadOnly ? 'false' : 'true';
+
+  cell.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      cell.blur();
+    } else if (event.key === 'Escape') {
+      cell.textContent = getCellText(records[index], field);
+      cell.blur();
+    }
+  });
+  cell.addEventListener('blur', () => {
+    const editedText = cell.textContent.replace(/\s+/g, ' ').trim();
+    if (editedText !== getCellText(records[index], field)) {
+      updateRecord(index, field, editedText, cell);
+    }
+  });
+
+  return cell;
+}
+
+/**
+ * Formats a field for its table cell
+ * @param {Object} record The record
+ * @param {string} field The field
+ * @returns {string} The value as text
+ */
+function getCellText(record, field) {
+  const value = record[field];
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Saves an edited field. Only the edited row is updated on screen, so the cell the user
+ * moved on to keeps its focus; the row keeps its place until the table is sorted again.
+ * @param {number} index Position of the record in records
+ * @param {string} field Field that was edited
+ * @param {string} value The value as typed
+ * @param {Element} cell The edited cell
+ */
+function updateRecord(index, field, value, cell) {
+  records[index] = updateRecordField(records[index], field, value);
+  cell.textContent = getCellText(records[index], field);
+  markRowIssues(cell.parentElement, records[index]);
+  renderSummary();
+
+  saveResults().then(() => {
+    resultsStatus.textContent = 'Change saved.';
+  });
+}
+
+/**
+ * Deletes a row after asking
+ * @param {number} index Position of the record in records
+ */
+function deleteRecord(index) {
+  const record = records[index];
+  const label = record.name || record.authorName || 'this row';
+  if (!confirm(`Delete ${label}?`)) return;
+
+  records.splice(index, 1);
+  saveResults().then(() => {
+    resultsStatus.textContent = `Deleted ${label}.`;
+    renderResults();
+  });
+}
+
+/**
+ * Saves the records as the popup's scraped data and, when they are in the dataset library,
+ * as the records of their dataset, so exports from either place include the fixes
+ * @returns {Promise} Resolves once both are saved
+ */
+function saveResults() {
+  const saves = [chrome.storage.local.set({ scrapedData: records })];
+  if (dataset) {
+    // The dataset may have been renamed or deleted in the library since the page loaded it
+    saves.push(saveDatasetRecords(dataset.id, records).then(saved => {
+      dataset = saved;
+    }));
+  }
+  return Promise.all(saves);
+}
\ No newline at end of file
@@ -0,0 +1,705 @@
+/**
+ * Selector registry for LinkedIn Scraper
+ * Holds every CSS selector the scrapers use, grouped by page type and field, as a versioned
+ * pack. A pack imported from the popup overrides the built-in one field by field.
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+// Bump when the structure of a selector pack changes; packs with another schema version are rejected
+var SELECTOR_PACK_SCHEMA_VERSION = 1;
+
+// Selectors shipped with the extension. Each field lists selectors in the order they are tried.
+var BUILT_IN_SELECTOR_PACK = {
+  schemaVersion: 1,
+  version: '2024.6.0',
+  pages: {
+    // Regular LinkedIn people search (/search/results/people/)
+    search: {
+      resultsContainer: [
+        '.search-results-container',
+        '.scaffold-layout__main',
+        '.scaffold-finite-scroll__content',
+        'div[data-view-name="search-results-container"]',
+        'div.search-marvel-srp'
+      ],
+      card: [
+        'li.reusable-search__result-container',
+        'li.search-result',
+        'li.artdeco-list__item',
+        'div.entity-result',
+        'div.search-entity-result'
+      ],
+      cardFallback: [
+        'li.reusable-search__result-container',
+        'div.scaffold-finite-scroll__content > div > ul > li',
+        'ul.reusable-search__entity-result-list > li',
+        '.search-results-container > div > ul > li',
+        'li[data-chameleon-result-urn]',
+        'li.artdeco-list__item',
+        '.reusable-search__result-container',
+        '.entity-result',
+        'li.search-result',
+        '.profile-card',
+        '.artdeco-entity-lockup',
+        'li.occludable-update',
+        'div[data-viewport-offset-top]',
+        'div.relative.ember-view',
+        'div.artdeco-card',
+        'div.feed-shared-update-v2',
+        'li.feed-item'
+      ],
+      readyCard: [
+        'li.reusable-search__result-container',
+        '.entity-result',
+        'li[data-chameleon-result-urn]'
+      ],
+      name: [
+        'span.entity-result__title-text a',
+        'span.entity-result__title-text a span span',
+        'div.linked-area a span span',
+        'span.entity-result__title-line a',
+        '.artdeco-entity-lockup__title a',
+        '.search-result__info a.search-result__result-link',
+        'a[data-control-name="search_srp_result"] span span',
+        'h3 a span span',
+        'h3 span.t-24',
+        'a[href*="/in/"]',
+        '.app-aware-link',
+        '.entity-result__title-text',
+        'h2.profile-card__name',
+        '.mb1 a',
+        'strong.profile-name',
+        '.artdeco-entity-lockup__title span span',
+        'a.app-aware-link[href*="/in/"] span',
+        '.feed-shared-actor__name span',
+        '.update-components-actor__name',
+        '.update-components-actor__meta',
+        '.feed-shared-actor__title'
+      ],
+      title: [
+        'div.entity-result__primary-subtitle',
+        '.search-result__truncate.search-result__truncate--primary',
+        'div.linked-area + div.entity-result__primary-subtitle',
+        '.artdeco-entity-lockup__subtitle',
+        '.entity-result__summary',
+        '.search-result__info p.subline-level-1',
+        'div.t-14.t-black--light',
+        '.entity-result__primary-subtitle',
+        'p.subline-level-1',
+        'div[data-test-id="job-title"]',
+        '.profile-position',
+        '.profile-card__occupation',
+        '.mb1 + div',
+        '.pv-entity__secondary-title',
+        'p.job-title',
+        'div.profile-info'
+      ],
+      company: [
+        'div.entity-result__secondary-subtitle',
+        '.search-result__truncate.search-result__truncate--secondary',
+        '.artdeco-entity-lockup__subtitle:nth-child(2)',
+        '.search-result__info p.subline-level-2',
+        'div.t-14.t-black--light.t-normal:nth-child(2)',
+        '.entity-result__secondary-subtitle',
+        'a[data-field="headline"]',
+        'p.subline-level-2',
+        '.company-name',
+        '.profile-card__company',
+        '.pv-entity__company-summary',
+        'span.company',
+        'a[data-control-name="view_company"]'
+      ],
+      location: [
+        'div.entity-result__tertiary-subtitle',
+        '.artdeco-entity-lockup__caption',
+        '.search-result__info p.subline-level-2',
+        'div.t-12.t-black--light.t-normal',
+        'div.t-14.t-normal.t-black--light',
+        '.entity-result__tertiary-subtitle',
+        'div[data-test-id="location"]',
+        '.presence-entity__content',
+        'p.subline-level-2',
+        '.entity-result__summary',
+        '.profile-card__location',
+        '.location',
+        '.profile-location'
+      ],
+      pagination: [
+        'ul.artdeco-pagination__pages',
+        '.artdeco-pagination ol',
+        '.pagination'
+      ],
+      resultCount: [
+        '.search-results-container h2',
+        '.search-results__total',
+        '.t-12.t-black--light.t-normal',
+        '.pb2.t-black--light.t-14'
+      ]
+    },
+    // Regular LinkedIn company search (/search/results/companies/); pagination uses the search selectors
+    searchCompanies: {
+      card: [
+        'li.reusable-search__result-container',
+        'li[data-chameleon-result-urn]',
+        'div.entity-result'
+      ],
+      name: [
+        'span.entity-result__title-text a',
+        '.entity-result__title-text',
+        '.artdeco-entity-lockup__title a'
+      ],
+      companyLink: [
+        'span.entity-result__title-text a[href*="/company/"]',
+        'a[href*="/company/"]',
+        'a[href*="/showcase/"]',
+        'a[href*="/school/"]'
+      ],
+      subtitle: [
+        'div.entity-result__primary-subtitle',
+        '.artdeco-entity-lockup__subtitle'
+      ],
+      followers: [
+        'div.entity-result__secondary-subtitle',
+        '.artdeco-entity-lockup__caption'
+      ]
+    },
+    // Regular LinkedIn content search (/search/results/content/), loads more posts as you scroll
+    searchContent: {
+      card: [
+        'div.feed-shared-update-v2',
+        'div[data-urn^="urn:li:activity:"]',
+        'li.reusable-search__result-container'
+      ],
+      authorName: [
+        '.update-components-actor__name span[aria-hidden="true"]',
+        '.update-components-actor__title span[aria-hidden="true"]',
+        '.update-components-actor__name',
+        '.feed-shared-actor__name'
+      ],
+      authorHeadline: [
+        '.update-components-actor__description span[aria-hidden="true"]',
+        '.update-components-actor__description',
+        '.feed-shared-actor__description'
+      ],
+      authorLink: [
+        'a.update-components-actor__meta-link',
+        '.update-components-actor__container a[href*="/in/"]',
+        '.update-components-actor__container a[href*="/company/"]',
+        'a.feed-shared-actor__container-link'
+      ],
+      snippet: [
+        '.update-components-text',
+        '.feed-shared-inline-show-more-text',
+        '.feed-shared-text'
+      ],
+      postLink: [
+        'a[href*="/feed/update/urn:li:activity:"]',
+        'a[href*="/posts/"]'
+      ],
+      reactions: [
+        '.social-details-social-counts__reactions-count',
+        '.social-details-social-counts__social-proof-fallback-number',
+        'button[aria-label*="reaction"]'
+      ],
+      socialCounts: [
+        '.social-details-social-counts',
+        '.feed-shared-social-action-bar'
+      ],
+      showMore: [
+        'button.scaffold-finite-scroll__load-button'
+      ],
+      scrollContainer: []
+    },
+    // Sales Navigator lead search (/sales/search/people)
+    salesNavigator: {
+      resultsContainer: [
+        '.search-results__container',
+        '.search-results',
+        '.artdeco-tabpanel__content',
+        '.artdeco-tabpanel'
+      ],
+      visibleResult: [
+        '.search-result',
+        '.artdeco-list__item',
+        'li.result-lockup',
+        '.entity-result'
+      ],
+      card: [
+        '.artdeco-list__item.search-result',
+        '.search-results__result-item',
+        'li.result-lockup',
+        'li.artdeco-list__item',
+        '.entity-result',
+        'li.artdeco-list__item.search-results__result-item',
+        'li.search-results__result-item',
+        'div.artdeco-entity-lockup--stacked',
+        'div[data-test-search-result]',
+        '.artdeco-list > li',
+        '.search-results__container > ul > li'
+      ],
+      readyCard: [
+        '.artdeco-list__item',
+        '.search-results__result-item',
+        'li.result-lockup',
+        'div[data-test-search-result]'
+      ],
+      name: [
+        '.result-lockup__name a',
+        '.artdeco-entity-lockup__title a',
+        '.entity-result__title-text a',
+        'a[data-control-name="search_srp_result"]',
+        '.artdeco-entity-lockup__title span',
+        '.result-lockup__name span',
+        '.artdeco-entity-lockup__title',
+        'h3.result-lockup__name',
+        'h3.artdeco-entity-lockup__title',
+        '.customer-name',
+        'a[href*="/sales/lead/"]',
+        'a[href*="/sales/people/"]',
+        'a.artdeco-entity-lockup__title-link',
+        'div.artdeco-entity-lockup__title a'
+      ],
+      title: [
+        '.result-lockup__highlight-keyword',
+        '.artdeco-entity-lockup__subtitle',
+        '.entity-result__primary-subtitle',
+        '.search-result__info-container .t-14',
+        '.result-lockup__position-company',
+        '.result-lockup__title',
+        '.artdeco-entity-lockup__subtitle:first-of-type',
+        '.customer-title',
+        'div[data-test-customer-occupation]',
+        'div.artdeco-entity-lockup__subtitle:first-child',
+        '.result-lockup__position-company-text'
+      ],
+      company: [
+        '.result-lockup__position-company a',
+        '.artdeco-entity-lockup__subtitle:nth-child(2)',
+        '.entity-result__secondary-subtitle',
+        '[data-control-name="view_company"]',
+        '.result-lockup__company-name',
+        '.result-lockup__position-company-text a',
+        '.artdeco-entity-lockup__subtitle:nth-of-type(2)',
+        '.customer-company',
+        'div[data-test-customer-company]',
+        'a[data-control-name="view_company_via_lockup"]',
+        'span.result-lockup__position-company-text'
+      ],
+      location: [
+        '.result-lockup__misc-item',
+        '.artdeco-entity-lockup__caption',
+        '.entity-result__secondary-subtitle + .entity-result__tertiary-subtitle',
+        '.search-result__location',
+        '.result-lockup__misc li.result-lockup__misc-item',
+        '.result-lockup__misc-item:first-child',
+        '.artdeco-entity-lockup__metadata',
+        '.result-lockup__misc-list li:first-child',
+        'span.customer-location',
+        'div[data-test-customer-location]',
+        'div.artdeco-entity-lockup__caption'
+      ],
+      industry: [
+        '.t-14',
+        '.t-black--light',
+        '.artdeco-entity-lockup__caption',
+        '.result-lockup__misc-item'
+      ],
+      pagination: [
+        '.artdeco-pagination__pages',
+        '.search-results__pagination',
+        '.artdeco-pagination ul',
+        '.search-results-container .artdeco-pagination'
+      ],
+      resultCount: [
+        '.search-results__total'
+      ]
+    },
+    // Sales Navigator account search (/sales/search/company); pagination uses the salesNavigator selectors
+    salesNavigatorAccounts: {
+      card: [
+        'li.artdeco-list__item',
+        'li.search-results__result-item',
+        'li.result-lockup'
+      ],
+      name: [
+        '[data-anonymize="company-name"]',
+        '.artdeco-entity-lockup__title a',
+        '.result-lockup__name a',
+        '.artdeco-entity-lockup__title'
+      ],
+      accountLink: [
+        'a[href*="/sales/company/"]',
+        'a[href*="/company/"]'
+      ],
+      industry: [
+        '[data-anonymize="industry"]',
+        '.artdeco-entity-lockup__subtitle span:first-child',
+        '.result-lockup__highlight-keyword'
+      ],
+      headcount: [
+        '[data-anonymize="company-size"]',
+        '.artdeco-entity-lockup__metadata a'
+      ],
+      location: [
+        '[data-anonymize="location"]',
+        '.artdeco-entity-lockup__caption',
+        '.result-lockup__misc-item'
+      ]
+    },
+    // Company "People" tab (/company/<name>/people/), loads more cards as you scroll
+    companyPeople: {
+      card: [
+        'li.org-people-profile-card__profile-card-spacing',
+        'div.org-people-profile-card',
+        '.org-people-profiles-module__profile-list > li',
+        '.scaffold-finite-scroll__content > ul > li'
+      ],
+      name: [
+        '.org-people-profile-card__profile-title',
+        '.artdeco-entity-lockup__title',
+        'a[href*="/in/"] .lt-line-clamp--single-line'
+      ],
+      headline: [
+        '.artdeco-entity-lockup__subtitle',
+        '.org-people-profile-card__profile-info .lt-line-clamp--multi-line'
+      ],
+      location: [],
+      showMore: [
+        'button.scaffold-finite-scroll__load-button',
+        'button.org-people__show-more-button'
+      ],
+      scrollContainer: []
+    },
+    // Group member list (/groups/<id>/members/), loads more members as you scroll
+    groupMembers: {
+      card: [
+        'li.groups-members-list__typeahead-result',
+        '.groups-members-list li.artdeco-list__item',
+        '.scaffold-finite-scroll__content > ul > li'
+      ],
+      name: [
+        '.artdeco-entity-lockup__title',
+        '.groups-members-list__result-name'
+      ],
+      headline: [
+        '.artdeco-entity-lockup__subtitle'
+      ],
+      location: [],
+      showMore: [
+        'button.scaffold-finite-scroll__load-button',
+        'button.groups-members-list__load-more-button'
+      ],
+      scrollContainer: []
+    },
+    // Event attendee list (/events/<id>/attendees/), often shown in a scrolling modal
+    eventAttendees: {
+      card: [
+        'li.event-attendees-list__item',
+        '.artdeco-modal__content li.artdeco-list__item',
+        'li.reusable-search__result-container'
+      ],
+      name: [
+        '.artdeco-entity-lockup__title',
+        'span.entity-result__title-text a',
+        '.event-attendees-list__name'
+      ],
+      headline: [
+        '.artdeco-entity-lockup__subtitle',
+        '.entity-result__primary-subtitle'
+      ],
+      location: [
+        '.artdeco-entity-lockup__caption',
+        '.entity-result__secondary-subtitle'
+      ],
+      showMore: [
+        'button.scaffold-finite-scroll__load-button',
+        '.artdeco-modal__content button.artdeco-button--secondary'
+      ],
+      scrollContainer: [
+        '.artdeco-modal__content',
+        '.scaffold-finite-scroll'
+      ]
+    },
+    // Profile pages (/in/<name>/), visited by the enrichment job. Its sections are found by their anchors;
+    // the details pages (/in/<name>/details/experience/ and so on) list a whole section.
+    profile: {
+      topCard: [
+        '.pv-top-card',
+        'main h1'
+      ],
+      aboutSection: [
+        '#about',
+        'section[data-section="summary"]'
+      ],
+      experienceSection: [
+        '#experience',
+        'section[data-section="currentPositionsDetails"]'
+      ],
+      educationSection: [
+        '#education',
+        'section[data-section="educationsDetails"]'
+      ],
+      skillsSection: [
+        '#skills',
+        'section[data-section="skills"]'
+      ],
+      aboutText: [
+        '.inline-show-more-text span[aria-hidden="true"]',
+        '.pv-shared-text-with-see-more span[aria-hidden="true"]',
+        '.pv-about__summary-text'
+      ],
+      detailsList: [
+        'main .pvs-list',
+        'main section ul'
+      ],
+      listItem: [
+        'li.pvs-list__paged-list-item',
+        'li.artdeco-list__item',
+        'li.pvs-list__item--line-separated'
+      ],
+      itemTitle: [
+        '.t-bold span[aria-hidden="true"]',
+        '.t-bold'
+      ],
+      itemSubtitle: [
+        'span.t-14.t-normal:not(.t-black--light) span[aria-hidden="true"]',
+        'span.t-14.t-normal:not(.t-black--light)'
+      ],
+      itemCaption: [
+        'span.t-14.t-normal.t-black--light span[aria-hidden="true"]',
+        'span.t-14.t-normal.t-black--light'
+      ],
+      itemDescription: [
+        '.inline-show-more-text span[aria-hidden="true"]',
+        '.pv-shared-text-with-see-more span[aria-hidden="true"]'
+      ],
+      showAllLink: [
+        '.pvs-list__footer-wrapper a[href*="/details/"]',
+        'a[id^="navigation-index-see-all"]'
+      ],
+      contactInfo: [
+        '.pv-contact-info',
+        '.artdeco-modal__content'
+      ],
+      contactSection: [
+        'section.pv-contact-info__contact-type',
+        '.pv-contact-info section'
+      ],
+      contactHeader: [
+        '.pv-contact-info__header',
+        'h3'
+      ],
+      contactValue: [
+        'a[href]',
+        'li',
+        'span.t-14'
+      ]
+    },
+    // Used on every page type
+    common: {
+      connectionDegree: [
+        '.result-lockup__badge-icon',
+        '.artdeco-entity-lockup__badge',
+        '.entity-result__badge',
+        '.search-result__connection-indicator',
+        '.distance-badge',
+        'span[data-test-distance-badge]',
+        '.message-link__badge'
+      ],
+      sharedConnections: [
+        '.search-result__social-proof',
+        '.result-lockup__misc-list',
+        '.artdeco-entity-lockup__metadata',
+        '.entity-result__simple-insight-text',
+        'span[data-control-name="connection_degree_pill"]',
+        '.shared-connections',
+        '.member-insights'
+      ],
+      currentRole: [
+        '.entity-result__summary',
+        '.profile-info',
+        '.current-position',
+        'p',
+        'div'
+      ],
+      headline: [
+        '.entity-result__primary-subtitle',
+        '.search-result__info p.subline-level-1',
+        '.artdeco-entity-lockup__subtitle',
+        '.profile-card__occupation',
+        '.profile-position',
+        '.job-info',
+        '.occupation',
+        'h2 + div',
+        'h3 + div',
+        '.mb1 + div',
+        'p.job-title',
+        '.headline'
+      ],
+      loadingIndicator: [
+        '.artdeco-spinner',
+        '.loading-spinner',
+        '.fetching-indicator',
+        'div[class*="loading"]',
+        'div[class*="spinner"]',
+        'span[class*="loading"]',
+        'span[class*="spinner"]'
+      ],
+      emptyState: [
+        '.search-reusable-search-no-results',
+        '.artdeco-empty-state'
+      ],
+      // Pages LinkedIn shows instead of results; the field names are the keys of PAGE_BLOCKS
+      loginWall: [
+        'form.login__form',
+        'input[name="session_key"]',
+        '.authwall-join-form',
+        '.authwall-sign-in-form'
+      ],
+      checkpoint: [
+        '#captcha-internal',
+        'iframe[src*="captcha"]',
+        'form[action*="/checkpoint/"]',
+        '.challenge-dialog'
+      ],
+      commercialUseLimit: [
+        '.search-paywall__info',
+        '.search-paywall__warning',
+        '.search-commercial-use-limit'
+      ],
+      // Notices whose wording can tell the commercial use limit apart
+      notice: [
+        '.artdeco-inline-feedback',
+        '.artdeco-notification-banner',
+        '.search-reusable-search-no-results',
+        '.artdeco-empty-state',
+        '[role="alert"]'
+      ]
+    }
+  }
+};
+
+// The pack used for the current scrape, set by loadSelectorPack()
+var activeSelectorPack = BUILT_IN_SELECTOR_PACK;
+
+/**
+ * Returns the selectors for a field, falling back to the built-in pack when the
+ * active pack doesn't define it
+ * @param {string} pageType A page type id from page-types.js, or 'common'
+ * @param {string} field Field name, such as 'name' or 'pagination'
+ * @returns {Array} Selectors to try, in order
+ */
+function getSelectors(pageType, field) {
+  const page = activeSelectorPack.pages[pageType];
+  if (page && Array.isArray(page[field]) && page[field].length > 0) {
+    return page[field];
+  }
+
+  const builtInPage = BUILT_IN_SELECTOR_PACK.pages[pageType];
+  return builtInPage && builtInPage[field] ? builtInPage[field] : [];
+}
+
+/**
+ * Loads the imported selector pack from storage, if there is one, and makes it active
+ * @returns {Promise<Object>} Resolves to the active pack
+ */
+function loadSelectorPack() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('selectorPack', (result) => {
+      const pack = result.selectorPack;
+      if (pack && validateSelectorPack(pack).length === 0) {
+        activeSelectorPack = pack;
+        console.log(`Using imported selector pack version ${pack.version}`);
+      } else {
+        activeSelectorPack = BUILT_IN_SELECTOR_PACK;
+      }
+      resolve(activeSelectorPack);
+    });
+  });
+}
+
+/**
+ * Checks that a selector pack has the expected structure and that every selector parses
+ * @param {Object} pack The selector pack to check
+ * @returns {Array} List of problems, empty if the pack is valid
+ */
+function validateSelectorPack(pack) {
+  const errors = [];
+
+  if (!pack || typeof pack !== 'object') {
+    return ['The selector pack must be a JSON object.'];
+  }
+
+  if (pack.schemaVersion !== SELECTOR_PACK_SCHEMA_VERSION) {
+    errors.push(`Unsupported schemaVersion ${pack.schemaVersion}, expected ${SELECTOR_PACK_SCHEMA_VERSION}.`);
+  }
+
+  if (typeof pack.version !== 'string' || !pack.version.trim()) {
+    errors.push('The selector pack needs a version string.');
+  }
+
+  if (!pack.pages || typeof pack.pages !== 'object') {
+    errors.push('The selector pack needs a "pages" object.');
+    return errors;
+  }
+
+  // Parsing against an empty fragment catches invalid selectors without touching the page
+  const fragment = document.createDocumentFragment();
+
+  Object.keys(pack.pages).forEach(pageType => {
+    const fields = pack.pages[pageType];
+    if (!fields || typeof fields !== 'object') {
+      errors.push(`pages.${pageType} must be an object.`);
+      return;
+    }
+
+    Object.keys(fields).forEach(field => {
+      const selectors = fields[field];
+      if (!Array.isArray(selectors) || selectors.some(selector => typeof selector !== 'string')) {
+        errors.push(`pages.${pageType}.${field} must be an array of selector strings.`);
+        return;
+      }
+
+      selectors.forEach(selector => {
+        try {
+          fragment.querySelector(selector);
+        } catch (error) {
+          errors.push(`pages.${pageType}.${field} has an invalid selector: ${selector}`);
+        }
+      });
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Compares two dotted version strings such as "2024.1.0"
+ * @param {string} a First version
+ * @param {string} b Second version
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+function compareSelectorPackVersions(a, b) {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+// Export the registry when loaded outside the extension, e.g. by the fixture tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SELECTOR_PACK_SCHEMA_VERSION,
+    BUILT_IN_SELECTOR_PACK,
+    getSelectors,
+    loadSelectorPack,
+    validateSelectorPack,
+    compareSelectorPackVersions
+  };
+}
\ No newline at end of file
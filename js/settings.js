@@ -0,0 +1,112 @@
+/**
+ * Scraper settings for LinkedIn Scraper
+ * The tunables of scrolling, card detection, pagination and export file names, edited on the
+ * options page and kept in chrome.storage.sync. Throttle settings live in throttle.js.
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+var SETTINGS_KEY = 'scraperSettings';
+
+// Default settings
+var DEFAULT_SETTINGS = {
+  // Pixels scrolled per step while loading a page's lazy-loaded results
+  scrollStep: 300,
+  // Score out of 12 an element needs to count as a profile card (see scoreProfileCard())
+  searchCardThreshold: 3,
+  salesNavigatorCardThreshold: 4,
+  // Used to work out the number of pages from the result count when a page has no pagination
+  searchResultsPerPage: 10,
+  salesNavigatorResultsPerPage: 25,
+  // Name of exported files without the extension; see formatExportFilename()
+  exportFilenamePattern: '{prefix}_{date}_{time}'
+};
+
+// The allowed range of each number setting
+var SETTING_RANGES = {
+  scrollStep: { min: 50, max: 5000 },
+  searchCardThreshold: { min: 0, max: 12 },
+  salesNavigatorCardThreshold: { min: 0, max: 12 },
+  searchResultsPerPage: { min: 1, max: 100 },
+  salesNavigatorResultsPerPage: { min: 1, max: 100 }
+};
+
+// Characters file systems don't allow in file names
+var INVALID_FILENAME_CHARACTERS = /[\\/:*?"<>|]/g;
+
+// The settings used by the current scrape or export, set by loadSettings()
+var activeSettings = DEFAULT_SETTINGS;
+
+/**
+ * Loads the saved settings
+ * @returns {Promise<Object>} Resolves to the settings, with defaults for anything not saved
+ */
+function loadSettings() {
+  return chrome.storage.sync.get(SETTINGS_KEY).then(result => {
+    activeSettings = normalizeSettings(result[SETTINGS_KEY]);
+    return activeSettings;
+  });
+}
+
+/**
+ * Saves settings
+ * @param {Object} settings The settings to save
+ * @returns {Promise<Object>} Resolves to the settings as saved
+ */
+function saveSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  return chrome.storage.sync.set({ [SETTINGS_KEY]: normalized }).then(() => {
+    activeSettings = normalized;
+    return normalized;
+  });
+}
+
+/**
+ * Fills in missing or invalid settings with their defaults and keeps numbers within their range
+ * @param {Object} [settings] Settings as saved or entered
+ * @returns {Object} A complete set of settings
+ */
+function normalizeSettings(settings) {
+  const normalized = { ...DEFAULT_SETTINGS };
+  if (!settings) return normalized;
+
+  Object.keys(SETTING_RANGES).forEach(key => {
+    const value = Number(settings[key]);
+    if (settings[key] === '' || settings[key] === null || !Number.isFinite(value)) return;
+    const { min, max } = SETTING_RANGES[key];
+    normalized[key] = Math.min(max, Math.max(min, Math.round(value)));
+  });
+
+  const pattern = typeof settings.exportFilenamePattern === 'string' ?
+    settings.exportFilenamePattern.replace(INVALID_FILENAME_CHARACTERS, '').trim() : '';
+  if (pattern) normalized.exportFilenamePattern = pattern;
+
+  return normalized;
+}
+
+/**
+ * Names an export file after the filename pattern. The pattern's {prefix} is replaced by
+ * what the file holds (e.g. linkedin_leads), {date} by the date (2024-01-31) and {time}
+ * by the time (14-05-09).
+ * @param {string} pattern Filename pattern
+ * @param {Object} values Object with prefix, date and time properties
+ * @returns {string} The file name without its extension
+ */
+function formatExportFilename(pattern, values) {
+  return pattern
+    .replace(/\{(prefix|date|time)\}/g, (placeholder, name) => values[name])
+    .replace(INVALID_FILENAME_CHARACTERS, '');
+}
+
+// Export the settings when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SETTINGS_KEY,
+    DEFAULT_SETTINGS,
+    SETTING_RANGES,
+    loadSettings,
+    saveSettings,
+    normalizeSettings,
+    formatExportFilename
+  };
+}
\ No newline at end of file
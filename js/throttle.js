@@ -0,0 +1,217 @@
+/**
+ * Throttling for LinkedIn Scraper
+ * Spaces page loads out with randomized delays and keeps a rolling daily count of the pages
+ * the scrapers load, so scraping stays under the activity limits LinkedIn restricts accounts for
+ */
+
+// Top-level bindings use var because this script can be injected into the same page more than once
+
+// Settings are kept in chrome.storage.sync so they follow the user to their other browsers;
+// usage is counted per browser in chrome.storage.local
+var THROTTLE_SETTINGS_KEY = 'throttleSettings';
+var THROTTLE_USAGE_KEY = 'throttleUsage';
+
+// The daily quotas count the last 24 hours, not the calendar day
+var THROTTLE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// What the daily quotas count: results pages scraped and profile pages visited
+var THROTTLE_USAGE_KINDS = {
+  PAGE: 'page',
+  PROFILE: 'profile'
+};
+
+// Default settings. Delays are picked at random between their min and max; a cap or quota of 0
+// means no limit.
+var DEFAULT_THROTTLE_SETTINGS = {
+  minPageDelayMs: 8000,
+  maxPageDelayMs: 20000,
+  minScrollDelayMs: 150,
+  maxScrollDelayMs: 400,
+  minProfileDelayMs: 20000,
+  maxProfileDelayMs: 45000,
+  maxPagesPerRun: 50,
+  dailyPageQuota: 300,
+  dailyProfileQuota: 150
+};
+
+// The settings used by the current scrape, set by loadThrottleSettings()
+var activeThrottleSettings = DEFAULT_THROTTLE_SETTINGS;
+
+/**
+ * Loads the saved throttle settings
+ * @returns {Promise<Object>} Resolves to the settings, with defaults for anything not saved
+ */
+function loadThrottleSettings() {
+  return chrome.storage.sync.get(THROTTLE_SETTINGS_KEY).then(result => {
+    activeThrottleSettings = normalizeThrottleSettings(result[THROTTLE_SETTINGS_KEY]);
+    return activeThrottleSettings;
+  });
+}
+
+/**
+ * Saves throttle settings
+ * @param {Object} settings The settings to save
+ * @returns {Promise<Object>} Resolves to the settings as saved
+ */
+function saveThrottleSettings(settings) {
+  const normalized = normalizeThrottleSettings(settings);
+  return chrome.storage.sync.set({ [THROTTLE_SETTINGS_KEY]: normalized }).then(() => normalized);
+}
+
+/**
+ * Fills in missing or invalid settings with their defaults and puts min/max pairs in order
+ * @param {Object} [settings] Settings as saved or entered
+ * @returns {Object} A complete set of settings
+ */
+function normalizeThrottleSettings(settings) {
+  const normalized = {};
+  Object.keys(DEFAULT_THROTTLE_SETTINGS).forEach(key => {
+    const value = Number(settings ? settings[key] : undefined);
+    normalized[key] = Number.isFinite(value) && value >= 0 ? Math.round(value) : DEFAULT_THROTTLE_SETTINGS[key];
+  });
+
+  [['minPageDelayMs', 'maxPageDelayMs'], ['minScrollDelayMs', 'maxScrollDelayMs'], ['minProfileDelayMs', 'maxProfileDelayMs']].forEach(([min, max]) => {
+    if (normalized[min] > normalized[max]) {
+      [normalized[min], normalized[max]] = [normalized[max], normalized[min]];
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Picks a random delay so page loads and scrolls don't happen at machine-regular intervals
+ * @param {number} min Shortest delay in ms
+ * @param {number} max Longest delay in ms
+ * @returns {number} Delay in ms between min and max
+ */
+function getRandomDelay(min, max) {
+  return Math.round(min + Math.random() * (max - min));
+}
+
+/**
+ * Picks the wait before loading the next results page
+ * @param {Object} [settings] Throttle settings, defaults to the active settings
+ * @returns {number} Delay in ms
+ */
+function getPageDelay(settings = activeThrottleSettings) {
+  return getRandomDelay(settings.minPageDelayMs, settings.maxPageDelayMs);
+}
+
+/**
+ * Picks the wait before the next scroll step
+ * @param {Object} [settings] Throttle settings, defaults to the active settings
+ * @returns {number} Delay in ms
+ */
+function getScrollDelay(settings = activeThrottleSettings) {
+  return getRandomDelay(settings.minScrollDelayMs, settings.maxScrollDelayMs);
+}
+
+/**
+ * Picks the wait before the enrichment job visits the next profile
+ * @param {Object} [settings] Throttle settings, defaults to the active settings
+ * @returns {number} Delay in ms
+ */
+function getProfileDelay(settings = activeThrottleSettings) {
+  return getRandomDelay(settings.minProfileDelayMs, settings.maxProfileDelayMs);
+}
+
+/**
+ * Loads the page loads of the last 24 hours
+ * @returns {Promise<Array>} Resolves to usage entries with kind and at (ms timestamp) properties, oldest first
+ */
+function loadThrottleUsage() {
+  return chrome.storage.local.get(THROTTLE_USAGE_KEY).then(result => {
+    const usage = Array.isArray(result[THROTTLE_USAGE_KEY]) ? result[THROTTLE_USAGE_KEY] : [];
+    return pruneThrottleUsage(usage, Date.now());
+  });
+}
+
+/**
+ * Drops usage entries older than the quota window
+ * @param {Array} usage Usage entries, oldest first
+ * @param {number} now Current time in ms
+ * @returns {Array} The entries of the last 24 hours
+ */
+function pruneThrottleUsage(usage, now) {
+  return usage.filter(entry => entry.at > now - THROTTLE_WINDOW_MS);
+}
+
+/**
+ * Counts page loads against the daily quota
+ * @param {string} kind One of THROTTLE_USAGE_KINDS
+ * @param {number} [count] Number of pages loaded
+ * @returns {Promise<Array>} Resolves to the usage entries of the last 24 hours
+ */
+function recordThrottleUsage(kind, count = 1) {
+  return loadThrottleUsage().then(usage => {
+    const at = Date.now();
+    const updated = usage.concat(Array.from({ length: count }, () => ({ kind, at })));
+    return chrome.storage.local.set({ [THROTTLE_USAGE_KEY]: updated }).then(() => updated);
+  });
+}
+
+/**
+ * Works out how much of a daily quota is used
+ * @param {Array} usage Usage entries of the last 24 hours, oldest first
+ * @param {string} kind One of THROTTLE_USAGE_KINDS
+ * @param {Object} settings Throttle settings
+ * @returns {Object} Object with used, quota, allowed (false once the quota is used up) and
+ *   resetsAt (ms timestamp when the oldest counted page load leaves the window, or null) properties
+ */
+function getQuotaStatus(usage, kind, settings) {
+  const quota = kind === THROTTLE_USAGE_KINDS.PROFILE ? settings.dailyProfileQuota : settings.dailyPageQuota;
+  const entries = usage.filter(entry => entry.kind === kind);
+  const allowed = quota === 0 || entries.length < quota;
+
+  // Once the quota is used up, another page load is allowed when enough old ones leave the window
+  const freedBy = entries[entries.length - quota];
+  return {
+    used: entries.length,
+    quota,
+    allowed,
+    resetsAt: !allowed && freedBy ? freedBy.at + THROTTLE_WINDOW_MS : null
+  };
+}
+
+/**
+ * Checks whether another page may be loaded today
+ * @param {string} kind One of THROTTLE_USAGE_KINDS
+ * @returns {Promise<Object>} Resolves to the quota status from getQuotaStatus(), with a message
+ *   property explaining the wait when the quota is used up
+ */
+function checkThrottleQuota(kind) {
+  return Promise.all([loadThrottleSettings(), loadThrottleUsage()]).then(([settings, usage]) => {
+    const status = getQuotaStatus(usage, kind, settings);
+    if (!status.allowed) {
+      const noun = kind === THROTTLE_USAGE_KINDS.PROFILE ? 'profile' : 'page';
+      const resumeTime = status.resetsAt ? new Date(status.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+      status.message = `Daily ${noun} quota of ${status.quota} reached.` +
+        (resumeTime ? ` More ${noun}s can be loaded after ${resumeTime}.` : '');
+    }
+    return status;
+  });
+}
+
+// Export the throttling when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    THROTTLE_SETTINGS_KEY,
+    THROTTLE_USAGE_KEY,
+    THROTTLE_WINDOW_MS,
+    THROTTLE_USAGE_KINDS,
+    DEFAULT_THROTTLE_SETTINGS,
+    loadThrottleSettings,
+    saveThrottleSettings,
+    normalizeThrottleSettings,
+    getRandomDelay,
+    getPageDelay,
+    getScrollDelay,
+    getProfileDelay,
+    loadThrottleUsage,
+    pruneThrottleUsage,
+    recordThrottleUsage,
+    getQuotaStatus,
+    checkThrottleQuota
+  };
+}
\ No newline at end of file
@@ -0,0 +1,343 @@
+/**
+ * Minimal XLSX writer for LinkedIn Scraper
+ * Builds a single-sheet Office Open XML workbook with typed cells and a frozen header row,
+ * packaged in an uncompressed ZIP so no third-party library is needed
+ */
+
+// Excel counts days from 1899-12-30; the Unix epoch is day 25569
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 86400000;
+
+// Style indexes defined in buildStylesXml()
+const XLSX_STYLE_HEADER = 1;
+const XLSX_STYLE_DATE = 2;
+
+/**
+ * Creates an XLSX workbook
+ * @param {Object} sheet Sheet contents
+ * @param {string} sheet.name Worksheet name
+ * @param {Array} sheet.headers Header row
+ * @param {Array} sheet.rows Data rows, one array of values per row
+ * @param {Array} sheet.types Column types: 'string', 'number' or 'date'
+ * @returns {Uint8Array} The .xlsx file contents
+ */
+function createXlsxWorkbook(sheet) {
+  const files = [
+    { path: '[Content_Types].xml', content: buildContentTypesXml() },
+    { path: '_rels/.rels', content: buildRootRelsXml() },
+    { path: 'xl/workbook.xml', content: buildWorkbookXml(sheet.name) },
+    { path: 'xl/_rels/workbook.xml.rels', content: buildWorkbookRelsXml() },
+    { path: 'xl/styles.xml', content: buildStylesXml() },
+    { path: 'xl/worksheets/sheet1.xml', content: buildWorksheetXml(sheet) }
+  ];
+
+  const encoder = new TextEncoder();
+  return createZipArchive(files.map(file => ({
+    path: file.path,
+    data: encoder.encode(file.content)
+  })));
+}
+
+/**
+ * Builds the worksheet XML with a bold, frozen header row followed by the typed data rows
+ * @param {Object} sheet Sheet contents, see createXlsxWorkbook()
+ * @returns {string} Worksheet XML
+ */
+function buildWorksheetXml(sheet) {
+  const headerCells = sheet.headers.map((header, columnIndex) =>
+    buildStringCell(getCellReference(columnIndex, 1), header, XLSX_STYLE_HEADER)
+  );
+  const rowsXml = [`<row r="1">${headerCells.join('')}</row>`];
+
+  sheet.rows.forEach((row, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = row.map((value, columnIndex) =>
+      buildTypedCell(getCellReference(columnIndex, rowNumber), value, sheet.types[columnIndex])
+    );
+    rowsXml.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+  });
+
+  const lastCell = getCellReference(Math.max(sheet.headers.length - 1, 0), sheet.rows.length + 1);
+  const columnsXml = sheet.headers
+    .map((header, columnIndex) => {
+      const width = Math.min(Math.max(String(header).length + 4, 12), 60);
+      return `<col min="${columnIndex + 1}" max="${columnIndex + 1}" width="${width}" customWidth="1"/>`;
+    })
+    .join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    (columnsXml ? `<cols>${columnsXml}</cols>` : '') +
+    `<sheetData>${rowsXml.join('')}</sheetData>` +
+    (sheet.headers.length > 0 ? `<autoFilter ref="A1:${lastCell}"/>` : '') +
+    '</worksheet>';
+}
+
+/**
+ * Builds a cell of the given column type, leaving empty values as empty cells
+ * @param {string} reference Cell reference such as "B2"
+ * @param {*} value Cell value
+ * @param {string} type Column type: 'string', 'number' or 'date'
+ * @returns {string} Cell XML
+ */
+function buildTypedCell(reference, value, type) {
+  if (value === '' || value === null || value === undefined) {
+    return `<c r="${reference}"/>`;
+  }
+
+  if (type === 'number' && isFinite(Number(value))) {
+    return `<c r="${reference}"><v>${Number(value)}</v></c>`;
+  }
+
+  if (type === 'date') {
+    const timestamp = Date.parse(value);
+    if (!isNaN(timestamp)) {
+      const serial = timestamp / MS_PER_DAY + EXCEL_EPOCH_OFFSET_DAYS;
+      return `<c r="${reference}" s="${XLSX_STYLE_DATE}"><v>${serial}</v></c>`;
+    }
+  }
+
+  return buildStringCell(reference, value);
+}
+
+/**
+ * Builds an inline string cell
+ * @param {string} reference Cell reference such as "A1"
+ * @param {*} value Cell value
+ * @param {number} [style] Style index
+ * @returns {string} Cell XML
+ */
+function buildStringCell(reference, value, style) {
+  const styleAttribute = style ? ` s="${style}"` : '';
+  return `<c r="${reference}" t="inlineStr"${styleAttribute}>` +
+    `<is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Converts a zero-based column index and a row number into a cell reference
+ * @param {number} columnIndex Zero-based column index
+ * @param {number} rowNumber One-based row number
+ * @returns {string} Cell reference such as "AB12"
+ */
+function getCellReference(columnIndex, rowNumber) {
+  let column = '';
+  let index = columnIndex + 1;
+  while (index > 0) {
+    const remainder = (index - 1) % 26;
+    column = String.fromCharCode(65 + remainder) + column;
+    index = Math.floor((index - 1) / 26);
+  }
+  return `${column}${rowNumber}`;
+}
+
+/**
+ * Escapes text for XML and drops control characters Excel refuses to open
+ * @param {*} value The value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds [Content_Types].xml, which maps each part of the package to its content type
+ * @returns {string} Content types XML
+ */
+function buildContentTypesXml() {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+}
+
+/**
+ * Builds the package relationships pointing at the workbook
+ * @returns {string} Relationships XML
+ */
+function buildRootRelsXml() {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+}
+
+/**
+ * Builds the workbook part listing the single worksheet
+ * @param {string} sheetName Worksheet name
+ * @returns {string} Workbook XML
+ */
+function buildWorkbookXml(sheetName) {
+  // Excel limits sheet names to 31 characters and forbids a few punctuation marks
+  const safeName = (sheetName || 'Sheet1').replace(/[\\/?*[\]:]/g, ' ').substring(0, 31);
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(safeName)}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>';
+}
+
+/**
+ * Builds the workbook relationships pointing at the worksheet and the styles
+ * @returns {string} Relationships XML
+ */
+function buildWorkbookRelsXml() {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+}
+
+/**
+ * Builds the style sheet used by the header and date cells
+ * @returns {string} Styles XML
+ */
+function buildStylesXml() {
+  // Style 0: default, 1: bold header, 2: date and time (built-in number format 22)
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="3">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+}
+
+/**
+ * Packs files into a ZIP archive using the "stored" (uncompressed) method
+ * @param {Array} files Files with path (string) and data (Uint8Array) properties
+ * @returns {Uint8Array} The ZIP archive
+ */
+function createZipArchive(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  files.forEach(file => {
+    const name = encoder.encode(file.path);
+    const crc = computeCrc32(file.data);
+    const size = file.data.length;
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034b50, true); // Local file header signature
+    localHeader.setUint16(4, 20, true); // Version needed to extract
+    localHeader.setUint16(6, 0x0800, true); // Flags: file names are UTF-8
+    localHeader.setUint16(8, 0, true); // Compression method: stored
+    localHeader.setUint16(10, dosTime, true);
+    localHeader.setUint16(12, dosDate, true);
+    localHeader.setUint32(14, crc, true);
+    localHeader.setUint32(18, size, true); // Compressed size
+    localHeader.setUint32(22, size, true); // Uncompressed size
+    localHeader.setUint16(26, name.length, true);
+    localHeader.setUint16(28, 0, true); // Extra field length
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014b50, true); // Central directory header signature
+    centralHeader.setUint16(4, 20, true); // Version made by
+    centralHeader.setUint16(6, 20, true); // Version needed to extract
+    centralHeader.setUint16(8, 0x0800, true);
+    centralHeader.setUint16(10, 0, true);
+    centralHeader.setUint16(12, dosTime, true);
+    centralHeader.setUint16(14, dosDate, true);
+    centralHeader.setUint32(16, crc, true);
+    centralHeader.setUint32(20, size, true);
+    centralHeader.setUint32(24, size, true);
+    centralHeader.setUint16(28, name.length, true);
+    centralHeader.setUint16(30, 0, true); // Extra field length
+    centralHeader.setUint16(32, 0, true); // Comment length
+    centralHeader.setUint16(34, 0, true); // Disk number
+    centralHeader.setUint16(36, 0, true); // Internal attributes
+    centralHeader.setUint32(38, 0, true); // External attributes
+    centralHeader.setUint32(42, offset, true); // Offset of the local header
+
+    localParts.push(new Uint8Array(localHeader.buffer), name, file.data);
+    centralParts.push(new Uint8Array(centralHeader.buffer), name);
+    offset += 30 + name.length + size;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const endRecord = new DataView(new ArrayBuffer(22));
+  endRecord.setUint32(0, 0x06054b50, true); // End of central directory signature
+  endRecord.setUint16(4, 0, true);
+  endRecord.setUint16(6, 0, true);
+  endRecord.setUint16(8, files.length, true);
+  endRecord.setUint16(10, files.length, true);
+  endRecord.setUint32(12, centralSize, true);
+  endRecord.setUint32(16, offset, true);
+  endRecord.setUint16(20, 0, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(endRecord.buffer)];
+  const archive = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    archive.set(part, position);
+    position += part.length;
+  });
+
+  return archive;
+}
+
+// Lookup table for the CRC-32 checksum used by ZIP, built on first use
+let crc32Table = null;
+
+/**
+ * Computes the CRC-32 checksum of some bytes
+ * @param {Uint8Array} data The bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function computeCrc32(data) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = crc32Table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+// Export the XLSX writer when loaded outside the extension, e.g. by the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createXlsxWorkbook,
+    buildWorksheetXml,
+    buildTypedCell,
+    buildStringCell,
+    getCellReference,
+    escapeXml,
+    createZipArchive,
+    computeCrc32
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Tests for the data quality checks
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lead } = require('./helpers/globals.js');
+const leadSchema = require('../js/lead-schema.js');
+
+const { getRecordQualityIssues, checkDataQuality } = require('../js/data-quality.js');
+
+test('lists the fields a lead is missing', () => {
+  const complete = lead({ name: 'Jane Doe', title: 'CTO', company: 'Acme', location: 'Berlin, Germany' });
+  const partial = lead({ name: 'John Roe', title: 'CTO' });
+
+  assert.deepEqual(getRecordQualityIssues(complete), []);
+  assert.deepEqual(getRecordQualityIssues(partial), ['company', 'location']);
+});
+
+test('counts a field holding only whitespace as missing', () => {
+  // Records stored by older versions weren't trimmed by createLead()
+  const record = { ...lead({ name: 'Jane Doe', title: 'CTO', location: 'Berlin, Germany' }), company: '  \n ' };
+  assert.deepEqual(getRecordQualityIssues(record), ['company']);
+});
+
+test('never flags accounts, which have no title or company', () => {
+  const account = leadSchema.createAccount({ name: 'Acme Corp' }, { source: 'salesNavigatorAccounts' });
+  assert.deepEqual(getRecordQualityIssues(account), []);
+  assert.deepEqual(checkDataQuality([account]), []);
+});
+
+test('reports the share of leads missing each field', () => {
+  const leads = [
+    lead({ name: 'Jane Doe', title: 'CTO', company: 'Acme', location: 'Berlin, Germany' }),
+    lead({ name: 'John Roe', title: 'CTO', company: 'Initech' }),
+    lead({ name: 'Ann Poe', company: 'Hooli' })
+  ];
+
+  assert.deepEqual(checkDataQuality(leads), [
+    '33% of profiles are missing job titles',
+    '67% of profiles are missing locations'
+  ]);
+});
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * Tests for the dataset library
+ * The library runs against chrome.storage.local; these tests give it an in-memory copy.
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { lead } = require('./helpers/globals.js');
+
+const {
+  DATASETS_KEY,
+  DATASET_RECORDS_KEY_PREFIX,
+  createDataset,
+  getDefaultDatasetName,
+  describeDataset,
+  loadDatasets,
+  loadDatasetRecords,
+  loadLeadHistory,
+  addDataset,
+  saveDatasetRecords,
+  renameDataset,
+  deleteDatasets,
+  mergeDatasets
+} = require('../js/datasets.js');
+
+/**
+ * Installs an in-memory chrome.storage.local with the promise API the library uses
+ * @returns {Object} The backing store
+ */
+function installStorage() {
+  const store = {};
+  global.chrome = {
+    storage: {
+      local: {
+        get: key => Promise.resolve(key in store ? { [key]: store[key] } : {}),
+        set: values => Promise.resolve(Object.assign(store, JSON.parse(JSON.stringify(values)))),
+        remove: keys => Promise.resolve([].concat(keys).forEach(key => delete store[key]))
+      }
+    }
+  };
+  return store;
+}
+
+const SEARCH_URL = 'https://www.linkedin.com/search/results/people/?keywords=cto&page=2';
+
+const SAM_LEE = lead({ name: 'Sam Lee', profileUrl: 'https://www.linkedin.com/in/sam-lee/' });
+const ANA_RUIZ = lead({ name: 'Ana Ruiz', profileUrl: 'https://www.linkedin.com/in/ana-ruiz/' });
+const BO_CHEN = lead({ name: 'Bo Chen', profileUrl: 'https://www.linkedin.com/in/bo-chen/' });
+
+let store;
+beforeEach(() => {
+  store = installStorage();
+});
+
+describe('dataset summaries', () => {
+  test('are named after the page type, keywords and time of the scrape', () => {
+    assert.equal(
+      getDefaultDatasetName('search', SEARCH_URL, '2024-01-31T14:05:09.000Z'),
+      'LinkedIn search results "cto" 2024-01-31 14:05'
+    );
+    assert.equal(
+      getDefaultDatasetName('companyPeople', 'https://www.linkedin.com/company/acme/people/', '2024-01-31T14:05:09.000Z'),
+      'company people 2024-01-31 14:05'
+    );
+  });
+
+  test('describe their record count and page range', () => {
+    const dataset = { ...createDataset({ pageType: 'search', searchUrl: SEARCH_URL, firstPage: 1, lastPage: 3 }), recordCount: 42 };
+    assert.match(describeDataset(dataset), /^42 records, pages 1-3, \d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+    assert.match(describeDataset({ ...dataset, lastPage: 1 }), /^42 records, page 1, /);
+  });
+});
+
+describe('dataset storage', () => {
+  test('saves records and lists the newest dataset first', () => {
+    const first = createDataset({ pageType: 'search', searchUrl: SEARCH_URL, firstPage: 2 });
+    const second = createDataset({ pageType: 'search', searchUrl: SEARCH_URL, firstPage: 3 });
+
+    return addDataset(first, [SAM_LEE])
+      .then(() => addDataset(second, [ANA_RUIZ, BO_CHEN]))
+      .then(() => loadDatasets())
+      .then(datasets => {
+        assert.deepEqual(datasets.map(dataset => dataset.id), [second.id, first.id]);
+        assert.deepEqual(datasets.map(dataset => dataset.recordCount), [2, 1]);
+        assert.equal(datasets[1].lastPage, 2);
+        return loadDatasetRecords(second.id);
+      })
+      .then(records => {
+        assert.deepEqual(records.map(record => record.name), ['Ana Ruiz', 'Bo Chen']);
+      });
+  });
+
+  test('keeps a rename when a running job saves the dataset again', () => {
+    const dataset = createDataset({ pageType: 'search', searchUrl: SEARCH_URL, firstPage: 2 });
+
+    return addDataset(dataset, [SAM_LEE])
+      .then(() => renameDataset(dataset.id, 'CTOs'))
+      .then(() => saveDatasetRecords(dataset.id, [SAM_LEE, BO_CHEN], { lastPage: 3 }))
+      .then(saved => {
+        assert.equal(saved.name, 'CTOs');
+        return loadDatasets();
+      })
+      .then(datasets => {
+        assert.equal(datasets.length, 1);
+        assert.equal(datasets[0].name, 'CTOs');
+        assert.equal(datasets[0].recordCount, 2);
+        assert.equal(datasets[0].lastPage, 3);
+      });
+  });
+
+  test('keeps a rename made while a save is in progress', () => {
+    const dataset = createDataset({ pageType: 'search', searchUrl: SEARCH_URL });
+
+    return addDataset(dataset, [SAM_LEE])
+      .then(() => Promise.all([
+        renameDataset(dataset.id, 'CTOs'),
+        saveDatasetRecords(dataset.id, [SAM_LEE, BO_CHEN])
+      ]))
+      .then(() => loadDatasets())
+      .then(datasets => {
+        assert.equal(datasets.length, 1);
+        assert.equal(datasets[0].name, 'CTOs');
+        assert.equal(store[DATASET_RECORDS_KEY_PREFIX + dataset.id].length, 2);
+      });
+  });
+
+  test('does not add back a dataset deleted while a job was saving it', () => {
+    const dataset = createDataset({ pageType: 'search', searchUrl: SEARCH_URL });
+
+    return addDataset(dataset, [SAM_LEE])
+      .then(() => Promise.all([
+        deleteDatasets([dataset.id]),
+        saveDatasetRecords(dataset.id, [SAM_LEE, BO_CHEN])
+      ]))
+      .then(() => saveDatasetRecords(dataset.id, [SAM_LEE, BO_CHEN, ANA_RUIZ]))
+      .then(saved => {
+        assert.equal(saved, null);
+        assert.deepEqual(store[DATASETS_KEY], []);
+        assert.equal(DATASET_RECORDS_KEY_PREFIX + dataset.id in store, false);
+      });
+  });
+
+  test('deletes datasets together with their records', () => {
+    const dataset = createDataset({ pageType: 'search', searchUrl: SEARCH_URL });
+
+    return addDataset(dataset, [SAM_LEE])
+      .then(() => deleteDatasets([dataset.id]))
+      .then(() => {
+        assert.deepEqual(store[DATASETS_KEY], []);
+        assert.equal(DATASET_RECORDS_KEY_PREFIX + dataset.id in store, false);
+      });
+  });
+});
+
+describe('mergeDatasets', () => {
+  test('combines datasets into a new one without duplicate leads', () => {
+    const first = createDataset({ pageType: 'search', searchUrl: SEARCH_URL, firstPage: 1, lastPage: 2 });
+    const second = createDataset({ pageType: 'search', searchUrl: SEARCH_URL, firstPage: 3, lastPage: 5 });
+
+    return addDataset(first, [SAM_LEE, BO_CHEN])
+      .then(() => addDataset(second, [SAM_LEE, ANA_RUIZ]))
+      .then(() => mergeDatasets([first.id, second.id], 'All CTOs'))
+      .then(({ dataset, duplicatesCollapsed }) => {
+        assert.equal(duplicatesCollapsed, 1);
+        assert.equal(dataset.name, 'All CTOs');
+        assert.equal(dataset.recordCount, 3);
+        assert.equal(dataset.firstPage, 1);
+        assert.equal(dataset.lastPage, 5);
+        assert.deepEqual(dataset.mergedFrom, [first.id, second.id]);
+        return loadDatasets();
+      })
+      .then(datasets => {
+        // The merged datasets are kept
+        assert.equal(datasets.length, 3);
+      });
+  });
+
+  test('needs at least two datasets', () => {
+    const dataset = createDataset({ pageType: 'search', searchUrl: SEARCH_URL });
+
+    return addDataset(dataset, [SAM_LEE])
+      .then(() => assert.rejects(mergeDatasets([dataset.id]), /at least two datasets/));
+  });
+});
+
+describe('loadLeadHistory', () => {
+  test('returns the records of every other dataset, oldest dataset first', () => {
+    const older = createDataset({ pageType: 'search', searchUrl: SEARCH_URL });
+    const newer = createDataset({ pageType: 'search', searchUrl: SEARCH_URL });
+    const current = createDataset({ pageType: 'search', searchUrl: SEARCH_URL });
+
+    return addDataset(older, [SAM_LEE])
+      .then(() => addDataset(newer, [BO_CHEN]))
+      .then(() => addDataset(current, [ANA_RUIZ]))
+      .then(() => loadLeadHistory(current.id))
+      .then(records => {
+        assert.deepEqual(records.map(record => record.name), ['Sam Lee', 'Bo Chen']);
+      });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Tests for the export columns and export profiles
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lead } = require('./helpers/globals.js');
+const leadDiff = require('../js/lead-diff.js');
+
+// The columns use the job change report type as the extension's global
+Object.assign(global, leadDiff);
+
+const {
+  DEFAULT_EXPORT_PROFILE,
+  loadExportProfiles,
+  sanitizeExportProfile,
+  buildExportTable
+} = require('../js/export-profiles.js');
+
+test('the default profile writes the original four-column layout', () => {
+  assert.deepEqual(DEFAULT_EXPORT_PROFILE.columns.map(column => column.id), ['name', 'titleAndCompany', 'location', 'profileUrl']);
+
+  const { headers, types, rows } = buildExportTable([
+    lead({ name: 'Jane Doe', title: 'CTO', company: 'Acme', location: 'Berlin, Germany', profileUrl: 'https://www.linkedin.com/in/jane-doe/' }),
+    lead({ name: 'John Roe', company: 'Initech' })
+  ], DEFAULT_EXPORT_PROFILE);
+
+  assert.deepEqual(headers, ['Name', 'Title & Company', 'Location', 'Profile URL']);
+  assert.deepEqual(types, ['string', 'string', 'string', 'string']);
+  assert.deepEqual(rows, [
+    ['Jane Doe', 'CTO at Acme', 'Berlin, Germany', 'https://www.linkedin.com/in/jane-doe/'],
+    ['John Roe', 'Initech', '', '']
+  ]);
+});
+
+test('stored profiles lose the columns that no longer exist', () => {
+  const profile = sanitizeExportProfile({
+    id: 'profile_1',
+    builtIn: true,
+    columns: [
+      { id: 'name', header: 'Full Name' },
+      { id: 'emailGuess', header: 'Email' },
+      { id: 'pageNumber' }
+    ]
+  });
+
+  assert.deepEqual(profile, {
+    id: 'profile_1',
+    name: 'Untitled',
+    columns: [
+      { id: 'name', header: 'Full Name' },
+      { id: 'pageNumber', header: 'Page Number' }
+    ]
+  });
+  assert.deepEqual(sanitizeExportProfile({ id: 'profile_2', name: 'Empty' }).columns, []);
+});
+
+test('loading falls back to the default profile when the active one was deleted', () => {
+  global.chrome = {
+    storage: {
+      local: {
+        get: (keys, callback) => callback({
+          exportProfiles: [{ id: 'profile_1', name: 'CRM', columns: [{ id: 'name' }, { id: 'gone' }] }],
+          activeExportProfileId: 'profile_deleted'
+        })
+      }
+    }
+  };
+
+  loadExportProfiles(({ profiles, activeProfileId }) => {
+    assert.equal(activeProfileId, DEFAULT_EXPORT_PROFILE.id);
+    assert.deepEqual(profiles.map(profile => profile.id), ['default', 'profile_1']);
+    assert.deepEqual(profiles[1].columns, [{ id: 'name', header: 'Name' }]);
+  });
+});
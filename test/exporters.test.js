@@ -0,0 +1,57 @@
+/**
+ * Tests for the export file formats and file names
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lead } = require('./helpers/globals.js');
+const leadSchema = require('../js/lead-schema.js');
+const leadDiff = require('../js/lead-diff.js');
+const settings = require('../js/settings.js');
+
+// The export columns use the job change report type as the extension's global
+Object.assign(global, leadDiff);
+const exportProfiles = require('../js/export-profiles.js');
+
+// The exporters use the export profiles and the settings as the extension's globals
+Object.assign(global, exportProfiles, settings, { activeSettings: settings.DEFAULT_SETTINGS });
+
+const { EXPORTERS, createExportFilename } = require('../js/exporters.js');
+const { DEFAULT_EXPORT_PROFILE } = exportProfiles;
+
+const LEADS = [
+  lead({ name: 'Jane Doe', title: 'CTO', company: 'Acme', location: 'Berlin, Germany', profileUrl: 'https://www.linkedin.com/in/jane-doe/' }),
+  lead({ name: 'John Roe', title: 'Engineer\nII', company: 'Initech "West"' })
+];
+
+test('CSV writes the profile columns and quotes fields with commas, quotes and line breaks', () => {
+  assert.equal(EXPORTERS.csv.serialize(LEADS, DEFAULT_EXPORT_PROFILE), [
+    'Name,Title & Company,Location,Profile URL',
+    'Jane Doe,CTO at Acme,"Berlin, Germany",https://www.linkedin.com/in/jane-doe/',
+    'John Roe,"Engineer\nII at Initech ""West""",,',
+    ''
+  ].join('\n'));
+});
+
+test('JSON Lines writes one full record per line', () => {
+  const lines = EXPORTERS.jsonl.serialize(LEADS, DEFAULT_EXPORT_PROFILE).split('\n');
+
+  assert.equal(lines.length, LEADS.length + 1);
+  assert.equal(lines[LEADS.length], '');
+  assert.deepEqual(lines.slice(0, LEADS.length).map(line => JSON.parse(line)), LEADS);
+});
+
+test('file names start with the record type and end with the format extension', () => {
+  const timestamp = '\\d{4}-\\d{2}-\\d{2}_\\d{2}-\\d{2}-\\d{2}';
+  const expectFilename = (filename, prefix, extension) =>
+    assert.match(filename, new RegExp(`^${prefix}_${timestamp}\\.${extension}$`));
+
+  expectFilename(createExportFilename('csv'), 'linkedin_leads', 'csv');
+  expectFilename(createExportFilename('xlsx', leadSchema.RECORD_TYPES.ACCOUNT), 'linkedin_accounts', 'xlsx');
+  expectFilename(createExportFilename('json', leadSchema.RECORD_TYPES.COMPANY), 'linkedin_companies', 'json');
+  expectFilename(createExportFilename('jsonl', leadSchema.RECORD_TYPES.POST), 'linkedin_posts', 'jsonl');
+  expectFilename(createExportFilename('csv', leadDiff.JOB_CHANGE_REPORT_TYPE), 'linkedin_job_changes', 'csv');
+
+  // Unknown formats export as CSV, unknown record types as leads
+  expectFilename(createExportFilename('pdf', 'unknown'), 'linkedin_leads', 'csv');
+});
@@ -0,0 +1,349 @@
+/**
+ * Regression tests for the lead extractors
+ * Every saved page in test/fixtures is scraped and compared to its expected leads, so a
+ * LinkedIn markup change shows up here as a failing fixture instead of as a bad export.
+ */
+
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { listFixtures, loadFixture, loadMarkup, scrapeFixture } = require('./helpers/fixtures.js');
+const {
+  extractName,
+  extractTitle,
+  extractCompany,
+  extractLocation,
+  extractCurrentRoleInfo,
+  extractMainHeadlineInfo,
+  filterProfileCards,
+  scoreProfileCard,
+  splitHeadline,
+  parseHeadcountRange,
+  parseFollowerCount,
+  parseReactionCount,
+  parseCount,
+  extractProfileDetails,
+  extractProfileDetailsPage,
+  extractContactInfo,
+  detectPageBlock
+} = require('../js/extractors.js');
+
+// The extractors log every step for debugging in the page; keep the test output readable
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+describe('fixtures', () => {
+  for (const name of listFixtures()) {
+    test(`${name} produces the expected records`, () => {
+      const { expected } = loadFixture(name);
+      // Fixtures of the other search verticals list accounts, companies or posts instead of leads,
+      // and the profile fixture lists the profile's details
+      const records = expected.leads || expected.accounts || expected.companies || expected.posts || expected.profiles;
+      assert.deepEqual(scrapeFixture(expected), records);
+    });
+  }
+});
+
+describe('regular search card fields', () => {
+  test('reads name, title, company and location from the result subtitles', () => {
+    const { document } = loadMarkup(`
+      <li class="reusable-search__result-container">
+        <span class="entity-result__title-text"><a href="https://www.linkedin.com/in/sam-lee"><span>Sam Lee</span></a></span>
+        <div class="entity-result__primary-subtitle">Account Executive at Stark Industries</div>
+        <div class="entity-result__tertiary-subtitle">Location: Denver, Colorado</div>
+      </li>`);
+    const card = document.querySelector('li');
+
+    assert.equal(extractName(card), 'Sam Lee');
+    assert.equal(extractTitle(card), 'Account Executive');
+    assert.equal(extractCompany(card), 'Stark Industries');
+    assert.equal(extractLocation(card), 'Denver, Colorado');
+  });
+
+  test('strips the "View X\'s profile" text from names', () => {
+    const { document } = loadMarkup(`
+      <li><span class="entity-result__title-text"><a href="https://www.linkedin.com/in/sam-lee">View Sam Lee's profile</a></span></li>`);
+
+    assert.equal(extractName(document.querySelector('li')), 'Sam Lee');
+  });
+
+  test('finds unlabeled locations the gazetteer knows, with or without accents', () => {
+    const { document } = loadMarkup(`
+      <li>
+        <div>Product Designer</div>
+        <div>São Paulo, Brasil</div>
+      </li>`);
+
+    assert.equal(extractLocation(document.querySelector('li')), 'São Paulo, Brasil');
+  });
+});
+
+describe('extractCurrentRoleInfo', () => {
+  test('splits a "Current:" summary into title and company', () => {
+    const { document } = loadMarkup(`
+      <li><p class="entity-result__summary">Current: Head of Growth at Initech</p></li>`);
+
+    assert.deepEqual(extractCurrentRoleInfo(document.querySelector('li')), {
+      title: 'Head of Growth',
+      company: 'Initech'
+    });
+  });
+
+  test('returns empty fields when the card has no current role', () => {
+    const { document } = loadMarkup('<li><p>Growth leader | Ex-Hooli</p></li>');
+
+    assert.deepEqual(extractCurrentRoleInfo(document.querySelector('li')), { title: '', company: '' });
+  });
+});
+
+describe('extractMainHeadlineInfo', () => {
+  test('splits "Title at Company" headlines', () => {
+    const { document } = loadMarkup(`
+      <li><div class="entity-result__primary-subtitle">Senior Product Manager at Acme Corp</div></li>`);
+
+    assert.deepEqual(extractMainHeadlineInfo(document.querySelector('li')), {
+      title: 'Senior Product Manager',
+      company: 'Acme Corp'
+    });
+  });
+
+  test('splits "Title @ Company" headlines', () => {
+    const { document } = loadMarkup(`
+      <li><div class="entity-result__primary-subtitle">Founder @ Umbrella Labs</div></li>`);
+
+    assert.deepEqual(extractMainHeadlineInfo(document.querySelector('li')), {
+      title: 'Founder',
+      company: 'Umbrella Labs'
+    });
+  });
+
+  test('leaves past roles and taglines out of the title', () => {
+    const { document } = loadMarkup(`
+      <li><div class="entity-result__primary-subtitle">VP Sales | Ex-Google | Helping SaaS scale</div></li>`);
+
+    assert.deepEqual(extractMainHeadlineInfo(document.querySelector('li')), {
+      title: 'VP Sales',
+      company: ''
+    });
+  });
+});
+
+describe('splitHeadline', () => {
+  test('splits on "at" and "@"', () => {
+    assert.deepEqual(splitHeadline('Account Executive at Stark Industries'), {
+      title: 'Account Executive',
+      company: 'Stark Industries'
+    });
+    assert.deepEqual(splitHeadline('Founder @ Umbrella Labs'), { title: 'Founder', company: 'Umbrella Labs' });
+  });
+
+  test('takes the job title from a headline that names no company', () => {
+    assert.deepEqual(splitHeadline('Software Engineer | Distributed systems'), {
+      title: 'Software Engineer',
+      company: ''
+    });
+  });
+});
+
+describe('filterProfileCards', () => {
+  test('keeps profile cards and drops unrelated elements', () => {
+    const { document } = loadMarkup(`
+      <div class="results">
+        <li id="profile">
+          <a href="https://www.linkedin.com/in/sam-lee">Sam Lee</a>
+          <div class="entity-result__primary-subtitle">Account Executive at Stark Industries</div>
+        </li>
+        <div id="banner">Try Premium for free</div>
+      </div>`);
+
+    const cards = filterProfileCards(document.querySelectorAll('.results > *'));
+    assert.deepEqual(cards.map(card => card.id), ['profile']);
+  });
+
+  test('requires Sales Navigator markup on Sales Navigator pages', () => {
+    const { document } = loadMarkup(`
+      <ul>
+        <li id="lead">
+          <div class="artdeco-entity-lockup__title"><a href="/sales/lead/ACwAAA1,NAME_SEARCH,x">Maria Garcia</a></div>
+          <div class="artdeco-entity-lockup__subtitle">VP of Sales at Hooli</div>
+        </li>
+        <li id="upsell">Upgrade your plan to see more leads like these</li>
+      </ul>`, 'https://www.linkedin.com/sales/search/people');
+
+    const cards = filterProfileCards(document.querySelectorAll('li'));
+    assert.deepEqual(cards.map(card => card.id), ['lead']);
+  });
+});
+
+describe('scoreProfileCard', () => {
+  test('reports the score, the threshold and each check', () => {
+    const { document } = loadMarkup(`
+      <li>
+        <a href="https://www.linkedin.com/in/sam-lee">Sam Lee</a>
+        <div class="entity-result__primary-subtitle">Account Executive at Stark Industries</div>
+      </li>`);
+
+    assert.deepEqual(scoreProfileCard(document.querySelector('li'), false), {
+      score: 10,
+      threshold: 3,
+      accepted: true,
+      checks: {
+        hasProfileLink: true,
+        hasText: true,
+        hasTitleElement: true,
+        hasCardStructure: true,
+        // jsdom doesn't lay out the page, so elements have no size
+        hasReasonableSize: false,
+        hasProfileImage: false,
+        hasSalesNavElements: true
+      }
+    });
+  });
+
+  test('uses the card score threshold from the settings', () => {
+    const { document } = loadMarkup('<li><a href="https://www.linkedin.com/in/sam-lee">Sam Lee</a></li>');
+    const card = document.querySelector('li');
+    const defaults = global.activeSettings;
+
+    global.activeSettings = { ...defaults, searchCardThreshold: 11 };
+    try {
+      assert.equal(scoreProfileCard(card, false).threshold, 11);
+      assert.equal(scoreProfileCard(card, false).accepted, false);
+    } finally {
+      global.activeSettings = defaults;
+    }
+  });
+});
+
+describe('parseHeadcountRange', () => {
+  test('reads ranges, open-ended sizes and thousands separators', () => {
+    assert.equal(parseHeadcountRange('51-200 employees'), '51-200');
+    assert.equal(parseHeadcountRange('1,001 - 5,000 employees'), '1,001-5,000');
+    assert.equal(parseHeadcountRange('10K+ employees on LinkedIn'), '10K+');
+  });
+
+  test('returns an empty string when the text has no headcount', () => {
+    assert.equal(parseHeadcountRange('Software Development'), '');
+    assert.equal(parseHeadcountRange(''), '');
+  });
+});
+
+describe('parseCount', () => {
+  test('reads plain and abbreviated counts', () => {
+    assert.equal(parseCount('1,234'), 1234);
+    assert.equal(parseCount('1.2K'), 1200);
+    assert.equal(parseCount('3M'), 3000000);
+    assert.equal(parseCount('no reactions'), 0);
+  });
+
+  test('reads follower and reaction counts from their surrounding text', () => {
+    assert.equal(parseFollowerCount('Software Development • 12K followers'), 12000);
+    assert.equal(parseFollowerCount('Software Development'), 0);
+    assert.equal(parseReactionCount('1,204'), 1204);
+    // The named person is one of the reactions
+    assert.equal(parseReactionCount('Tom Becker and 56 others'), 57);
+  });
+});
+
+describe('profile pages', () => {
+  test('list the sections that show only part of their list', () => {
+    loadFixture('profile');
+    assert.deepEqual(extractProfileDetails().moreSections, ['experience', 'skills']);
+  });
+
+  test('details pages list the whole section', () => {
+    loadMarkup(`
+      <main><section><div class="pvs-list__container"><ul class="pvs-list">
+        <li class="pvs-list__paged-list-item">
+          <div class="t-bold"><span aria-hidden="true">CTO</span></div>
+          <span class="t-14 t-normal"><span aria-hidden="true">Initech · Part-time</span></span>
+          <span class="t-14 t-normal t-black--light"><span aria-hidden="true">2012 - 2014 · 2 yrs</span></span>
+        </li>
+        <li class="pvs-list__paged-list-item">
+          <div class="t-bold"><span aria-hidden="true">Intern</span></div>
+          <span class="t-14 t-normal"><span aria-hidden="true">Globex</span></span>
+        </li>
+      </ul></div></section></main>`, 'https://www.linkedin.com/in/jane-doe/details/experience/');
+
+    assert.deepEqual(extractProfileDetailsPage('experience').map(position => [position.title, position.company, position.employmentType, position.dateRange]), [
+      ['CTO', 'Initech', 'Part-time', '2012 - 2014'],
+      ['Intern', 'Globex', '', '']
+    ]);
+  });
+
+  test('reads the contact info the dialog shows', () => {
+    loadMarkup(`
+      <div class="artdeco-modal__content"><div class="pv-contact-info">
+        <section class="pv-contact-info__contact-type">
+          <h3 class="pv-contact-info__header">Jane's Profile</h3>
+          <a href="https://www.linkedin.com/in/jane-doe">linkedin.com/in/jane-doe</a>
+        </section>
+        <section class="pv-contact-info__contact-type">
+          <h3 class="pv-contact-info__header">Websites</h3>
+          <ul>
+            <li><a href="https://janedoe.dev">janedoe.dev</a> (Personal)</li>
+            <li><a href="https://hooli.com">hooli.com</a> (Company)</li>
+          </ul>
+        </section>
+        <section class="pv-contact-info__contact-type">
+          <h3 class="pv-contact-info__header">Phone</h3>
+          <ul><li><span class="t-14">+1 555 0100</span> <span class="t-14">(Mobile)</span></li></ul>
+        </section>
+        <section class="pv-contact-info__contact-type">
+          <h3 class="pv-contact-info__header">Email</h3>
+          <a href="mailto:jane@hooli.com">jane@hooli.com</a>
+        </section>
+        <section class="pv-contact-info__contact-type">
+          <h3 class="pv-contact-info__header">Birthday</h3>
+          <span class="t-14">March 3</span>
+        </section>
+      </div></div>`, 'https://www.linkedin.com/in/jane-doe/overlay/contact-info/');
+
+    assert.deepEqual(extractContactInfo(), {
+      emails: ['jane@hooli.com'],
+      phones: ['+1 555 0100 (Mobile)'],
+      websites: ['https://janedoe.dev', 'https://hooli.com'],
+      birthday: 'March 3'
+    });
+  });
+});
+
+describe('detectPageBlock', () => {
+  test('finds nothing on a results page', () => {
+    loadMarkup('<ul><li class="reusable-search__result-container">Sam Lee</li></ul>');
+    assert.equal(detectPageBlock(), null);
+  });
+
+  test('recognizes sign-in pages by their URL or their sign-in form', () => {
+    loadMarkup('<main></main>', 'https://www.linkedin.com/authwall?trk=bf');
+    assert.equal(detectPageBlock(), 'loginWall');
+
+    loadMarkup('<form class="login__form"><input name="session_key"></form>');
+    assert.equal(detectPageBlock(), 'loginWall');
+  });
+
+  test('recognizes security checks', () => {
+    loadMarkup('<iframe src="https://www.linkedin.com/captcha-v2/frame"></iframe>');
+    assert.equal(detectPageBlock(), 'checkpoint');
+  });
+
+  test('recognizes the commercial use limit by its notice', () => {
+    loadMarkup(`
+      <div class="artdeco-empty-state">
+        <h2>You've reached the commercial use limit on search.</h2>
+      </div>`);
+    assert.equal(detectPageBlock(), 'commercialUseLimit');
+  });
+
+  test('ignores results that only mention the commercial use limit', () => {
+    loadMarkup(`
+      <li class="reusable-search__result-container">
+        <p class="feed-shared-update-v2__description">How we got around the commercial use limit</p>
+      </li>`, 'https://www.linkedin.com/search/results/content/?keywords=limit');
+    assert.equal(detectPageBlock(), null);
+  });
+});
\ No newline at end of file
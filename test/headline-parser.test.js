@@ -0,0 +1,77 @@
+/**
+ * Tests for headline parsing
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/globals.js');
+const headlineParser = require('../js/headline-parser.js');
+const leadSchema = require('../js/lead-schema.js');
+
+const { SENIORITY_LEVELS, parseHeadline, getSeniority, getJobFunction } = headlineParser;
+
+test('splits titles from companies on "at", "@", "chez" and a single dash', () => {
+  assert.equal(parseHeadline('Senior Product Manager at Acme Corp').company, 'Acme Corp');
+  assert.equal(parseHeadline('Founder @ Umbrella Labs').company, 'Umbrella Labs');
+  assert.equal(parseHeadline('Directrice commerciale chez Initech').company, 'Initech');
+
+  const dashed = parseHeadline('Data Engineer - Spotify');
+  assert.equal(dashed.title, 'Data Engineer');
+  assert.equal(dashed.company, 'Spotify');
+});
+
+test('skips past roles and taglines', () => {
+  const parsed = parseHeadline('VP Sales | Ex-Google | Helping SaaS scale');
+  assert.equal(parsed.title, 'VP Sales');
+  assert.equal(parsed.company, '');
+
+  assert.equal(parseHeadline('Helping SaaS scale | VP Sales').title, 'VP Sales');
+  assert.equal(parseHeadline('Marketing - Growth - Brand').title, 'Marketing');
+});
+
+test('takes the first role that names a company from a multi-role headline', () => {
+  assert.deepEqual(parseHeadline('Investor • CEO at Acme | Board Member at Beta'), {
+    title: 'CEO',
+    company: 'Acme',
+    roles: [
+      { title: 'Investor', company: '' },
+      { title: 'CEO', company: 'Acme' },
+      { title: 'Board Member', company: 'Beta' }
+    ]
+  });
+});
+
+test('reads "Current:" summaries and leaves email addresses whole', () => {
+  assert.equal(parseHeadline('Current: Head of Growth at Initech').title, 'Head of Growth');
+  assert.equal(parseHeadline('jane@acme.com').company, '');
+  assert.equal(parseHeadline('').title, '');
+});
+
+test('classifies titles by seniority', () => {
+  assert.equal(getSeniority('Co-Founder & CTO'), SENIORITY_LEVELS.C_LEVEL);
+  assert.equal(getSeniority('Chief Revenue Officer'), SENIORITY_LEVELS.C_LEVEL);
+  assert.equal(getSeniority('SVP, Engineering'), SENIORITY_LEVELS.VP);
+  assert.equal(getSeniority('Vice President of Marketing'), SENIORITY_LEVELS.VP);
+  assert.equal(getSeniority('Head of Growth'), SENIORITY_LEVELS.DIRECTOR);
+  assert.equal(getSeniority('Engineering Manager'), SENIORITY_LEVELS.MANAGER);
+  assert.equal(getSeniority('Executive Assistant to the CEO'), SENIORITY_LEVELS.IC);
+  assert.equal(getSeniority('Software Engineer'), SENIORITY_LEVELS.IC);
+  assert.equal(getSeniority(''), '');
+});
+
+test('classifies titles by job function', () => {
+  assert.equal(getJobFunction('Product Marketing Manager'), 'Marketing');
+  assert.equal(getJobFunction('Sales Engineer'), 'Sales');
+  assert.equal(getJobFunction('Senior Data Engineer'), 'Data');
+  assert.equal(getJobFunction('Chief Technology Officer'), 'Engineering');
+  assert.equal(getJobFunction('Talent Acquisition Partner'), 'Human Resources');
+  assert.equal(getJobFunction('Founder'), 'General Management');
+  assert.equal(getJobFunction('Making it happen'), '');
+});
+
+test('lead records carry the seniority and job function of their title', () => {
+  const lead = leadSchema.createLead({ name: 'Sam Lee', title: 'VP of Sales', headline: 'VP of Sales at Hooli' });
+  assert.equal(lead.headline, 'VP of Sales at Hooli');
+  assert.equal(lead.seniority, SENIORITY_LEVELS.VP);
+  assert.equal(lead.jobFunction, 'Sales');
+});
\ No newline at end of file
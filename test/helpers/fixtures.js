@@ -0,0 +1,135 @@
+/**
+ * Fixture helpers for the extractor tests
+ * Loads saved results pages into jsdom and scrapes them the way the content script does
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+require('./globals.js');
+const { createLead, createAccount, createCompany, createPost, createProfileDetails, getPageNumberFromUrl } = require('../../js/lead-schema.js');
+const { PAGE_BLOCKS, detectPageType, detectPageBlockFromUrl, isInfiniteScrollPage } = require('../../js/page-types.js');
+const { getSelectors } = require('../../js/selectors.js');
+const { DEFAULT_SETTINGS } = require('../../js/settings.js');
+const extractors = require('../../js/extractors.js');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Lists the saved pages that have an expected output file
+ * @returns {Array} Fixture names, e.g. 'search-people'
+ */
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .filter(name => fs.existsSync(path.join(FIXTURES_DIR, `${name}.html`)));
+}
+
+/**
+ * Loads a saved page into jsdom and exposes it the way the extension's scripts expect.
+ * The extension runs its content scripts in one shared global scope, so the page and the
+ * selector registry are installed as globals for the extractors to find.
+ * @param {string} name Fixture name
+ * @returns {Object} Object with expected (the parsed .json file) and window properties
+ */
+function loadFixture(name) {
+  const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+  const dom = new JSDOM(html, { url: expected.url });
+
+  installPage(dom.window);
+  return { expected, window: dom.window };
+}
+
+/**
+ * Loads an HTML snippet into jsdom, for tests that exercise a single extractor
+ * @param {string} html Markup to load
+ * @param {string} [url] Page URL, defaults to a regular search URL
+ * @returns {Object} The jsdom window
+ */
+function loadMarkup(html, url = 'https://www.linkedin.com/search/results/people/') {
+  const dom = new JSDOM(html, { url });
+  installPage(dom.window);
+  return dom.window;
+}
+
+/**
+ * Installs a jsdom window as the global page
+ * @param {Object} window The jsdom window
+ */
+function installPage(window) {
+  global.window = window;
+  global.document = window.document;
+  global.getSelectors = getSelectors;
+  global.PAGE_BLOCKS = PAGE_BLOCKS;
+  global.detectPageBlockFromUrl = detectPageBlockFromUrl;
+  global.activeSettings = DEFAULT_SETTINGS;
+}
+
+/**
+ * Scrapes the loaded fixture page with the same steps as the content script, minus the scrolling
+ * @param {Object} expected The fixture's expected output; its url picks the page type and its source is stamped on the records
+ * @returns {Array} Records of the page's record type without their scrapedAt timestamps, or for a
+ *   profile page its profile details without their enrichedAt timestamp
+ */
+function scrapeFixture(expected) {
+  // Profile pages are read by the enrichment job rather than scraped
+  if (/linkedin\.com\/in\//.test(expected.url)) {
+    const profileDetails = createProfileDetails(extractors.extractProfileDetails());
+    delete profileDetails.enrichedAt;
+    return [profileDetails];
+  }
+
+  const context = {
+    source: expected.source,
+    searchUrl: expected.url,
+    pageNumber: getPageNumberFromUrl(expected.url)
+  };
+
+  const pageType = detectPageType(expected.url);
+  let fields;
+  let createRecord = createLead;
+  if (pageType === 'salesNavigatorAccounts') {
+    fields = extractors.findNavigatorAccountCards()
+      .map(extractors.extractNavigatorAccount)
+      .filter(account => account.name);
+    createRecord = createAccount;
+  } else if (pageType === 'searchCompanies') {
+    fields = extractors.findCompanySearchCards()
+      .map(extractors.extractCompanySearchResult)
+      .filter(company => company.name);
+    createRecord = createCompany;
+  } else if (pageType === 'searchContent') {
+    fields = extractors.findPostSearchCards()
+      .map(extractors.extractPostSearchResult)
+      .filter(post => post.postUrl || post.snippet);
+    createRecord = createPost;
+  } else if (pageType === 'salesNavigator') {
+    fields = extractors.findNavigatorCards()
+      .map(extractors.extractNavigatorLead)
+      .filter(lead => lead.name);
+  } else if (isInfiniteScrollPage(pageType)) {
+    fields = extractors.findProfileListCards(pageType)
+      .map(card => extractors.extractProfileListLead(card, pageType))
+      .filter(lead => lead.name || lead.profileUrl);
+  } else {
+    fields = extractors.findRegularLinkedInCards()
+      .map(extractors.extractRegularLinkedInLead)
+      .filter(lead => lead.name || lead.profileUrl);
+  }
+
+  return fields.map(values => {
+    const record = createRecord(values, context);
+    // The timestamp changes on every run, so fixtures leave it out
+    delete record.scrapedAt;
+    return record;
+  });
+}
+
+module.exports = {
+  listFixtures,
+  loadFixture,
+  loadMarkup,
+  scrapeFixture
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * Shared setup for the tests
+ * The extension loads the scripts the others build on, like the lead schema, into one global
+ * scope. Requiring this file installs them as globals the same way, so the scripts under test
+ * find them.
+ */
+
+const nameParser = require('../../js/name-parser.js');
+const headlineParser = require('../../js/headline-parser.js');
+const gazetteer = require('../../js/gazetteer.js');
+const locationParser = require('../../js/location-parser.js');
+const leadSchema = require('../../js/lead-schema.js');
+const pageTypes = require('../../js/page-types.js');
+const leadDedupe = require('../../js/lead-dedupe.js');
+
+Object.assign(global, nameParser, headlineParser, gazetteer, locationParser, leadSchema, pageTypes, leadDedupe);
+
+// Where the tests' leads were scraped
+const SEARCH_CONTEXT = { source: 'search', searchUrl: 'https://www.linkedin.com/search/results/people/?keywords=cto', pageNumber: 1 };
+
+/**
+ * Builds a lead record for the tests
+ * @param {Object} fields Lead fields
+ * @param {Object} [context] Where the lead was scraped, defaults to SEARCH_CONTEXT
+ * @returns {Object} Lead record
+ */
+function lead(fields, context = SEARCH_CONTEXT) {
+  return leadSchema.createLead(fields, context);
+}
+
+module.exports = {
+  SEARCH_CONTEXT,
+  lead
+};
@@ -0,0 +1,83 @@
+/**
+ * Tests for lead deduplication
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lead } = require('./helpers/globals.js');
+const leadSchema = require('../js/lead-schema.js');
+
+const { dedupeLeads, getLeadIdentityKeys } = require('../js/lead-dedupe.js');
+
+describe('getLeadIdentityKeys', () => {
+  test('reads the strong key of each record type from its URL', () => {
+    const keyOf = record => getLeadIdentityKeys(record).strong;
+
+    assert.deepEqual(keyOf(lead({ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/Jane-Doe-123/?miniProfileUrn=abc' })), ['in:jane-doe-123']);
+    assert.deepEqual(keyOf(lead({ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/sales/lead/ACwAAA123,NAME_SEARCH,abcd' })), ['urn:ACwAAA123']);
+    assert.deepEqual(keyOf(leadSchema.createAccount({ name: 'Acme', accountUrl: 'https://www.linkedin.com/sales/company/1035?_ntb=x' })), ['account:1035']);
+    assert.deepEqual(keyOf(leadSchema.createCompany({ name: 'Acme', companyUrl: 'https://www.linkedin.com/company/Acme-Corp/' })), ['company:acme-corp']);
+    assert.deepEqual(keyOf(leadSchema.createPost({ authorName: 'Jane Doe', postUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:7123456789012345678/' })), ['post:7123456789012345678']);
+  });
+
+  test('falls back to the name and company', () => {
+    const keys = getLeadIdentityKeys(lead({ name: 'Jane  Doe', company: 'Acme Corp' }));
+    assert.deepEqual(keys, { strong: [], fallback: 'name:jane doe|acme corp' });
+  });
+});
+
+describe('dedupeLeads', () => {
+  test('merges the same profile URL with and without query parameters', () => {
+    const { leads, duplicatesCollapsed } = dedupeLeads(
+      [lead({ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane-doe/' })],
+      [lead({ name: 'Jane Doe', title: 'CTO', profileUrl: 'https://www.linkedin.com/in/jane-doe/?miniProfileUrn=urn%3Ali%3Afs_miniProfile%3AACoAAA' })]
+    );
+
+    assert.equal(duplicatesCollapsed, 1);
+    assert.equal(leads.length, 1);
+    assert.equal(leads[0].profileUrl, 'https://www.linkedin.com/in/jane-doe/');
+    // Fields the first record was missing are filled in from the second
+    assert.equal(leads[0].title, 'CTO');
+  });
+
+  test('merges Sales Navigator leads with the same URN', () => {
+    const { leads, duplicatesCollapsed } = dedupeLeads([], [
+      lead({ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/sales/lead/ACwAAA123,NAME_SEARCH,abcd' }),
+      lead({ name: 'Jane D.', profileUrl: 'https://www.linkedin.com/sales/lead/ACwAAA123,OUT_OF_NETWORK,efgh' })
+    ]);
+
+    assert.equal(duplicatesCollapsed, 1);
+    assert.deepEqual(leads.map(record => record.name), ['Jane Doe']);
+  });
+
+  test('merges by name and company only when one of the records has no URL', () => {
+    const withUrl = lead({ name: 'Jane Doe', company: 'Acme', profileUrl: 'https://www.linkedin.com/in/jane-doe/' });
+    const withoutUrl = lead({ name: 'Jane Doe', company: 'Acme', location: 'Berlin, Germany' });
+
+    const merged = dedupeLeads([withUrl], [withoutUrl]);
+    assert.equal(merged.duplicatesCollapsed, 1);
+    assert.equal(merged.leads[0].profileUrl, withUrl.profileUrl);
+    assert.equal(merged.leads[0].location, 'Berlin, Germany');
+
+    // Without a company the fallback key differs, so the records stay apart
+    assert.equal(dedupeLeads([withUrl], [lead({ name: 'Jane Doe' })]).leads.length, 2);
+  });
+
+  test('keeps people with the same name and company but different profile URLs apart', () => {
+    const { leads, duplicatesCollapsed } = dedupeLeads([], [
+      lead({ name: 'Jane Doe', company: 'Acme', profileUrl: 'https://www.linkedin.com/in/jane-doe/' }),
+      lead({ name: 'Jane Doe', company: 'Acme', profileUrl: 'https://www.linkedin.com/in/jane-doe-42/' })
+    ]);
+
+    assert.equal(duplicatesCollapsed, 0);
+    assert.deepEqual(leads.map(record => record.profileUrl), [
+      'https://www.linkedin.com/in/jane-doe/',
+      'https://www.linkedin.com/in/jane-doe-42/'
+    ]);
+  });
+
+  test('never merges a company into a person of the same name', () => {
+    const { leads } = dedupeLeads([lead({ name: 'Acme' })], [leadSchema.createCompany({ name: 'Acme' })]);
+    assert.equal(leads.length, 2);
+  });
+});
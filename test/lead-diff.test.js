@@ -0,0 +1,131 @@
+/**
+ * Tests for lead change detection
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lead } = require('./helpers/globals.js');
+const leadSchema = require('../js/lead-schema.js');
+
+const {
+  CHANGE_STATUSES,
+  JOB_CHANGE_REPORT_TYPE,
+  diffLeads,
+  findJobChanges,
+  getChangedFields
+} = require('../js/lead-diff.js');
+
+describe('diffLeads', () => {
+  test('flags records not seen before as new', () => {
+    const { records, counts } = diffLeads(
+      [lead({ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane-doe/' })],
+      [lead({ name: 'John Roe', profileUrl: 'https://www.linkedin.com/in/john-roe/' })]
+    );
+
+    assert.equal(records[0].changeStatus, CHANGE_STATUSES.NEW);
+    assert.deepEqual(records[0].changedFields, []);
+    assert.deepEqual(counts, { new: 1, changed: 0, unchanged: 0 });
+  });
+
+  test('flags records whose title or company moved as changed', () => {
+    const { records, counts } = diffLeads(
+      [lead({ name: 'Jane Doe', title: 'CTO', company: 'Globex', profileUrl: 'https://www.linkedin.com/in/jane-doe/?miniProfileUrn=abc' })],
+      [lead({ name: 'Jane Doe', title: 'VP Engineering', company: 'Acme', profileUrl: 'https://www.linkedin.com/in/jane-doe/' })]
+    );
+
+    assert.equal(records[0].changeStatus, CHANGE_STATUSES.CHANGED);
+    assert.deepEqual(records[0].changedFields, ['title', 'company']);
+    assert.deepEqual(counts, { new: 0, changed: 1, unchanged: 0 });
+  });
+
+  test('flags records that match their earlier sighting as unchanged', () => {
+    const { records } = diffLeads(
+      [lead({ name: 'Jane Doe', title: 'cto ', company: 'Acme', profileUrl: 'https://www.linkedin.com/in/jane-doe/' })],
+      [lead({ name: 'Jane Doe', title: 'CTO', company: 'Acme', profileUrl: 'https://www.linkedin.com/in/jane-doe/' })]
+    );
+
+    assert.equal(records[0].changeStatus, CHANGE_STATUSES.UNCHANGED);
+  });
+
+  test('compares against the most recent earlier sighting', () => {
+    const { records } = diffLeads(
+      [lead({ name: 'Jane Doe', title: 'CTO', profileUrl: 'https://www.linkedin.com/in/jane-doe/' })],
+      [
+        lead({ name: 'Jane Doe', title: 'Engineer', profileUrl: 'https://www.linkedin.com/in/jane-doe/' }),
+        lead({ name: 'Jane Doe', title: 'CTO', profileUrl: 'https://www.linkedin.com/in/jane-doe/' })
+      ]
+    );
+
+    assert.equal(records[0].changeStatus, CHANGE_STATUSES.UNCHANGED);
+  });
+
+  test('matches by name and company only when a profile URL is missing', () => {
+    const { records } = diffLeads(
+      [
+        lead({ name: 'Jane Doe', company: 'Acme' }),
+        lead({ name: 'John Roe', company: 'Acme', profileUrl: 'https://www.linkedin.com/in/john-roe-2/' })
+      ],
+      [
+        lead({ name: 'Jane Doe', company: 'Acme', profileUrl: 'https://www.linkedin.com/in/jane-doe/' }),
+        lead({ name: 'John Roe', company: 'Acme', profileUrl: 'https://www.linkedin.com/in/john-roe-1/' })
+      ]
+    );
+
+    assert.equal(records[0].changeStatus, CHANGE_STATUSES.UNCHANGED);
+    assert.equal(records[1].changeStatus, CHANGE_STATUSES.NEW);
+  });
+
+  test('leaves the current records untouched', () => {
+    const current = [lead({ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane-doe/' })];
+    diffLeads(current, []);
+    assert.equal(current[0].changeStatus, undefined);
+  });
+});
+
+describe('getChangedFields', () => {
+  test('does not count a field the current scrape could not read as a change', () => {
+    const previous = lead({ name: 'Jane Doe', title: 'CTO', location: 'Berlin' });
+    const current = lead({ name: 'Jane Doe', title: 'CTO', location: '' });
+    assert.deepEqual(getChangedFields(previous, current), []);
+  });
+
+  test('tracks the fields of the record type', () => {
+    const context = { source: 'searchCompanies', searchUrl: '', pageNumber: 1 };
+    const previous = leadSchema.createCompany({ name: 'Acme', industry: 'Software', followerCount: 10 }, context);
+    const current = leadSchema.createCompany({ name: 'Acme', industry: 'Robotics', followerCount: 20 }, context);
+    assert.deepEqual(getChangedFields(previous, current), ['industry']);
+  });
+});
+
+describe('findJobChanges', () => {
+  test('lists people whose title or company changed with old and new values', () => {
+    const older = [
+      lead({ name: 'Jane Doe', title: 'VP Sales', company: 'Acme', location: 'Berlin', profileUrl: 'https://www.linkedin.com/in/jane-doe/' }),
+      lead({ name: 'John Roe', title: 'CTO', company: 'Globex', profileUrl: 'https://www.linkedin.com/in/john-roe/' })
+    ];
+    const newer = [
+      lead({ name: 'Jane Doe', title: 'CRO', company: 'Initech', location: 'Munich', profileUrl: 'https://www.linkedin.com/in/jane-doe/' }),
+      lead({ name: 'John Roe', title: 'CTO', company: 'Globex', location: 'Paris', profileUrl: 'https://www.linkedin.com/in/john-roe/' }),
+      lead({ name: 'Ana Ruiz', title: 'CEO', company: 'Umbrella', profileUrl: 'https://www.linkedin.com/in/ana-ruiz/' })
+    ];
+
+    const jobChanges = findJobChanges(older, newer);
+
+    // A move without a new title or company isn't a job change, and new people aren't listed
+    assert.equal(jobChanges.length, 1);
+    assert.equal(jobChanges[0].recordType, JOB_CHANGE_REPORT_TYPE);
+    assert.equal(jobChanges[0].name, 'Jane Doe');
+    assert.equal(jobChanges[0].oldTitle, 'VP Sales');
+    assert.equal(jobChanges[0].newTitle, 'CRO');
+    assert.equal(jobChanges[0].oldCompany, 'Acme');
+    assert.equal(jobChanges[0].newCompany, 'Initech');
+    assert.deepEqual(jobChanges[0].changedFields, ['title', 'company']);
+  });
+
+  test('ignores records other than leads', () => {
+    const context = { source: 'searchCompanies', searchUrl: '', pageNumber: 1 };
+    const older = [leadSchema.createCompany({ name: 'Acme', industry: 'Software', companyUrl: 'https://www.linkedin.com/company/acme/' }, context)];
+    const newer = [leadSchema.createCompany({ name: 'Acme Corp', industry: 'Robotics', companyUrl: 'https://www.linkedin.com/company/acme/' }, context)];
+    assert.deepEqual(findJobChanges(older, newer), []);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Tests for the popup's lead filters
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lead } = require('./helpers/globals.js');
+const leadSchema = require('../js/lead-schema.js');
+
+const {
+  DEFAULT_LEAD_FILTER,
+  filterLeads,
+  isLeadFilterActive,
+  parseFilterKeywords,
+  sanitizeLeadFilter
+} = require('../js/lead-filters.js');
+
+const LEADS = [
+  lead({
+    name: 'Jane Doe',
+    title: 'VP of Sales',
+    company: 'Acme Corp',
+    location: 'São Paulo, Brazil',
+    connectionDegree: '2nd',
+    profileUrl: 'https://www.linkedin.com/in/jane-doe/'
+  }),
+  lead({
+    name: 'John Roe',
+    title: 'Sales Intern',
+    company: 'Initech',
+    location: 'Austin, Texas, United States',
+    connectionDegree: '3rd'
+  }),
+  lead({
+    name: 'Ann Poe',
+    title: 'Software Engineer',
+    company: 'Salesforce',
+    location: 'Berlin, Germany',
+    connectionDegree: '1st',
+    profileUrl: 'https://www.linkedin.com/in/ann-poe/'
+  })
+];
+
+/**
+ * Filters the test leads and returns the names of the ones that are left
+ * @param {Object} fields Filter fields to set on top of the default filter
+ * @param {Array} [records] Records to filter, defaults to the test leads
+ * @returns {Array} Names of the matching records
+ */
+function filterNames(fields, records = LEADS) {
+  return filterLeads(records, { ...DEFAULT_LEAD_FILTER, ...fields }).map(record => record.name);
+}
+
+test('the default filter lets every record through', () => {
+  assert.equal(isLeadFilterActive(DEFAULT_LEAD_FILTER), false);
+  assert.deepEqual(filterNames({}), ['Jane Doe', 'John Roe', 'Ann Poe']);
+});
+
+test('text search needs every word somewhere in the record, ignoring case and accents', () => {
+  assert.deepEqual(filterNames({ search: 'sao paulo' }), ['Jane Doe']);
+  assert.deepEqual(filterNames({ search: 'SALES texas' }), ['John Roe']);
+  assert.deepEqual(filterNames({ search: 'nobody' }), []);
+});
+
+test('include and exclude keywords are matched against the chosen fields', () => {
+  assert.deepEqual(filterNames({ includeKeywords: 'sales' }), ['Jane Doe', 'John Roe', 'Ann Poe']);
+  assert.deepEqual(filterNames({ includeKeywords: 'sales', keywordFields: ['title'] }), ['Jane Doe', 'John Roe']);
+  assert.deepEqual(filterNames({ includeKeywords: 'sales', excludeKeywords: 'intern, germany' }), ['Jane Doe']);
+  assert.deepEqual(filterNames({ includeKeywords: 'initech, acme' }), ['Jane Doe', 'John Roe']);
+});
+
+test('filters by connection degree and profile URL', () => {
+  assert.deepEqual(filterNames({ connectionDegrees: ['1st', '2nd'] }), ['Jane Doe', 'Ann Poe']);
+  assert.deepEqual(filterNames({ hasProfileUrl: true }), ['Jane Doe', 'Ann Poe']);
+});
+
+test('records other than leads are matched by the text search alone', () => {
+  const account = leadSchema.createAccount({ name: 'Acme Corp', location: 'Berlin, Germany' }, { source: 'salesNavigatorAccounts' });
+  const records = [...LEADS, account];
+
+  assert.deepEqual(filterNames({ hasProfileUrl: true, connectionDegrees: ['1st'] }, records), ['Ann Poe', 'Acme Corp']);
+  assert.deepEqual(filterNames({ search: 'berlin' }, records), ['Ann Poe', 'Acme Corp']);
+});
+
+test('keyword lists and stored filters are cleaned up', () => {
+  assert.deepEqual(parseFilterKeywords(' Founder, , Head of Sales '), ['founder', 'head of sales']);
+  assert.deepEqual(sanitizeLeadFilter(undefined), DEFAULT_LEAD_FILTER);
+  assert.deepEqual(sanitizeLeadFilter({ search: 42, keywordFields: ['title', 'email'], connectionDegrees: ['2nd', '4th'], hasProfileUrl: 'yes' }), {
+    ...DEFAULT_LEAD_FILTER,
+    keywordFields: ['title'],
+    connectionDegrees: ['2nd']
+  });
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Tests for location parsing
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/globals.js');
+const locationParser = require('../js/location-parser.js');
+const leadSchema = require('../js/lead-schema.js');
+
+const { parseLocation } = locationParser;
+
+test('resolves city, region and country and fills in what the location leaves out', () => {
+  assert.deepEqual(parseLocation('Austin, Texas, United States'), {
+    city: 'Austin',
+    region: 'Texas',
+    country: 'United States',
+    countryCode: 'US',
+    isMetroArea: false
+  });
+  assert.equal(parseLocation('Austin, TX').country, 'United States');
+  assert.equal(parseLocation('Berlin, Germany').countryCode, 'DE');
+  assert.equal(parseLocation('Toronto, Ontario, Canada').region, 'Ontario');
+  assert.equal(parseLocation('California').countryCode, 'US');
+});
+
+test('flags metro areas and reads their main city', () => {
+  assert.deepEqual(parseLocation('Greater Boston'), {
+    city: 'Boston',
+    region: 'Massachusetts',
+    country: 'United States',
+    countryCode: 'US',
+    isMetroArea: true
+  });
+  assert.equal(parseLocation('San Francisco Bay Area').city, 'San Francisco');
+  assert.equal(parseLocation('Greater Minneapolis-St. Paul Area').city, 'Minneapolis');
+  assert.equal(parseLocation('Großraum München').city, 'Munich');
+  assert.equal(parseLocation('Grand Est').isMetroArea, false);
+});
+
+test('reads "<city> Area" as a metro area only for a known city', () => {
+  assert.deepEqual(parseLocation('Austin Area'), {
+    city: 'Austin',
+    region: 'Texas',
+    country: 'United States',
+    countryCode: 'US',
+    isMetroArea: true
+  });
+
+  const unparsed = { city: '', region: '', country: '', countryCode: '', isMetroArea: false };
+  assert.deepEqual(parseLocation('Sales Area'), unparsed);
+  assert.deepEqual(parseLocation('EMEA Region'), unparsed);
+});
+
+test('matches names with or without accents and in the local language', () => {
+  const expected = { city: 'São Paulo', region: 'São Paulo', country: 'Brazil', countryCode: 'BR', isMetroArea: false };
+  assert.deepEqual(parseLocation('São Paulo, São Paulo, Brazil'), expected);
+  assert.deepEqual(parseLocation('Sao Paulo, Brasil'), expected);
+  assert.equal(parseLocation('Zürich, Switzerland').city, 'Zurich');
+  assert.equal(parseLocation('東京').country, 'Japan');
+});
+
+test('tells places that share a name apart by the rest of the location', () => {
+  assert.equal(parseLocation('Atlanta, Georgia').countryCode, 'US');
+  assert.equal(parseLocation('Tbilisi, Georgia').countryCode, 'GE');
+  assert.equal(parseLocation('Perth, WA').region, 'Western Australia');
+  assert.equal(parseLocation('Seattle, WA').region, 'Washington');
+  assert.equal(parseLocation('London, Ontario, Canada').countryCode, 'CA');
+  assert.equal(parseLocation('Cambridge, Massachusetts').countryCode, 'US');
+});
+
+test('keeps unknown places next to a known region or country, and leaves the rest empty', () => {
+  assert.equal(parseLocation('Smallville, Kansas').city, 'Smallville');
+  assert.equal(parseLocation('Ikeja, Lagos State, Nigeria').region, 'Lagos');
+  assert.deepEqual(parseLocation('Engineering'), { city: '', region: '', country: '', countryCode: '', isMetroArea: false });
+  assert.equal(parseLocation('').countryCode, '');
+  assert.equal(parseLocation(undefined).city, '');
+});
+
+test('lead records carry the location parts, also when upgraded from an older version', () => {
+  const lead = leadSchema.createLead({ name: 'Sam Lee', location: 'Greater Boston' });
+  assert.equal(lead.city, 'Boston');
+  assert.equal(lead.countryCode, 'US');
+  assert.equal(lead.isMetroArea, true);
+
+  const upgraded = leadSchema.normalizeLead({ schemaVersion: 3, source: 'search', name: 'Ann Poe', location: 'Lagos, Nigeria' });
+  assert.equal(upgraded.schemaVersion, leadSchema.LEAD_SCHEMA_VERSION);
+  assert.equal(upgraded.country, 'Nigeria');
+  assert.equal(upgraded.isMetroArea, false);
+});
\ No newline at end of file
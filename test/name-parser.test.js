@@ -0,0 +1,81 @@
+/**
+ * Tests for name parsing
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/globals.js');
+const nameParser = require('../js/name-parser.js');
+const leadSchema = require('../js/lead-schema.js');
+
+const { parseLeadName } = nameParser;
+
+test('splits off the prefix, middle name and credentials and drops emoji', () => {
+  assert.deepEqual(parseLeadName('Dr. Jane Q. Doe, MBA, PMP 🚀'), {
+    name: 'Dr. Jane Q. Doe',
+    rawName: 'Dr. Jane Q. Doe, MBA, PMP 🚀',
+    namePrefix: 'Dr.',
+    firstName: 'Jane',
+    middleName: 'Q.',
+    lastName: 'Doe',
+    nameSuffix: '',
+    credentials: 'MBA, PMP'
+  });
+});
+
+test('tells suffixes from credentials, with or without a comma', () => {
+  const king = parseLeadName('Dr. Martin Luther King, Jr.');
+  assert.equal(king.middleName, 'Luther');
+  assert.equal(king.lastName, 'King');
+  assert.equal(king.nameSuffix, 'Jr.');
+  assert.equal(king.credentials, '');
+
+  const smith = parseLeadName('John Smith III CPA');
+  assert.equal(smith.lastName, 'Smith');
+  assert.equal(smith.nameSuffix, 'III');
+  assert.equal(smith.credentials, 'CPA');
+  assert.equal(smith.name, 'John Smith III');
+});
+
+test('only takes capitalized credentials off the end of a name without a comma', () => {
+  assert.equal(parseLeadName('Jane Doe PhD').credentials, 'PhD');
+  assert.equal(parseLeadName('Yo-Yo Ma').lastName, 'Ma');
+  assert.equal(parseLeadName('Yo-Yo Ma').credentials, '');
+});
+
+test('keeps last name particles with the last name', () => {
+  assert.equal(parseLeadName('Ludwig van Beethoven').lastName, 'van Beethoven');
+  assert.equal(parseLeadName('Maria De La Cruz').lastName, 'De La Cruz');
+  assert.equal(parseLeadName('Maria De La Cruz').middleName, '');
+});
+
+test('drops pronouns, nicknames and taglines', () => {
+  assert.equal(parseLeadName('Sam Lee (He/Him)').name, 'Sam Lee');
+  assert.equal(parseLeadName('Robert "Bob" Smith').name, 'Robert Smith');
+  assert.equal(parseLeadName('👋 Alex Kim | Hiring').name, 'Alex Kim');
+  assert.equal(parseLeadName('Alex Kim 👨‍💻').lastName, 'Kim');
+});
+
+test('leaves single names and empty names alone', () => {
+  const single = parseLeadName('Madonna');
+  assert.equal(single.firstName, 'Madonna');
+  assert.equal(single.lastName, '');
+  assert.equal(parseLeadName('').name, '');
+  assert.equal(parseLeadName(undefined).rawName, '');
+});
+
+test('lead records carry the name parts, also when upgraded from an older version', () => {
+  const lead = leadSchema.createLead({ name: 'Jane Doe, MBA 🚀' }, { source: 'search' });
+  assert.equal(lead.name, 'Jane Doe');
+  assert.equal(lead.rawName, 'Jane Doe, MBA 🚀');
+  assert.equal(lead.credentials, 'MBA');
+
+  // Creating the record again parses the name as scraped, not the cleaned one
+  assert.deepEqual(leadSchema.createLead(lead), lead);
+
+  const upgraded = leadSchema.normalizeLead({ schemaVersion: 1, source: 'search', name: 'Ann Poe, CPA', scrapedAt: lead.scrapedAt });
+  assert.equal(upgraded.schemaVersion, leadSchema.LEAD_SCHEMA_VERSION);
+  assert.equal(upgraded.firstName, 'Ann');
+  assert.equal(upgraded.lastName, 'Poe');
+  assert.equal(upgraded.rawName, 'Ann Poe, CPA');
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Tests for page type detection
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectPageType,
+  isInfiniteScrollPage,
+  isRegularLinkedInPage,
+  detectPageBlockFromUrl,
+  createPageBlockError,
+  resolveScrapeRange,
+  UNKNOWN_PAGE_TYPE
+} = require('../js/page-types.js');
+
+test('detects every supported page type from its URL', () => {
+  assert.equal(detectPageType('https://www.linkedin.com/search/results/people/?keywords=cto&page=3'), 'search');
+  assert.equal(detectPageType('https://www.linkedin.com/search/results/companies/?keywords=saas'), 'searchCompanies');
+  assert.equal(detectPageType('https://www.linkedin.com/search/results/content/?keywords=saas'), 'searchContent');
+  assert.equal(detectPageType('https://www.linkedin.com/sales/search/people?query=(keywords%3Acto)'), 'salesNavigator');
+  assert.equal(detectPageType('https://www.linkedin.com/sales/search/company?query=(keywords%3Asaas)'), 'salesNavigatorAccounts');
+  assert.equal(detectPageType('https://www.linkedin.com/company/acme-corp/people/'), 'companyPeople');
+  assert.equal(detectPageType('https://www.linkedin.com/company/acme-corp/people/?keywords=sales'), 'companyPeople');
+  assert.equal(detectPageType('https://www.linkedin.com/groups/1234567/members/'), 'groupMembers');
+  assert.equal(detectPageType('https://www.linkedin.com/events/7123456789012345678/attendees/'), 'eventAttendees');
+});
+
+test('reports other LinkedIn pages as unknown', () => {
+  assert.equal(detectPageType('https://www.linkedin.com/feed/'), UNKNOWN_PAGE_TYPE);
+  assert.equal(detectPageType('https://www.linkedin.com/company/acme-corp/'), UNKNOWN_PAGE_TYPE);
+  assert.equal(detectPageType(''), UNKNOWN_PAGE_TYPE);
+});
+
+test('reports the search verticals other than people, companies and posts as unknown', () => {
+  ['all', 'groups', 'events', 'schools', 'jobs'].forEach(vertical => {
+    assert.equal(detectPageType(`https://www.linkedin.com/search/results/${vertical}/?keywords=saas`), UNKNOWN_PAGE_TYPE);
+  });
+});
+
+test('only list pages load their results by scrolling', () => {
+  assert.equal(isInfiniteScrollPage('search'), false);
+  assert.equal(isInfiniteScrollPage('salesNavigator'), false);
+  assert.equal(isInfiniteScrollPage('searchCompanies'), false);
+  assert.equal(isInfiniteScrollPage('searchContent'), true);
+  assert.equal(isInfiniteScrollPage('companyPeople'), true);
+  assert.equal(isInfiniteScrollPage('groupMembers'), true);
+  assert.equal(isInfiniteScrollPage('eventAttendees'), true);
+  assert.equal(isInfiniteScrollPage(UNKNOWN_PAGE_TYPE), false);
+});
+
+test('every regular LinkedIn search vertical uses the regular search pagination', () => {
+  assert.equal(isRegularLinkedInPage('search'), true);
+  assert.equal(isRegularLinkedInPage('searchCompanies'), true);
+  assert.equal(isRegularLinkedInPage('searchContent'), true);
+  assert.equal(isRegularLinkedInPage('salesNavigator'), false);
+  assert.equal(isRegularLinkedInPage('companyPeople'), false);
+  assert.equal(isRegularLinkedInPage(UNKNOWN_PAGE_TYPE), false);
+});
+
+test('recognizes the sign-in and security check pages LinkedIn redirects to', () => {
+  assert.equal(detectPageBlockFromUrl('https://www.linkedin.com/authwall?trk=bf&sessionRedirect=https%3A%2F%2Fwww.linkedin.com%2Fsearch'), 'loginWall');
+  assert.equal(detectPageBlockFromUrl('https://www.linkedin.com/login?fromSignIn=true'), 'loginWall');
+  assert.equal(detectPageBlockFromUrl('https://www.linkedin.com/uas/login?session_redirect=%2Fsales'), 'loginWall');
+  assert.equal(detectPageBlockFromUrl('https://www.linkedin.com/checkpoint/challenge/AgG1abc'), 'checkpoint');
+  assert.equal(detectPageBlockFromUrl('https://www.linkedin.com/search/results/people/?keywords=login'), null);
+});
+
+test('reports blocked pages with a typed error', () => {
+  const error = createPageBlockError('commercialUseLimit');
+  assert.ok(error instanceof Error);
+  assert.equal(error.blockType, 'commercialUseLimit');
+  assert.match(error.message, /commercial use limit/);
+});
+
+test('scrapes every page when a run has no limits', () => {
+  assert.deepEqual(resolveScrapeRange({ startPage: '', endPage: '', maxLeads: '' }, 12), { firstPage: 1, lastPage: 12, maxLeads: 0 });
+});
+
+test('limits a run to its page range and lead count', () => {
+  assert.deepEqual(resolveScrapeRange({ startPage: '3', endPage: '5', maxLeads: '40' }, 12), { firstPage: 3, lastPage: 5, maxLeads: 40 });
+  // An end page past the last page of the search stops on the last page
+  assert.deepEqual(resolveScrapeRange({ startPage: 10, endPage: 50 }, 12), { firstPage: 10, lastPage: 12, maxLeads: 0 });
+});
+
+test('rejects page ranges the search cannot cover', () => {
+  assert.throws(() => resolveScrapeRange({ startPage: 13 }, 12), { name: 'RangeError', message: /only has 12 pages/ });
+  assert.throws(() => resolveScrapeRange({ startPage: 5, endPage: 4 }, 12), /comes before the start page/);
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Tests for profile enrichment
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SEARCH_CONTEXT, lead } = require('./helpers/globals.js');
+const leadSchema = require('../js/lead-schema.js');
+
+const {
+  getProfileBaseUrl,
+  getProfileSectionUrl,
+  selectProfilesToEnrich,
+  applyProfileDetails
+} = require('../js/profile-enrichment.js');
+
+test('reduces profile URLs to the profile address', () => {
+  assert.equal(getProfileBaseUrl('https://www.linkedin.com/in/jane-doe?miniProfileUrn=urn%3Ali'), 'https://www.linkedin.com/in/jane-doe/');
+  assert.equal(getProfileBaseUrl('https://uk.linkedin.com/in/jane-doe/details/skills/'), 'https://www.linkedin.com/in/jane-doe/');
+  assert.equal(getProfileBaseUrl('https://www.linkedin.com/sales/lead/ACwAAA123,NAME_SEARCH,abcd'), '');
+  assert.equal(getProfileBaseUrl(''), '');
+});
+
+test('builds the address of each part of a profile', () => {
+  const profileUrl = 'https://www.linkedin.com/in/jane-doe/';
+  assert.equal(getProfileSectionUrl(profileUrl, 'main'), profileUrl);
+  assert.equal(getProfileSectionUrl(profileUrl, 'experience'), 'https://www.linkedin.com/in/jane-doe/details/experience/');
+  assert.equal(getProfileSectionUrl(profileUrl, 'contactInfo'), 'https://www.linkedin.com/in/jane-doe/overlay/contact-info/');
+});
+
+test('enriches each /in/ profile once and skips leads that are already enriched', () => {
+  const records = [
+    lead({ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane-doe?miniProfileUrn=1' }),
+    lead({ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane-doe/' }),
+    lead({ name: 'Sam Lee', profileUrl: 'https://www.linkedin.com/sales/lead/ACwAAA123,NAME_SEARCH,abcd' }),
+    { ...lead({ name: 'Ann Poe', profileUrl: 'https://www.linkedin.com/in/ann-poe/' }), profileDetails: leadSchema.createProfileDetails({}) },
+    leadSchema.createCompany({ name: 'Hooli', companyUrl: 'https://www.linkedin.com/company/hooli/' }, SEARCH_CONTEXT),
+    lead({ name: 'Bo Chen', profileUrl: 'https://www.linkedin.com/in/bo-chen/' })
+  ];
+
+  assert.deepEqual(selectProfilesToEnrich(records), [
+    'https://www.linkedin.com/in/jane-doe/',
+    'https://www.linkedin.com/in/bo-chen/'
+  ]);
+});
+
+test('adds profile details to every lead of the profile', () => {
+  const records = [
+    lead({ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane-doe?miniProfileUrn=1' }),
+    lead({ name: 'Bo Chen', profileUrl: 'https://www.linkedin.com/in/bo-chen/' })
+  ];
+  const profileDetails = leadSchema.createProfileDetails({ about: 'Builds teams.', skills: ['Go'] });
+
+  const { records: enriched, updatedCount } = applyProfileDetails(records, 'https://www.linkedin.com/in/jane-doe/', profileDetails);
+  assert.equal(updatedCount, 1);
+  assert.equal(enriched[0].profileDetails.about, 'Builds teams.');
+  assert.equal(enriched[1].profileDetails, undefined);
+  assert.equal(records[0].profileDetails, undefined);
+});
+
+test('keeps the profile details of leads upgraded from an older version', () => {
+  const profileDetails = leadSchema.createProfileDetails({ about: 'Builds teams.' });
+  const stored = { schemaVersion: 1, source: 'search', name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane-doe/', profileDetails };
+
+  const upgraded = leadSchema.normalizeLead(stored);
+  assert.equal(upgraded.schemaVersion, leadSchema.LEAD_SCHEMA_VERSION);
+  assert.equal(upgraded.firstName, 'Jane');
+  assert.deepEqual(upgraded.profileDetails, profileDetails);
+  assert.deepEqual(selectProfilesToEnrich([upgraded]), []);
+
+  // Legacy field names are read, not kept
+  const legacy = leadSchema.normalizeLead({ fullName: 'Sam Lee', companyName: 'Initech', profileDetails });
+  assert.equal(legacy.company, 'Initech');
+  assert.equal('fullName' in legacy, false);
+  assert.deepEqual(legacy.profileDetails, profileDetails);
+});
+
+test('coerces profile details to their schema', () => {
+  const profileDetails = leadSchema.createProfileDetails({
+    about: '  Builds teams.  ',
+    experience: [{ title: 'CTO', company: 'Initech', extra: 'dropped' }],
+    skills: ['Go', '', null, ' Rust '],
+    contactInfo: { emails: ['jane@hooli.com'], twitter: '@jane' },
+    enrichedAt: '2024-06-01T10:00:00.000Z'
+  });
+
+  assert.deepEqual(profileDetails, {
+    schemaVersion: leadSchema.PROFILE_DETAILS_SCHEMA_VERSION,
+    about: 'Builds teams.',
+    experience: [{ title: 'CTO', company: 'Initech', employmentType: '', dateRange: '', location: '', description: '' }],
+    education: [],
+    skills: ['Go', 'Rust'],
+    contactInfo: { emails: ['jane@hooli.com'], phones: [], websites: [], twitter: '@jane', address: '', birthday: '' },
+    enrichedAt: '2024-06-01T10:00:00.000Z'
+  });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Tests for the results page's table
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lead } = require('./helpers/globals.js');
+const leadSchema = require('../js/lead-schema.js');
+
+const {
+  SORT_DIRECTIONS,
+  sortRecordIndexes,
+  getResultsPage,
+  updateRecordField
+} = require('../js/results-table.js');
+
+test('sorts rows by a field in either direction, keeping ties in order', () => {
+  const records = [
+    { name: 'beta', pageNumber: 10 },
+    { name: 'Alpha', pageNumber: 9 },
+    { name: 'alpha', pageNumber: 2 }
+  ];
+
+  assert.deepEqual(sortRecordIndexes(records, [0, 1, 2], 'name', SORT_DIRECTIONS.ASCENDING), [1, 2, 0]);
+  assert.deepEqual(sortRecordIndexes(records, [0, 1, 2], 'pageNumber', SORT_DIRECTIONS.ASCENDING), [2, 1, 0]);
+  assert.deepEqual(sortRecordIndexes(records, [0, 1, 2], 'pageNumber', SORT_DIRECTIONS.DESCENDING), [0, 1, 2]);
+  assert.deepEqual(sortRecordIndexes(records, [0, 2], 'name', SORT_DIRECTIONS.DESCENDING), [0, 2]);
+});
+
+test('cuts the rows into pages and clamps the page number', () => {
+  const indexes = [0, 1, 2, 3, 4];
+
+  assert.deepEqual(getResultsPage(indexes, 2, 2), { indexes: [2, 3], pageNumber: 2, pageCount: 3 });
+  assert.deepEqual(getResultsPage(indexes, 9, 2), { indexes: [4], pageNumber: 3, pageCount: 3 });
+  assert.deepEqual(getResultsPage([], 1, 25), { indexes: [], pageNumber: 1, pageCount: 1 });
+});
+
+test('edits re-derive the fields that follow from the edited one', () => {
+  const record = {
+    ...lead({ name: 'Jane Doe', title: 'Engineer', location: 'Berlin, Germany' }),
+    profileDetails: { about: 'Builds things' }
+  };
+
+  const renamed = updateRecordField(record, 'name', 'Dr. Jane Q. Smith');
+  assert.equal(renamed.lastName, 'Smith');
+  assert.equal(renamed.namePrefix, 'Dr.');
+  assert.equal(renamed.rawName, 'Dr. Jane Q. Smith');
+
+  const promoted = updateRecordField(record, 'title', 'VP of Engineering');
+  assert.equal(promoted.seniority, 'VP');
+
+  const moved = updateRecordField(record, 'location', 'Austin, TX');
+  assert.equal(moved.countryCode, 'US');
+  assert.equal(moved.scrapedAt, record.scrapedAt);
+  assert.deepEqual(moved.profileDetails, { about: 'Builds things' });
+});
+
+test('edited values are coerced to their field types', () => {
+  const company = leadSchema.createCompany({ name: 'Acme', followerCount: 120 }, { source: 'searchCompanies' });
+  const edited = updateRecordField(company, 'followerCount', '1500');
+
+  assert.equal(edited.followerCount, 1500);
+  assert.equal(edited.recordType, 'company');
+});
\ No newline at end of file
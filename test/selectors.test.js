@@ -0,0 +1,126 @@
+/**
+ * Tests for the selector registry and imported selector packs
+ */
+
+const { describe, test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const {
+  SELECTOR_PACK_SCHEMA_VERSION,
+  BUILT_IN_SELECTOR_PACK,
+  getSelectors,
+  loadSelectorPack,
+  validateSelectorPack,
+  compareSelectorPackVersions
+} = require('../js/selectors.js');
+
+// Selectors are checked by parsing them against a document fragment
+global.document = new JSDOM('').window.document;
+
+/**
+ * Builds a selector pack for the tests
+ * @param {Object} [fields] Properties to set on top of a valid pack
+ * @returns {Object} The selector pack
+ */
+function pack(fields = {}) {
+  return {
+    schemaVersion: SELECTOR_PACK_SCHEMA_VERSION,
+    version: '2024.7.0',
+    pages: { search: { name: ['.imported-name'] } },
+    ...fields
+  };
+}
+
+/**
+ * Installs a chrome.storage.local with the callback API the registry uses
+ * @param {Object} store The stored values
+ */
+function installStorage(store) {
+  global.chrome = {
+    storage: {
+      local: {
+        get: (key, callback) => callback(key in store ? { [key]: store[key] } : {})
+      }
+    }
+  };
+}
+
+describe('validateSelectorPack', () => {
+  test('accepts the built-in pack and a pack that only overrides some fields', () => {
+    assert.deepEqual(validateSelectorPack(BUILT_IN_SELECTOR_PACK), []);
+    assert.deepEqual(validateSelectorPack(pack()), []);
+  });
+
+  test('rejects packs of another schema version or without a version', () => {
+    assert.match(validateSelectorPack(pack({ schemaVersion: 2 })).join(' '), /Unsupported schemaVersion 2/);
+    assert.match(validateSelectorPack(pack({ version: undefined })).join(' '), /needs a version string/);
+    assert.match(validateSelectorPack(pack({ version: '  ' })).join(' '), /needs a version string/);
+    assert.deepEqual(validateSelectorPack('not a pack'), ['The selector pack must be a JSON object.']);
+  });
+
+  test('rejects pages and fields that are not objects and arrays of strings', () => {
+    assert.match(validateSelectorPack(pack({ pages: undefined })).join(' '), /needs a "pages" object/);
+    assert.deepEqual(validateSelectorPack(pack({ pages: { search: 'name' } })), ['pages.search must be an object.']);
+    assert.deepEqual(validateSelectorPack(pack({ pages: { search: { name: '.name' } } })), [
+      'pages.search.name must be an array of selector strings.'
+    ]);
+    assert.deepEqual(validateSelectorPack(pack({ pages: { search: { name: ['.name', 42] } } })), [
+      'pages.search.name must be an array of selector strings.'
+    ]);
+  });
+
+  test('rejects selectors that do not parse', () => {
+    assert.deepEqual(validateSelectorPack(pack({ pages: { search: { name: ['.name', '.name..first'] } } })), [
+      'pages.search.name has an invalid selector: .name..first'
+    ]);
+  });
+});
+
+describe('getSelectors', () => {
+  beforeEach(() => {
+    installStorage({});
+    return loadSelectorPack();
+  });
+
+  after(() => {
+    installStorage({});
+    return loadSelectorPack();
+  });
+
+  test('uses the built-in pack when no pack is imported', () => {
+    assert.deepEqual(getSelectors('search', 'name'), BUILT_IN_SELECTOR_PACK.pages.search.name);
+    assert.deepEqual(getSelectors('search', 'noSuchField'), []);
+    assert.deepEqual(getSelectors('noSuchPage', 'name'), []);
+  });
+
+  test('falls back to the built-in pack for the fields an imported pack leaves out', () => {
+    installStorage({ selectorPack: pack({ pages: { search: { name: ['.imported-name'], card: [] } } }) });
+
+    return loadSelectorPack().then(active => {
+      assert.equal(active.version, '2024.7.0');
+      assert.deepEqual(getSelectors('search', 'name'), ['.imported-name']);
+      // An empty list doesn't override the built-in selectors
+      assert.deepEqual(getSelectors('search', 'card'), BUILT_IN_SELECTOR_PACK.pages.search.card);
+      assert.deepEqual(getSelectors('salesNavigator', 'name'), BUILT_IN_SELECTOR_PACK.pages.salesNavigator.name);
+    });
+  });
+
+  test('ignores a stored pack that is no longer valid', () => {
+    installStorage({ selectorPack: pack({ schemaVersion: 0 }) });
+
+    return loadSelectorPack().then(active => {
+      assert.equal(active, BUILT_IN_SELECTOR_PACK);
+      assert.deepEqual(getSelectors('search', 'name'), BUILT_IN_SELECTOR_PACK.pages.search.name);
+    });
+  });
+});
+
+describe('compareSelectorPackVersions', () => {
+  test('compares each part as a number', () => {
+    assert.ok(compareSelectorPackVersions('2024.10', '2024.9') > 0);
+    assert.ok(compareSelectorPackVersions('2024.9', '2024.10') < 0);
+    assert.ok(compareSelectorPackVersions('2024.6.1', '2024.6') > 0);
+    assert.equal(compareSelectorPackVersions('2024.6.0', '2024.6'), 0);
+  });
+});
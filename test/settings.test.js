@@ -0,0 +1,77 @@
+/**
+ * Tests for the scraper settings
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SETTINGS_KEY,
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings,
+  normalizeSettings,
+  formatExportFilename
+} = require('../js/settings.js');
+
+let syncStore;
+beforeEach(() => {
+  syncStore = {};
+  global.chrome = {
+    storage: {
+      sync: {
+        get: key => Promise.resolve(key in syncStore ? { [key]: syncStore[key] } : {}),
+        set: values => Promise.resolve(Object.assign(syncStore, JSON.parse(JSON.stringify(values))))
+      }
+    }
+  };
+});
+
+describe('settings', () => {
+  test('default to the built-in settings', () => {
+    return loadSettings().then(settings => assert.deepEqual(settings, DEFAULT_SETTINGS));
+  });
+
+  test('keep numbers within their range and replace invalid entries with defaults', () => {
+    const settings = normalizeSettings({
+      scrollStep: '10',
+      searchCardThreshold: 20,
+      salesNavigatorCardThreshold: 'high',
+      searchResultsPerPage: '',
+      salesNavigatorResultsPerPage: 50.4
+    });
+
+    assert.equal(settings.scrollStep, 50);
+    assert.equal(settings.searchCardThreshold, 12);
+    assert.equal(settings.salesNavigatorCardThreshold, DEFAULT_SETTINGS.salesNavigatorCardThreshold);
+    assert.equal(settings.searchResultsPerPage, DEFAULT_SETTINGS.searchResultsPerPage);
+    assert.equal(settings.salesNavigatorResultsPerPage, 50);
+  });
+
+  test('strip characters file names may not contain from the filename pattern', () => {
+    assert.equal(normalizeSettings({ exportFilenamePattern: 'acme/{prefix}:{date}' }).exportFilenamePattern, 'acme{prefix}{date}');
+    assert.equal(normalizeSettings({ exportFilenamePattern: '  ' }).exportFilenamePattern, DEFAULT_SETTINGS.exportFilenamePattern);
+  });
+
+  test('are saved to sync storage', () => {
+    return saveSettings({ ...DEFAULT_SETTINGS, scrollStep: 600 })
+      .then(() => {
+        assert.equal(syncStore[SETTINGS_KEY].scrollStep, 600);
+        return loadSettings();
+      })
+      .then(settings => assert.equal(settings.scrollStep, 600));
+  });
+});
+
+describe('formatExportFilename', () => {
+  const values = { prefix: 'linkedin_leads', date: '2024-01-31', time: '14-05-09' };
+
+  test('fills in the placeholders', () => {
+    assert.equal(formatExportFilename(DEFAULT_SETTINGS.exportFilenamePattern, values), 'linkedin_leads_2024-01-31_14-05-09');
+    assert.equal(formatExportFilename('acme-{date}-{prefix}', values), 'acme-2024-01-31-linkedin_leads');
+  });
+
+  test('leaves unknown placeholders alone', () => {
+    assert.equal(formatExportFilename('{prefix}_{user}', values), 'linkedin_leads_{user}');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Tests for throttling
+ * Settings and usage live in chrome.storage; these tests give the module in-memory copies.
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  THROTTLE_SETTINGS_KEY,
+  THROTTLE_USAGE_KEY,
+  THROTTLE_WINDOW_MS,
+  THROTTLE_USAGE_KINDS,
+  DEFAULT_THROTTLE_SETTINGS,
+  loadThrottleSettings,
+  saveThrottleSettings,
+  normalizeThrottleSettings,
+  getRandomDelay,
+  pruneThrottleUsage,
+  recordThrottleUsage,
+  getQuotaStatus,
+  checkThrottleQuota
+} = require('../js/throttle.js');
+
+/**
+ * Creates an in-memory storage area with the promise API the module uses
+ * @param {Object} store The backing store
+ * @returns {Object} Storage area with get and set
+ */
+function createStorageArea(store) {
+  return {
+    get: key => Promise.resolve(key in store ? { [key]: store[key] } : {}),
+    set: values => Promise.resolve(Object.assign(store, JSON.parse(JSON.stringify(values))))
+  };
+}
+
+let localStore;
+let syncStore;
+beforeEach(() => {
+  localStore = {};
+  syncStore = {};
+  global.chrome = {
+    storage: {
+      local: createStorageArea(localStore),
+      sync: createStorageArea(syncStore)
+    }
+  };
+});
+
+describe('throttle settings', () => {
+  test('default to the built-in settings', () => {
+    return loadThrottleSettings().then(settings => {
+      assert.deepEqual(settings, DEFAULT_THROTTLE_SETTINGS);
+    });
+  });
+
+  test('replace missing, negative and non-numeric values with their defaults', () => {
+    const settings = normalizeThrottleSettings({ maxPagesPerRun: -1, dailyPageQuota: 'lots', dailyProfileQuota: 0 });
+    assert.equal(settings.maxPagesPerRun, DEFAULT_THROTTLE_SETTINGS.maxPagesPerRun);
+    assert.equal(settings.dailyPageQuota, DEFAULT_THROTTLE_SETTINGS.dailyPageQuota);
+    assert.equal(settings.dailyProfileQuota, 0);
+    assert.equal(settings.minPageDelayMs, DEFAULT_THROTTLE_SETTINGS.minPageDelayMs);
+  });
+
+  test('put reversed delay ranges in order', () => {
+    const settings = normalizeThrottleSettings({ minPageDelayMs: 30000, maxPageDelayMs: 10000, minProfileDelayMs: 60000, maxProfileDelayMs: 5000 });
+    assert.equal(settings.minPageDelayMs, 10000);
+    assert.equal(settings.maxPageDelayMs, 30000);
+    assert.equal(settings.minProfileDelayMs, 5000);
+    assert.equal(settings.maxProfileDelayMs, 60000);
+  });
+
+  test('are saved to sync storage', () => {
+    return saveThrottleSettings({ ...DEFAULT_THROTTLE_SETTINGS, maxPagesPerRun: 10 })
+      .then(() => {
+        assert.equal(syncStore[THROTTLE_SETTINGS_KEY].maxPagesPerRun, 10);
+        return loadThrottleSettings();
+      })
+      .then(settings => assert.equal(settings.maxPagesPerRun, 10));
+  });
+});
+
+describe('getRandomDelay', () => {
+  test('stays within its range', () => {
+    for (let i = 0; i < 100; i++) {
+      const delay = getRandomDelay(1000, 2000);
+      assert.ok(delay >= 1000 && delay <= 2000, `${delay} is out of range`);
+    }
+  });
+});
+
+describe('daily quotas', () => {
+  const settings = { ...DEFAULT_THROTTLE_SETTINGS, dailyPageQuota: 2, dailyProfileQuota: 0 };
+
+  test('only count the last 24 hours', () => {
+    const now = Date.now();
+    const usage = [
+      { kind: THROTTLE_USAGE_KINDS.PAGE, at: now - THROTTLE_WINDOW_MS - 1 },
+      { kind: THROTTLE_USAGE_KINDS.PAGE, at: now - 1000 }
+    ];
+    assert.deepEqual(pruneThrottleUsage(usage, now), [usage[1]]);
+  });
+
+  test('are used up once the quota is reached, until the oldest page load leaves the window', () => {
+    const usage = [
+      { kind: THROTTLE_USAGE_KINDS.PAGE, at: 1000 },
+      { kind: THROTTLE_USAGE_KINDS.PROFILE, at: 1500 },
+      { kind: THROTTLE_USAGE_KINDS.PAGE, at: 2000 }
+    ];
+
+    const pages = getQuotaStatus(usage, THROTTLE_USAGE_KINDS.PAGE, settings);
+    assert.equal(pages.used, 2);
+    assert.equal(pages.allowed, false);
+    assert.equal(pages.resetsAt, 1000 + THROTTLE_WINDOW_MS);
+
+    // A quota of 0 means no quota
+    const profiles = getQuotaStatus(usage, THROTTLE_USAGE_KINDS.PROFILE, settings);
+    assert.equal(profiles.allowed, true);
+    assert.equal(profiles.resetsAt, null);
+  });
+
+  test('are checked against the recorded usage', () => {
+    return saveThrottleSettings(settings)
+      .then(() => recordThrottleUsage(THROTTLE_USAGE_KINDS.PAGE))
+      .then(() => checkThrottleQuota(THROTTLE_USAGE_KINDS.PAGE))
+      .then(quota => {
+        assert.equal(quota.allowed, true);
+        return recordThrottleUsage(THROTTLE_USAGE_KINDS.PAGE);
+      })
+      .then(() => checkThrottleQuota(THROTTLE_USAGE_KINDS.PAGE))
+      .then(quota => {
+        assert.equal(quota.allowed, false);
+        assert.match(quota.message, /Daily page quota of 2 reached/);
+        assert.equal(localStore[THROTTLE_USAGE_KEY].length, 2);
+      });
+  });
+});
\ No newline at end of file
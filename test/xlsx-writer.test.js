@@ -0,0 +1,141 @@
+/**
+ * Tests for the XLSX writer
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createXlsxWorkbook,
+  buildTypedCell,
+  buildStringCell,
+  getCellReference,
+  createZipArchive,
+  computeCrc32
+} = require('../js/xlsx-writer.js');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Reads a ZIP archive through its central directory, checking each entry's local header
+ * @param {Uint8Array} archive The ZIP archive
+ * @returns {Object} Object with the end record's entryCount and centralOffset, and the entries
+ *   (path, offset and data)
+ */
+function readZip(archive) {
+  const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+  const endOffset = archive.length - 22;
+  assert.equal(view.getUint32(endOffset, true), 0x06054b50);
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  const centralSize = view.getUint32(endOffset + 12, true);
+  const centralOffset = view.getUint32(endOffset + 16, true);
+  assert.equal(view.getUint16(endOffset + 8, true), entryCount);
+  assert.equal(centralOffset + centralSize, endOffset);
+
+  const entries = [];
+  let position = centralOffset;
+  for (let i = 0; i < entryCount; i++) {
+    assert.equal(view.getUint32(position, true), 0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const path = decoder.decode(archive.subarray(position + 46, position + 46 + nameLength));
+
+    // The local header the central directory points at describes the same file
+    assert.equal(view.getUint32(offset, true), 0x04034b50);
+    assert.equal(view.getUint32(offset + 14, true), crc);
+    assert.equal(view.getUint32(offset + 22, true), size);
+    assert.equal(decoder.decode(archive.subarray(offset + 30, offset + 30 + nameLength)), path);
+
+    const dataStart = offset + 30 + nameLength;
+    const data = archive.subarray(dataStart, dataStart + size);
+    assert.equal(computeCrc32(data), crc);
+
+    entries.push({ path, offset, data });
+    position += 46 + nameLength;
+  }
+
+  return { entryCount, centralOffset, entries };
+}
+
+describe('cells', () => {
+  test('references columns past Z with more letters', () => {
+    assert.equal(getCellReference(0, 1), 'A1');
+    assert.equal(getCellReference(25, 3), 'Z3');
+    assert.equal(getCellReference(26, 1), 'AA1');
+    assert.equal(getCellReference(51, 12), 'AZ12');
+    assert.equal(getCellReference(52, 1), 'BA1');
+    assert.equal(getCellReference(701, 1), 'ZZ1');
+    assert.equal(getCellReference(702, 1), 'AAA1');
+  });
+
+  test('writes numbers and dates as values and leaves empty values empty', () => {
+    assert.equal(buildTypedCell('B2', '42', 'number'), '<c r="B2"><v>42</v></c>');
+    assert.equal(buildTypedCell('B2', 0, 'number'), '<c r="B2"><v>0</v></c>');
+    assert.equal(buildTypedCell('B2', '', 'number'), '<c r="B2"/>');
+
+    // Dates are days since 1899-12-30 with the date style
+    assert.equal(buildTypedCell('C2', '1970-01-02T12:00:00.000Z', 'date'), '<c r="C2" s="2"><v>25570.5</v></c>');
+
+    // Values that don't parse are kept as text
+    assert.match(buildTypedCell('B2', '500+', 'number'), /t="inlineStr".*>500\+<\/t>/);
+    assert.match(buildTypedCell('C2', 'last week', 'date'), />last week<\/t>/);
+  });
+
+  test('escapes markup and drops control characters in strings', () => {
+    assert.equal(
+      buildStringCell('A1', 'R&D <Lead> "quoted"\u0001\u000B\ttab'),
+      '<c r="A1" t="inlineStr"><is><t xml:space="preserve">R&amp;D &lt;Lead&gt; &quot;quoted&quot;\ttab</t></is></c>'
+    );
+  });
+});
+
+describe('ZIP packaging', () => {
+  test('computes the standard CRC-32 check value', () => {
+    assert.equal(computeCrc32(encoder.encode('123456789')), 0xcbf43926);
+    assert.equal(computeCrc32(new Uint8Array(0)), 0);
+  });
+
+  test('writes local headers, a central directory and an end record that agree', () => {
+    const files = [
+      { path: 'a.txt', data: encoder.encode('hello') },
+      { path: 'dir/b.xml', data: encoder.encode('<x/>') }
+    ];
+    const { entryCount, centralOffset, entries } = readZip(createZipArchive(files));
+
+    assert.equal(entryCount, 2);
+    assert.deepEqual(entries.map(entry => entry.offset), [0, 30 + 'a.txt'.length + 'hello'.length]);
+    assert.equal(centralOffset, entries[1].offset + 30 + 'dir/b.xml'.length + '<x/>'.length);
+    assert.deepEqual(entries.map(entry => [entry.path, decoder.decode(entry.data)]), [
+      ['a.txt', 'hello'],
+      ['dir/b.xml', '<x/>']
+    ]);
+  });
+
+  test('packages a workbook with typed cells', () => {
+    const { entries } = readZip(createXlsxWorkbook({
+      name: 'Leads',
+      headers: ['Name', 'Connections', 'Scraped At'],
+      rows: [['Jane <Doe>', '500', '2024-01-31T00:00:00.000Z']],
+      types: ['string', 'number', 'date']
+    }));
+
+    assert.deepEqual(entries.map(entry => entry.path), [
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml'
+    ]);
+
+    const sheetXml = decoder.decode(entries[5].data);
+    assert.match(sheetXml, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Jane &lt;Doe&gt;<\/t><\/is><\/c>/);
+    assert.match(sheetXml, /<c r="B2"><v>500<\/v><\/c>/);
+    assert.match(sheetXml, /<c r="C2" s="2"><v>45322<\/v><\/c>/);
+    assert.match(sheetXml, /<autoFilter ref="A1:C2"\/>/);
+  });
+});